@@ -2,18 +2,36 @@ const { supabase } = require('../config/supabase');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { AttemptKind, LockoutError, claimAttempt, clearAttempts } = require('../services/lockout');
+const { sendPinResetCode, verifyPinResetCode, resetPin } = require('../services/pin');
+const { logAudit } = require('../services/audit');
+const {
+    createSession,
+    rotateRefreshToken,
+    findSessionByToken,
+    revokeSessions,
+    listSessions
+} = require('../services/sessions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'emsec-super-secret-key-change-in-production';
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'emsec-refresh-secret-key-change-in-production';
 
-// Generate access token (15 minutes)
+// Generate access token (15 minutes), tied to its session (sid)
 function generateAccessToken(payload) {
     return jwt.sign(payload, JWT_SECRET, { expiresIn: '15m' });
 }
 
-// Generate refresh token (7 days)
-function generateRefreshToken(payload) {
-    return jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: '7d' });
+// Open a session and issue its first access and refresh tokens
+async function issueTokens(userId, req) {
+    const session = await createSession(userId, {
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+    });
+
+    return {
+        access_token: generateAccessToken({ user_id: userId, sid: session.session_id }),
+        refresh_token: session.refresh_token
+    };
 }
 
 // REGISTER
@@ -68,7 +86,7 @@ async function register(req, res) {
                 first_name,
                 last_name,
                 email: email || null,
-                balance: 1000.00,
+                balance: 0,
                 currency: 'KES',
                 status: 'active'
             }])
@@ -83,8 +101,7 @@ async function register(req, res) {
         console.log('User created successfully:', newUser.user_id);
 
         // Generate tokens
-        const accessToken = generateAccessToken({ user_id: newUser.user_id });
-        const refreshToken = generateRefreshToken({ user_id: newUser.user_id });
+        const tokens = await issueTokens(newUser.user_id, req);
 
         return sendSuccess(res, {
             user_id: newUser.user_id,
@@ -94,8 +111,8 @@ async function register(req, res) {
             email: newUser.email,
             balance: newUser.balance,
             currency: newUser.currency,
-            access_token: accessToken,
-            refresh_token: refreshToken
+            access_token: tokens.access_token,
+            refresh_token: tokens.refresh_token
         }, 201);
 
     } catch (error) {
@@ -107,26 +124,31 @@ async function register(req, res) {
 // LOGIN
 async function login(req, res) {
     try {
-        let { phone_number, password } = req.body;
+        const { password } = req.body;
 
-        console.log('Login attempt:', { phone_number });
+        console.log('Login attempt:', { phone_number: req.body.phone_number });
 
         // Validate required fields
-        if (!phone_number || !password) {
+        if (!req.body.phone_number || !password) {
             return sendError(res, 'Missing phone number or password', ErrorCodes.INVALID_INPUT, 400);
         }
 
-        // Normalize phone number
-        phone_number = phone_number.trim();
-        if (phone_number.startsWith('0')) {
-            phone_number = '+254' + phone_number.substring(1);
-        } else if (phone_number.startsWith('254') && !phone_number.startsWith('+')) {
-            phone_number = '+' + phone_number;
+        // Normalize and validate phone number
+        const phone_number = normalizePhoneNumber(req.body.phone_number);
+        if (!phone_number) {
+            return sendError(res, 'Invalid phone number format', ErrorCodes.INVALID_INPUT, 400);
         }
 
-        // Validate phone format
-        if (!phone_number.match(/^\+254\d{9}$/)) {
-            return sendError(res, 'Invalid phone number format', ErrorCodes.INVALID_INPUT, 400);
+        // Wrong passwords are counted per phone number, account or not
+        let attempt;
+        try {
+            attempt = await claimAttempt(AttemptKind.LOGIN, phone_number);
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                console.log('Login throttled:', phone_number);
+                return sendError(res, error.message, error.code, error.status, error.details);
+            }
+            throw error;
         }
 
         // Get user
@@ -150,14 +172,19 @@ async function login(req, res) {
         const validPassword = await bcrypt.compare(password, user.password_hash);
         if (!validPassword) {
             console.log('Invalid password for user:', phone_number);
+
+            if (attempt.locks) {
+                await notifyLoginLocked(user, attempt.failed_attempts, req.ip);
+            }
             return sendError(res, 'Invalid credentials', ErrorCodes.INVALID_CREDENTIALS, 401);
         }
 
+        await clearAttempts(AttemptKind.LOGIN, phone_number);
+
         console.log('Login successful:', user.user_id);
 
         // Generate tokens
-        const accessToken = generateAccessToken({ user_id: user.user_id });
-        const refreshToken = generateRefreshToken({ user_id: user.user_id });
+        const tokens = await issueTokens(user.user_id, req);
 
         return sendSuccess(res, {
             user_id: user.user_id,
@@ -167,8 +194,8 @@ async function login(req, res) {
             email: user.email,
             balance: user.balance,
             currency: user.currency,
-            access_token: accessToken,
-            refresh_token: refreshToken
+            access_token: tokens.access_token,
+            refresh_token: tokens.refresh_token
         });
 
     } catch (error) {
@@ -177,7 +204,136 @@ async function login(req, res) {
     }
 }
 
-// REFRESH TOKEN
+// Tell the account holder sign-in was locked, by SMS, and audit it
+async function notifyLoginLocked(user, attempts, ipAddress) {
+    const minutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+
+    await supabase.from('notifications').insert({
+        user_id: user.user_id,
+        notification_type: 'sms',
+        recipient: user.phone_number,
+        message: `EmSec: ${attempts} wrong passwords were tried on your account. Sign-in is paused for ${minutes} minutes. If this was not you, contact support.`,
+        status: 'queued'
+    });
+
+    await logAudit({
+        user_id: user.user_id,
+        action: 'login_locked',
+        entity_type: 'user',
+        entity_id: user.user_id,
+        details: { failed_attempts: attempts },
+        ip_address: ipAddress
+    });
+}
+
+// REQUEST PIN RESET CODE
+async function requestPinReset(req, res) {
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('user_id, phone_number, status, pin_reset_expires_at')
+            .eq('user_id', req.user.user_id)
+            .maybeSingle();
+
+        if (error || !user) {
+            return sendError(res, 'User not found', ErrorCodes.USER_NOT_FOUND, 404);
+        }
+
+        if (user.status !== 'active') {
+            return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
+        }
+
+        let expiresAt;
+        try {
+            expiresAt = await sendPinResetCode(user);
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                return sendError(res, error.message, error.code, error.status, error.details);
+            }
+            throw error;
+        }
+
+        return sendSuccess(res, { expires_at: expiresAt }, 'Reset code sent by SMS');
+
+    } catch (error) {
+        console.error('PIN reset code error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+// RESET PIN (SMS code + password)
+async function resetPinWithCode(req, res) {
+    try {
+        const { code, password, new_pin } = req.body;
+        const user_id = req.user.user_id;
+
+        if (!code || !password || !new_pin) {
+            return sendError(res, 'Missing code, password or new PIN', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        if (!/^\d{4}$/.test(new_pin)) {
+            return sendError(res, 'PIN must be exactly 4 digits', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        // Wrong codes and passwords are counted like wrong PINs
+        try {
+            await claimAttempt(AttemptKind.PIN_RESET, user_id);
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                return sendError(res, error.message, error.code, error.status, error.details);
+            }
+            throw error;
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('user_id, phone_number, password_hash, status, pin_reset_code_hash, pin_reset_expires_at')
+            .eq('user_id', user_id)
+            .maybeSingle();
+
+        if (error || !user) {
+            return sendError(res, 'User not found', ErrorCodes.USER_NOT_FOUND, 404);
+        }
+
+        if (user.status !== 'active') {
+            return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
+        }
+
+        const validCode = await verifyPinResetCode(user, code);
+        const validPassword = await bcrypt.compare(password, user.password_hash);
+
+        if (!validCode || !validPassword) {
+            return sendError(res, 'Invalid or expired code, or wrong password', ErrorCodes.INVALID_CREDENTIALS, 401);
+        }
+
+        await resetPin(user_id, new_pin);
+
+        await supabase.from('notifications').insert({
+            user_id,
+            notification_type: 'sms',
+            recipient: user.phone_number,
+            message: 'EmSec: your payment PIN was changed. If this was not you, contact support.',
+            status: 'queued'
+        });
+
+        await logAudit({
+            user_id,
+            action: 'pin_reset',
+            entity_type: 'user',
+            entity_id: user_id,
+            details: {},
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, { message: 'PIN reset successfully' });
+
+    } catch (error) {
+        console.error('PIN reset error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+// REFRESH TOKEN (single use: the response carries the next one)
 async function refreshToken(req, res) {
     try {
         const { refresh_token } = req.body;
@@ -186,27 +342,81 @@ async function refreshToken(req, res) {
             return sendError(res, 'Refresh token required', ErrorCodes.INVALID_INPUT, 400);
         }
 
-        // Verify refresh token
-        const decoded = jwt.verify(refresh_token, JWT_REFRESH_SECRET);
+        const rotated = await rotateRefreshToken(refresh_token, {
+            ip_address: req.ip,
+            user_agent: req.get('user-agent')
+        });
+
+        if (rotated.outcome === 'reused') {
+            console.log('Refresh token reuse, session revoked:', rotated.session_id);
+
+            await logAudit({
+                user_id: rotated.user_id,
+                action: 'refresh_token_reused',
+                entity_type: 'auth_session',
+                entity_id: rotated.session_id,
+                details: {},
+                ip_address: req.ip
+            });
+        }
+
+        if (rotated.outcome !== 'rotated') {
+            return sendError(res, 'Invalid refresh token', ErrorCodes.INVALID_TOKEN, 401);
+        }
+
+        // A suspended account keeps no sessions
+        const { data: user } = await supabase
+            .from('users')
+            .select('status')
+            .eq('user_id', rotated.user_id)
+            .maybeSingle();
+
+        if (!user || user.status !== 'active') {
+            await revokeSessions(rotated.user_id, { sessionId: rotated.session_id, reason: 'account_inactive' });
+            return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
+        }
 
         // Generate new access token
-        const accessToken = generateAccessToken({ user_id: decoded.user_id });
+        const accessToken = generateAccessToken({ user_id: rotated.user_id, sid: rotated.session_id });
 
         return sendSuccess(res, {
-            access_token: accessToken
+            access_token: accessToken,
+            refresh_token: rotated.refresh_token
         });
 
     } catch (error) {
         console.error('Token refresh error:', error);
-        return sendError(res, 'Invalid refresh token', ErrorCodes.INVALID_TOKEN, 401);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
     }
 }
 
-// LOGOUT
+// LOGOUT (revokes the session the refresh token belongs to)
 async function logout(req, res) {
     try {
-        // In a real implementation, you'd invalidate the token in a blacklist
-        // For now, just return success (client will delete tokens)
+        const { refresh_token } = req.body;
+
+        if (!refresh_token) {
+            return sendError(res, 'Refresh token required', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const session = await findSessionByToken(refresh_token);
+
+        // Unknown tokens are already as logged out as they can be
+        if (session) {
+            const revoked = await revokeSessions(session.user_id, { sessionId: session.session_id });
+
+            if (revoked.length > 0) {
+                await logAudit({
+                    user_id: session.user_id,
+                    action: 'logout',
+                    entity_type: 'auth_session',
+                    entity_id: session.session_id,
+                    details: {},
+                    ip_address: req.ip
+                });
+            }
+        }
+
         return sendSuccess(res, { message: 'Logged out successfully' });
     } catch (error) {
         console.error('Logout error:', error);
@@ -214,9 +424,86 @@ async function logout(req, res) {
     }
 }
 
+// LOG OUT ALL DEVICES ({ keep_current: true } keeps the caller's session)
+async function logoutAll(req, res) {
+    try {
+        const { user_id, session_id } = req.user;
+        const keepCurrent = req.body.keep_current === true && session_id;
+
+        const revoked = await revokeSessions(user_id, {
+            exceptSessionId: keepCurrent ? session_id : null,
+            reason: 'logout_all'
+        });
+
+        await logAudit({
+            user_id,
+            action: 'logout_all',
+            entity_type: 'user',
+            entity_id: user_id,
+            details: { sessions_revoked: revoked.length, kept_session: keepCurrent ? session_id : null },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, { sessions_revoked: revoked.length }, 'Logged out of all devices');
+    } catch (error) {
+        console.error('Logout all error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+// LIST SESSIONS
+async function getSessions(req, res) {
+    try {
+        const sessions = await listSessions(req.user.user_id);
+
+        return sendSuccess(res, {
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session.session_id === req.user.session_id
+            }))
+        });
+    } catch (error) {
+        console.error('Session list error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+// REVOKE ONE SESSION
+async function revokeSession(req, res) {
+    try {
+        const { user_id } = req.user;
+        const { session_id } = req.params;
+
+        const revoked = await revokeSessions(user_id, { sessionId: session_id, reason: 'revoked_by_user' });
+
+        if (revoked.length === 0) {
+            return sendError(res, 'Session not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        await logAudit({
+            user_id,
+            action: 'session_revoked',
+            entity_type: 'auth_session',
+            entity_id: session_id,
+            details: {},
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, { session_id }, 'Session revoked');
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
 module.exports = {
     register,
     login,
     refreshToken,
-    logout
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    requestPinReset,
+    resetPinWithCode
 };
\ No newline at end of file
@@ -0,0 +1,605 @@
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { Roles } = require('../middleware/auth');
+const { logAudit } = require('../services/audit');
+const { getRecentTrack } = require('../services/telemetry');
+const {
+    DeviceStatus,
+    generateDeviceToken,
+    hashDeviceToken,
+    hashActivationCode,
+    issueActivationCode
+} = require('../services/devices');
+
+const DEVICE_FIELDS = `
+    device_id,
+    device_name,
+    merchant_id,
+    route_id,
+    status,
+    status_reason,
+    gps_enabled,
+    activation_expires_at,
+    activated_at,
+    token_rotated_at,
+    last_gps_updated_at,
+    off_route_since,
+    created_at,
+    updated_at
+`;
+
+/**
+ * Format a devices row for the response (never includes credentials)
+ * @param {Object} device - devices row
+ * @returns {Object} Formatted device
+ */
+function formatDevice(device) {
+    return {
+        device_id: device.device_id,
+        device_name: device.device_name,
+        merchant_id: device.merchant_id,
+        route_id: device.route_id,
+        status: device.status,
+        status_reason: device.status_reason || undefined,
+        gps_enabled: device.gps_enabled,
+        activation_expires_at: device.status === DeviceStatus.PENDING_ACTIVATION
+            ? device.activation_expires_at
+            : undefined,
+        activated_at: device.activated_at,
+        token_rotated_at: device.token_rotated_at,
+        last_gps_updated_at: device.last_gps_updated_at,
+        off_route_since: device.off_route_since,
+        created_at: device.created_at,
+        updated_at: device.updated_at
+    };
+}
+
+/**
+ * Load a device the caller may manage (merchants only manage their own)
+ * @param {Object} user - req.user
+ * @param {string} deviceId - Device ID
+ * @returns {Object|null} devices row
+ */
+async function findDevice(user, deviceId) {
+    let query = supabase
+        .from('devices')
+        .select(DEVICE_FIELDS)
+        .eq('device_id', deviceId);
+
+    if (user.role === Roles.MERCHANT) {
+        query = query.eq('merchant_id', user.merchant_id);
+    }
+
+    const { data: device } = await query.maybeSingle();
+    return device;
+}
+
+/**
+ * Whether a route exists and is in service
+ * @param {string} routeId - Route ID
+ * @returns {boolean} True if active
+ */
+async function isActiveRoute(routeId) {
+    const { data: route } = await supabase
+        .from('routes')
+        .select('route_id, status')
+        .eq('route_id', routeId)
+        .maybeSingle();
+
+    return !!route && route.status === 'active';
+}
+
+/**
+ * Reject a lifecycle change from the device's current status
+ * @param {Object} res - Express response object
+ * @param {Object} device - devices row
+ * @param {string} action - What was attempted, e.g. 'suspend'
+ */
+function invalidStatus(res, device, action) {
+    return sendError(
+        res,
+        `Cannot ${action} a device that is ${device.status.replace('_', ' ')}`,
+        ErrorCodes.DEVICE_STATUS_INVALID,
+        409
+    );
+}
+
+/**
+ * Apply an update to a device if it is still in one of some statuses
+ * @param {string} deviceId - Device ID
+ * @param {Array} fromStatuses - Statuses the update is allowed from
+ * @param {Object} updates - Columns to set
+ * @returns {Object|null} Updated row, or null if the status changed meanwhile
+ */
+async function updateDeviceFrom(deviceId, fromStatuses, updates) {
+    const { data: device, error } = await supabase
+        .from('devices')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('device_id', deviceId)
+        .in('status', fromStatuses)
+        .select(DEVICE_FIELDS)
+        .maybeSingle();
+
+    if (error) throw error;
+    return device;
+}
+
+/**
+ * Provision a device for a merchant and return its one-time activation code
+ * POST /devices  { merchant_id, device_name, route_id?, gps_enabled? }
+ */
+async function provisionDevice(req, res) {
+    try {
+        const { device_name, route_id, gps_enabled } = req.body;
+        const merchant_id = req.user.role === Roles.MERCHANT ? req.user.merchant_id : req.body.merchant_id;
+
+        if (!merchant_id) {
+            return sendError(res, 'merchant_id is required', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const { data: merchant } = await supabase
+            .from('merchants')
+            .select('merchant_id, status')
+            .eq('merchant_id', merchant_id)
+            .maybeSingle();
+
+        if (!merchant) {
+            return sendError(res, 'Merchant not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        if (merchant.status !== 'active') {
+            return sendError(res, 'Merchant account is suspended', ErrorCodes.MERCHANT_INACTIVE, 403);
+        }
+
+        if (route_id && !(await isActiveRoute(route_id))) {
+            return sendError(res, 'Route not found or retired', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const activation = issueActivationCode();
+
+        const { data: device, error } = await supabase
+            .from('devices')
+            .insert({
+                device_name,
+                merchant_id,
+                route_id: route_id || null,
+                gps_enabled: gps_enabled !== undefined ? gps_enabled : true,
+                status: DeviceStatus.PENDING_ACTIVATION,
+                activation_code_hash: activation.activation_code_hash,
+                activation_expires_at: activation.activation_expires_at,
+                created_by: req.user.user_id
+            })
+            .select(DEVICE_FIELDS)
+            .single();
+
+        if (error) {
+            console.error('Device provision error:', error);
+            return sendError(res, 'Failed to provision device', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'device_provisioned',
+            entity_type: 'device',
+            entity_id: device.device_id,
+            details: {
+                merchant_id,
+                route_id: device.route_id,
+                device_name
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(
+            res,
+            {
+                ...formatDevice(device),
+                activation_code: activation.code
+            },
+            'Device provisioned. The activation code is shown only once.',
+            201
+        );
+
+    } catch (error) {
+        console.error('Device provision error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Exchange a one-time activation code for the device's token.
+ * Called by the on-board unit itself, so there is no user session.
+ * POST /devices/activate  { activation_code }
+ */
+async function activateDevice(req, res) {
+    try {
+        const codeHash = hashActivationCode(req.body.activation_code);
+
+        const { data: pending } = await supabase
+            .from('devices')
+            .select('device_id, status, activation_expires_at')
+            .eq('activation_code_hash', codeHash)
+            .maybeSingle();
+
+        if (
+            !pending ||
+            pending.status !== DeviceStatus.PENDING_ACTIVATION ||
+            new Date(pending.activation_expires_at) <= new Date()
+        ) {
+            return sendError(res, 'Invalid or expired activation code', ErrorCodes.INVALID_ACTIVATION_CODE, 400);
+        }
+
+        const device_token = generateDeviceToken();
+        const now = new Date().toISOString();
+
+        // Matching on the code hash makes the code single-use
+        const { data: device, error } = await supabase
+            .from('devices')
+            .update({
+                device_secret_hash: hashDeviceToken(device_token),
+                status: DeviceStatus.ACTIVE,
+                status_reason: null,
+                activation_code_hash: null,
+                activation_expires_at: null,
+                activated_at: now,
+                token_rotated_at: now,
+                updated_at: now
+            })
+            .eq('device_id', pending.device_id)
+            .eq('activation_code_hash', codeHash)
+            .eq('status', DeviceStatus.PENDING_ACTIVATION)
+            .select(DEVICE_FIELDS)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!device) {
+            return sendError(res, 'Invalid or expired activation code', ErrorCodes.INVALID_ACTIVATION_CODE, 400);
+        }
+
+        await logAudit({
+            user_id: null,
+            action: 'device_activated',
+            entity_type: 'device',
+            entity_id: device.device_id,
+            details: { merchant_id: device.merchant_id },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(
+            res,
+            {
+                ...formatDevice(device),
+                device_token
+            },
+            'Device activated'
+        );
+
+    } catch (error) {
+        console.error('Device activation error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * One device
+ * GET /devices/:device_id
+ */
+async function getDevice(req, res) {
+    try {
+        const device = await findDevice(req.user, req.params.device_id);
+
+        if (!device) {
+            return sendError(res, 'Device not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        return sendSuccess(res, formatDevice(device));
+
+    } catch (error) {
+        console.error('Device fetch error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * A device's GPS track history, oldest first
+ * GET /devices/:device_id/track?since=&limit=
+ */
+async function getDeviceTrack(req, res) {
+    try {
+        const device = await findDevice(req.user, req.params.device_id);
+
+        if (!device) {
+            return sendError(res, 'Device not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const fixes = await getRecentTrack(device.device_id, {
+            since: req.query.since ? new Date(req.query.since) : undefined,
+            limit: parseInt(req.query.limit) || 100
+        });
+
+        return sendSuccess(res, {
+            device_id: device.device_id,
+            fixes
+        });
+
+    } catch (error) {
+        console.error('Device track error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Move a device to a different route
+ * PUT /devices/:device_id/route  { route_id }
+ */
+async function reassignRoute(req, res) {
+    try {
+        const device = await findDevice(req.user, req.params.device_id);
+
+        if (!device) {
+            return sendError(res, 'Device not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        if (device.status === DeviceStatus.REVOKED) {
+            return invalidStatus(res, device, 'reassign');
+        }
+
+        const { route_id } = req.body;
+
+        if (device.route_id === route_id) {
+            return sendSuccess(res, formatDevice(device), 'Device already on this route');
+        }
+
+        if (!(await isActiveRoute(route_id))) {
+            return sendError(res, 'Route not found or retired', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const updated = await updateDeviceFrom(
+            device.device_id,
+            [DeviceStatus.PENDING_ACTIVATION, DeviceStatus.ACTIVE, DeviceStatus.SUSPENDED],
+            // An excursion from the old route's path says nothing about the new one
+            { route_id, off_route_since: null, off_route_alerted_at: null }
+        );
+
+        if (!updated) {
+            return sendError(res, 'Device was revoked meanwhile', ErrorCodes.DEVICE_STATUS_INVALID, 409);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'device_route_changed',
+            entity_type: 'device',
+            entity_id: device.device_id,
+            details: {
+                from_route_id: device.route_id,
+                to_route_id: route_id
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatDevice(updated), 'Device reassigned');
+
+    } catch (error) {
+        console.error('Device reassign error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Move a device between lifecycle states
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} transition - { verb, from, to, action, clearToken, message }
+ */
+async function changeStatus(req, res, transition) {
+    try {
+        const device = await findDevice(req.user, req.params.device_id);
+
+        if (!device) {
+            return sendError(res, 'Device not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        if (!transition.from.includes(device.status)) {
+            return invalidStatus(res, device, transition.verb);
+        }
+
+        const reason = req.body.reason || null;
+        const updates = { status: transition.to, status_reason: reason };
+
+        if (transition.clearToken) {
+            updates.device_secret_hash = null;
+            updates.activation_code_hash = null;
+            updates.activation_expires_at = null;
+        }
+
+        const updated = await updateDeviceFrom(device.device_id, transition.from, updates);
+
+        if (!updated) {
+            return sendError(res, 'Device status changed meanwhile. Try again.', ErrorCodes.DEVICE_STATUS_INVALID, 409);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: transition.action,
+            entity_type: 'device',
+            entity_id: device.device_id,
+            details: {
+                from_status: device.status,
+                to_status: transition.to,
+                reason
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatDevice(updated), transition.message);
+
+    } catch (error) {
+        console.error(`Device ${transition.verb} error:`, error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Suspend a device: its token and QR codes stop working until reactivated
+ * POST /devices/:device_id/suspend  { reason? }
+ */
+async function suspendDevice(req, res) {
+    return changeStatus(req, res, {
+        verb: 'suspend',
+        from: [DeviceStatus.ACTIVE],
+        to: DeviceStatus.SUSPENDED,
+        action: 'device_suspended',
+        message: 'Device suspended'
+    });
+}
+
+/**
+ * Lift a suspension
+ * POST /devices/:device_id/reactivate  { reason? }
+ */
+async function reactivateDevice(req, res) {
+    return changeStatus(req, res, {
+        verb: 'reactivate',
+        from: [DeviceStatus.SUSPENDED],
+        to: DeviceStatus.ACTIVE,
+        action: 'device_reactivated',
+        message: 'Device reactivated'
+    });
+}
+
+/**
+ * Permanently retire a device (lost, stolen or decommissioned)
+ * POST /devices/:device_id/revoke  { reason? }
+ */
+async function revokeDevice(req, res) {
+    return changeStatus(req, res, {
+        verb: 'revoke',
+        from: [DeviceStatus.PENDING_ACTIVATION, DeviceStatus.ACTIVE, DeviceStatus.SUSPENDED],
+        to: DeviceStatus.REVOKED,
+        action: 'device_revoked',
+        clearToken: true,
+        message: 'Device revoked'
+    });
+}
+
+/**
+ * Replace an active device's token; the old token stops working at once
+ * POST /devices/:device_id/rotate-token
+ */
+async function rotateDeviceToken(req, res) {
+    try {
+        const device = await findDevice(req.user, req.params.device_id);
+
+        if (!device) {
+            return sendError(res, 'Device not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        if (device.status !== DeviceStatus.ACTIVE) {
+            return invalidStatus(res, device, 'rotate the token of');
+        }
+
+        const device_token = generateDeviceToken();
+
+        const updated = await updateDeviceFrom(device.device_id, [DeviceStatus.ACTIVE], {
+            device_secret_hash: hashDeviceToken(device_token),
+            token_rotated_at: new Date().toISOString()
+        });
+
+        if (!updated) {
+            return sendError(res, 'Device status changed meanwhile. Try again.', ErrorCodes.DEVICE_STATUS_INVALID, 409);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'device_token_rotated',
+            entity_type: 'device',
+            entity_id: device.device_id,
+            details: { previous_rotation: device.token_rotated_at },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(
+            res,
+            {
+                ...formatDevice(updated),
+                device_token
+            },
+            'Device token rotated. The new token is shown only once.'
+        );
+
+    } catch (error) {
+        console.error('Device token rotation error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Issue a new activation code, e.g. for replacement hardware. The current
+ * token stops working and the device goes back to pending_activation.
+ * POST /devices/:device_id/activation-code
+ */
+async function reissueActivationCode(req, res) {
+    try {
+        const device = await findDevice(req.user, req.params.device_id);
+
+        if (!device) {
+            return sendError(res, 'Device not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        // A suspended device must be reactivated first, not re-provisioned
+        const from = [DeviceStatus.PENDING_ACTIVATION, DeviceStatus.ACTIVE];
+
+        if (!from.includes(device.status)) {
+            return invalidStatus(res, device, 're-issue an activation code for');
+        }
+
+        const activation = issueActivationCode();
+
+        const updated = await updateDeviceFrom(device.device_id, from, {
+            status: DeviceStatus.PENDING_ACTIVATION,
+            device_secret_hash: null,
+            activation_code_hash: activation.activation_code_hash,
+            activation_expires_at: activation.activation_expires_at
+        });
+
+        if (!updated) {
+            return sendError(res, 'Device status changed meanwhile. Try again.', ErrorCodes.DEVICE_STATUS_INVALID, 409);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'device_activation_reissued',
+            entity_type: 'device',
+            entity_id: device.device_id,
+            details: { from_status: device.status },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(
+            res,
+            {
+                ...formatDevice(updated),
+                activation_code: activation.code
+            },
+            'Activation code issued. It is shown only once.'
+        );
+
+    } catch (error) {
+        console.error('Device activation reissue error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    provisionDevice,
+    activateDevice,
+    getDevice,
+    getDeviceTrack,
+    reassignRoute,
+    suspendDevice,
+    reactivateDevice,
+    revokeDevice,
+    rotateDeviceToken,
+    reissueActivationCode
+};
@@ -0,0 +1,742 @@
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { parseCsv } = require('../utils/csv');
+const { logAudit } = require('../services/audit');
+const {
+    FARE_RULE_FIELDS,
+    FareError,
+    quoteFare,
+    describeAdjustments,
+    createFareRules,
+    retireFareRule,
+    getManagedRouteIds
+} = require('../services/fares');
+
+const MAX_BULK_ROWS = 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check fare rules against their routes' stops and the caller's routes
+ * @param {Array} rules - Candidate rules
+ * @param {Set|null} managedRouteIds - From getManagedRouteIds()
+ * @returns {Array} [{ row, error }] (row is 1-based); empty when all valid
+ */
+async function validateRules(rules, managedRouteIds) {
+    const errors = [];
+    const routeIds = [...new Set(rules.map(rule => rule.route_id).filter(id => UUID_PATTERN.test(id || '')))];
+
+    const { data: routes, error } = routeIds.length > 0
+        ? await supabase.from('routes').select('route_id, stops').in('route_id', routeIds)
+        : { data: [] };
+
+    if (error) throw error;
+    const routesById = new Map(routes.map(route => [route.route_id, route]));
+
+    rules.forEach((rule, idx) => {
+        const fail = message => errors.push({ row: idx + 1, error: message });
+        const amount = Number(rule.fare_amount);
+
+        if (!UUID_PATTERN.test(rule.route_id || '')) {
+            return fail('Invalid route_id');
+        }
+        if (!rule.origin_stop_id || !rule.destination_stop_id) {
+            return fail('origin_stop_id and destination_stop_id are required');
+        }
+        if (!Number.isFinite(amount) || amount <= 0 || amount > 10000) {
+            return fail('fare_amount must be between 0.01 and 10,000 KES');
+        }
+        for (const key of ['effective_from', 'effective_until']) {
+            if (rule[key] && isNaN(new Date(rule[key]).getTime())) {
+                return fail(`${key} must be an ISO 8601 timestamp`);
+            }
+        }
+
+        const route = routesById.get(rule.route_id);
+        if (!route || (managedRouteIds && !managedRouteIds.has(rule.route_id))) {
+            return fail('Route not found');
+        }
+
+        const stops = route.stops || [];
+        const originIndex = stops.findIndex(stop => stop.id === rule.origin_stop_id);
+        const destinationIndex = stops.findIndex(stop => stop.id === rule.destination_stop_id);
+
+        if (originIndex === -1 || destinationIndex === -1) {
+            return fail('Origin or destination is not a stop on this route');
+        }
+        if (originIndex === destinationIndex) {
+            return fail('Origin and destination must differ');
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Normalise a rule from a request body or CSV row
+ * @param {Object} input - Raw rule
+ * @returns {Object} Rule for createFareRules()
+ */
+function toRule(input) {
+    return {
+        route_id: input.route_id,
+        origin_stop_id: input.origin_stop_id,
+        destination_stop_id: input.destination_stop_id,
+        fare_amount: input.fare_amount,
+        effective_from: input.effective_from || null,
+        effective_until: input.effective_until || null
+    };
+}
+
+/**
+ * Convert numeric fare rule columns for the response
+ * @param {Object} rule - fare_rules row
+ * @returns {Object} Formatted rule
+ */
+function formatFareRule(rule) {
+    return {
+        fare_rule_id: rule.fare_rule_id,
+        route_id: rule.route_id,
+        origin_stop_id: rule.origin_stop_id,
+        destination_stop_id: rule.destination_stop_id,
+        fare_amount: parseFloat(rule.fare_amount),
+        effective_from: rule.effective_from,
+        effective_until: rule.effective_until,
+        created_by: rule.created_by,
+        retired_by: rule.retired_by,
+        created_at: rule.created_at
+    };
+}
+
+/**
+ * Send a FareError or a generic server error
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @param {string} context - Log label
+ */
+function handleError(res, error, context) {
+    if (error instanceof FareError) {
+        return sendError(res, error.message, error.code, error.status);
+    }
+    console.error(`${context} error:`, error);
+    return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+}
+
+/**
+ * List fare rules
+ * GET /fares?route_id=&origin_stop_id=&destination_stop_id=&status=&page=&limit=
+ */
+async function listFareRules(req, res) {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+
+        if (page < 1 || limit < 1 || limit > 200) {
+            return sendError(res, 'Invalid pagination', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const managedRouteIds = await getManagedRouteIds(req.user);
+        const now = new Date().toISOString();
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('fare_rules')
+            .select(FARE_RULE_FIELDS, { count: 'exact' })
+            .order('route_id', { ascending: true })
+            .order('origin_stop_id', { ascending: true })
+            .order('destination_stop_id', { ascending: true })
+            .order('effective_from', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (managedRouteIds) {
+            query = query.in('route_id', [...managedRouteIds]);
+        }
+        if (req.query.route_id) {
+            query = query.eq('route_id', req.query.route_id);
+        }
+        if (req.query.origin_stop_id) {
+            query = query.eq('origin_stop_id', req.query.origin_stop_id);
+        }
+        if (req.query.destination_stop_id) {
+            query = query.eq('destination_stop_id', req.query.destination_stop_id);
+        }
+
+        switch (req.query.status) {
+        case 'active':
+            query = query.lte('effective_from', now).or(`effective_until.is.null,effective_until.gt.${now}`);
+            break;
+        case 'scheduled':
+            query = query.gt('effective_from', now);
+            break;
+        case 'retired':
+            query = query.lte('effective_until', now);
+            break;
+        }
+
+        const { data: rules, count, error } = await query;
+
+        if (error) {
+            console.error('Fare rule list error:', error);
+            return sendError(res, 'Failed to fetch fare rules', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        const totalPages = Math.ceil(count / limit);
+
+        return sendSuccess(res, {
+            fare_rules: rules.map(formatFareRule),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: totalPages,
+                has_next: page < totalPages,
+                has_prev: page > 1
+            }
+        });
+
+    } catch (error) {
+        return handleError(res, error, 'Fare rule list');
+    }
+}
+
+/**
+ * The fare for a journey at time T (default now), with schedules and
+ * modifiers applied
+ * GET /fares/resolve?route_id=&origin_stop_id=&destination_stop_id=&at=
+ */
+async function getFareAt(req, res) {
+    try {
+        const { route_id, origin_stop_id, destination_stop_id } = req.query;
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+
+        const quote = await quoteFare(route_id, origin_stop_id, destination_stop_id, at);
+
+        if (!quote) {
+            return sendError(res, 'No fare is set for this journey', ErrorCodes.FARE_NOT_FOUND, 404);
+        }
+
+        return sendSuccess(res, {
+            at: at.toISOString(),
+            route_id,
+            origin_stop_id,
+            destination_stop_id,
+            ...quote,
+            applied: describeAdjustments(quote.adjustments) || null
+        });
+
+    } catch (error) {
+        return handleError(res, error, 'Fare resolve');
+    }
+}
+
+/**
+ * Create or schedule a fare rule
+ * POST /fares
+ */
+async function createFareRule(req, res) {
+    try {
+        const rule = toRule(req.body);
+        const errors = await validateRules([rule], await getManagedRouteIds(req.user));
+
+        if (errors.length > 0) {
+            return sendError(res, errors[0].error, ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const [created] = await createFareRules([rule], {
+            replace: req.body.replace_existing === true,
+            createdBy: req.user.user_id
+        });
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fare_rule_created',
+            entity_type: 'fare_rule',
+            entity_id: created.fare_rule_id,
+            details: {
+                ...rule,
+                replace_existing: req.body.replace_existing === true
+            },
+            ip_address: req.ip
+        });
+
+        const scheduled = new Date(created.effective_from) > new Date();
+
+        return sendSuccess(
+            res,
+            formatFareRule(created),
+            scheduled ? 'Fare rule scheduled' : 'Fare rule created',
+            201
+        );
+
+    } catch (error) {
+        return handleError(res, error, 'Fare rule create');
+    }
+}
+
+/**
+ * Bulk-create fare rules from a CSV upload (all-or-nothing)
+ * POST /fares/bulk?replace_existing=true
+ * Columns: route_id, origin_stop_id, destination_stop_id, fare_amount,
+ * effective_from, effective_until
+ */
+async function bulkUploadFareRules(req, res) {
+    try {
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return sendError(res, 'Send the CSV file as the request body (Content-Type: text/csv)', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const rows = parseCsv(req.body);
+
+        if (rows.length === 0) {
+            return sendError(res, 'CSV file has no fare rules', ErrorCodes.INVALID_INPUT, 400);
+        }
+        if (rows.length > MAX_BULK_ROWS) {
+            return sendError(res, `At most ${MAX_BULK_ROWS} fare rules per upload`, ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const rules = rows.map(toRule);
+        const errors = await validateRules(rules, await getManagedRouteIds(req.user));
+
+        if (errors.length > 0) {
+            return sendError(
+                res,
+                `${errors.length} invalid row(s); nothing was imported`,
+                ErrorCodes.INVALID_INPUT,
+                400,
+                { rows: errors }
+            );
+        }
+
+        const replace = req.query.replace_existing === 'true';
+        const created = await createFareRules(rules, {
+            replace,
+            createdBy: req.user.user_id
+        });
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fare_rules_uploaded',
+            entity_type: 'fare_rule',
+            entity_id: null,
+            details: {
+                count: created.length,
+                replace_existing: replace,
+                fare_rule_ids: created.map(rule => rule.fare_rule_id)
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(
+            res,
+            {
+                imported: created.length,
+                fare_rules: created.map(formatFareRule)
+            },
+            'Fare rules imported',
+            201
+        );
+
+    } catch (error) {
+        return handleError(res, error, 'Fare rule upload');
+    }
+}
+
+/**
+ * Retire a fare rule now or from a future instant
+ * POST /fares/:fare_rule_id/retire
+ */
+async function retireFare(req, res) {
+    try {
+        const { fare_rule_id } = req.params;
+
+        const { data: rule } = await supabase
+            .from('fare_rules')
+            .select('fare_rule_id, route_id')
+            .eq('fare_rule_id', fare_rule_id)
+            .maybeSingle();
+
+        const managedRouteIds = await getManagedRouteIds(req.user);
+
+        if (!rule || (managedRouteIds && !managedRouteIds.has(rule.route_id))) {
+            return sendError(res, 'Fare rule not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const retired = await retireFareRule(fare_rule_id, req.body.effective_until, req.user.user_id);
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fare_rule_retired',
+            entity_type: 'fare_rule',
+            entity_id: fare_rule_id,
+            details: {
+                effective_until: retired.effective_until
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatFareRule(retired), 'Fare rule retired');
+
+    } catch (error) {
+        return handleError(res, error, 'Fare rule retire');
+    }
+}
+
+/**
+ * Can the caller manage fares on a route?
+ * @param {Object} user - req.user
+ * @param {string} routeId - Route ID
+ * @returns {boolean}
+ */
+async function canManageRoute(user, routeId) {
+    const managedRouteIds = await getManagedRouteIds(user);
+    return !managedRouteIds || managedRouteIds.has(routeId);
+}
+
+/**
+ * Convert numeric schedule columns for the response
+ * @param {Object} schedule - fare_schedules row
+ * @returns {Object} Formatted schedule
+ */
+function formatSchedule(schedule) {
+    return {
+        schedule_id: schedule.schedule_id,
+        route_id: schedule.route_id,
+        name: schedule.name,
+        days_of_week: schedule.days_of_week,
+        start_time: schedule.start_time,
+        end_time: schedule.end_time,
+        adjustment_type: schedule.adjustment_type,
+        adjustment_value: parseFloat(schedule.adjustment_value),
+        active: schedule.active,
+        created_at: schedule.created_at
+    };
+}
+
+/**
+ * Convert numeric modifier columns for the response
+ * @param {Object} modifier - fare_modifiers row
+ * @returns {Object} Formatted modifier
+ */
+function formatModifier(modifier) {
+    const expired = modifier.expires_at && new Date(modifier.expires_at) <= new Date();
+
+    return {
+        modifier_id: modifier.modifier_id,
+        route_id: modifier.route_id,
+        name: modifier.name,
+        adjustment_type: modifier.adjustment_type,
+        adjustment_value: parseFloat(modifier.adjustment_value),
+        is_active: modifier.is_active && !expired,
+        expires_at: modifier.expires_at,
+        activated_at: modifier.activated_at,
+        activated_by: modifier.activated_by
+    };
+}
+
+/**
+ * List a route's fare schedules or modifiers (scoped to the caller's routes)
+ * @param {Object} req - Express request object
+ * @param {string} table - 'fare_schedules' or 'fare_modifiers'
+ * @param {string} orderBy - Column to sort by
+ * @returns {Object} { data, error }
+ */
+async function listForManagedRoutes(req, table, orderBy) {
+    const managedRouteIds = await getManagedRouteIds(req.user);
+
+    let query = supabase
+        .from(table)
+        .select('*')
+        .order('route_id', { ascending: true })
+        .order(orderBy, { ascending: true });
+
+    if (managedRouteIds) {
+        query = query.in('route_id', [...managedRouteIds]);
+    }
+    if (req.query.route_id) {
+        query = query.eq('route_id', req.query.route_id);
+    }
+
+    return query;
+}
+
+/**
+ * List fare schedules
+ * GET /fares/schedules?route_id=
+ */
+async function listSchedules(req, res) {
+    try {
+        const { data: schedules, error } = await listForManagedRoutes(req, 'fare_schedules', 'start_time');
+
+        if (error) {
+            console.error('Fare schedule list error:', error);
+            return sendError(res, 'Failed to fetch fare schedules', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        return sendSuccess(res, { schedules: schedules.map(formatSchedule) });
+
+    } catch (error) {
+        return handleError(res, error, 'Fare schedule list');
+    }
+}
+
+/**
+ * Create a weekday/time-window fare schedule (e.g. evening peak +10%)
+ * POST /fares/schedules
+ */
+async function createSchedule(req, res) {
+    try {
+        const { route_id, name, days_of_week, start_time, end_time, adjustment_type, adjustment_value } = req.body;
+
+        if (!(await canManageRoute(req.user, route_id))) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { data: schedule, error } = await supabase
+            .from('fare_schedules')
+            .insert({
+                route_id,
+                name,
+                days_of_week: days_of_week || [1, 2, 3, 4, 5, 6, 7],
+                start_time,
+                end_time,
+                adjustment_type,
+                adjustment_value,
+                created_by: req.user.user_id
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23503') {
+                return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+            }
+            if (error.code === '23514') {
+                return sendError(res, 'Invalid schedule window', ErrorCodes.INVALID_INPUT, 400);
+            }
+            console.error('Fare schedule create error:', error);
+            return sendError(res, 'Failed to create fare schedule', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fare_schedule_created',
+            entity_type: 'fare_schedule',
+            entity_id: schedule.schedule_id,
+            details: { route_id, name, days_of_week: schedule.days_of_week, start_time, end_time, adjustment_type, adjustment_value },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatSchedule(schedule), 'Fare schedule created', 201);
+
+    } catch (error) {
+        return handleError(res, error, 'Fare schedule create');
+    }
+}
+
+/**
+ * Stop applying a fare schedule
+ * POST /fares/schedules/:schedule_id/deactivate
+ */
+async function deactivateSchedule(req, res) {
+    try {
+        const { schedule_id } = req.params;
+
+        const { data: existing } = await supabase
+            .from('fare_schedules')
+            .select('schedule_id, route_id')
+            .eq('schedule_id', schedule_id)
+            .maybeSingle();
+
+        if (!existing || !(await canManageRoute(req.user, existing.route_id))) {
+            return sendError(res, 'Fare schedule not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { data: schedule, error } = await supabase
+            .from('fare_schedules')
+            .update({ active: false, updated_at: new Date().toISOString() })
+            .eq('schedule_id', schedule_id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Fare schedule deactivate error:', error);
+            return sendError(res, 'Failed to update fare schedule', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fare_schedule_deactivated',
+            entity_type: 'fare_schedule',
+            entity_id: schedule_id,
+            details: { route_id: schedule.route_id, name: schedule.name },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatSchedule(schedule), 'Fare schedule deactivated');
+
+    } catch (error) {
+        return handleError(res, error, 'Fare schedule deactivate');
+    }
+}
+
+/**
+ * List fare modifiers
+ * GET /fares/modifiers?route_id=
+ */
+async function listModifiers(req, res) {
+    try {
+        const { data: modifiers, error } = await listForManagedRoutes(req, 'fare_modifiers', 'name');
+
+        if (error) {
+            console.error('Fare modifier list error:', error);
+            return sendError(res, 'Failed to fetch fare modifiers', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        return sendSuccess(res, { modifiers: modifiers.map(formatModifier) });
+
+    } catch (error) {
+        return handleError(res, error, 'Fare modifier list');
+    }
+}
+
+/**
+ * Define a named modifier for a route (e.g. "Rain" +20 KES); starts off
+ * POST /fares/modifiers
+ */
+async function createModifier(req, res) {
+    try {
+        const { route_id, name, adjustment_type, adjustment_value } = req.body;
+
+        if (!(await canManageRoute(req.user, route_id))) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { data: modifier, error } = await supabase
+            .from('fare_modifiers')
+            .insert({
+                route_id,
+                name,
+                adjustment_type,
+                adjustment_value,
+                created_by: req.user.user_id
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return sendError(res, 'This route already has a modifier with that name', ErrorCodes.INVALID_INPUT, 409);
+            }
+            if (error.code === '23503') {
+                return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+            }
+            console.error('Fare modifier create error:', error);
+            return sendError(res, 'Failed to create fare modifier', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fare_modifier_created',
+            entity_type: 'fare_modifier',
+            entity_id: modifier.modifier_id,
+            details: { route_id, name, adjustment_type, adjustment_value },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatModifier(modifier), 'Fare modifier created', 201);
+
+    } catch (error) {
+        return handleError(res, error, 'Fare modifier create');
+    }
+}
+
+/**
+ * Switch a fare modifier on or off with immediate effect
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} active - Switch on?
+ */
+async function setModifierActive(req, res, active) {
+    try {
+        const { modifier_id } = req.params;
+
+        const { data: existing } = await supabase
+            .from('fare_modifiers')
+            .select('modifier_id, route_id')
+            .eq('modifier_id', modifier_id)
+            .maybeSingle();
+
+        if (!existing || !(await canManageRoute(req.user, existing.route_id))) {
+            return sendError(res, 'Fare modifier not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const now = new Date().toISOString();
+        const updates = active
+            ? { is_active: true, expires_at: req.body.expires_at || null, activated_by: req.user.user_id, activated_at: now }
+            : { is_active: false, expires_at: null };
+
+        const { data: modifier, error } = await supabase
+            .from('fare_modifiers')
+            .update({ ...updates, updated_at: now })
+            .eq('modifier_id', modifier_id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Fare modifier toggle error:', error);
+            return sendError(res, 'Failed to update fare modifier', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: active ? 'fare_modifier_activated' : 'fare_modifier_deactivated',
+            entity_type: 'fare_modifier',
+            entity_id: modifier_id,
+            details: {
+                route_id: modifier.route_id,
+                name: modifier.name,
+                expires_at: modifier.expires_at
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(
+            res,
+            formatModifier(modifier),
+            active ? 'Fare modifier switched on' : 'Fare modifier switched off'
+        );
+
+    } catch (error) {
+        return handleError(res, error, 'Fare modifier toggle');
+    }
+}
+
+/**
+ * Switch a fare modifier on (optionally until expires_at)
+ * POST /fares/modifiers/:modifier_id/activate
+ */
+async function activateModifier(req, res) {
+    return setModifierActive(req, res, true);
+}
+
+/**
+ * Switch a fare modifier off
+ * POST /fares/modifiers/:modifier_id/deactivate
+ */
+async function deactivateModifier(req, res) {
+    return setModifierActive(req, res, false);
+}
+
+module.exports = {
+    listSchedules,
+    createSchedule,
+    deactivateSchedule,
+    listModifiers,
+    createModifier,
+    activateModifier,
+    deactivateModifier,
+    listFareRules,
+    getFareAt,
+    createFareRule,
+    bulkUploadFareRules,
+    retireFare
+};
@@ -0,0 +1,525 @@
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { parseDateRange } = require('../utils/reporting');
+const { logAudit } = require('../services/audit');
+const { DeviceStatus } = require('../services/devices');
+const { Roles } = require('../middleware/auth');
+const { AlertStatus, UNRESOLVED, getRuleTuningStats } = require('../services/fraudAlerts');
+const { revokeSessions } = require('../services/sessions');
+
+const ALERT_FIELDS = `
+    alert_id,
+    alert_type,
+    alert_level,
+    risk_score,
+    decision,
+    status,
+    user_id,
+    merchant_id,
+    device_id,
+    transaction_id,
+    assigned_to,
+    assigned_at,
+    resolved_by,
+    resolved_at,
+    resolution_notes,
+    resolution_actions,
+    details,
+    created_at
+`;
+
+/**
+ * Format a fraud_alerts row for the response
+ * @param {Object} alert - fraud_alerts row
+ * @returns {Object} Formatted alert
+ */
+function formatAlert(alert) {
+    return {
+        alert_id: alert.alert_id,
+        alert_type: alert.alert_type,
+        alert_level: alert.alert_level,
+        risk_score: alert.risk_score,
+        decision: alert.decision || undefined,
+        status: alert.status,
+        user_id: alert.user_id,
+        merchant_id: alert.merchant_id,
+        device_id: alert.device_id,
+        transaction_id: alert.transaction_id,
+        assigned_to: alert.assigned_to,
+        assigned_at: alert.assigned_at,
+        resolved_by: alert.resolved_by,
+        resolved_at: alert.resolved_at,
+        resolution_notes: alert.resolution_notes,
+        resolution_actions: alert.resolution_actions,
+        details: alert.details,
+        created_at: alert.created_at
+    };
+}
+
+/**
+ * Load an alert by ID
+ * @param {string} alertId - Alert ID
+ * @returns {Object|null} fraud_alerts row
+ */
+async function findAlert(alertId) {
+    const { data: alert } = await supabase
+        .from('fraud_alerts')
+        .select(ALERT_FIELDS)
+        .eq('alert_id', alertId)
+        .maybeSingle();
+
+    return alert;
+}
+
+/**
+ * Send the error for an alert that is already resolved
+ * @param {Object} res - Express response object
+ * @param {Object} alert - fraud_alerts row
+ * @param {string} verb - What was attempted
+ */
+function alreadyResolved(res, alert, verb) {
+    return sendError(
+        res,
+        `Cannot ${verb} an alert that is ${alert.status.replace('_', ' ')}`,
+        ErrorCodes.FRAUD_ALERT_STATUS_INVALID,
+        409,
+        { status: alert.status }
+    );
+}
+
+/**
+ * Review queue: alerts filtered by status, type, level, assignee and date
+ * GET /fraud-alerts?status=&alert_type=&alert_level=&decision=&assigned_to=me|unassigned|<id>
+ *   &merchant_id=&device_id=&user_id=&from=&to=&sort=newest|risk&page=&limit=
+ */
+async function listAlerts(req, res) {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const range = parseDateRange(req.query, 30);
+        if (!range) {
+            return sendError(
+                res,
+                'Invalid date range (use from/to as YYYY-MM-DD, at most one year)',
+                ErrorCodes.INVALID_INPUT,
+                400
+            );
+        }
+
+        let query = supabase
+            .from('fraud_alerts')
+            .select(ALERT_FIELDS, { count: 'exact' })
+            .gte('created_at', range.from)
+            .lt('created_at', range.to);
+
+        // Unresolved cases by default: this is a work queue
+        const statuses = req.query.status ? req.query.status.split(',') : UNRESOLVED;
+        query = query.in('status', statuses);
+
+        for (const field of ['alert_type', 'alert_level', 'decision', 'merchant_id', 'device_id', 'user_id']) {
+            if (req.query[field]) {
+                query = query.eq(field, req.query[field]);
+            }
+        }
+
+        if (req.query.assigned_to === 'me') {
+            query = query.eq('assigned_to', req.user.user_id);
+        } else if (req.query.assigned_to === 'unassigned') {
+            query = query.is('assigned_to', null);
+        } else if (req.query.assigned_to) {
+            query = query.eq('assigned_to', req.query.assigned_to);
+        }
+
+        query = req.query.sort === 'risk'
+            ? query.order('risk_score', { ascending: false }).order('created_at', { ascending: false })
+            : query.order('created_at', { ascending: false });
+
+        const offset = (page - 1) * limit;
+        const { data: alerts, count, error } = await query.range(offset, offset + limit - 1);
+
+        if (error) {
+            console.error('Fraud alert list error:', error);
+            return sendError(res, 'Failed to fetch fraud alerts', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        const totalPages = Math.ceil(count / limit);
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            alerts: alerts.map(formatAlert),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: totalPages,
+                has_next: page < totalPages,
+                has_prev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Fraud alert list error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * One alert with its notes and linked transaction
+ * GET /fraud-alerts/:alert_id
+ */
+async function getAlert(req, res) {
+    try {
+        const alert = await findAlert(req.params.alert_id);
+
+        if (!alert) {
+            return sendError(res, 'Fraud alert not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { data: notes, error: notesError } = await supabase
+            .from('fraud_alert_notes')
+            .select('note_id, author_id, note, created_at')
+            .eq('alert_id', alert.alert_id)
+            .order('created_at', { ascending: true });
+
+        if (notesError) throw notesError;
+
+        let transaction = null;
+        if (alert.transaction_id) {
+            const { data } = await supabase
+                .from('transactions')
+                .select(`
+                    transaction_id,
+                    transaction_type,
+                    status,
+                    amount,
+                    route_id,
+                    origin_stop,
+                    destination_stop,
+                    risk_score,
+                    risk_decision,
+                    reference_code,
+                    created_at
+                `)
+                .eq('transaction_id', alert.transaction_id)
+                .maybeSingle();
+            transaction = data;
+        }
+
+        return sendSuccess(res, {
+            ...formatAlert(alert),
+            notes,
+            transaction
+        });
+
+    } catch (error) {
+        console.error('Fraud alert fetch error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Assign an alert to a reviewer (yourself by default) and start the review
+ * POST /fraud-alerts/:alert_id/assign  { assignee_id? }
+ */
+async function assignAlert(req, res) {
+    try {
+        const alert = await findAlert(req.params.alert_id);
+
+        if (!alert) {
+            return sendError(res, 'Fraud alert not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        if (!UNRESOLVED.includes(alert.status)) {
+            return alreadyResolved(res, alert, 'assign');
+        }
+
+        const assigneeId = req.body.assignee_id || req.user.user_id;
+
+        if (assigneeId !== req.user.user_id) {
+            const { data: assignee } = await supabase
+                .from('users')
+                .select('user_id, role, status')
+                .eq('user_id', assigneeId)
+                .maybeSingle();
+
+            if (!assignee || assignee.role !== Roles.ADMIN || assignee.status !== 'active') {
+                return sendError(res, 'Assignee must be an active admin', ErrorCodes.INVALID_INPUT, 400);
+            }
+        }
+
+        const { data: updated, error } = await supabase
+            .from('fraud_alerts')
+            .update({
+                assigned_to: assigneeId,
+                assigned_at: new Date().toISOString(),
+                status: AlertStatus.IN_REVIEW
+            })
+            .eq('alert_id', alert.alert_id)
+            .in('status', UNRESOLVED)
+            .select(ALERT_FIELDS)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Fraud alert assign error:', error);
+            return sendError(res, 'Failed to assign fraud alert', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        if (!updated) {
+            return sendError(res, 'Alert was resolved meanwhile', ErrorCodes.FRAUD_ALERT_STATUS_INVALID, 409);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fraud_alert_assigned',
+            entity_type: 'fraud_alert',
+            entity_id: alert.alert_id,
+            details: {
+                from_assignee: alert.assigned_to,
+                to_assignee: assigneeId
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatAlert(updated), 'Fraud alert assigned');
+
+    } catch (error) {
+        console.error('Fraud alert assign error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Add a reviewer note to an alert
+ * POST /fraud-alerts/:alert_id/notes  { note }
+ */
+async function addNote(req, res) {
+    try {
+        const alert = await findAlert(req.params.alert_id);
+
+        if (!alert) {
+            return sendError(res, 'Fraud alert not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { data: note, error } = await supabase
+            .from('fraud_alert_notes')
+            .insert({
+                alert_id: alert.alert_id,
+                author_id: req.user.user_id,
+                note: req.body.note
+            })
+            .select('note_id, author_id, note, created_at')
+            .single();
+
+        if (error) {
+            console.error('Fraud alert note error:', error);
+            return sendError(res, 'Failed to add note', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        return sendSuccess(res, note, 'Note added', 201);
+
+    } catch (error) {
+        console.error('Fraud alert note error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Suspend the user and/or device behind a confirmed fraud
+ * @param {Object} alert - fraud_alerts row
+ * @param {Object} options - { suspend_user, suspend_device }
+ * @param {string} reason - Recorded as the device's status_reason
+ * @returns {Object} { user_suspended, sessions_revoked, device_suspended }
+ */
+async function suspendOffenders(alert, { suspend_user, suspend_device }, reason) {
+    const actions = { user_suspended: false, sessions_revoked: 0, device_suspended: false };
+
+    if (suspend_user && alert.user_id) {
+        const { data: users, error } = await supabase
+            .from('users')
+            .update({ status: 'suspended' })
+            .eq('user_id', alert.user_id)
+            .eq('status', 'active')
+            .select('user_id');
+
+        if (error) throw error;
+        actions.user_suspended = users.length > 0;
+
+        // Logged-in apps are cut off now, not when their tokens run out
+        const revoked = await revokeSessions(alert.user_id, { reason: 'suspended' });
+        actions.sessions_revoked = revoked.length;
+    }
+
+    if (suspend_device && alert.device_id) {
+        const { data: devices, error } = await supabase
+            .from('devices')
+            .update({
+                status: DeviceStatus.SUSPENDED,
+                status_reason: reason,
+                updated_at: new Date().toISOString()
+            })
+            .eq('device_id', alert.device_id)
+            .in('status', [DeviceStatus.PENDING_ACTIVATION, DeviceStatus.ACTIVE])
+            .select('device_id');
+
+        if (error) throw error;
+        actions.device_suspended = devices.length > 0;
+    }
+
+    return actions;
+}
+
+/**
+ * Resolve an alert as confirmed fraud or a false positive. Confirmed fraud
+ * can also suspend the user and/or the device.
+ * POST /fraud-alerts/:alert_id/resolve  { outcome, notes, suspend_user?, suspend_device? }
+ */
+async function resolveAlert(req, res) {
+    try {
+        const alert = await findAlert(req.params.alert_id);
+
+        if (!alert) {
+            return sendError(res, 'Fraud alert not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        if (!UNRESOLVED.includes(alert.status)) {
+            return alreadyResolved(res, alert, 'resolve');
+        }
+
+        const { outcome, notes, suspend_user, suspend_device } = req.body;
+
+        if (outcome !== AlertStatus.CONFIRMED_FRAUD && (suspend_user || suspend_device)) {
+            return sendError(
+                res,
+                'Only confirmed fraud can suspend a user or device',
+                ErrorCodes.INVALID_INPUT,
+                400
+            );
+        }
+
+        const { data: updated, error } = await supabase
+            .from('fraud_alerts')
+            .update({
+                status: outcome,
+                resolved_by: req.user.user_id,
+                resolved_at: new Date().toISOString(),
+                resolution_notes: notes,
+                assigned_to: alert.assigned_to || req.user.user_id
+            })
+            .eq('alert_id', alert.alert_id)
+            .in('status', UNRESOLVED)
+            .select(ALERT_FIELDS)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Fraud alert resolve error:', error);
+            return sendError(res, 'Failed to resolve fraud alert', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        if (!updated) {
+            return sendError(res, 'Alert was resolved meanwhile', ErrorCodes.FRAUD_ALERT_STATUS_INVALID, 409);
+        }
+
+        let resolved = updated;
+
+        if (suspend_user || suspend_device) {
+            const actions = await suspendOffenders(
+                alert,
+                { suspend_user, suspend_device },
+                `Confirmed fraud (alert ${alert.alert_id})`
+            );
+
+            const { data: withActions, error: actionsError } = await supabase
+                .from('fraud_alerts')
+                .update({ resolution_actions: actions })
+                .eq('alert_id', alert.alert_id)
+                .select(ALERT_FIELDS)
+                .single();
+
+            if (actionsError) throw actionsError;
+            resolved = withActions;
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'fraud_alert_resolved',
+            entity_type: 'fraud_alert',
+            entity_id: alert.alert_id,
+            details: {
+                outcome,
+                alert_type: alert.alert_type,
+                transaction_id: alert.transaction_id,
+                actions: resolved.resolution_actions
+            },
+            ip_address: req.ip
+        });
+
+        if (resolved.resolution_actions && resolved.resolution_actions.user_suspended) {
+            await logAudit({
+                user_id: req.user.user_id,
+                action: 'user_suspended',
+                entity_type: 'user',
+                entity_id: alert.user_id,
+                details: { alert_id: alert.alert_id },
+                ip_address: req.ip
+            });
+        }
+
+        if (resolved.resolution_actions && resolved.resolution_actions.device_suspended) {
+            await logAudit({
+                user_id: req.user.user_id,
+                action: 'device_suspended',
+                entity_type: 'device',
+                entity_id: alert.device_id,
+                details: { alert_id: alert.alert_id },
+                ip_address: req.ip
+            });
+        }
+
+        return sendSuccess(res, formatAlert(resolved), 'Fraud alert resolved');
+
+    } catch (error) {
+        console.error('Fraud alert resolve error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * How alerts were resolved per alert type, risk decision and fraud rule
+ * GET /fraud-alerts/stats?from=&to=
+ */
+async function getAlertStats(req, res) {
+    try {
+        const range = parseDateRange(req.query, 90);
+        if (!range) {
+            return sendError(
+                res,
+                'Invalid date range (use from/to as YYYY-MM-DD, at most one year)',
+                ErrorCodes.INVALID_INPUT,
+                400
+            );
+        }
+
+        const stats = await getRuleTuningStats(range);
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            ...stats
+        });
+
+    } catch (error) {
+        console.error('Fraud alert stats error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    listAlerts,
+    getAlert,
+    assignAlert,
+    addNote,
+    resolveAlert,
+    getAlertStats
+};
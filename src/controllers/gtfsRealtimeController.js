@@ -0,0 +1,32 @@
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { getVehiclePositionFeed, encodeFeed, feedToJson } = require('../services/gtfsRealtime');
+
+/**
+ * GTFS-Realtime VehiclePosition feed for journey planners
+ * GET /gtfs-rt/vehicle-positions?format=pb|json
+ */
+async function getVehiclePositions(req, res) {
+    try {
+        const feed = await getVehiclePositionFeed();
+
+        // Positions change every few seconds; keep shared caches short
+        res.set('Cache-Control', 'public, max-age=15');
+
+        if (req.query.format === 'json') {
+            return sendSuccess(res, feedToJson(feed));
+        }
+
+        return res
+            .status(200)
+            .type('application/x-protobuf')
+            .send(encodeFeed(feed));
+
+    } catch (error) {
+        console.error('GTFS-Realtime feed error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    getVehiclePositions
+};
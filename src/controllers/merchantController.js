@@ -0,0 +1,344 @@
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const {
+    toBusinessDate,
+    toWeekStart,
+    parseDateRange,
+    fetchAllRows,
+    summarize,
+    summarizeBy
+} = require('../utils/reporting');
+
+/**
+ * All successful payments and refunds for a merchant in a date range
+ * @param {string} merchantId - Merchant ID
+ * @param {Object} range - From parseDateRange()
+ * @param {string} columns - Extra columns to select
+ * @returns {Array} transactions rows
+ */
+async function fetchTakings(merchantId, range, columns = '') {
+    return fetchAllRows(() => supabase
+        .from('transactions')
+        .select(`transaction_type, amount, merchant_commission, net_amount, created_at${columns ? `, ${columns}` : ''}`)
+        .eq('merchant_id', merchantId)
+        .eq('status', 'success')
+        .in('transaction_type', ['payment', 'refund'])
+        .gte('created_at', range.from)
+        .lt('created_at', range.to)
+        .order('created_at', { ascending: true }));
+}
+
+/**
+ * Reject an invalid ?from/?to range
+ * @param {Object} res - Express response object
+ */
+function invalidRange(res) {
+    return sendError(
+        res,
+        'Invalid date range (use from/to as YYYY-MM-DD, at most one year)',
+        ErrorCodes.INVALID_INPUT,
+        400
+    );
+}
+
+/**
+ * Gross and net takings, bucketed by day or week
+ * GET /merchant/takings?period=day|week&from=&to=
+ */
+async function getTakings(req, res) {
+    try {
+        const period = req.query.period === 'week' ? 'week' : 'day';
+        const range = parseDateRange(req.query, period === 'week' ? 28 : 7);
+
+        if (!range) {
+            return invalidRange(res);
+        }
+
+        const transactions = await fetchTakings(req.user.merchant_id, range);
+
+        const bucketOf = period === 'week'
+            ? txn => toWeekStart(toBusinessDate(txn.created_at))
+            : txn => toBusinessDate(txn.created_at);
+
+        return sendSuccess(res, {
+            period,
+            from: range.from_date,
+            to: range.to_date,
+            totals: summarize(transactions),
+            buckets: summarizeBy(transactions, bucketOf).map(({ key, ...totals }) => ({
+                [period === 'week' ? 'week_start' : 'date']: key,
+                ...totals
+            }))
+        });
+
+    } catch (error) {
+        console.error('Merchant takings error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Today's takings so far
+ * GET /merchant/takings/today
+ */
+async function getTodayTakings(req, res) {
+    try {
+        const today = toBusinessDate(new Date());
+        const range = parseDateRange({ from: today, to: today });
+        const transactions = await fetchTakings(req.user.merchant_id, range);
+
+        return sendSuccess(res, {
+            date: today,
+            ...summarize(transactions)
+        });
+
+    } catch (error) {
+        console.error('Merchant today takings error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Commission paid to EmSec (net of commission reversed by refunds)
+ * GET /merchant/commission?from=&to=
+ */
+async function getCommission(req, res) {
+    try {
+        const range = parseDateRange(req.query, 30);
+
+        if (!range) {
+            return invalidRange(res);
+        }
+
+        const { data: merchant } = await supabase
+            .from('merchants')
+            .select('commission_rate')
+            .eq('merchant_id', req.user.merchant_id)
+            .single();
+
+        const transactions = await fetchTakings(req.user.merchant_id, range);
+        const totals = summarize(transactions);
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            commission_rate: merchant ? parseFloat(merchant.commission_rate) : null,
+            gross_amount: totals.gross_amount,
+            refund_amount: totals.refund_amount,
+            commission_paid: totals.commission_amount,
+            net_amount: totals.net_amount
+        });
+
+    } catch (error) {
+        console.error('Merchant commission error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Takings per route and per origin/destination pair
+ * GET /merchant/routes/breakdown?from=&to=
+ */
+async function getRouteBreakdown(req, res) {
+    try {
+        const range = parseDateRange(req.query, 7);
+
+        if (!range) {
+            return invalidRange(res);
+        }
+
+        const transactions = await fetchTakings(
+            req.user.merchant_id,
+            range,
+            'route_id, origin_stop, destination_stop, routes ( route_number, route_name )'
+        );
+
+        const routes = summarizeBy(transactions, txn => txn.route_id).map(({ key, ...totals }) => {
+            const routeTxns = transactions.filter(txn => txn.route_id === key);
+            const route = routeTxns[0].routes;
+
+            return {
+                route_id: key,
+                route_number: route?.route_number,
+                route_name: route?.route_name,
+                ...totals,
+                segments: summarizeBy(
+                    routeTxns,
+                    txn => (txn.origin_stop && txn.destination_stop ? `${txn.origin_stop}|${txn.destination_stop}` : null)
+                ).map(({ key: segment, ...segmentTotals }) => {
+                    const [origin, destination] = segment.split('|');
+                    return { origin, destination, ...segmentTotals };
+                })
+            };
+        });
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            routes
+        });
+
+    } catch (error) {
+        console.error('Merchant route breakdown error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * The merchant's devices with today's takings per device
+ * GET /merchant/devices
+ */
+async function listDevices(req, res) {
+    try {
+        const { data: devices, error } = await supabase
+            .from('devices')
+            .select(`
+                device_id,
+                device_name,
+                status,
+                gps_enabled,
+                last_gps_updated_at,
+                routes (
+                    route_id,
+                    route_number,
+                    route_name
+                )
+            `)
+            .eq('merchant_id', req.user.merchant_id)
+            .order('device_name', { ascending: true });
+
+        if (error) {
+            console.error('Merchant devices error:', error);
+            return sendError(res, 'Failed to fetch devices', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        const today = toBusinessDate(new Date());
+        const transactions = await fetchTakings(
+            req.user.merchant_id,
+            parseDateRange({ from: today, to: today }),
+            'device_id'
+        );
+        const todayByDevice = new Map(
+            summarizeBy(transactions, txn => txn.device_id).map(({ key, ...totals }) => [key, totals])
+        );
+
+        return sendSuccess(res, {
+            devices: devices.map(device => ({
+                device_id: device.device_id,
+                device_name: device.device_name,
+                status: device.status,
+                gps_enabled: device.gps_enabled,
+                last_gps_updated_at: device.last_gps_updated_at,
+                route: device.routes || null,
+                today: todayByDevice.get(device.device_id) || summarize([])
+            }))
+        });
+
+    } catch (error) {
+        console.error('Merchant devices error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Paginated transactions for one of the merchant's devices
+ * GET /merchant/devices/:device_id/transactions?page=&limit=&from=&to=
+ */
+async function getDeviceTransactions(req, res) {
+    try {
+        const { device_id } = req.params;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (page < 1 || limit < 1 || limit > 100) {
+            return sendError(res, 'Invalid pagination', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const range = parseDateRange(req.query, 30);
+        if (!range) {
+            return invalidRange(res);
+        }
+
+        // Only the merchant's own devices
+        const { data: device } = await supabase
+            .from('devices')
+            .select('device_id, device_name')
+            .eq('device_id', device_id)
+            .eq('merchant_id', req.user.merchant_id)
+            .maybeSingle();
+
+        if (!device) {
+            return sendError(res, 'Device not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const offset = (page - 1) * limit;
+
+        const { data: transactions, count, error } = await supabase
+            .from('transactions')
+            .select(`
+                transaction_id,
+                transaction_type,
+                amount,
+                merchant_commission,
+                net_amount,
+                status,
+                origin_stop,
+                destination_stop,
+                reference_code,
+                settlement_id,
+                created_at
+            `, { count: 'exact' })
+            .eq('merchant_id', req.user.merchant_id)
+            .eq('device_id', device_id)
+            .gte('created_at', range.from)
+            .lt('created_at', range.to)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) {
+            console.error('Device transactions error:', error);
+            return sendError(res, 'Failed to fetch transactions', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        const totalPages = Math.ceil(count / limit);
+
+        return sendSuccess(res, {
+            device_id: device.device_id,
+            device_name: device.device_name,
+            transactions: transactions.map(txn => ({
+                transaction_id: txn.transaction_id,
+                type: txn.transaction_type,
+                amount: parseFloat(txn.amount),
+                commission: parseFloat(txn.merchant_commission || 0),
+                net_amount: parseFloat(txn.net_amount || 0),
+                status: txn.status,
+                origin: txn.origin_stop,
+                destination: txn.destination_stop,
+                reference: txn.reference_code,
+                settled: Boolean(txn.settlement_id),
+                timestamp: txn.created_at
+            })),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: totalPages,
+                has_next: page < totalPages,
+                has_prev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Device transactions error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    getTakings,
+    getTodayTakings,
+    getCommission,
+    getRouteBreakdown,
+    listDevices,
+    getDeviceTransactions
+};
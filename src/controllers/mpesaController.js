@@ -0,0 +1,283 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { generateReferenceCode } = require('../utils/reference');
+const { completeTopup, completeTransaction, LedgerError } = require('../services/ledger');
+const mpesa = require('../services/mpesa');
+
+const STK_CALLBACK_PATH = '/api/v1/mpesa/callbacks/stk';
+
+/**
+ * Start a wallet top-up via M-Pesa STK Push
+ * POST /wallet/topup
+ */
+async function initiateTopup(req, res) {
+    try {
+        const { user_id } = req.user;
+        const amount = Math.round(parseFloat(req.body.amount));
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('phone_number, status')
+            .eq('user_id', user_id)
+            .single();
+
+        if (userError || !user) {
+            return sendError(res, 'User not found', ErrorCodes.USER_NOT_FOUND, 404);
+        }
+
+        if (user.status !== 'active') {
+            return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
+        }
+
+        const phone_number = req.body.phone_number || user.phone_number;
+        const transaction_id = uuidv4();
+        const request_id = uuidv4();
+        const reference_code = generateReferenceCode('TP');
+
+        // Record the pending deposit before talking to M-Pesa
+        const { error: txnError } = await supabase
+            .from('transactions')
+            .insert({
+                transaction_id,
+                user_id,
+                transaction_type: 'topup',
+                amount,
+                currency: 'KES',
+                status: 'pending',
+                reference_code
+            });
+
+        if (txnError) {
+            console.error('Top-up transaction error:', txnError);
+            return sendError(res, 'Top-up failed', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        const { error: requestError } = await supabase
+            .from('mpesa_requests')
+            .insert({
+                request_id,
+                transaction_id,
+                user_id,
+                request_type: 'stk_push',
+                phone_number,
+                amount
+            });
+
+        if (requestError) {
+            console.error('M-Pesa request insert error:', requestError);
+            return sendError(res, 'Top-up failed', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        let stk;
+        try {
+            stk = await mpesa.stkPush({
+                phoneNumber: phone_number,
+                amount,
+                accountReference: reference_code,
+                description: 'EmSec wallet top-up',
+                callbackUrl: mpesa.buildCallbackUrl(STK_CALLBACK_PATH, request_id)
+            });
+        } catch (error) {
+            console.error('STK Push error:', error.message);
+            await failRequest(request_id, transaction_id, null, error.message);
+            return sendError(res, 'Could not reach M-Pesa. Please try again.', ErrorCodes.MPESA_UNAVAILABLE, 502);
+        }
+
+        await supabase
+            .from('mpesa_requests')
+            .update({
+                merchant_request_id: stk.merchantRequestId,
+                checkout_request_id: stk.checkoutRequestId,
+                updated_at: new Date().toISOString()
+            })
+            .eq('request_id', request_id);
+
+        return sendSuccess(
+            res,
+            {
+                request_id,
+                transaction_id,
+                reference: reference_code,
+                amount,
+                phone_number,
+                status: 'pending',
+                customer_message: stk.customerMessage
+            },
+            'Check your phone to complete the M-Pesa payment',
+            202
+        );
+
+    } catch (error) {
+        console.error('Top-up error:', error);
+        return sendError(res, 'Server error during top-up', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Get the status of a top-up
+ * GET /wallet/topup/:request_id
+ */
+async function getTopupStatus(req, res) {
+    try {
+        const { user_id } = req.user;
+
+        const { data: request } = await supabase
+            .from('mpesa_requests')
+            .select('request_id, transaction_id, amount, phone_number, status, result_desc, mpesa_receipt, created_at, updated_at')
+            .eq('request_id', req.params.request_id)
+            .eq('user_id', user_id)
+            .eq('request_type', 'stk_push')
+            .maybeSingle();
+
+        if (!request) {
+            return sendError(res, 'Top-up not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        return sendSuccess(res, {
+            ...request,
+            amount: parseFloat(request.amount)
+        });
+
+    } catch (error) {
+        console.error('Top-up status error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Daraja STK Push result callback
+ * POST /mpesa/callbacks/stk/:request_id?signature=...
+ */
+async function handleStkCallback(req, res) {
+    const { request_id } = req.params;
+
+    try {
+        if (!mpesa.verifyCallbackSignature(request_id, req.query.signature)) {
+            console.warn('Rejected STK callback with bad signature:', request_id);
+            return sendError(res, 'Invalid callback signature', ErrorCodes.UNAUTHORIZED, 403);
+        }
+
+        const callback = mpesa.parseStkCallback(req.body);
+        if (!callback) {
+            return sendError(res, 'Malformed callback', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const { data: request } = await supabase
+            .from('mpesa_requests')
+            .select('*')
+            .eq('request_id', request_id)
+            .maybeSingle();
+
+        if (!request || request.checkout_request_id !== callback.checkoutRequestId) {
+            console.warn('STK callback for unknown request:', request_id, callback.checkoutRequestId);
+            return acknowledge(res);
+        }
+
+        // Duplicate callback: the first one already settled this request
+        if (request.status !== 'pending') {
+            return acknowledge(res);
+        }
+
+        await supabase
+            .from('mpesa_requests')
+            .update({
+                result_code: callback.resultCode,
+                result_desc: callback.resultDesc,
+                callback_payload: req.body,
+                callback_received_at: new Date().toISOString()
+            })
+            .eq('request_id', request_id);
+
+        if (callback.resultCode !== 0) {
+            await failRequest(request_id, request.transaction_id, 'failed', callback.resultDesc);
+            return acknowledge(res);
+        }
+
+        if (callback.amount !== parseFloat(request.amount)) {
+            console.error('STK callback amount mismatch:', request_id, callback.amount, request.amount);
+            await failRequest(request_id, request.transaction_id, 'rejected', 'Amount mismatch');
+            return acknowledge(res);
+        }
+
+        try {
+            await completeTopup({
+                transaction_id: request.transaction_id,
+                user_id: request.user_id,
+                amount: callback.amount
+            });
+        } catch (error) {
+            if (error instanceof LedgerError && error.code === ErrorCodes.DUPLICATE_TRANSACTION) {
+                return acknowledge(res);
+            }
+            throw error;
+        }
+
+        await supabase
+            .from('mpesa_requests')
+            .update({
+                status: 'success',
+                mpesa_receipt: callback.receipt,
+                updated_at: new Date().toISOString()
+            })
+            .eq('request_id', request_id);
+
+        await supabase.from('notifications').insert({
+            user_id: request.user_id,
+            transaction_id: request.transaction_id,
+            notification_type: 'sms',
+            recipient: request.phone_number,
+            message: `EmSec: KES ${callback.amount.toFixed(2)} added to your wallet. M-Pesa ref ${callback.receipt}`,
+            status: 'queued'
+        });
+
+        return acknowledge(res);
+
+    } catch (error) {
+        console.error('STK callback error:', error);
+        return sendError(res, 'Callback processing failed', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Daraja expects a ResultCode 0 acknowledgement or it retries
+ * @param {Object} res - Express response object
+ */
+function acknowledge(res) {
+    return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+}
+
+/**
+ * Mark an M-Pesa request and its pending transaction as failed
+ * @param {string} requestId - mpesa_requests.request_id
+ * @param {string} transactionId - Pending transaction
+ * @param {string|null} status - 'failed' or 'rejected' ('failed' when null)
+ * @param {string} reason - Failure reason
+ */
+async function failRequest(requestId, transactionId, status, reason) {
+    await supabase
+        .from('mpesa_requests')
+        .update({
+            status: status || 'failed',
+            result_desc: reason,
+            updated_at: new Date().toISOString()
+        })
+        .eq('request_id', requestId);
+
+    try {
+        await completeTransaction({
+            transaction_id: transactionId,
+            updates: { status: 'failed' }
+        });
+    } catch (error) {
+        if (!(error instanceof LedgerError && error.code === ErrorCodes.DUPLICATE_TRANSACTION)) {
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    initiateTopup,
+    getTopupStatus,
+    handleStkCallback
+};
@@ -1,8 +1,24 @@
-const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../config/supabase');
 const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
-const { calculateDistance, findNearestStop, getConfidenceLevel, isValidCoordinates } = require('../utils/gps');
+const { postPayment, roundMoney, LedgerError } = require('../services/ledger');
+const { verifyPin } = require('../services/pin');
+const { LockoutError } = require('../services/lockout');
+const { quoteFaresFromOrigin, describeAdjustments, verifyFare, FareError } = require('../services/fares');
+const { resolveQrCode, QrCodeError } = require('../services/qrCodes');
+const { getOriginTrack } = require('../services/telemetry');
+const { checkPassengerProximity, recordProximityMismatch } = require('../services/proximity');
+const {
+    RiskError,
+    assessPayment,
+    enforceRiskDecision,
+    recordRiskDecision,
+    summarizeRules
+} = require('../services/fraudRules');
+const { consumeStepUpChallenge } = require('../services/stepUp');
+const { linkAlertsToTransaction } = require('../services/fraudAlerts');
+const { LimitError, enforceVelocityLimits } = require('../services/velocityLimits');
+const { calculateDistance, detectOrigin, isGpsFresh } = require('../utils/gps');
 
 /**
  * Scan QR code and get merchant details with GPS-detected origin
@@ -10,10 +26,21 @@ const { calculateDistance, findNearestStop, getConfidenceLevel, isValidCoordinat
  */
 async function scanQR(req, res) {
     try {
-        const { device_token, user_gps_latitude, user_gps_longitude } = req.body;
+        const { device_token, user_gps_latitude, user_gps_longitude, user_gps_accuracy_meters } = req.body;
+
+        // Signature and freshness are checked before touching the database
+        let qrCode;
+        try {
+            qrCode = resolveQrCode(device_token);
+        } catch (error) {
+            if (error instanceof QrCodeError) {
+                return sendError(res, error.message, error.code, error.status);
+            }
+            throw error;
+        }
 
         // Get device and merchant info
-        const { data: device, error: deviceError } = await supabase
+        let deviceQuery = supabase
             .from('devices')
             .select(`
                 device_id,
@@ -23,6 +50,9 @@ async function scanQR(req, res) {
                 last_gps_latitude,
                 last_gps_longitude,
                 last_gps_updated_at,
+                last_gps_accuracy_meters,
+                last_gps_speed_mps,
+                last_gps_bearing_degrees,
                 gps_enabled,
                 merchants (
                     merchant_id,
@@ -40,9 +70,13 @@ async function scanQR(req, res) {
                     route_name,
                     stops
                 )
-            `)
-            .eq('device_token', device_token)
-            .single();
+            `);
+
+        deviceQuery = qrCode.device_id
+            ? deviceQuery.eq('device_id', qrCode.device_id)
+            : deviceQuery.eq('sticker_code', qrCode.sticker_code);
+
+        const { data: device, error: deviceError } = await deviceQuery.single();
 
         if (deviceError || !device) {
             return sendError(
@@ -73,6 +107,19 @@ async function scanQR(req, res) {
             );
         }
 
+        // A rider scanning from far away (e.g. a photographed QR) is flagged
+        const proximity = checkPassengerProximity(device, {
+            latitude: user_gps_latitude,
+            longitude: user_gps_longitude,
+            accuracy_meters: user_gps_accuracy_meters
+        });
+        await recordProximityMismatch(proximity, {
+            stage: 'scan',
+            user_id: req.user.user_id,
+            device_id: device.device_id,
+            merchant_id: device.merchant_id
+        });
+
         const responseData = {
             merchant_id: device.merchants.merchant_id,
             merchant_type: device.merchants.merchant_type,
@@ -92,10 +139,7 @@ async function scanQR(req, res) {
             // GPS-based origin detection
             if (device.gps_enabled && device.last_gps_latitude && device.last_gps_longitude) {
                 // Check if GPS is recent (within 10 minutes)
-                const gpsAge = Date.now() - new Date(device.last_gps_updated_at).getTime();
-                const maxAge = 10 * 60 * 1000; // 10 minutes
-
-                if (gpsAge > maxAge) {
+                if (!isGpsFresh(device.last_gps_updated_at)) {
                     return sendError(
                         res,
                         'Matatu GPS not updated recently. Please try again.',
@@ -107,54 +151,51 @@ async function scanQR(req, res) {
                 // Parse route stops (JSONB array)
                 const stops = device.routes.stops || [];
 
-                // Find nearest stop
-                const nearestStop = findNearestStop(
-                    device.last_gps_latitude,
-                    device.last_gps_longitude,
-                    stops
-                );
+                // Boarding stop from the vehicle's recent track (direction-aware)
+                const track = await getOriginTrack(device);
+                const origin = detectOrigin(track, stops);
 
-                if (nearestStop) {
+                if (origin) {
                     responseData.gps_detection = {
-                        detected_origin: nearestStop.id,
-                        detected_origin_name: nearestStop.name,
-                        confidence: getConfidenceLevel(nearestStop.distance_meters),
-                        distance_meters: nearestStop.distance_meters,
+                        detected_origin: origin.id,
+                        detected_origin_name: origin.name,
+                        confidence: origin.confidence,
+                        confidence_score: origin.confidence_score,
+                        distance_meters: origin.distance_meters,
+                        direction: origin.direction,
+                        heading_degrees: origin.heading_degrees,
                         matatu_gps: {
                             latitude: device.last_gps_latitude,
                             longitude: device.last_gps_longitude
                         }
                     };
 
-                    // Get available destinations (stops after detected origin)
-                    const originIndex = stops.findIndex(s => s.id === nearestStop.id);
-                    const availableDestinations = stops
-                        .filter((s, idx) => idx > originIndex)
-                        .map(stop => ({
-                            id: stop.id,
-                            name: stop.name
-                        }));
-
-                    // Fetch fares for each destination
+                    // Destinations are the stops still ahead in the direction of travel
+                    const originIndex = stops.findIndex(s => s.id === origin.id);
+                    const ahead = origin.direction === 'reverse'
+                        ? stops.filter((s, idx) => idx < originIndex).reverse()
+                        : stops.filter((s, idx) => idx > originIndex);
+                    const availableDestinations = ahead.map(stop => ({
+                        id: stop.id,
+                        name: stop.name
+                    }));
+
+                    // Price each destination with the schedules and modifiers in force now
                     if (availableDestinations.length > 0) {
-                        const { data: fares } = await supabase
-                            .from('fare_rules')
-                            .select('destination_stop_id, fare_amount')
-                            .eq('route_id', device.routes.route_id)
-                            .eq('origin_stop_id', nearestStop.id)
-                            .is('effective_until', null); // Active fares
-
-                        if (fares) {
-                            responseData.available_destinations = availableDestinations.map(dest => {
-                                const fare = fares.find(f => f.destination_stop_id === dest.id);
-                                return {
-                                    ...dest,
-                                    fare: fare ? parseFloat(fare.fare_amount) : null
-                                };
-                            });
-                        } else {
-                            responseData.available_destinations = availableDestinations;
-                        }
+                        const quotes = await quoteFaresFromOrigin(device.routes.route_id, origin.id);
+
+                        responseData.available_destinations = availableDestinations.map(dest => {
+                            const quote = quotes.get(dest.id);
+                            return {
+                                ...dest,
+                                fare: quote ? quote.fare : null,
+                                base_fare: quote ? quote.base_fare : null,
+                                fare_adjustments: quote ? quote.adjustments : []
+                            };
+                        });
+
+                        const quoted = [...quotes.values()].find(quote => quote.adjustments.length > 0);
+                        responseData.fare_modifiers = quoted ? describeAdjustments(quoted.adjustments) : null;
                     }
                 }
             } else {
@@ -185,7 +226,7 @@ async function scanQR(req, res) {
 }
 
 /**
- * Process payment with GPS validation and fraud detection
+ * Process payment, scored by the fraud rules engine
  * POST /payments/process
  */
 async function processPayment(req, res) {
@@ -203,7 +244,10 @@ async function processPayment(req, res) {
             pin,
             idempotency_key,
             gps_latitude,
-            gps_longitude
+            gps_longitude,
+            gps_accuracy_meters,
+            step_up_challenge_id,
+            step_up_code
         } = req.body;
 
         // Check for duplicate transaction (idempotency)
@@ -220,7 +264,7 @@ async function processPayment(req, res) {
         // Get user details
         const { data: user, error: userError } = await supabase
             .from('users')
-            .select('balance, pin_hash, status')
+            .select('user_id, phone_number, pin_hash, status')
             .eq('user_id', user_id)
             .single();
 
@@ -233,20 +277,19 @@ async function processPayment(req, res) {
             return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
         }
 
-        // Verify PIN
-        const pinMatch = await bcrypt.compare(pin, user.pin_hash);
-        if (!pinMatch) {
-            return sendError(res, 'Incorrect PIN', ErrorCodes.INVALID_PIN, 401);
+        // Verify PIN (wrong attempts are counted towards a lock)
+        let pinMatch;
+        try {
+            pinMatch = await verifyPin(user, pin, { ip_address: req.ip });
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                return sendError(res, error.message, error.code, error.status, error.details || undefined);
+            }
+            throw error;
         }
 
-        // Check balance
-        if (parseFloat(user.balance) < amount) {
-            return sendError(
-                res,
-                'Insufficient balance',
-                ErrorCodes.INSUFFICIENT_BALANCE,
-                400
-            );
+        if (!pinMatch) {
+            return sendError(res, 'Incorrect PIN', ErrorCodes.INVALID_PIN, 401);
         }
 
         // Get device and merchant info
@@ -255,9 +298,17 @@ async function processPayment(req, res) {
             .select(`
                 device_id,
                 merchant_id,
+                gps_enabled,
+                last_gps_latitude,
+                last_gps_longitude,
+                last_gps_accuracy_meters,
+                last_gps_speed_mps,
+                last_gps_updated_at,
+                activated_at,
                 merchants (
                     business_name,
                     matatu_plate,
+                    merchant_type,
                     commission_rate
                 )
             `)
@@ -268,109 +319,170 @@ async function processPayment(req, res) {
             return sendError(res, 'Invalid device', ErrorCodes.INVALID_QR, 404);
         }
 
+        // Transport fares come from fare_rules, not from the client
+        let fareQuote = null;
+        if (device.merchants.merchant_type === 'transport') {
+            try {
+                fareQuote = await verifyFare({ route_id, origin_stop, destination_stop, amount });
+            } catch (error) {
+                if (error instanceof FareError) {
+                    return sendError(res, error.message, error.code, error.status);
+                }
+                throw error;
+            }
+        }
+
         // Calculate commission
         const commission_rate = parseFloat(device.merchants.commission_rate);
-        const merchant_commission = amount * commission_rate;
-        const net_amount = amount - merchant_commission;
+        const merchant_commission = roundMoney(amount * commission_rate);
+        const net_amount = roundMoney(amount - merchant_commission);
 
-        // GPS fraud detection (if coordinates provided)
+        // Distance from the chosen boarding stop, kept on the transaction
         let auto_detected_origin = true;
         let nearest_stop_distance_meters = null;
 
         if (route_id && origin_stop && gps_latitude && gps_longitude) {
-            // Get route stops
             const { data: route } = await supabase
                 .from('routes')
                 .select('stops')
                 .eq('route_id', route_id)
                 .single();
 
-            if (route) {
-                const stops = route.stops || [];
-                const selectedStop = stops.find(s => s.id === origin_stop);
-                
-                if (selectedStop && selectedStop.latitude && selectedStop.longitude) {
-                    const distance = calculateDistance(
-                        gps_latitude,
-                        gps_longitude,
-                        selectedStop.latitude,
-                        selectedStop.longitude
-                    );
+            const selectedStop = route && (route.stops || []).find(s => s.id === origin_stop);
 
-                    nearest_stop_distance_meters = distance;
-
-                    // Fraud check: if distance too large, flag it
-                    const maxDistance = parseInt(process.env.GPS_MAX_DISTANCE_METERS) || 500;
-                    if (distance > maxDistance) {
-                        // Create fraud alert
-                        await supabase.from('fraud_alerts').insert({
-                            user_id,
-                            transaction_id: null, // Will update after txn created
-                            alert_type: 'suspicious_origin',
-                            risk_score: 75,
-                            alert_level: 'high',
-                            details: {
-                                gps_latitude,
-                                gps_longitude,
-                                selected_origin: origin_stop,
-                                distance_meters: distance
-                            }
-                        });
+            if (selectedStop && selectedStop.latitude && selectedStop.longitude) {
+                nearest_stop_distance_meters = calculateDistance(
+                    gps_latitude,
+                    gps_longitude,
+                    selectedStop.latitude,
+                    selectedStop.longitude
+                );
+            }
+        }
 
-                        return sendError(
-                            res,
-                            'Origin location mismatch detected. Please verify your boarding point.',
-                            ErrorCodes.ORIGIN_MISMATCH,
-                            400
-                        );
-                    }
-                }
+        // Payments per minute/hour/day and KES per day, per payer, device and merchant
+        try {
+            await enforceVelocityLimits({
+                user_id,
+                device_id,
+                merchant_id: device.merchant_id,
+                amount
+            });
+        } catch (error) {
+            if (error instanceof LimitError) {
+                return sendError(res, error.message, error.code, error.status, error.details);
+            }
+            throw error;
+        }
+
+        // Is the payer on the matatu?
+        const proximity = checkPassengerProximity(device, {
+            latitude: gps_latitude,
+            longitude: gps_longitude,
+            accuracy_meters: gps_accuracy_meters
+        });
+
+        // Fraud rules decide whether the payment goes ahead
+        const assessment = await assessPayment({
+            user_id,
+            merchant_id: device.merchant_id,
+            amount,
+            device,
+            route_id,
+            origin_stop,
+            gps: { latitude: gps_latitude, longitude: gps_longitude, accuracy_meters: gps_accuracy_meters },
+            proximity
+        });
+
+        let step_up_passed;
+        try {
+            step_up_passed = await enforceRiskDecision(assessment, {
+                user_id,
+                phone_number: user.phone_number,
+                merchant_id: device.merchant_id,
+                amount,
+                step_up_challenge_id,
+                step_up_code
+            });
+        } catch (error) {
+            if (error instanceof RiskError) {
+                await recordRiskDecision(assessment, {
+                    user_id,
+                    device_id,
+                    merchant_id: device.merchant_id,
+                    amount
+                });
+                return sendError(res, error.message, error.code, error.status, error.details || undefined);
             }
+            throw error;
         }
 
-        // Create transaction
+        // Create transaction and post ledger entries atomically
         const transaction_id = uuidv4();
-        const balance_before = parseFloat(user.balance);
-        const balance_after = balance_before - amount;
+        let posted;
 
-        const { data: transaction, error: txnError } = await supabase
-            .from('transactions')
-            .insert({
-                transaction_id,
+        try {
+            posted = await postPayment({
                 user_id,
                 merchant_id: device.merchant_id,
-                device_id,
-                transaction_type: 'payment',
                 amount,
-                currency: 'KES',
-                route_id: route_id || null,
-                origin_stop: origin_stop || null,
-                destination_stop: destination_stop || null,
-                status: 'success',
                 merchant_commission,
                 net_amount,
-                reference_code: idempotency_key,
-                gps_boarding_latitude: gps_latitude || null,
-                gps_boarding_longitude: gps_longitude || null,
-                auto_detected_origin,
-                nearest_stop_distance_meters,
-                user_balance_before: balance_before,
-                user_balance_after: balance_after,
-                processed_at: new Date()
-            })
-            .select()
-            .single();
+                transaction: {
+                    transaction_id,
+                    user_id,
+                    merchant_id: device.merchant_id,
+                    device_id,
+                    transaction_type: 'payment',
+                    amount,
+                    currency: 'KES',
+                    route_id: route_id || null,
+                    origin_stop: origin_stop || null,
+                    destination_stop: destination_stop || null,
+                    status: 'success',
+                    merchant_commission,
+                    net_amount,
+                    reference_code: idempotency_key,
+                    gps_boarding_latitude: gps_latitude || null,
+                    gps_boarding_longitude: gps_longitude || null,
+                    gps_boarding_accuracy_meters: gps_accuracy_meters || null,
+                    passenger_vehicle_distance_meters: proximity.status !== 'unchecked' ? proximity.distance_meters : null,
+                    auto_detected_origin,
+                    nearest_stop_distance_meters,
+                    risk_score: assessment.risk_score,
+                    risk_decision: assessment.decision,
+                    risk_rules: summarizeRules(assessment),
+                    step_up_challenge_id: step_up_passed ? step_up_challenge_id : null,
+                    fare_rule_id: fareQuote ? fareQuote.fare_rule_id : null,
+                    base_fare: fareQuote ? fareQuote.base_fare : null,
+                    fare_adjustments: fareQuote ? fareQuote.adjustments : null,
+                    processed_at: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            if (error instanceof LedgerError) {
+                return sendError(res, error.message, error.code, error.status);
+            }
+            throw error;
+        }
+
+        const { transaction, balance_before, balance_after } = posted;
 
-        if (txnError) {
-            console.error('Transaction creation error:', txnError);
-            return sendError(res, 'Payment failed', ErrorCodes.SERVER_ERROR, 500);
+        if (step_up_passed) {
+            await consumeStepUpChallenge(step_up_challenge_id, transaction_id);
         }
 
-        // Update user balance
-        await supabase
-            .from('users')
-            .update({ balance: balance_after })
-            .eq('user_id', user_id);
+        await recordRiskDecision(assessment, {
+            user_id,
+            device_id,
+            merchant_id: device.merchant_id,
+            transaction_id,
+            amount,
+            step_up_passed
+        });
+
+        // Scan-time and step-up alerts that led here belong to this payment
+        await linkAlertsToTransaction({ user_id, device_id, transaction_id });
 
         // Queue notifications (SMS to user and push to merchant)
         await supabase.from('notifications').insert([
@@ -402,6 +514,8 @@ async function processPayment(req, res) {
                 merchant_plate: device.merchants.matatu_plate,
                 origin: origin_stop,
                 destination: destination_stop,
+                base_fare: fareQuote ? fareQuote.base_fare : undefined,
+                fare_adjustments: fareQuote ? fareQuote.adjustments : undefined,
                 balance_before,
                 balance_after,
                 timestamp: transaction.created_at,
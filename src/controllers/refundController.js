@@ -0,0 +1,186 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { generateReferenceCode } = require('../utils/reference');
+const { postRefund, roundMoney, LedgerError } = require('../services/ledger');
+const { logAudit } = require('../services/audit');
+const { Roles } = require('../middleware/auth');
+
+/**
+ * How long after a payment its merchant may still refund it
+ * @returns {number} Window in milliseconds
+ */
+function getMerchantRefundWindowMs() {
+    return (parseInt(process.env.MERCHANT_REFUND_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Refund all or part of a successful payment
+ * POST /payments/:transaction_id/refund
+ */
+async function refundPayment(req, res) {
+    try {
+        const { user_id, role, merchant_id } = req.user;
+        const { transaction_id } = req.params;
+        const { reason } = req.body;
+
+        const { data: original } = await supabase
+            .from('transactions')
+            .select(`
+                transaction_id,
+                user_id,
+                merchant_id,
+                device_id,
+                route_id,
+                route_version,
+                transaction_type,
+                amount,
+                merchant_commission,
+                net_amount,
+                refunded_amount,
+                refunded_commission,
+                status,
+                reference_code,
+                created_at,
+                users!transactions_user_id_fkey (
+                    phone_number
+                ),
+                merchants (
+                    business_name
+                )
+            `)
+            .eq('transaction_id', transaction_id)
+            .maybeSingle();
+
+        if (!original) {
+            return sendError(res, 'Transaction not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        // Merchants may only refund their own payments, within the window
+        if (role === Roles.MERCHANT) {
+            if (original.merchant_id !== merchant_id) {
+                return sendError(res, 'Transaction not found', ErrorCodes.NOT_FOUND, 404);
+            }
+
+            const age = Date.now() - new Date(original.created_at).getTime();
+            if (age > getMerchantRefundWindowMs()) {
+                return sendError(
+                    res,
+                    'Refund window has passed. Contact EmSec support.',
+                    ErrorCodes.REFUND_WINDOW_EXPIRED,
+                    403
+                );
+            }
+        }
+
+        if (original.transaction_type !== 'payment' || original.status !== 'success') {
+            return sendError(res, 'Only successful payments can be refunded', ErrorCodes.REFUND_NOT_ALLOWED, 400);
+        }
+
+        const refundable = roundMoney(parseFloat(original.amount) - parseFloat(original.refunded_amount || 0));
+        const amount = req.body.amount !== undefined ? roundMoney(req.body.amount) : refundable;
+
+        if (amount <= 0 || amount > refundable) {
+            return sendError(
+                res,
+                `Refund must be between 0.01 and ${refundable.toFixed(2)} KES`,
+                ErrorCodes.REFUND_EXCEEDS_AMOUNT,
+                400
+            );
+        }
+
+        const refund_id = uuidv4();
+        const reference_code = generateReferenceCode('RF');
+
+        let posted;
+        try {
+            posted = await postRefund({
+                original,
+                amount,
+                transaction: {
+                    transaction_id: refund_id,
+                    user_id: original.user_id,
+                    merchant_id: original.merchant_id,
+                    device_id: original.device_id,
+                    route_id: original.route_id,
+                    route_version: original.route_version,
+                    original_transaction_id: original.transaction_id,
+                    transaction_type: 'refund',
+                    currency: 'KES',
+                    status: 'success',
+                    reference_code,
+                    description: reason || null,
+                    processed_at: new Date().toISOString()
+                }
+            });
+        } catch (error) {
+            if (error instanceof LedgerError) {
+                return sendError(res, error.message, error.code, error.status);
+            }
+            throw error;
+        }
+
+        const full_refund = amount === refundable && parseFloat(original.refunded_amount || 0) === 0;
+
+        await logAudit({
+            user_id,
+            action: 'payment_refunded',
+            entity_type: 'transaction',
+            entity_id: original.transaction_id,
+            details: {
+                refund_transaction_id: refund_id,
+                amount,
+                full_refund,
+                merchant_commission_reversed: posted.merchant_commission,
+                net_amount_reversed: posted.net_amount,
+                reason: reason || null,
+                initiated_by_role: role
+            },
+            ip_address: req.ip
+        });
+
+        await supabase.from('notifications').insert([
+            {
+                user_id: original.user_id,
+                transaction_id: refund_id,
+                notification_type: 'sms',
+                recipient: original.users?.phone_number,
+                message: `EmSec: KES ${amount.toFixed(2)} refunded by ${original.merchants?.business_name} for payment ${original.reference_code}. Balance: KES ${posted.balance_after.toFixed(2)}`,
+                status: 'queued'
+            },
+            {
+                merchant_id: original.merchant_id,
+                transaction_id: refund_id,
+                notification_type: 'push',
+                recipient: 'merchant_device_token', // Would be actual device token
+                message: `Refund issued: KES ${amount.toFixed(2)} for payment ${original.reference_code}`,
+                status: 'queued'
+            }
+        ]);
+
+        return sendSuccess(
+            res,
+            {
+                refund_transaction_id: refund_id,
+                original_transaction_id: original.transaction_id,
+                amount,
+                full_refund,
+                merchant_commission_reversed: posted.merchant_commission,
+                net_amount_reversed: posted.net_amount,
+                refundable_remaining: roundMoney(refundable - amount),
+                reference: reference_code,
+                timestamp: posted.transaction.created_at
+            },
+            'Refund successful',
+            201
+        );
+
+    } catch (error) {
+        console.error('Refund error:', error);
+        return sendError(res, 'Server error during refund', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    refundPayment
+};
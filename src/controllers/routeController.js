@@ -0,0 +1,610 @@
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { normalizeStop, validateStops, normalizePath, validatePath } = require('../utils/stops');
+const { logAudit } = require('../services/audit');
+const { getRiskThresholds } = require('../services/fraudRules');
+
+const ROUTE_FIELDS = `
+    route_id,
+    route_number,
+    route_name,
+    stops,
+    path,
+    version,
+    status,
+    fraud_step_up_score,
+    fraud_block_score,
+    updated_at
+`;
+
+/**
+ * Format a route or route_versions row for the response
+ * @param {Object} route - Row
+ * @returns {Object} Formatted route
+ */
+function formatRoute(route) {
+    return {
+        route_id: route.route_id,
+        route_number: route.route_number,
+        route_name: route.route_name,
+        version: route.version,
+        status: route.status,
+        stops: route.stops || [],
+        path: route.path || null,
+        // Thresholds are not versioned, so historical versions have none
+        fraud_thresholds: route.fraud_step_up_score !== undefined ? getRiskThresholds(route) : undefined,
+        updated_at: route.updated_at || route.created_at
+    };
+}
+
+/**
+ * Load a route by ID
+ * @param {string} routeId - Route ID
+ * @returns {Object|null} routes row
+ */
+async function findRoute(routeId) {
+    const { data: route } = await supabase
+        .from('routes')
+        .select(ROUTE_FIELDS)
+        .eq('route_id', routeId)
+        .maybeSingle();
+
+    return route;
+}
+
+/**
+ * Fare rules still in force (or scheduled) that use any of some stops
+ * @param {string} routeId - Route ID
+ * @param {Array} stopIds - Stop IDs
+ * @returns {Array} fare_rules rows
+ */
+async function findFaresUsingStops(routeId, stopIds) {
+    if (stopIds.length === 0) {
+        return [];
+    }
+
+    const list = stopIds.map(id => `"${String(id).replace(/"/g, '')}"`).join(',');
+    const now = new Date();
+
+    const { data: fares, error } = await supabase
+        .from('fare_rules')
+        .select('fare_rule_id, origin_stop_id, destination_stop_id, effective_until')
+        .eq('route_id', routeId)
+        .or(`origin_stop_id.in.(${list}),destination_stop_id.in.(${list})`);
+
+    if (error) throw error;
+    return fares.filter(fare => !fare.effective_until || new Date(fare.effective_until) > now);
+}
+
+/**
+ * Validate and save changes to a route as a new version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} route - Current routes row
+ * @param {number} expectedVersion - Version the client edited
+ * @param {Object} changes - { route_number?, route_name?, stops?, path? }
+ * @param {string} action - Audit action
+ */
+async function saveRoute(req, res, route, expectedVersion, changes, action) {
+    if (route.version !== expectedVersion) {
+        return sendError(
+            res,
+            `Route has changed (now version ${route.version}). Reload and try again.`,
+            ErrorCodes.ROUTE_CONFLICT,
+            409
+        );
+    }
+
+    const updates = {};
+    if (changes.route_number !== undefined) updates.route_number = changes.route_number;
+    if (changes.route_name !== undefined) updates.route_name = changes.route_name;
+
+    if (changes.stops !== undefined) {
+        const stops = changes.stops.map(normalizeStop);
+        const errors = validateStops(stops);
+
+        if (errors.length > 0) {
+            return sendError(res, 'Invalid stop list', ErrorCodes.INVALID_STOPS, 400, { errors });
+        }
+
+        // Removing a stop would orphan the fares that price it
+        const keptIds = new Set(stops.map(stop => stop.id));
+        const removedIds = (route.stops || []).map(stop => stop.id).filter(id => !keptIds.has(id));
+        const fares = await findFaresUsingStops(route.route_id, removedIds);
+
+        if (fares.length > 0) {
+            return sendError(
+                res,
+                'Retire the fare rules for removed stops first',
+                ErrorCodes.ROUTE_CONFLICT,
+                409,
+                { fare_rule_ids: fares.map(fare => fare.fare_rule_id) }
+            );
+        }
+
+        updates.stops = stops;
+    }
+
+    if (changes.path !== undefined) {
+        updates.path = changes.path === null ? null : normalizePath(changes.path);
+    }
+
+    // Stops and path are checked together, whichever of them changed
+    const path = updates.path !== undefined ? updates.path : route.path;
+    if (path && (updates.path !== undefined || updates.stops !== undefined)) {
+        const errors = validatePath(path, updates.stops || route.stops);
+
+        if (errors.length > 0) {
+            return sendError(res, 'Invalid route path', ErrorCodes.INVALID_ROUTE_PATH, 400, { errors });
+        }
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return sendError(res, 'Nothing to update', ErrorCodes.INVALID_INPUT, 400);
+    }
+
+    // Optimistic lock: the version trigger bumps version on every change
+    const { data: updated, error } = await supabase
+        .from('routes')
+        .update({ ...updates, updated_by: req.user.user_id })
+        .eq('route_id', route.route_id)
+        .eq('version', expectedVersion)
+        .select(ROUTE_FIELDS)
+        .maybeSingle();
+
+    if (error) {
+        if (error.code === '23505') {
+            return sendError(res, 'Route number already in use', ErrorCodes.ROUTE_CONFLICT, 409);
+        }
+        console.error('Route update error:', error);
+        return sendError(res, 'Failed to update route', ErrorCodes.SERVER_ERROR, 500);
+    }
+
+    if (!updated) {
+        return sendError(res, 'Route was changed by someone else. Reload and try again.', ErrorCodes.ROUTE_CONFLICT, 409);
+    }
+
+    await logAudit({
+        user_id: req.user.user_id,
+        action,
+        entity_type: 'route',
+        entity_id: route.route_id,
+        details: {
+            from_version: expectedVersion,
+            to_version: updated.version,
+            changed: Object.keys(updates)
+        },
+        ip_address: req.ip
+    });
+
+    return sendSuccess(res, formatRoute(updated), 'Route updated');
+}
+
+/**
+ * List routes
+ * GET /routes?status=active|retired
+ */
+async function listRoutes(req, res) {
+    try {
+        const { data: routes, error } = await supabase
+            .from('routes')
+            .select(ROUTE_FIELDS)
+            .eq('status', req.query.status || 'active')
+            .order('route_number', { ascending: true });
+
+        if (error) {
+            console.error('Route list error:', error);
+            return sendError(res, 'Failed to fetch routes', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        return sendSuccess(res, {
+            routes: routes.map(route => ({
+                route_id: route.route_id,
+                route_number: route.route_number,
+                route_name: route.route_name,
+                version: route.version,
+                status: route.status,
+                stop_count: (route.stops || []).length
+            }))
+        });
+
+    } catch (error) {
+        console.error('Route list error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Current version of a route with its ordered stops
+ * GET /routes/:route_id
+ */
+async function getRoute(req, res) {
+    try {
+        const route = await findRoute(req.params.route_id);
+
+        if (!route) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        return sendSuccess(res, formatRoute(route));
+
+    } catch (error) {
+        console.error('Route fetch error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Version history of a route
+ * GET /routes/:route_id/versions
+ */
+async function listRouteVersions(req, res) {
+    try {
+        const { data: versions, error } = await supabase
+            .from('route_versions')
+            .select('version, route_number, route_name, stops, path, created_by, created_at')
+            .eq('route_id', req.params.route_id)
+            .order('version', { ascending: false });
+
+        if (error) {
+            console.error('Route versions error:', error);
+            return sendError(res, 'Failed to fetch route versions', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        if (versions.length === 0) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        return sendSuccess(res, {
+            route_id: req.params.route_id,
+            versions: versions.map(version => ({
+                version: version.version,
+                route_number: version.route_number,
+                route_name: version.route_name,
+                stop_count: (version.stops || []).length,
+                path_points: (version.path || []).length,
+                created_by: version.created_by,
+                created_at: version.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Route versions error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * One historical version of a route (what a past transaction saw)
+ * GET /routes/:route_id/versions/:version
+ */
+async function getRouteVersion(req, res) {
+    try {
+        const { data: version } = await supabase
+            .from('route_versions')
+            .select('route_id, version, route_number, route_name, stops, path, created_at')
+            .eq('route_id', req.params.route_id)
+            .eq('version', req.params.version)
+            .maybeSingle();
+
+        if (!version) {
+            return sendError(res, 'Route version not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        return sendSuccess(res, formatRoute(version));
+
+    } catch (error) {
+        console.error('Route version error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Create a route with its ordered stops and optional path
+ * POST /routes
+ */
+async function createRoute(req, res) {
+    try {
+        const { route_number, route_name } = req.body;
+        const stops = (req.body.stops || []).map(normalizeStop);
+        const errors = validateStops(stops);
+
+        if (errors.length > 0) {
+            return sendError(res, 'Invalid stop list', ErrorCodes.INVALID_STOPS, 400, { errors });
+        }
+
+        const path = req.body.path ? normalizePath(req.body.path) : null;
+        if (path) {
+            const pathErrors = validatePath(path, stops);
+
+            if (pathErrors.length > 0) {
+                return sendError(res, 'Invalid route path', ErrorCodes.INVALID_ROUTE_PATH, 400, { errors: pathErrors });
+            }
+        }
+
+        const { data: route, error } = await supabase
+            .from('routes')
+            .insert({
+                route_number,
+                route_name,
+                stops,
+                path,
+                updated_by: req.user.user_id
+            })
+            .select(ROUTE_FIELDS)
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return sendError(res, 'Route number already in use', ErrorCodes.ROUTE_CONFLICT, 409);
+            }
+            console.error('Route create error:', error);
+            return sendError(res, 'Failed to create route', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'route_created',
+            entity_type: 'route',
+            entity_id: route.route_id,
+            details: {
+                route_number,
+                route_name,
+                stop_count: stops.length,
+                path_points: path ? path.length : 0
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatRoute(route), 'Route created', 201);
+
+    } catch (error) {
+        console.error('Route create error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Update a route's number, name, full ordered stop list and/or path
+ * PUT /routes/:route_id  { version, route_number?, route_name?, stops?, path? }
+ */
+async function updateRoute(req, res) {
+    try {
+        const route = await findRoute(req.params.route_id);
+
+        if (!route) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { version, route_number, route_name, stops, path } = req.body;
+        return await saveRoute(req, res, route, version, { route_number, route_name, stops, path }, 'route_updated');
+
+    } catch (error) {
+        console.error('Route update error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Insert one stop after another stop (or first)
+ * POST /routes/:route_id/stops  { version, stop, after_stop_id? }
+ */
+async function addStop(req, res) {
+    try {
+        const route = await findRoute(req.params.route_id);
+
+        if (!route) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { version, stop, after_stop_id } = req.body;
+        const stops = [...(route.stops || [])];
+        let position = 0;
+
+        if (after_stop_id) {
+            const afterIndex = stops.findIndex(existing => existing.id === after_stop_id);
+            if (afterIndex === -1) {
+                return sendError(res, 'after_stop_id is not a stop on this route', ErrorCodes.INVALID_INPUT, 400);
+            }
+            position = afterIndex + 1;
+        }
+
+        stops.splice(position, 0, stop);
+
+        return await saveRoute(req, res, route, version, { stops }, 'route_stop_added');
+
+    } catch (error) {
+        console.error('Route stop add error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Remove one stop
+ * DELETE /routes/:route_id/stops/:stop_id?version=
+ */
+async function removeStop(req, res) {
+    try {
+        const route = await findRoute(req.params.route_id);
+
+        if (!route) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const stops = (route.stops || []).filter(stop => stop.id !== req.params.stop_id);
+
+        if (stops.length === (route.stops || []).length) {
+            return sendError(res, 'Stop not found on this route', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        return await saveRoute(req, res, route, parseInt(req.query.version), { stops }, 'route_stop_removed');
+
+    } catch (error) {
+        console.error('Route stop remove error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Set or clear one stop's geofence
+ * PUT /routes/:route_id/stops/:stop_id/geofence  { version, geofence }
+ */
+async function setStopGeofence(req, res) {
+    try {
+        const route = await findRoute(req.params.route_id);
+
+        if (!route) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { version, geofence } = req.body;
+        const stops = (route.stops || []).map(stop => ({ ...stop }));
+        const stop = stops.find(existing => existing.id === req.params.stop_id);
+
+        if (!stop) {
+            return sendError(res, 'Stop not found on this route', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        if (geofence === null) {
+            delete stop.geofence;
+        } else {
+            stop.geofence = geofence;
+        }
+
+        return await saveRoute(req, res, route, version, { stops }, 'route_stop_geofence_set');
+
+    } catch (error) {
+        console.error('Stop geofence error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Set the fraud risk scores at which the route's payments are stepped up
+ * or blocked (null falls back to the defaults). Not a new route version.
+ * PUT /routes/:route_id/fraud-thresholds  { step_up_score, block_score }
+ */
+async function setFraudThresholds(req, res) {
+    try {
+        const route = await findRoute(req.params.route_id);
+
+        if (!route) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const updates = {
+            fraud_step_up_score: req.body.step_up_score,
+            fraud_block_score: req.body.block_score
+        };
+        const effective = getRiskThresholds(updates);
+
+        if (effective.step_up_score >= effective.block_score) {
+            return sendError(
+                res,
+                'step_up_score must be below block_score',
+                ErrorCodes.INVALID_INPUT,
+                400,
+                { effective }
+            );
+        }
+
+        const { data: updated, error } = await supabase
+            .from('routes')
+            .update(updates)
+            .eq('route_id', route.route_id)
+            .select(ROUTE_FIELDS)
+            .single();
+
+        if (error) {
+            console.error('Fraud thresholds error:', error);
+            return sendError(res, 'Failed to update fraud thresholds', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'route_fraud_thresholds_set',
+            entity_type: 'route',
+            entity_id: route.route_id,
+            details: {
+                from: getRiskThresholds(route),
+                to: effective
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatRoute(updated), 'Fraud thresholds updated');
+
+    } catch (error) {
+        console.error('Fraud thresholds error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Retire a route (kept for history; must have no devices assigned)
+ * DELETE /routes/:route_id
+ */
+async function retireRoute(req, res) {
+    try {
+        const route = await findRoute(req.params.route_id);
+
+        if (!route) {
+            return sendError(res, 'Route not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { count } = await supabase
+            .from('devices')
+            .select('device_id', { count: 'exact', head: true })
+            .eq('route_id', route.route_id);
+
+        if (count > 0) {
+            return sendError(
+                res,
+                `${count} device(s) are still assigned to this route`,
+                ErrorCodes.ROUTE_CONFLICT,
+                409
+            );
+        }
+
+        const { data: retired, error } = await supabase
+            .from('routes')
+            .update({ status: 'retired', updated_by: req.user.user_id })
+            .eq('route_id', route.route_id)
+            .select(ROUTE_FIELDS)
+            .single();
+
+        if (error) {
+            console.error('Route retire error:', error);
+            return sendError(res, 'Failed to retire route', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'route_retired',
+            entity_type: 'route',
+            entity_id: route.route_id,
+            details: { version: retired.version },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatRoute(retired), 'Route retired');
+
+    } catch (error) {
+        console.error('Route retire error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    listRoutes,
+    getRoute,
+    listRouteVersions,
+    getRouteVersion,
+    createRoute,
+    updateRoute,
+    addStop,
+    removeStop,
+    setStopGeofence,
+    setFraudThresholds,
+    retireRoute
+};
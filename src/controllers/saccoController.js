@@ -0,0 +1,427 @@
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { sendCsv } = require('../utils/csv');
+const {
+    toBusinessDate,
+    parseDateRange,
+    fetchAllRows,
+    summarize,
+    summarizeBy
+} = require('../utils/reporting');
+
+const TOTAL_COLUMNS = [
+    { key: 'payment_count', header: 'Payments' },
+    { key: 'refund_count', header: 'Refunds' },
+    { key: 'gross_amount', header: 'Gross (KES)' },
+    { key: 'refund_amount', header: 'Refunded (KES)' },
+    { key: 'commission_amount', header: 'Commission (KES)' },
+    { key: 'net_amount', header: 'Net (KES)' }
+];
+
+/**
+ * Member matatus of a SACCO
+ * @param {string} saccoId - SACCO ID
+ * @returns {Array} merchants rows
+ */
+async function getFleet(saccoId) {
+    const { data: vehicles, error } = await supabase
+        .from('merchants')
+        .select('merchant_id, business_name, matatu_plate, status')
+        .eq('sacco_id', saccoId)
+        .order('matatu_plate', { ascending: true });
+
+    if (error) throw error;
+    return vehicles;
+}
+
+/**
+ * Successful payments and refunds across a fleet in a date range
+ * @param {Array} merchantIds - Fleet merchant IDs
+ * @param {Object} range - From parseDateRange()
+ * @param {string} columns - Extra columns to select
+ * @returns {Array} transactions rows
+ */
+async function fetchFleetTransactions(merchantIds, range, columns) {
+    if (merchantIds.length === 0) {
+        return [];
+    }
+
+    return fetchAllRows(() => supabase
+        .from('transactions')
+        .select(`transaction_type, amount, merchant_commission, net_amount, created_at, ${columns}`)
+        .in('merchant_id', merchantIds)
+        .eq('status', 'success')
+        .in('transaction_type', ['payment', 'refund'])
+        .gte('created_at', range.from)
+        .lt('created_at', range.to)
+        .order('created_at', { ascending: true }));
+}
+
+/**
+ * Resolve the caller's SACCO, fleet and date range, or send the error
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} defaultDays - Days to cover when ?from is omitted
+ * @returns {Object|null} { fleet, range }
+ */
+async function loadFleetReport(req, res, defaultDays = 7) {
+    if (!req.user.sacco_id) {
+        sendError(res, 'Account is not linked to a SACCO', ErrorCodes.FORBIDDEN, 403);
+        return null;
+    }
+
+    const range = parseDateRange(req.query, defaultDays);
+    if (!range) {
+        sendError(
+            res,
+            'Invalid date range (use from/to as YYYY-MM-DD, at most one year)',
+            ErrorCodes.INVALID_INPUT,
+            400
+        );
+        return null;
+    }
+
+    const fleet = await getFleet(req.user.sacco_id);
+    return { fleet, range };
+}
+
+/**
+ * File name for a CSV export
+ * @param {string} report - Report name
+ * @param {Object} range - From parseDateRange()
+ * @returns {string} e.g. sacco-vehicles-2026-10-01-to-2026-10-07.csv
+ */
+function csvFilename(report, range) {
+    return `sacco-${report}-${range.from_date}-to-${range.to_date}.csv`;
+}
+
+/**
+ * List the SACCO's member matatus and their devices
+ * GET /sacco/vehicles
+ */
+async function listVehicles(req, res) {
+    try {
+        if (!req.user.sacco_id) {
+            return sendError(res, 'Account is not linked to a SACCO', ErrorCodes.FORBIDDEN, 403);
+        }
+
+        const { data: vehicles, error } = await supabase
+            .from('merchants')
+            .select(`
+                merchant_id,
+                business_name,
+                matatu_plate,
+                status,
+                devices (
+                    device_id,
+                    device_name,
+                    status,
+                    last_gps_updated_at,
+                    routes (
+                        route_id,
+                        route_number,
+                        route_name
+                    )
+                )
+            `)
+            .eq('sacco_id', req.user.sacco_id)
+            .order('matatu_plate', { ascending: true });
+
+        if (error) {
+            console.error('SACCO vehicles error:', error);
+            return sendError(res, 'Failed to fetch vehicles', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        return sendSuccess(res, {
+            count: vehicles.length,
+            vehicles: vehicles.map(vehicle => ({
+                merchant_id: vehicle.merchant_id,
+                matatu_plate: vehicle.matatu_plate,
+                business_name: vehicle.business_name,
+                status: vehicle.status,
+                devices: (vehicle.devices || []).map(device => ({
+                    device_id: device.device_id,
+                    device_name: device.device_name,
+                    status: device.status,
+                    last_gps_updated_at: device.last_gps_updated_at,
+                    route: device.routes || null
+                }))
+            }))
+        });
+
+    } catch (error) {
+        console.error('SACCO vehicles error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Revenue per vehicle (every member matatu, including idle ones)
+ * GET /sacco/reports/vehicles?from=&to=&format=json|csv
+ */
+async function getVehicleReport(req, res) {
+    try {
+        const report = await loadFleetReport(req, res);
+        if (!report) return;
+
+        const { fleet, range } = report;
+        const transactions = await fetchFleetTransactions(
+            fleet.map(vehicle => vehicle.merchant_id),
+            range,
+            'merchant_id'
+        );
+
+        const byVehicle = new Map(
+            summarizeBy(transactions, txn => txn.merchant_id).map(({ key, ...totals }) => [key, totals])
+        );
+
+        const vehicles = fleet.map(vehicle => ({
+            merchant_id: vehicle.merchant_id,
+            matatu_plate: vehicle.matatu_plate,
+            business_name: vehicle.business_name,
+            ...(byVehicle.get(vehicle.merchant_id) || summarize([]))
+        }));
+
+        if (req.query.format === 'csv') {
+            return sendCsv(res, csvFilename('vehicles', range), [
+                { key: 'matatu_plate', header: 'Plate' },
+                { key: 'business_name', header: 'Vehicle' },
+                ...TOTAL_COLUMNS
+            ], vehicles);
+        }
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            totals: summarize(transactions),
+            vehicles
+        });
+
+    } catch (error) {
+        console.error('SACCO vehicle report error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Revenue per route across the fleet
+ * GET /sacco/reports/routes?from=&to=&format=json|csv
+ */
+async function getRouteReport(req, res) {
+    try {
+        const report = await loadFleetReport(req, res);
+        if (!report) return;
+
+        const { fleet, range } = report;
+        const transactions = await fetchFleetTransactions(
+            fleet.map(vehicle => vehicle.merchant_id),
+            range,
+            'merchant_id, route_id, routes ( route_number, route_name )'
+        );
+
+        const routeInfo = new Map(transactions.map(txn => [txn.route_id, txn.routes]));
+
+        const routes = summarizeBy(transactions, txn => txn.route_id).map(({ key, ...totals }) => ({
+            route_id: key,
+            route_number: routeInfo.get(key)?.route_number,
+            route_name: routeInfo.get(key)?.route_name,
+            vehicle_count: new Set(
+                transactions.filter(txn => txn.route_id === key).map(txn => txn.merchant_id)
+            ).size,
+            ...totals
+        }));
+
+        if (req.query.format === 'csv') {
+            return sendCsv(res, csvFilename('routes', range), [
+                { key: 'route_number', header: 'Route' },
+                { key: 'route_name', header: 'Route name' },
+                { key: 'vehicle_count', header: 'Vehicles' },
+                ...TOTAL_COLUMNS
+            ], routes);
+        }
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            totals: summarize(transactions),
+            routes
+        });
+
+    } catch (error) {
+        console.error('SACCO route report error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Daily ridership across the fleet (one paid fare = one ride)
+ * GET /sacco/reports/ridership?from=&to=&format=json|csv
+ */
+async function getRidershipReport(req, res) {
+    try {
+        const report = await loadFleetReport(req, res);
+        if (!report) return;
+
+        const { fleet, range } = report;
+        const transactions = await fetchFleetTransactions(
+            fleet.map(vehicle => vehicle.merchant_id),
+            range,
+            'merchant_id, user_id'
+        );
+        const payments = transactions.filter(txn => txn.transaction_type === 'payment');
+
+        const days = new Map();
+        for (const txn of payments) {
+            const date = toBusinessDate(txn.created_at);
+            if (!days.has(date)) {
+                days.set(date, { rides: 0, riders: new Set(), vehicles: new Set() });
+            }
+            const day = days.get(date);
+            day.rides += 1;
+            day.riders.add(txn.user_id);
+            day.vehicles.add(txn.merchant_id);
+        }
+
+        const ridership = Array.from(days, ([date, day]) => ({
+            date,
+            rides: day.rides,
+            unique_riders: day.riders.size,
+            active_vehicles: day.vehicles.size
+        }));
+
+        if (req.query.format === 'csv') {
+            return sendCsv(res, csvFilename('ridership', range), [
+                { key: 'date', header: 'Date' },
+                { key: 'rides', header: 'Rides' },
+                { key: 'unique_riders', header: 'Unique riders' },
+                { key: 'active_vehicles', header: 'Active vehicles' }
+            ], ridership);
+        }
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            totals: {
+                rides: payments.length,
+                unique_riders: new Set(payments.map(txn => txn.user_id)).size,
+                active_vehicles: new Set(payments.map(txn => txn.merchant_id)).size
+            },
+            days: ridership
+        });
+
+    } catch (error) {
+        console.error('SACCO ridership report error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Fraud alerts raised on the SACCO's vehicles
+ * GET /sacco/fraud-alerts?from=&to=&page=&limit=&format=json|csv
+ */
+async function listFraudAlerts(req, res) {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (page < 1 || limit < 1 || limit > 100) {
+            return sendError(res, 'Invalid pagination', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const report = await loadFleetReport(req, res, 30);
+        if (!report) return;
+
+        const { fleet, range } = report;
+        const plates = new Map(fleet.map(vehicle => [vehicle.merchant_id, vehicle.matatu_plate]));
+
+        const buildQuery = () => supabase
+            .from('fraud_alerts')
+            .select(`
+                alert_id,
+                alert_type,
+                alert_level,
+                risk_score,
+                status,
+                merchant_id,
+                device_id,
+                transaction_id,
+                details,
+                created_at
+            `, { count: 'exact' })
+            .in('merchant_id', Array.from(plates.keys()))
+            .gte('created_at', range.from)
+            .lt('created_at', range.to)
+            .order('created_at', { ascending: false });
+
+        const formatAlert = alert => ({
+            alert_id: alert.alert_id,
+            matatu_plate: plates.get(alert.merchant_id),
+            alert_type: alert.alert_type,
+            alert_level: alert.alert_level,
+            risk_score: alert.risk_score,
+            status: alert.status,
+            device_id: alert.device_id,
+            transaction_id: alert.transaction_id,
+            details: alert.details,
+            created_at: alert.created_at
+        });
+
+        if (req.query.format === 'csv') {
+            const alerts = plates.size > 0 ? await fetchAllRows(buildQuery) : [];
+
+            return sendCsv(res, csvFilename('fraud-alerts', range), [
+                { key: 'created_at', header: 'Raised at' },
+                { key: 'matatu_plate', header: 'Plate' },
+                { key: 'alert_type', header: 'Type' },
+                { key: 'alert_level', header: 'Level' },
+                { key: 'risk_score', header: 'Risk score' },
+                { key: 'status', header: 'Status' },
+                { key: 'transaction_id', header: 'Transaction' }
+            ], alerts.map(formatAlert));
+        }
+
+        let alerts = [];
+        let count = 0;
+
+        if (plates.size > 0) {
+            const offset = (page - 1) * limit;
+            const result = await buildQuery().range(offset, offset + limit - 1);
+
+            if (result.error) {
+                console.error('SACCO fraud alerts error:', result.error);
+                return sendError(res, 'Failed to fetch fraud alerts', ErrorCodes.SERVER_ERROR, 500);
+            }
+
+            alerts = result.data;
+            count = result.count;
+        }
+
+        const totalPages = Math.ceil(count / limit);
+
+        return sendSuccess(res, {
+            from: range.from_date,
+            to: range.to_date,
+            alerts: alerts.map(formatAlert),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: totalPages,
+                has_next: page < totalPages,
+                has_prev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('SACCO fraud alerts error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    listVehicles,
+    getVehicleReport,
+    getRouteReport,
+    getRidershipReport,
+    listFraudAlerts
+};
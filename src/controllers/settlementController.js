@@ -0,0 +1,328 @@
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { Roles } = require('../middleware/auth');
+const { LedgerError } = require('../services/ledger');
+const { logAudit } = require('../services/audit');
+const {
+    getPreviousBusinessDate,
+    runSettlement: runSettlementBatches,
+    markSettlementPaid: payoutSettlement,
+    markSettlementFailed: failSettlement
+} = require('../services/settlement');
+
+const SETTLEMENT_FIELDS = `
+    settlement_id,
+    merchant_id,
+    period_start,
+    period_end,
+    status,
+    payment_count,
+    refund_count,
+    gross_amount,
+    commission_amount,
+    refund_amount,
+    refund_commission_amount,
+    carried_deficit,
+    net_payout,
+    payout_reference,
+    failure_reason,
+    paid_at,
+    created_at,
+    merchants (
+        business_name,
+        matatu_plate
+    )
+`;
+
+/**
+ * Convert numeric settlement columns for the response
+ * @param {Object} settlement - settlements row
+ * @returns {Object} Formatted settlement
+ */
+function formatSettlement(settlement) {
+    return {
+        settlement_id: settlement.settlement_id,
+        merchant_id: settlement.merchant_id,
+        merchant_name: settlement.merchants?.business_name,
+        matatu_plate: settlement.merchants?.matatu_plate || undefined,
+        period_start: settlement.period_start,
+        period_end: settlement.period_end,
+        status: settlement.status,
+        payment_count: settlement.payment_count,
+        refund_count: settlement.refund_count,
+        gross_amount: parseFloat(settlement.gross_amount),
+        commission_amount: parseFloat(settlement.commission_amount),
+        refund_amount: parseFloat(settlement.refund_amount),
+        refund_commission_amount: parseFloat(settlement.refund_commission_amount),
+        carried_deficit: parseFloat(settlement.carried_deficit),
+        net_payout: parseFloat(settlement.net_payout),
+        payout_reference: settlement.payout_reference,
+        failure_reason: settlement.failure_reason,
+        paid_at: settlement.paid_at,
+        created_at: settlement.created_at
+    };
+}
+
+/**
+ * Load a settlement the caller may see (merchants only see their own)
+ * @param {Object} user - req.user
+ * @param {string} settlementId - Settlement ID
+ * @returns {Object|null} settlements row
+ */
+async function findSettlement(user, settlementId) {
+    let query = supabase
+        .from('settlements')
+        .select(SETTLEMENT_FIELDS)
+        .eq('settlement_id', settlementId);
+
+    if (user.role === Roles.MERCHANT) {
+        query = query.eq('merchant_id', user.merchant_id);
+    }
+
+    const { data: settlement } = await query.maybeSingle();
+    return settlement;
+}
+
+/**
+ * List settlement batches
+ * GET /settlements?status=&merchant_id=&from=&to=&page=&limit=
+ */
+async function listSettlements(req, res) {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (page < 1 || limit < 1 || limit > 100) {
+            return sendError(res, 'Invalid pagination', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('settlements')
+            .select(SETTLEMENT_FIELDS, { count: 'exact' })
+            .order('period_end', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (req.user.role === Roles.MERCHANT) {
+            query = query.eq('merchant_id', req.user.merchant_id);
+        } else if (req.query.merchant_id) {
+            query = query.eq('merchant_id', req.query.merchant_id);
+        }
+
+        if (req.query.status) {
+            query = query.eq('status', req.query.status);
+        }
+        if (req.query.from) {
+            query = query.gte('period_end', req.query.from);
+        }
+        if (req.query.to) {
+            query = query.lte('period_start', req.query.to);
+        }
+
+        const { data: settlements, count, error } = await query;
+
+        if (error) {
+            console.error('Settlement list error:', error);
+            return sendError(res, 'Failed to fetch settlements', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        const totalPages = Math.ceil(count / limit);
+
+        return sendSuccess(res, {
+            settlements: settlements.map(formatSettlement),
+            pagination: {
+                page,
+                limit,
+                total: count,
+                pages: totalPages,
+                has_next: page < totalPages,
+                has_prev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Settlement list error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Settlement report: batch totals plus every transaction in it
+ * GET /settlements/:settlement_id/report
+ */
+async function getSettlementReport(req, res) {
+    try {
+        const settlement = await findSettlement(req.user, req.params.settlement_id);
+
+        if (!settlement) {
+            return sendError(res, 'Settlement not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        const { data: transactions, error } = await supabase
+            .from('transactions')
+            .select(`
+                transaction_id,
+                transaction_type,
+                original_transaction_id,
+                amount,
+                merchant_commission,
+                net_amount,
+                reference_code,
+                device_id,
+                origin_stop,
+                destination_stop,
+                created_at
+            `)
+            .eq('settlement_id', settlement.settlement_id)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Settlement report error:', error);
+            return sendError(res, 'Failed to build settlement report', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        return sendSuccess(res, {
+            settlement: formatSettlement(settlement),
+            transactions: transactions.map(txn => ({
+                transaction_id: txn.transaction_id,
+                type: txn.transaction_type,
+                original_transaction_id: txn.original_transaction_id || undefined,
+                amount: parseFloat(txn.amount),
+                commission: parseFloat(txn.merchant_commission || 0),
+                net_amount: parseFloat(txn.net_amount || 0),
+                reference: txn.reference_code,
+                device_id: txn.device_id,
+                origin: txn.origin_stop,
+                destination: txn.destination_stop,
+                timestamp: txn.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Settlement report error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Run settlement for a business date (default: yesterday)
+ * POST /settlements/run
+ */
+async function runSettlement(req, res) {
+    try {
+        const date = req.body.date || getPreviousBusinessDate();
+        const settlements = await runSettlementBatches(date);
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'settlement_run',
+            entity_type: 'settlement',
+            entity_id: null,
+            details: {
+                date,
+                settlement_ids: settlements.map(s => s.settlement_id)
+            },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(
+            res,
+            {
+                date,
+                batches: settlements.length,
+                settlements: settlements.map(formatSettlement)
+            },
+            'Settlement run complete',
+            201
+        );
+
+    } catch (error) {
+        if (error instanceof LedgerError) {
+            return sendError(res, error.message, error.code, error.status);
+        }
+        console.error('Settlement run error:', error);
+        return sendError(res, 'Server error during settlement', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Mark a settlement as paid out
+ * POST /settlements/:settlement_id/paid
+ */
+async function markSettlementPaid(req, res) {
+    try {
+        const { settlement_id } = req.params;
+        const { payout_reference } = req.body;
+
+        const settlement = await payoutSettlement(settlement_id, payout_reference);
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'settlement_paid',
+            entity_type: 'settlement',
+            entity_id: settlement_id,
+            details: {
+                payout_reference,
+                net_payout: parseFloat(settlement.net_payout)
+            },
+            ip_address: req.ip
+        });
+
+        await supabase.from('notifications').insert({
+            merchant_id: settlement.merchant_id,
+            notification_type: 'push',
+            recipient: 'merchant_device_token', // Would be actual device token
+            message: `Settlement paid: KES ${parseFloat(settlement.net_payout).toFixed(2)}. Ref ${payout_reference}`,
+            status: 'queued'
+        });
+
+        return sendSuccess(res, formatSettlement(settlement), 'Settlement marked as paid');
+
+    } catch (error) {
+        if (error instanceof LedgerError) {
+            return sendError(res, error.message, error.code, error.status);
+        }
+        console.error('Settlement payout error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Mark a settlement payout as failed
+ * POST /settlements/:settlement_id/failed
+ */
+async function markSettlementFailed(req, res) {
+    try {
+        const { settlement_id } = req.params;
+        const { reason } = req.body;
+
+        const settlement = await failSettlement(settlement_id, reason);
+
+        await logAudit({
+            user_id: req.user.user_id,
+            action: 'settlement_failed',
+            entity_type: 'settlement',
+            entity_id: settlement_id,
+            details: { reason },
+            ip_address: req.ip
+        });
+
+        return sendSuccess(res, formatSettlement(settlement), 'Settlement marked as failed');
+
+    } catch (error) {
+        if (error instanceof LedgerError) {
+            return sendError(res, error.message, error.code, error.status);
+        }
+        console.error('Settlement failure error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    listSettlements,
+    getSettlementReport,
+    runSettlement,
+    markSettlementPaid,
+    markSettlementFailed
+};
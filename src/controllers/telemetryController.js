@@ -0,0 +1,28 @@
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { ingestFixes } = require('../services/telemetry');
+
+/**
+ * Batch of GPS fixes from an on-board unit (X-Device-Token)
+ * POST /telemetry/gps  { fixes: [{ latitude, longitude, recorded_at, accuracy_meters?, speed_mps?, bearing_degrees? }] }
+ */
+async function ingestGps(req, res) {
+    try {
+        const result = await ingestFixes(req.device, req.body.fixes);
+
+        if (result.accepted === 0 && result.duplicates === 0) {
+            return sendError(res, 'No usable GPS fixes in batch', ErrorCodes.INVALID_INPUT, 400, {
+                rejected: result.rejected
+            });
+        }
+
+        return sendSuccess(res, result, 'Telemetry received', 202);
+
+    } catch (error) {
+        console.error('Telemetry ingest error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    ingestGps
+};
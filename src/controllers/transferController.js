@@ -0,0 +1,221 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { normalizePhoneNumber } = require('../utils/phone');
+const { generateReferenceCode } = require('../utils/reference');
+const { postTransfer, roundMoney, LedgerError } = require('../services/ledger');
+const { verifyPin } = require('../services/pin');
+const { LockoutError } = require('../services/lockout');
+
+/**
+ * Find an active recipient by phone number
+ * @param {string} phoneNumber - Normalized phone number
+ * @returns {Object|null} users row
+ */
+async function findRecipient(phoneNumber) {
+    const { data: recipient } = await supabase
+        .from('users')
+        .select('user_id, phone_number, first_name, last_name, status')
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+    return recipient && recipient.status === 'active' ? recipient : null;
+}
+
+/**
+ * Look up a transfer recipient so the sender can confirm the name
+ * POST /wallet/transfer/lookup
+ */
+async function lookupRecipient(req, res) {
+    try {
+        const phone_number = normalizePhoneNumber(req.body.phone_number);
+        if (!phone_number) {
+            return sendError(res, 'Invalid phone number format', ErrorCodes.INVALID_PHONE, 400);
+        }
+
+        const recipient = await findRecipient(phone_number);
+        if (!recipient) {
+            return sendError(res, 'No EmSec account for this number', ErrorCodes.USER_NOT_FOUND, 404);
+        }
+
+        if (recipient.user_id === req.user.user_id) {
+            return sendError(res, 'You cannot send money to yourself', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        return sendSuccess(res, {
+            phone_number: recipient.phone_number,
+            recipient_name: `${recipient.first_name} ${recipient.last_name}`
+        });
+
+    } catch (error) {
+        console.error('Recipient lookup error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Send money to another rider's wallet
+ * POST /wallet/transfer
+ */
+async function createTransfer(req, res) {
+    try {
+        const { user_id } = req.user;
+        const { pin, idempotency_key, note } = req.body;
+        const amount = roundMoney(req.body.amount);
+
+        const phone_number = normalizePhoneNumber(req.body.phone_number);
+        if (!phone_number) {
+            return sendError(res, 'Invalid phone number format', ErrorCodes.INVALID_PHONE, 400);
+        }
+
+        // Idempotency keys are the sender's own; another rider's key never matches
+        if (idempotency_key) {
+            const { data: existing } = await supabase
+                .from('transactions')
+                .select('transaction_id, status, amount, reference_code, user_balance_after, created_at')
+                .eq('user_id', user_id)
+                .eq('idempotency_key', idempotency_key)
+                .eq('transaction_type', 'transfer_out')
+                .maybeSingle();
+
+            if (existing) {
+                return sendSuccess(res, {
+                    transaction_id: existing.transaction_id,
+                    status: existing.status,
+                    amount: existing.amount,
+                    balance_after: existing.user_balance_after,
+                    timestamp: existing.created_at,
+                    reference: existing.reference_code
+                }, 'Transfer already processed');
+            }
+        }
+
+        const { data: sender, error: senderError } = await supabase
+            .from('users')
+            .select('user_id, phone_number, first_name, last_name, pin_hash, status')
+            .eq('user_id', user_id)
+            .single();
+
+        if (senderError || !sender) {
+            return sendError(res, 'User not found', ErrorCodes.USER_NOT_FOUND, 404);
+        }
+
+        if (sender.status !== 'active') {
+            return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
+        }
+
+        let pinMatch;
+        try {
+            pinMatch = await verifyPin(sender, pin, { ip_address: req.ip });
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                return sendError(res, error.message, error.code, error.status, error.details || undefined);
+            }
+            throw error;
+        }
+
+        if (!pinMatch) {
+            return sendError(res, 'Incorrect PIN', ErrorCodes.INVALID_PIN, 401);
+        }
+
+        const recipient = await findRecipient(phone_number);
+        if (!recipient) {
+            return sendError(res, 'No EmSec account for this number', ErrorCodes.USER_NOT_FOUND, 404);
+        }
+
+        if (recipient.user_id === user_id) {
+            return sendError(res, 'You cannot send money to yourself', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const reference_code = generateReferenceCode('TR');
+        const outgoing_id = uuidv4();
+        const incoming_id = uuidv4();
+        const processed_at = new Date().toISOString();
+        const senderName = `${sender.first_name} ${sender.last_name}`;
+        const recipientName = `${recipient.first_name} ${recipient.last_name}`;
+
+        let posted;
+        try {
+            posted = await postTransfer({
+                sender_id: user_id,
+                recipient_id: recipient.user_id,
+                amount,
+                outgoing: {
+                    transaction_id: outgoing_id,
+                    user_id,
+                    counterparty_user_id: recipient.user_id,
+                    transaction_type: 'transfer_out',
+                    amount,
+                    currency: 'KES',
+                    status: 'success',
+                    reference_code,
+                    idempotency_key: idempotency_key || null,
+                    description: note || null,
+                    processed_at
+                },
+                incoming: {
+                    transaction_id: incoming_id,
+                    user_id: recipient.user_id,
+                    counterparty_user_id: user_id,
+                    related_transaction_id: outgoing_id,
+                    transaction_type: 'transfer_in',
+                    amount,
+                    currency: 'KES',
+                    status: 'success',
+                    reference_code: `${reference_code}-IN`,
+                    description: note || null,
+                    processed_at
+                }
+            });
+        } catch (error) {
+            if (error instanceof LedgerError) {
+                return sendError(res, error.message, error.code, error.status);
+            }
+            throw error;
+        }
+
+        await supabase.from('notifications').insert([
+            {
+                user_id,
+                transaction_id: outgoing_id,
+                notification_type: 'sms',
+                recipient: sender.phone_number,
+                message: `EmSec: KES ${amount.toFixed(2)} sent to ${recipientName} ${recipient.phone_number}. Ref ${reference_code}. Balance: KES ${posted.sender_balance_after.toFixed(2)}`,
+                status: 'queued'
+            },
+            {
+                user_id: recipient.user_id,
+                transaction_id: incoming_id,
+                notification_type: 'sms',
+                recipient: recipient.phone_number,
+                message: `EmSec: You have received KES ${amount.toFixed(2)} from ${senderName} ${sender.phone_number}. Ref ${reference_code}. Balance: KES ${posted.recipient_balance_after.toFixed(2)}`,
+                status: 'queued'
+            }
+        ]);
+
+        return sendSuccess(
+            res,
+            {
+                transaction_id: outgoing_id,
+                status: 'success',
+                amount,
+                recipient_name: recipientName,
+                recipient_phone: recipient.phone_number,
+                balance_after: posted.sender_balance_after,
+                timestamp: posted.outgoing.created_at,
+                reference: reference_code
+            },
+            'Transfer successful',
+            201
+        );
+
+    } catch (error) {
+        console.error('Transfer error:', error);
+        return sendError(res, 'Server error during transfer', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+module.exports = {
+    lookupRecipient,
+    createTransfer
+};
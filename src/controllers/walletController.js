@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabase');
 const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { getUserBalance } = require('../services/ledger');
 
 async function getBalance(req, res) {
     try {
@@ -7,7 +8,7 @@ async function getBalance(req, res) {
 
         const { data: user, error } = await supabase
             .from('users')
-            .select('balance, currency, first_name, last_name')
+            .select('currency, first_name, last_name')
             .eq('user_id', user_id)
             .single();
 
@@ -15,8 +16,10 @@ async function getBalance(req, res) {
             return sendError(res, 'User not found', ErrorCodes.USER_NOT_FOUND, 404);
         }
 
+        const balance = await getUserBalance(user_id);
+
         return sendSuccess(res, {
-            balance: parseFloat(user.balance),
+            balance,
             currency: user.currency || 'KES',
             user_name: `${user.first_name} ${user.last_name}`,
             last_updated: new Date().toISOString()
@@ -55,8 +58,16 @@ async function getHistory(req, res) {
                 status,
                 origin_stop,
                 destination_stop,
+                base_fare,
+                fare_adjustments,
                 created_at,
                 reference_code,
+                description,
+                counterparty:users!transactions_counterparty_user_id_fkey (
+                    first_name,
+                    last_name,
+                    phone_number
+                ),
                 merchants (
                     business_name,
                     matatu_plate
@@ -93,10 +104,22 @@ async function getHistory(req, res) {
                 }
             }
 
+            if (txn.counterparty) {
+                formatted.counterparty_name = `${txn.counterparty.first_name} ${txn.counterparty.last_name}`;
+                formatted.counterparty_phone = txn.counterparty.phone_number;
+                if (txn.description) {
+                    formatted.note = txn.description;
+                }
+            }
+
             if (txn.routes) {
                 formatted.route = `${txn.routes.route_number} - ${txn.routes.route_name}`;
                 formatted.origin = txn.origin_stop;
                 formatted.destination = txn.destination_stop;
+                if (txn.fare_adjustments && txn.fare_adjustments.length > 0) {
+                    formatted.base_fare = parseFloat(txn.base_fare);
+                    formatted.fare_adjustments = txn.fare_adjustments;
+                }
             }
 
             return formatted;
@@ -0,0 +1,415 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const { sendSuccess, sendError, ErrorCodes } = require('../utils/response');
+const { generateReferenceCode } = require('../utils/reference');
+const { calculateWithdrawalFee, MIN_WITHDRAWAL, MAX_WITHDRAWAL } = require('../utils/fees');
+const { holdWithdrawal, completeWithdrawal, reverseWithdrawal, LedgerError } = require('../services/ledger');
+const { verifyPin } = require('../services/pin');
+const { LockoutError } = require('../services/lockout');
+const mpesa = require('../services/mpesa');
+
+const B2C_RESULT_PATH = '/api/v1/mpesa/callbacks/b2c/result';
+const B2C_TIMEOUT_PATH = '/api/v1/mpesa/callbacks/b2c/timeout';
+
+/**
+ * Quote the fee for a withdrawal
+ * GET /wallet/withdraw/quote?amount=
+ */
+async function quoteWithdrawal(req, res) {
+    try {
+        const amount = parseInt(req.query.amount);
+        const fee = calculateWithdrawalFee(amount);
+
+        if (fee === null) {
+            return sendError(
+                res,
+                `Withdrawal amount must be between ${MIN_WITHDRAWAL} and ${MAX_WITHDRAWAL} KES`,
+                ErrorCodes.INVALID_INPUT,
+                400
+            );
+        }
+
+        return sendSuccess(res, { amount, fee, total_debit: amount + fee });
+
+    } catch (error) {
+        console.error('Withdrawal quote error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Withdraw from the wallet to M-Pesa (B2C)
+ * POST /wallet/withdraw
+ */
+async function initiateWithdrawal(req, res) {
+    try {
+        const { user_id } = req.user;
+        const { pin } = req.body;
+        const amount = parseInt(req.body.amount);
+
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select('user_id, phone_number, pin_hash, status')
+            .eq('user_id', user_id)
+            .single();
+
+        if (userError || !user) {
+            return sendError(res, 'User not found', ErrorCodes.USER_NOT_FOUND, 404);
+        }
+
+        if (user.status !== 'active') {
+            return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
+        }
+
+        let pinMatch;
+        try {
+            pinMatch = await verifyPin(user, pin, { ip_address: req.ip });
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                return sendError(res, error.message, error.code, error.status, error.details || undefined);
+            }
+            throw error;
+        }
+
+        if (!pinMatch) {
+            return sendError(res, 'Incorrect PIN', ErrorCodes.INVALID_PIN, 401);
+        }
+
+        const fee = calculateWithdrawalFee(amount);
+        if (fee === null) {
+            return sendError(
+                res,
+                `Withdrawal amount must be between ${MIN_WITHDRAWAL} and ${MAX_WITHDRAWAL} KES`,
+                ErrorCodes.INVALID_INPUT,
+                400
+            );
+        }
+
+        const phone_number = req.body.phone_number || user.phone_number;
+        const transaction_id = uuidv4();
+        const request_id = uuidv4();
+        const reference_code = generateReferenceCode('WD');
+
+        // Hold amount + fee before asking M-Pesa to pay out
+        let held;
+        try {
+            held = await holdWithdrawal({
+                user_id,
+                amount,
+                fee,
+                transaction: {
+                    transaction_id,
+                    user_id,
+                    transaction_type: 'withdrawal',
+                    amount,
+                    fee_amount: fee,
+                    currency: 'KES',
+                    status: 'pending',
+                    reference_code
+                }
+            });
+        } catch (error) {
+            if (error instanceof LedgerError) {
+                return sendError(res, error.message, error.code, error.status);
+            }
+            throw error;
+        }
+
+        const { error: requestError } = await supabase
+            .from('mpesa_requests')
+            .insert({
+                request_id,
+                transaction_id,
+                user_id,
+                request_type: 'b2c',
+                phone_number,
+                amount
+            });
+
+        if (requestError) {
+            console.error('M-Pesa request insert error:', requestError);
+            await reverseWithdrawal({ transaction_id, user_id, amount, fee });
+            return sendError(res, 'Withdrawal failed', ErrorCodes.SERVER_ERROR, 500);
+        }
+
+        let b2c;
+        try {
+            b2c = await mpesa.b2cPayment({
+                phoneNumber: phone_number,
+                amount,
+                remarks: 'EmSec wallet withdrawal',
+                occasion: reference_code,
+                resultUrl: mpesa.buildCallbackUrl(B2C_RESULT_PATH, request_id),
+                timeoutUrl: mpesa.buildCallbackUrl(B2C_TIMEOUT_PATH, request_id)
+            });
+        } catch (error) {
+            console.error('B2C request error:', error.message);
+            await failWithdrawal({ request_id, transaction_id, user_id, amount, fee }, error.message);
+            return sendError(res, 'Could not reach M-Pesa. Your balance has not been charged.', ErrorCodes.MPESA_UNAVAILABLE, 502);
+        }
+
+        await supabase
+            .from('mpesa_requests')
+            .update({
+                conversation_id: b2c.conversationId,
+                merchant_request_id: b2c.originatorConversationId,
+                updated_at: new Date().toISOString()
+            })
+            .eq('request_id', request_id);
+
+        return sendSuccess(
+            res,
+            {
+                request_id,
+                transaction_id,
+                reference: reference_code,
+                amount,
+                fee,
+                phone_number,
+                status: 'pending',
+                balance_after: held.balance_after
+            },
+            'Withdrawal is being processed',
+            202
+        );
+
+    } catch (error) {
+        console.error('Withdrawal error:', error);
+        return sendError(res, 'Server error during withdrawal', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Get the status of a withdrawal
+ * GET /wallet/withdraw/:request_id
+ */
+async function getWithdrawalStatus(req, res) {
+    try {
+        const { user_id } = req.user;
+
+        const { data: request } = await supabase
+            .from('mpesa_requests')
+            .select('request_id, transaction_id, amount, phone_number, status, result_desc, mpesa_receipt, created_at, updated_at')
+            .eq('request_id', req.params.request_id)
+            .eq('user_id', user_id)
+            .eq('request_type', 'b2c')
+            .maybeSingle();
+
+        if (!request) {
+            return sendError(res, 'Withdrawal not found', ErrorCodes.NOT_FOUND, 404);
+        }
+
+        return sendSuccess(res, {
+            ...request,
+            amount: parseFloat(request.amount)
+        });
+
+    } catch (error) {
+        console.error('Withdrawal status error:', error);
+        return sendError(res, 'Server error', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Daraja B2C result callback
+ * POST /mpesa/callbacks/b2c/result/:request_id?signature=...
+ */
+async function handleB2CResult(req, res) {
+    const { request_id } = req.params;
+
+    try {
+        if (!mpesa.verifyCallbackSignature(request_id, req.query.signature)) {
+            console.warn('Rejected B2C result with bad signature:', request_id);
+            return sendError(res, 'Invalid callback signature', ErrorCodes.UNAUTHORIZED, 403);
+        }
+
+        const result = mpesa.parseB2CResult(req.body);
+        if (!result) {
+            return sendError(res, 'Malformed callback', ErrorCodes.INVALID_INPUT, 400);
+        }
+
+        const request = await getPendingB2CRequest(request_id, result.conversationId);
+        if (!request) {
+            return acknowledge(res);
+        }
+
+        const { data: transaction } = await supabase
+            .from('transactions')
+            .select('transaction_id, user_id, amount, fee_amount')
+            .eq('transaction_id', request.transaction_id)
+            .single();
+
+        const withdrawal = {
+            request_id,
+            transaction_id: transaction.transaction_id,
+            user_id: transaction.user_id,
+            amount: parseFloat(transaction.amount),
+            fee: parseFloat(transaction.fee_amount || 0)
+        };
+
+        await supabase
+            .from('mpesa_requests')
+            .update({
+                result_code: result.resultCode,
+                result_desc: result.resultDesc,
+                callback_payload: req.body,
+                callback_received_at: new Date().toISOString()
+            })
+            .eq('request_id', request_id);
+
+        // pending -> failed: give the held money back
+        if (result.resultCode !== 0) {
+            await failWithdrawal(withdrawal, result.resultDesc);
+            await notifyUser(request, `EmSec: Your withdrawal of KES ${withdrawal.amount.toFixed(2)} failed and has been refunded to your wallet.`);
+            return acknowledge(res);
+        }
+
+        // A payout for a different amount needs a human; keep the hold
+        if (result.amount !== null && result.amount !== withdrawal.amount) {
+            console.error('B2C result amount mismatch:', request_id, result.amount, withdrawal.amount);
+            await supabase
+                .from('mpesa_requests')
+                .update({ status: 'rejected', updated_at: new Date().toISOString() })
+                .eq('request_id', request_id);
+            return acknowledge(res);
+        }
+
+        // pending -> success
+        try {
+            await completeWithdrawal(withdrawal);
+        } catch (error) {
+            if (error instanceof LedgerError && error.code === ErrorCodes.DUPLICATE_TRANSACTION) {
+                return acknowledge(res);
+            }
+            throw error;
+        }
+
+        await supabase
+            .from('mpesa_requests')
+            .update({
+                status: 'success',
+                mpesa_receipt: result.receipt,
+                updated_at: new Date().toISOString()
+            })
+            .eq('request_id', request_id);
+
+        await notifyUser(request, `EmSec: KES ${withdrawal.amount.toFixed(2)} sent to M-Pesa ${request.phone_number}. Fee KES ${withdrawal.fee.toFixed(2)}. Ref ${result.receipt}`);
+
+        return acknowledge(res);
+
+    } catch (error) {
+        console.error('B2C result error:', error);
+        return sendError(res, 'Callback processing failed', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Daraja B2C queue timeout callback
+ * POST /mpesa/callbacks/b2c/timeout/:request_id?signature=...
+ *
+ * A timeout does not mean the payout failed, so the hold stays in place
+ * until a result arrives or the request is reconciled.
+ */
+async function handleB2CTimeout(req, res) {
+    const { request_id } = req.params;
+
+    try {
+        if (!mpesa.verifyCallbackSignature(request_id, req.query.signature)) {
+            return sendError(res, 'Invalid callback signature', ErrorCodes.UNAUTHORIZED, 403);
+        }
+
+        await supabase
+            .from('mpesa_requests')
+            .update({
+                result_desc: 'Queue timeout - awaiting result',
+                updated_at: new Date().toISOString()
+            })
+            .eq('request_id', request_id)
+            .eq('status', 'pending');
+
+        return acknowledge(res);
+
+    } catch (error) {
+        console.error('B2C timeout error:', error);
+        return sendError(res, 'Callback processing failed', ErrorCodes.SERVER_ERROR, 500);
+    }
+}
+
+/**
+ * Load a pending B2C request matching a callback
+ * @param {string} requestId - mpesa_requests.request_id
+ * @param {string} conversationId - ConversationID from the callback
+ * @returns {Object|null} Request, or null if unknown or already settled
+ */
+async function getPendingB2CRequest(requestId, conversationId) {
+    const { data: request } = await supabase
+        .from('mpesa_requests')
+        .select('*')
+        .eq('request_id', requestId)
+        .eq('request_type', 'b2c')
+        .maybeSingle();
+
+    if (!request || request.conversation_id !== conversationId) {
+        console.warn('B2C result for unknown request:', requestId, conversationId);
+        return null;
+    }
+
+    // Duplicate callback: the first one already settled this request
+    return request.status === 'pending' ? request : null;
+}
+
+/**
+ * Mark a withdrawal failed and return the hold to the wallet
+ * @param {Object} withdrawal - { request_id, transaction_id, user_id, amount, fee }
+ * @param {string} reason - Failure reason
+ */
+async function failWithdrawal(withdrawal, reason) {
+    try {
+        await reverseWithdrawal(withdrawal);
+    } catch (error) {
+        if (!(error instanceof LedgerError && error.code === ErrorCodes.DUPLICATE_TRANSACTION)) {
+            throw error;
+        }
+    }
+
+    await supabase
+        .from('mpesa_requests')
+        .update({
+            status: 'failed',
+            result_desc: reason,
+            updated_at: new Date().toISOString()
+        })
+        .eq('request_id', withdrawal.request_id);
+}
+
+/**
+ * Queue an SMS to the withdrawing user
+ * @param {Object} request - mpesa_requests row
+ * @param {string} message - SMS text
+ */
+async function notifyUser(request, message) {
+    await supabase.from('notifications').insert({
+        user_id: request.user_id,
+        transaction_id: request.transaction_id,
+        notification_type: 'sms',
+        recipient: request.phone_number,
+        message,
+        status: 'queued'
+    });
+}
+
+/**
+ * Daraja expects a ResultCode 0 acknowledgement or it retries
+ * @param {Object} res - Express response object
+ */
+function acknowledge(res) {
+    return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+}
+
+module.exports = {
+    quoteWithdrawal,
+    initiateWithdrawal,
+    getWithdrawalStatus,
+    handleB2CResult,
+    handleB2CTimeout
+};
@@ -0,0 +1,57 @@
+// Daily settlement job
+// Runs once a day at SETTLEMENT_RUN_HOUR (Nairobi time, default 01:00) and
+// settles the previous business day. Disable with SETTLEMENT_JOB_ENABLED=false
+// when settlements are triggered externally (POST /api/v1/settlements/run).
+
+const { runSettlement, getPreviousBusinessDate } = require('../services/settlement');
+
+/**
+ * Milliseconds until the next run hour in Nairobi
+ * @param {number} hour - Hour of day (0-23, EAT)
+ * @returns {number} Delay in milliseconds
+ */
+function msUntilNextRun(hour) {
+    const now = Date.now();
+    const next = new Date(now);
+    next.setUTCHours(hour - 3, 0, 0, 0);
+
+    while (next.getTime() <= now) {
+        next.setUTCDate(next.getUTCDate() + 1);
+    }
+
+    return next.getTime() - now;
+}
+
+/**
+ * Settle the previous business day and log the outcome
+ */
+async function runDailySettlement() {
+    const date = getPreviousBusinessDate();
+
+    try {
+        const settlements = await runSettlement(date);
+        console.log(`✅ Settlement for ${date}: ${settlements.length} merchant batch(es) created`);
+    } catch (error) {
+        console.error(`❌ Settlement for ${date} failed:`, error.message);
+    }
+}
+
+/**
+ * Schedule the daily settlement run
+ */
+function scheduleDailySettlement() {
+    const configured = parseInt(process.env.SETTLEMENT_RUN_HOUR);
+    const hour = configured >= 0 && configured <= 23 ? configured : 1;
+
+    const timer = setTimeout(async () => {
+        await runDailySettlement();
+        scheduleDailySettlement();
+    }, msUntilNextRun(hour));
+
+    timer.unref();
+}
+
+module.exports = {
+    scheduleDailySettlement,
+    runDailySettlement
+};
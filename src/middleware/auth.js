@@ -1,8 +1,22 @@
 const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/supabase');
 const { sendError, ErrorCodes } = require('../utils/response');
+const { isSessionActive } = require('../services/sessions');
+const { hashDeviceToken } = require('../services/devices');
 
 /**
- * Middleware to verify JWT token
+ * Account roles (users.role)
+ */
+const Roles = {
+    RIDER: 'rider',
+    MERCHANT: 'merchant',
+    SACCO_MANAGER: 'sacco_manager',
+    ADMIN: 'admin'
+};
+
+/**
+ * Middleware to verify JWT token. The token's session (sid) must still be
+ * live, so a logout or revocation takes effect before the token expires.
  */
 async function authenticateToken(req, res, next) {
     try {
@@ -20,32 +34,44 @@ async function authenticateToken(req, res, next) {
         }
 
         // Verify token
-        jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-            if (err) {
-                if (err.name === 'TokenExpiredError') {
-                    return sendError(
-                        res,
-                        'Token has expired',
-                        ErrorCodes.TOKEN_EXPIRED,
-                        401
-                    );
-                }
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (err) {
+            if (err.name === 'TokenExpiredError') {
                 return sendError(
                     res,
-                    'Invalid token',
-                    ErrorCodes.INVALID_TOKEN,
+                    'Token has expired',
+                    ErrorCodes.TOKEN_EXPIRED,
                     401
                 );
             }
+            return sendError(
+                res,
+                'Invalid token',
+                ErrorCodes.INVALID_TOKEN,
+                401
+            );
+        }
 
-            // Attach user info to request
-            req.user = {
-                user_id: decoded.user_id,
-                phone_number: decoded.phone_number
-            };
+        // Tokens from before sessions, or whose session was revoked or ran out
+        if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+            return sendError(
+                res,
+                'Session has ended. Please log in again.',
+                ErrorCodes.INVALID_TOKEN,
+                401
+            );
+        }
 
-            next();
-        });
+        // Attach user info to request
+        req.user = {
+            user_id: decoded.user_id,
+            phone_number: decoded.phone_number,
+            session_id: decoded.sid
+        };
+
+        next();
     } catch (error) {
         console.error('Auth middleware error:', error);
         return sendError(
@@ -57,6 +83,84 @@ async function authenticateToken(req, res, next) {
     }
 }
 
+/**
+ * Middleware factory restricting a route to some roles.
+ * Must run after authenticateToken. Roles are read from the database on
+ * every request so a demotion or suspension applies immediately.
+ * @param {...string} roles - Allowed roles (see Roles)
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const { data: user, error } = await supabase
+                .from('users')
+                .select('role, merchant_id, sacco_id, status')
+                .eq('user_id', req.user.user_id)
+                .single();
+
+            if (error || !user) {
+                return sendError(res, 'User not found', ErrorCodes.USER_NOT_FOUND, 404);
+            }
+
+            if (user.status !== 'active') {
+                return sendError(res, 'Account is not active', ErrorCodes.ACCOUNT_SUSPENDED, 403);
+            }
+
+            if (!roles.includes(user.role)) {
+                return sendError(
+                    res,
+                    'You do not have access to this resource',
+                    ErrorCodes.FORBIDDEN,
+                    403
+                );
+            }
+
+            req.user.role = user.role;
+            req.user.merchant_id = user.merchant_id;
+            req.user.sacco_id = user.sacco_id;
+
+            next();
+        } catch (error) {
+            console.error('Role check error:', error);
+            return sendError(res, 'Authorization failed', ErrorCodes.SERVER_ERROR, 500);
+        }
+    };
+}
+
+/**
+ * Middleware authenticating an on-board device (QR display, GPS unit) by
+ * the device_token sent in the X-Device-Token header, matched on its hash.
+ * Only active devices that were activated through provisioning get through;
+ * the device row is attached as req.device.
+ */
+async function authenticateDevice(req, res, next) {
+    try {
+        const token = req.headers['x-device-token'];
+
+        if (!token) {
+            return sendError(res, 'No device token provided', ErrorCodes.UNAUTHORIZED, 401);
+        }
+
+        const { data: device } = await supabase
+            .from('devices')
+            .select('device_id, merchant_id, route_id, status, activated_at')
+            .eq('device_secret_hash', hashDeviceToken(token))
+            .maybeSingle();
+
+        if (!device || device.status !== 'active' || !device.activated_at) {
+            return sendError(res, 'Invalid device token', ErrorCodes.INVALID_TOKEN, 401);
+        }
+
+        req.device = device;
+
+        next();
+    } catch (error) {
+        console.error('Device auth error:', error);
+        return sendError(res, 'Device authentication failed', ErrorCodes.UNAUTHORIZED, 401);
+    }
+}
+
 /**
  * Generate JWT access token
  * @param {Object} payload - Token payload
@@ -70,31 +174,10 @@ function generateAccessToken(payload) {
     );
 }
 
-/**
- * Generate JWT refresh token
- * @param {Object} payload - Token payload
- * @returns {string} Refresh token
- */
-function generateRefreshToken(payload) {
-    return jwt.sign(
-        payload,
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-    );
-}
-
-/**
- * Verify refresh token
- * @param {string} token - Refresh token
- * @returns {Object} Decoded token
- */
-function verifyRefreshToken(token) {
-    return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
-}
-
 module.exports = {
+    Roles,
     authenticateToken,
-    generateAccessToken,
-    generateRefreshToken,
-    verifyRefreshToken
+    requireRole,
+    authenticateDevice,
+    generateAccessToken
 };
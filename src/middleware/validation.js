@@ -1,6 +1,8 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { sendError, ErrorCodes } = require('../utils/response');
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 /**
  * Validation rules for user registration
  */
@@ -72,7 +74,30 @@ const paymentValidation = [
         .isFloat({ min: -90, max: 90 }),
     body('gps_longitude')
         .optional()
-        .isFloat({ min: -180, max: 180 })
+        .isFloat({ min: -180, max: 180 }),
+    body('gps_accuracy_meters')
+        .optional()
+        .isFloat({ min: 0, max: 10000 }),
+    body('step_up_challenge_id')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid step-up challenge ID'),
+    body('step_up_code')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Step-up code must be 6 digits')
+];
+
+/**
+ * Validation rules for the amount of a payment (POST /payments/process)
+ */
+const paymentAmountValidation = [
+    body('amount')
+        .isFloat({ min: 0.01 })
+        .withMessage('Amount must be a positive number of KES')
+        .bail()
+        .matches(/^\d+(\.\d{1,2})?$/)
+        .withMessage('Amount must have at most 2 decimal places')
 ];
 
 /**
@@ -87,7 +112,644 @@ const qrScanValidation = [
         .isFloat({ min: -90, max: 90 }),
     body('user_gps_longitude')
         .optional()
-        .isFloat({ min: -180, max: 180 })
+        .isFloat({ min: -180, max: 180 }),
+    body('user_gps_accuracy_meters')
+        .optional()
+        .isFloat({ min: 0, max: 10000 })
+];
+
+/**
+ * Validation rules for M-Pesa wallet top-up
+ */
+const topupValidation = [
+    body('amount')
+        .isInt({ min: 10, max: 150000 })
+        .withMessage('Top-up amount must be a whole number between 10 and 150,000 KES'),
+    body('phone_number')
+        .optional()
+        .matches(/^\+254[17]\d{8}$/)
+        .withMessage('Invalid M-Pesa phone number format (+254...)')
+];
+
+/**
+ * Validation rules for M-Pesa withdrawal
+ */
+const withdrawalValidation = [
+    body('amount')
+        .isInt({ min: 50, max: 150000 })
+        .withMessage('Withdrawal amount must be a whole number between 50 and 150,000 KES'),
+    body('pin')
+        .matches(/^\d{4,6}$/)
+        .withMessage('Invalid PIN format'),
+    body('phone_number')
+        .optional()
+        .matches(/^\+254[17]\d{8}$/)
+        .withMessage('Invalid M-Pesa phone number format (+254...)')
+];
+
+/**
+ * Validation rules for a withdrawal fee quote (?amount=)
+ */
+const withdrawalQuoteValidation = [
+    query('amount')
+        .isInt({ min: 50, max: 150000 })
+        .withMessage('Withdrawal amount must be a whole number between 50 and 150,000 KES')
+];
+
+/**
+ * Validation rules for P2P transfer recipient lookup
+ */
+const transferLookupValidation = [
+    body('phone_number')
+        .isString()
+        .notEmpty()
+        .withMessage('Recipient phone number required')
+];
+
+/**
+ * Validation rules for P2P transfers
+ */
+const transferValidation = [
+    ...transferLookupValidation,
+    body('amount')
+        .isFloat({ min: 1, max: 150000 })
+        .withMessage('Transfer amount must be between 1 and 150,000 KES'),
+    body('pin')
+        .matches(/^\d{4,6}$/)
+        .withMessage('Invalid PIN format'),
+    body('idempotency_key')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 64 })
+        .withMessage('Idempotency key must be 1-64 characters'),
+    body('note')
+        .optional()
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage('Note must be at most 100 characters')
+];
+
+/**
+ * Validation rules for payment refunds
+ */
+const refundValidation = [
+    param('transaction_id')
+        .isUUID()
+        .withMessage('Invalid transaction ID'),
+    body('amount')
+        .optional()
+        .isFloat({ min: 0.01 })
+        .withMessage('Refund amount must be positive'),
+    body('reason')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('Reason must be at most 255 characters')
+];
+
+/**
+ * Validation rules for listing settlements
+ */
+const settlementListValidation = [
+    query('status')
+        .optional()
+        .isIn(['pending', 'paid', 'failed'])
+        .withMessage('Invalid settlement status'),
+    query('merchant_id')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid merchant ID'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid from date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid to date')
+];
+
+/**
+ * Validation rules for a manual settlement run
+ */
+const settlementRunValidation = [
+    body('date')
+        .optional()
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+        .withMessage('Date must be YYYY-MM-DD')
+];
+
+/**
+ * Validation rules for marking a settlement paid
+ */
+const settlementPaidValidation = [
+    param('settlement_id')
+        .isUUID()
+        .withMessage('Invalid settlement ID'),
+    body('payout_reference')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Payout reference required')
+];
+
+/**
+ * Validation rules for marking a settlement failed
+ */
+const settlementFailedValidation = [
+    param('settlement_id')
+        .isUUID()
+        .withMessage('Invalid settlement ID'),
+    body('reason')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Failure reason required')
+];
+
+/**
+ * Validation rules for a report date range (?from=&to=)
+ */
+const reportDateRangeValidation = [
+    query('from')
+        .optional()
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+        .withMessage('From date must be YYYY-MM-DD'),
+    query('to')
+        .optional()
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+        .withMessage('To date must be YYYY-MM-DD')
+];
+
+/**
+ * Validation rules for merchant reports (?from=&to=&period=)
+ */
+const merchantReportValidation = [
+    query('period')
+        .optional()
+        .isIn(['day', 'week'])
+        .withMessage('Period must be day or week'),
+    ...reportDateRangeValidation
+];
+
+/**
+ * Validation rules for a merchant device's transactions
+ */
+const merchantDeviceTransactionsValidation = [
+    param('device_id')
+        .isUUID()
+        .withMessage('Invalid device ID'),
+    ...reportDateRangeValidation
+];
+
+/**
+ * Validation rules for SACCO fleet reports (?from=&to=&format=)
+ */
+const saccoReportValidation = [
+    query('format')
+        .optional()
+        .isIn(['json', 'csv'])
+        .withMessage('Format must be json or csv'),
+    ...reportDateRangeValidation
+];
+
+/**
+ * Validation rules for listing fare rules
+ */
+const fareListValidation = [
+    query('route_id')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid route ID'),
+    query('status')
+        .optional()
+        .isIn(['active', 'scheduled', 'retired'])
+        .withMessage('Status must be active, scheduled or retired')
+];
+
+/**
+ * Validation rules for resolving the fare at a time
+ */
+const fareResolveValidation = [
+    query('route_id')
+        .isUUID()
+        .withMessage('Invalid route ID'),
+    query('origin_stop_id')
+        .notEmpty()
+        .withMessage('Origin stop required'),
+    query('destination_stop_id')
+        .notEmpty()
+        .withMessage('Destination stop required'),
+    query('at')
+        .optional()
+        .isISO8601()
+        .withMessage('at must be an ISO 8601 timestamp')
+];
+
+/**
+ * Validation rules for creating a fare rule
+ */
+const fareCreateValidation = [
+    body('route_id')
+        .isUUID()
+        .withMessage('Invalid route ID'),
+    body('origin_stop_id')
+        .isString()
+        .notEmpty()
+        .withMessage('Origin stop required'),
+    body('destination_stop_id')
+        .isString()
+        .notEmpty()
+        .withMessage('Destination stop required'),
+    body('fare_amount')
+        .isFloat({ min: 1, max: 10000 })
+        .withMessage('Fare must be between 1 and 10,000 KES'),
+    body('effective_from')
+        .optional()
+        .isISO8601()
+        .withMessage('effective_from must be an ISO 8601 timestamp'),
+    body('effective_until')
+        .optional()
+        .isISO8601()
+        .withMessage('effective_until must be an ISO 8601 timestamp'),
+    body('replace_existing')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('replace_existing must be true or false')
+];
+
+/**
+ * Validation rules for retiring a fare rule
+ */
+const fareRetireValidation = [
+    param('fare_rule_id')
+        .isUUID()
+        .withMessage('Invalid fare rule ID'),
+    body('effective_until')
+        .optional()
+        .isISO8601()
+        .withMessage('effective_until must be an ISO 8601 timestamp')
+];
+
+/**
+ * Validation rules for a fare adjustment (schedule or modifier)
+ */
+const fareAdjustmentValidation = [
+    body('route_id')
+        .isUUID()
+        .withMessage('Invalid route ID'),
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Name must be 1-50 characters'),
+    body('adjustment_type')
+        .isIn(['percent', 'fixed'])
+        .withMessage('Adjustment type must be percent or fixed'),
+    body('adjustment_value')
+        .isFloat({ min: -1000, max: 1000 })
+        .withMessage('Adjustment value must be between -1,000 and 1,000')
+];
+
+/**
+ * Validation rules for creating a fare schedule
+ */
+const fareScheduleValidation = [
+    ...fareAdjustmentValidation,
+    body('days_of_week')
+        .optional()
+        .isArray({ min: 1, max: 7 })
+        .withMessage('days_of_week must list 1-7 weekdays'),
+    body('days_of_week.*')
+        .isInt({ min: 1, max: 7 })
+        .toInt()
+        .withMessage('Weekdays are 1 (Monday) to 7 (Sunday)'),
+    body('start_time')
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('start_time must be HH:MM'),
+    body('end_time')
+        .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .withMessage('end_time must be HH:MM')
+];
+
+/**
+ * Validation rules for switching a fare modifier on
+ */
+const fareModifierActivateValidation = [
+    param('modifier_id')
+        .isUUID()
+        .withMessage('Invalid modifier ID'),
+    body('expires_at')
+        .optional()
+        .isISO8601()
+        .withMessage('expires_at must be an ISO 8601 timestamp')
+];
+
+/**
+ * Validation rules for a route ID in the path
+ */
+const routeIdValidation = [
+    param('route_id')
+        .isUUID()
+        .withMessage('Invalid route ID')
+];
+
+/**
+ * Validation rules for creating a route
+ */
+const routeCreateValidation = [
+    body('route_number')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 20 })
+        .withMessage('Route number required'),
+    body('route_name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Route name required'),
+    body('stops')
+        .isArray({ min: 2, max: 200 })
+        .withMessage('Stops must be an ordered list of 2-200 stops'),
+    body('path')
+        .optional({ nullable: true })
+        .isArray({ min: 2, max: 1000 })
+        .withMessage('Path must be an ordered list of 2-1000 points')
+];
+
+/**
+ * Validation rules for updating a route
+ */
+const routeUpdateValidation = [
+    ...routeIdValidation,
+    body('version')
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Current route version required'),
+    body('route_number')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 20 })
+        .withMessage('Invalid route number'),
+    body('route_name')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Invalid route name'),
+    body('stops')
+        .optional()
+        .isArray({ min: 2, max: 200 })
+        .withMessage('Stops must be an ordered list of 2-200 stops'),
+    body('path')
+        .optional()
+        .custom(value => value === null || (Array.isArray(value) && value.length >= 2 && value.length <= 1000))
+        .withMessage('Path must be an ordered list of 2-1000 points, or null to clear it')
+];
+
+/**
+ * Validation rules for inserting a stop
+ */
+const routeStopAddValidation = [
+    ...routeIdValidation,
+    body('version')
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Current route version required'),
+    body('stop')
+        .isObject()
+        .withMessage('Stop required'),
+    body('after_stop_id')
+        .optional()
+        .isString()
+];
+
+/**
+ * Validation rules for removing a stop
+ */
+const routeStopRemoveValidation = [
+    ...routeIdValidation,
+    query('version')
+        .isInt({ min: 1 })
+        .withMessage('Current route version required')
+];
+
+/**
+ * Validation rules for setting or clearing a stop's geofence
+ */
+const routeStopGeofenceValidation = [
+    ...routeIdValidation,
+    body('version')
+        .isInt({ min: 1 })
+        .toInt()
+        .withMessage('Current route version required'),
+    body('geofence')
+        .custom(value => value === null || (typeof value === 'object' && !Array.isArray(value)))
+        .withMessage('geofence must be { radius_meters }, { polygon } or null')
+];
+
+/**
+ * Validation rules for a route's fraud thresholds
+ */
+const routeFraudThresholdsValidation = [
+    ...routeIdValidation,
+    body('step_up_score')
+        .custom(value => value === null || (Number.isInteger(value) && value >= 1 && value <= 100))
+        .withMessage('step_up_score must be a whole number 1-100, or null for the default'),
+    body('block_score')
+        .custom(value => value === null || (Number.isInteger(value) && value >= 1 && value <= 100))
+        .withMessage('block_score must be a whole number 1-100, or null for the default')
+];
+
+/**
+ * Validation rules for a device ID in the path
+ */
+const deviceIdValidation = [
+    param('device_id')
+        .isUUID()
+        .withMessage('Invalid device ID')
+];
+
+/**
+ * Validation rules for provisioning a device
+ */
+const deviceProvisionValidation = [
+    body('merchant_id')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid merchant ID'),
+    body('device_name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Device name required'),
+    body('route_id')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid route ID'),
+    body('gps_enabled')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('gps_enabled must be true or false')
+];
+
+/**
+ * Validation rules for activating a device
+ */
+const deviceActivateValidation = [
+    body('activation_code')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('Activation code required')
+];
+
+/**
+ * Validation rules for moving a device to another route
+ */
+const deviceRouteValidation = [
+    ...deviceIdValidation,
+    body('route_id')
+        .isUUID()
+        .withMessage('Invalid route ID')
+];
+
+/**
+ * Validation rules for a device status change
+ */
+const deviceStatusValidation = [
+    ...deviceIdValidation,
+    body('reason')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('Reason must be at most 255 characters')
+];
+
+/**
+ * Validation rules for a device's track history
+ */
+const deviceTrackValidation = [
+    ...deviceIdValidation,
+    query('since')
+        .optional()
+        .isISO8601()
+        .withMessage('since must be an ISO 8601 timestamp'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('limit must be between 1 and 1,000')
+];
+
+/**
+ * Validation rules for a batch of device GPS fixes (each fix is checked
+ * by the telemetry service, which rejects bad fixes individually)
+ */
+const telemetryGpsValidation = [
+    body('fixes')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('fixes must be a list of 1-500 GPS fixes')
+];
+
+/**
+ * Validation rules for an auth session in the path
+ */
+const sessionIdValidation = [
+    param('session_id')
+        .isUUID()
+        .withMessage('Invalid session ID')
+];
+
+/**
+ * Validation rules for a fraud alert in the path
+ */
+const fraudAlertIdValidation = [
+    param('alert_id')
+        .isUUID()
+        .withMessage('Invalid alert ID')
+];
+
+/**
+ * Validation rules for the fraud alert review queue
+ */
+const fraudAlertListValidation = [
+    query('status')
+        .optional()
+        .custom(value => value.split(',').every(status =>
+            ['open', 'in_review', 'confirmed_fraud', 'false_positive'].includes(status)))
+        .withMessage('Status must be a comma-separated list of open, in_review, confirmed_fraud, false_positive'),
+    query('alert_level')
+        .optional()
+        .isIn(['low', 'medium', 'high'])
+        .withMessage('Alert level must be low, medium or high'),
+    query('decision')
+        .optional()
+        .isIn(['allow', 'step_up', 'block'])
+        .withMessage('Decision must be allow, step_up or block'),
+    query('assigned_to')
+        .optional()
+        .custom(value => value === 'me' || value === 'unassigned' || UUID_PATTERN.test(value))
+        .withMessage('assigned_to must be me, unassigned or a user ID'),
+    query(['merchant_id', 'device_id', 'user_id'])
+        .optional()
+        .isUUID()
+        .withMessage('Invalid merchant, device or user ID'),
+    query('sort')
+        .optional()
+        .isIn(['newest', 'risk'])
+        .withMessage('Sort must be newest or risk'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('limit must be between 1 and 100'),
+    ...reportDateRangeValidation
+];
+
+/**
+ * Validation rules for assigning a fraud alert
+ */
+const fraudAlertAssignValidation = [
+    ...fraudAlertIdValidation,
+    body('assignee_id')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid assignee ID')
+];
+
+/**
+ * Validation rules for a reviewer note on a fraud alert
+ */
+const fraudAlertNoteValidation = [
+    ...fraudAlertIdValidation,
+    body('note')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Note required (at most 2,000 characters)')
+];
+
+/**
+ * Validation rules for resolving a fraud alert
+ */
+const fraudAlertResolveValidation = [
+    ...fraudAlertIdValidation,
+    body('outcome')
+        .isIn(['confirmed_fraud', 'false_positive'])
+        .withMessage('Outcome must be confirmed_fraud or false_positive'),
+    body('notes')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Resolution notes required (at most 2,000 characters)'),
+    body(['suspend_user', 'suspend_device'])
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('suspend_user and suspend_device must be true or false')
 ];
 
 /**
@@ -113,6 +775,48 @@ module.exports = {
     registerValidation,
     loginValidation,
     paymentValidation,
+    paymentAmountValidation,
     qrScanValidation,
+    topupValidation,
+    withdrawalValidation,
+    withdrawalQuoteValidation,
+    transferLookupValidation,
+    transferValidation,
+    refundValidation,
+    settlementListValidation,
+    settlementRunValidation,
+    settlementPaidValidation,
+    settlementFailedValidation,
+    reportDateRangeValidation,
+    merchantReportValidation,
+    merchantDeviceTransactionsValidation,
+    saccoReportValidation,
+    fareListValidation,
+    fareResolveValidation,
+    fareCreateValidation,
+    fareRetireValidation,
+    fareAdjustmentValidation,
+    fareScheduleValidation,
+    fareModifierActivateValidation,
+    routeIdValidation,
+    routeCreateValidation,
+    routeUpdateValidation,
+    routeStopAddValidation,
+    routeStopRemoveValidation,
+    routeStopGeofenceValidation,
+    routeFraudThresholdsValidation,
+    deviceIdValidation,
+    deviceProvisionValidation,
+    deviceActivateValidation,
+    deviceRouteValidation,
+    deviceStatusValidation,
+    deviceTrackValidation,
+    telemetryGpsValidation,
+    sessionIdValidation,
+    fraudAlertIdValidation,
+    fraudAlertListValidation,
+    fraudAlertAssignValidation,
+    fraudAlertNoteValidation,
+    fraudAlertResolveValidation,
     checkValidation
 };
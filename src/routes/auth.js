@@ -1,6 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, refreshToken, logout } = require('../controllers/authController');
+const { authenticateToken } = require('../middleware/auth');
+const { sessionIdValidation, checkValidation } = require('../middleware/validation');
+const {
+    register,
+    login,
+    refreshToken,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    requestPinReset,
+    resetPinWithCode
+} = require('../controllers/authController');
 
 // Auth routes
 router.post('/register', register);
@@ -8,4 +20,13 @@ router.post('/login', login);
 router.post('/refresh', refreshToken);
 router.post('/logout', logout);
 
+// Sessions (one per login): list them, sign one out, or sign out everywhere
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions/:session_id', authenticateToken, sessionIdValidation, checkValidation, revokeSession);
+router.post('/logout-all', authenticateToken, logoutAll);
+
+// PIN reset: a code by SMS, then code + password + new PIN (lifts a PIN lock)
+router.post('/pin/reset-code', authenticateToken, requestPinReset);
+router.post('/pin/reset', authenticateToken, resetPinWithCode);
+
 module.exports = router;
\ No newline at end of file
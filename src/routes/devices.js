@@ -0,0 +1,90 @@
+// routes/devices.js - On-board device provisioning and lifecycle
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const {
+    deviceIdValidation,
+    deviceProvisionValidation,
+    deviceActivateValidation,
+    deviceRouteValidation,
+    deviceStatusValidation,
+    deviceTrackValidation,
+    checkValidation
+} = require('../middleware/validation');
+const {
+    provisionDevice,
+    activateDevice,
+    getDevice,
+    getDeviceTrack,
+    reassignRoute,
+    suspendDevice,
+    reactivateDevice,
+    revokeDevice,
+    rotateDeviceToken,
+    reissueActivationCode
+} = require('../controllers/deviceController');
+
+/**
+ * POST /api/v1/devices/activate
+ * Exchange a one-time activation code for the device token.
+ * Called by the on-board unit, so no user session.
+ */
+router.post('/activate', deviceActivateValidation, checkValidation, activateDevice);
+
+router.use(authenticateToken, requireRole(Roles.MERCHANT, Roles.ADMIN));
+
+/**
+ * POST /api/v1/devices
+ * Provision a device (merchants provision for themselves)
+ */
+router.post('/', deviceProvisionValidation, checkValidation, provisionDevice);
+
+/**
+ * GET /api/v1/devices/:device_id
+ * Device details and lifecycle state
+ */
+router.get('/:device_id', deviceIdValidation, checkValidation, getDevice);
+
+/**
+ * GET /api/v1/devices/:device_id/track
+ * GPS track history from device telemetry
+ */
+router.get('/:device_id/track', deviceTrackValidation, checkValidation, getDeviceTrack);
+
+/**
+ * PUT /api/v1/devices/:device_id/route
+ * Move the device to a different route
+ */
+router.put('/:device_id/route', deviceRouteValidation, checkValidation, reassignRoute);
+
+/**
+ * POST /api/v1/devices/:device_id/suspend
+ * Stop the device's token and QR codes working
+ */
+router.post('/:device_id/suspend', deviceStatusValidation, checkValidation, suspendDevice);
+
+/**
+ * POST /api/v1/devices/:device_id/reactivate
+ * Lift a suspension
+ */
+router.post('/:device_id/reactivate', deviceStatusValidation, checkValidation, reactivateDevice);
+
+/**
+ * POST /api/v1/devices/:device_id/revoke
+ * Permanently retire the device
+ */
+router.post('/:device_id/revoke', deviceStatusValidation, checkValidation, revokeDevice);
+
+/**
+ * POST /api/v1/devices/:device_id/rotate-token
+ * Replace the device token
+ */
+router.post('/:device_id/rotate-token', deviceIdValidation, checkValidation, rotateDeviceToken);
+
+/**
+ * POST /api/v1/devices/:device_id/activation-code
+ * Issue a new activation code (replacement hardware)
+ */
+router.post('/:device_id/activation-code', deviceIdValidation, checkValidation, reissueActivationCode);
+
+module.exports = router;
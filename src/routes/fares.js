@@ -0,0 +1,135 @@
+// routes/fares.js - Fare rule management
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const {
+    fareListValidation,
+    fareResolveValidation,
+    fareCreateValidation,
+    fareRetireValidation,
+    fareAdjustmentValidation,
+    fareScheduleValidation,
+    fareModifierActivateValidation,
+    checkValidation
+} = require('../middleware/validation');
+const {
+    listFareRules,
+    getFareAt,
+    createFareRule,
+    bulkUploadFareRules,
+    retireFare,
+    listSchedules,
+    createSchedule,
+    deactivateSchedule,
+    listModifiers,
+    createModifier,
+    activateModifier,
+    deactivateModifier
+} = require('../controllers/fareController');
+
+const manageFares = requireRole(Roles.SACCO_MANAGER, Roles.ADMIN);
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/v1/fares/resolve
+ * Fare in force for a journey at a given time (default now)
+ */
+router.get('/resolve', fareResolveValidation, checkValidation, getFareAt);
+
+/**
+ * GET /api/v1/fares
+ * List fare rules (SACCO managers see their fleet's routes)
+ */
+router.get(
+    '/',
+    manageFares,
+    fareListValidation,
+    checkValidation,
+    listFareRules
+);
+
+/**
+ * POST /api/v1/fares
+ * Create a fare rule, or schedule one with a future effective_from
+ */
+router.post(
+    '/',
+    manageFares,
+    fareCreateValidation,
+    checkValidation,
+    createFareRule
+);
+
+/**
+ * POST /api/v1/fares/bulk
+ * Import fare rules from a CSV body (all-or-nothing)
+ */
+router.post(
+    '/bulk',
+    manageFares,
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    bulkUploadFareRules
+);
+
+/**
+ * POST /api/v1/fares/:fare_rule_id/retire
+ * End a fare rule now or at effective_until
+ */
+router.post(
+    '/:fare_rule_id/retire',
+    manageFares,
+    fareRetireValidation,
+    checkValidation,
+    retireFare
+);
+
+/**
+ * GET /api/v1/fares/schedules
+ * Weekday/time-window fare schedules
+ */
+router.get('/schedules', manageFares, listSchedules);
+
+/**
+ * POST /api/v1/fares/schedules
+ * Create a schedule (e.g. weekday evening peak +10%)
+ */
+router.post('/schedules', manageFares, fareScheduleValidation, checkValidation, createSchedule);
+
+/**
+ * POST /api/v1/fares/schedules/:schedule_id/deactivate
+ * Stop applying a schedule
+ */
+router.post('/schedules/:schedule_id/deactivate', manageFares, deactivateSchedule);
+
+/**
+ * GET /api/v1/fares/modifiers
+ * Named real-time modifiers (rain, holiday...)
+ */
+router.get('/modifiers', manageFares, listModifiers);
+
+/**
+ * POST /api/v1/fares/modifiers
+ * Define a modifier for a route (created switched off)
+ */
+router.post('/modifiers', manageFares, fareAdjustmentValidation, checkValidation, createModifier);
+
+/**
+ * POST /api/v1/fares/modifiers/:modifier_id/activate
+ * Switch a modifier on now, optionally until expires_at
+ */
+router.post(
+    '/modifiers/:modifier_id/activate',
+    manageFares,
+    fareModifierActivateValidation,
+    checkValidation,
+    activateModifier
+);
+
+/**
+ * POST /api/v1/fares/modifiers/:modifier_id/deactivate
+ * Switch a modifier off now
+ */
+router.post('/modifiers/:modifier_id/deactivate', manageFares, deactivateModifier);
+
+module.exports = router;
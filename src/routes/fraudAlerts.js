@@ -0,0 +1,61 @@
+// routes/fraudAlerts.js - Fraud alert review queue
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const {
+    fraudAlertIdValidation,
+    fraudAlertListValidation,
+    fraudAlertAssignValidation,
+    fraudAlertNoteValidation,
+    fraudAlertResolveValidation,
+    reportDateRangeValidation,
+    checkValidation
+} = require('../middleware/validation');
+const {
+    listAlerts,
+    getAlert,
+    assignAlert,
+    addNote,
+    resolveAlert,
+    getAlertStats
+} = require('../controllers/fraudAlertController');
+
+router.use(authenticateToken, requireRole(Roles.ADMIN));
+
+/**
+ * GET /api/v1/fraud-alerts
+ * Review queue (unresolved alerts unless ?status= is given)
+ */
+router.get('/', fraudAlertListValidation, checkValidation, listAlerts);
+
+/**
+ * GET /api/v1/fraud-alerts/stats
+ * Resolution outcomes per alert type, risk decision and fraud rule
+ */
+router.get('/stats', reportDateRangeValidation, checkValidation, getAlertStats);
+
+/**
+ * GET /api/v1/fraud-alerts/:alert_id
+ * Alert with its notes and linked transaction
+ */
+router.get('/:alert_id', fraudAlertIdValidation, checkValidation, getAlert);
+
+/**
+ * POST /api/v1/fraud-alerts/:alert_id/assign
+ * Take the alert (or hand it to another admin) and start reviewing it
+ */
+router.post('/:alert_id/assign', fraudAlertAssignValidation, checkValidation, assignAlert);
+
+/**
+ * POST /api/v1/fraud-alerts/:alert_id/notes
+ * Add a reviewer note
+ */
+router.post('/:alert_id/notes', fraudAlertNoteValidation, checkValidation, addNote);
+
+/**
+ * POST /api/v1/fraud-alerts/:alert_id/resolve
+ * Close as confirmed_fraud (optionally suspending the user/device) or false_positive
+ */
+router.post('/:alert_id/resolve', fraudAlertResolveValidation, checkValidation, resolveAlert);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// routes/gtfsRealtime.js - GTFS-Realtime feeds for journey-planner partners
+const express = require('express');
+const router = express.Router();
+const { getVehiclePositions } = require('../controllers/gtfsRealtimeController');
+
+/**
+ * GET /api/v1/gtfs-rt/vehicle-positions
+ * VehiclePosition feed as protobuf (?format=json for a readable debug view).
+ * Public: vehicle positions are what partners display to riders anyway.
+ */
+router.get('/vehicle-positions', getVehiclePositions);
+
+module.exports = router;
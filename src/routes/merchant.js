@@ -0,0 +1,62 @@
+// routes/merchant.js - Merchant dashboard: takings, commission, devices
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const {
+    merchantReportValidation,
+    merchantDeviceTransactionsValidation,
+    checkValidation
+} = require('../middleware/validation');
+const {
+    getTakings,
+    getTodayTakings,
+    getCommission,
+    getRouteBreakdown,
+    listDevices,
+    getDeviceTransactions
+} = require('../controllers/merchantController');
+
+router.use(authenticateToken, requireRole(Roles.MERCHANT));
+
+/**
+ * GET /api/v1/merchant/takings/today
+ * Today's gross, commission and net takings
+ */
+router.get('/takings/today', getTodayTakings);
+
+/**
+ * GET /api/v1/merchant/takings
+ * Takings bucketed by day or week over a date range
+ */
+router.get('/takings', merchantReportValidation, checkValidation, getTakings);
+
+/**
+ * GET /api/v1/merchant/commission
+ * Commission paid over a date range
+ */
+router.get('/commission', merchantReportValidation, checkValidation, getCommission);
+
+/**
+ * GET /api/v1/merchant/routes/breakdown
+ * Takings per route and per origin/destination pair
+ */
+router.get('/routes/breakdown', merchantReportValidation, checkValidation, getRouteBreakdown);
+
+/**
+ * GET /api/v1/merchant/devices
+ * The merchant's devices with today's takings
+ */
+router.get('/devices', listDevices);
+
+/**
+ * GET /api/v1/merchant/devices/:device_id/transactions
+ * Paginated transactions for one device
+ */
+router.get(
+    '/devices/:device_id/transactions',
+    merchantDeviceTransactionsValidation,
+    checkValidation,
+    getDeviceTransactions
+);
+
+module.exports = router;
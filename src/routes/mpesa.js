@@ -0,0 +1,27 @@
+// routes/mpesa.js - M-Pesa (Daraja) callbacks
+// These are called by Safaricom, not by our apps, so they are not behind
+// authenticateToken; each callback URL carries an HMAC signature instead.
+const express = require('express');
+const router = express.Router();
+const { handleStkCallback } = require('../controllers/mpesaController');
+const { handleB2CResult, handleB2CTimeout } = require('../controllers/withdrawalController');
+
+/**
+ * POST /api/v1/mpesa/callbacks/stk/:request_id
+ * STK Push result for a wallet top-up
+ */
+router.post('/callbacks/stk/:request_id', handleStkCallback);
+
+/**
+ * POST /api/v1/mpesa/callbacks/b2c/result/:request_id
+ * B2C result for a wallet withdrawal
+ */
+router.post('/callbacks/b2c/result/:request_id', handleB2CResult);
+
+/**
+ * POST /api/v1/mpesa/callbacks/b2c/timeout/:request_id
+ * B2C queue timeout for a wallet withdrawal
+ */
+router.post('/callbacks/b2c/timeout/:request_id', handleB2CTimeout);
+
+module.exports = router;
@@ -2,15 +2,34 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const { paymentAmountValidation, refundValidation, checkValidation } = require('../middleware/validation');
+const { refundPayment } = require('../controllers/refundController');
+const { postPayment, roundMoney, LedgerError } = require('../services/ledger');
+const { generateReferenceCode } = require('../utils/reference');
+const { ErrorCodes } = require('../utils/response');
+const { verifyPin } = require('../services/pin');
+const { LockoutError } = require('../services/lockout');
+const { logAudit } = require('../services/audit');
+const { verifyFare, FareError } = require('../services/fares');
+const { checkPassengerProximity } = require('../services/proximity');
+const {
+    RiskError,
+    assessPayment,
+    enforceRiskDecision,
+    recordRiskDecision,
+    summarizeRules
+} = require('../services/fraudRules');
+const { consumeStepUpChallenge } = require('../services/stepUp');
+const { linkAlertsToTransaction } = require('../services/fraudAlerts');
+const { LimitError, enforceVelocityLimits } = require('../services/velocityLimits');
 const crypto = require('crypto');
-const bcrypt = require('bcrypt');
 
 /**
  * POST /api/v1/payments/process
- * Process payment with GPS fraud detection
+ * Process payment, scored by the fraud rules engine
  */
-router.post('/process', authenticateToken, async (req, res) => {
+router.post('/process', authenticateToken, paymentAmountValidation, checkValidation, async (req, res) => {
     console.log('💳 PAYMENT ROUTE HIT');
     console.log('User from token:', req.user);
     console.log('Request body:', req.body);
@@ -25,6 +44,9 @@ router.post('/process', authenticateToken, async (req, res) => {
             pin,
             gps_latitude,
             gps_longitude,
+            gps_accuracy_meters,
+            step_up_challenge_id,
+            step_up_code,
             route_id,
             origin_stop
         } = req.body;
@@ -46,7 +68,7 @@ router.post('/process', authenticateToken, async (req, res) => {
         // Get user data and verify PIN
         const { data: userData, error: userError } = await supabase
             .from('users')
-            .select('user_id, balance, pin_hash')
+            .select('user_id, phone_number, pin_hash, status')
             .eq('user_id', userId)
             .single();
 
@@ -61,11 +83,34 @@ router.post('/process', authenticateToken, async (req, res) => {
             });
         }
 
+        if (userData.status !== 'active') {
+            console.log('❌ Account not active:', userData.status);
+            return res.status(403).json({
+                success: false,
+                error: 'Account is not active',
+                code: ErrorCodes.ACCOUNT_SUSPENDED
+            });
+        }
+
         console.log('✅ User found:', userData.user_id);
         console.log('Verifying PIN...');
 
-        // Verify PIN
-        const pinValid = await bcrypt.compare(pin, userData.pin_hash);
+        // Verify PIN (wrong attempts are counted towards a lock)
+        let pinValid;
+        try {
+            pinValid = await verifyPin(userData, pin, { ip_address: req.ip });
+        } catch (error) {
+            if (error instanceof LockoutError) {
+                console.log('❌ PIN attempts:', error.code);
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    details: error.details || undefined
+                });
+            }
+            throw error;
+        }
         
         console.log('PIN validation result:', pinValid);
 
@@ -79,106 +124,221 @@ router.post('/process', authenticateToken, async (req, res) => {
 
         console.log('✅ PIN validated');
 
-        // Check sufficient balance
-        if (parseFloat(userData.balance) < parseFloat(amount)) {
-            console.log('❌ Insufficient balance');
-            return res.status(400).json({
-                success: false,
-                error: 'Insufficient balance'
-            });
-        }
-
-        console.log('✅ Balance check passed');
-
         // Get merchant commission rate
         const { data: merchantData } = await supabase
             .from('merchants')
-            .select('commission_rate')
+            .select('commission_rate, merchant_type')
             .eq('merchant_id', merchant_id)
             .single();
 
-        const commissionRate = merchantData?.commission_rate || 0.05;
-        const merchantCommission = parseFloat(amount) * commissionRate;
-        const netAmount = parseFloat(amount) - merchantCommission;
+        // Transport fares come from fare_rules, not from the client
+        let fareQuote = null;
+        if (merchantData?.merchant_type === 'transport') {
+            try {
+                fareQuote = await verifyFare({ route_id, origin_stop, destination_stop, amount });
+            } catch (error) {
+                if (error instanceof FareError) {
+                    console.log('❌ Fare check failed:', error.code);
+                    return res.status(error.status).json({
+                        success: false,
+                        error: error.message,
+                        code: error.code
+                    });
+                }
+                throw error;
+            }
+        }
 
-        // Calculate new balance
-        const balanceBefore = parseFloat(userData.balance);
-        const balanceAfter = balanceBefore - parseFloat(amount);
+        // The matatu's on-board device, if it belongs to this merchant
+        let deviceData = null;
+        if (device_id) {
+            const { data } = await supabase
+                .from('devices')
+                .select(`
+                    gps_enabled,
+                    last_gps_latitude,
+                    last_gps_longitude,
+                    last_gps_accuracy_meters,
+                    last_gps_speed_mps,
+                    last_gps_updated_at,
+                    activated_at
+                `)
+                .eq('device_id', device_id)
+                .eq('merchant_id', merchant_id)
+                .maybeSingle();
+            deviceData = data;
+        }
+
+        // Payments per minute/hour/day and KES per day, per payer, device and merchant
+        try {
+            await enforceVelocityLimits({
+                user_id: userId,
+                device_id: deviceData ? device_id : null,
+                merchant_id,
+                amount: parseFloat(amount)
+            });
+        } catch (error) {
+            if (error instanceof LimitError) {
+                console.log('❌ Velocity limit:', error.details.scope, error.details.limit);
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    details: error.details
+                });
+            }
+            throw error;
+        }
+
+        // Compare the payer's GPS with the matatu's own position
+        const proximity = checkPassengerProximity(deviceData, {
+            latitude: gps_latitude,
+            longitude: gps_longitude,
+            accuracy_meters: gps_accuracy_meters
+        });
+
+        // Fraud rules decide whether the payment goes ahead
+        const assessment = await assessPayment({
+            user_id: userId,
+            merchant_id,
+            amount: parseFloat(amount),
+            device: deviceData,
+            route_id,
+            origin_stop,
+            gps: { latitude: gps_latitude, longitude: gps_longitude, accuracy_meters: gps_accuracy_meters },
+            proximity
+        });
+
+        console.log('Risk assessment:', assessment.risk_score, assessment.decision);
+
+        let stepUpPassed;
+        try {
+            stepUpPassed = await enforceRiskDecision(assessment, {
+                user_id: userId,
+                phone_number: userData.phone_number,
+                merchant_id,
+                amount: parseFloat(amount),
+                step_up_challenge_id,
+                step_up_code
+            });
+        } catch (error) {
+            if (error instanceof RiskError) {
+                console.log('❌ Risk decision:', assessment.decision);
+                await recordRiskDecision(assessment, {
+                    user_id: userId,
+                    device_id,
+                    merchant_id,
+                    amount: parseFloat(amount)
+                });
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    details: error.details || undefined
+                });
+            }
+            throw error;
+        }
+
+        const commissionRate = merchantData?.commission_rate || 0.05;
+        const paymentAmount = roundMoney(amount);
+        const merchantCommission = roundMoney(paymentAmount * commissionRate);
+        const netAmount = roundMoney(paymentAmount - merchantCommission);
 
         // Generate reference code
         const referenceCode = generateReferenceCode();
 
         console.log('Creating transaction...');
 
-        // Create transaction
-        const { data: transaction, error: txError } = await supabase
-            .from('transactions')
-            .insert({
-                transaction_id: crypto.randomUUID(),
+        // Create transaction and post ledger entries atomically
+        let posted;
+        try {
+            posted = await postPayment({
                 user_id: userId,
-                merchant_id: merchant_id,
-                device_id: device_id,
-                transaction_type: 'payment',
-                amount: parseFloat(amount),
-                currency: 'KES',
-                route_id: route_id,
-                origin_stop: origin_stop || 'Unknown',
-                destination_stop: destination_stop,
-                status: 'success',  // Changed from 'completed' to 'success'
+                merchant_id,
+                amount: paymentAmount,
                 merchant_commission: merchantCommission,
                 net_amount: netAmount,
-                reference_code: referenceCode,
-                gps_boarding_latitude: gps_latitude,
-                gps_boarding_longitude: gps_longitude,
-                auto_detected_origin: origin_stop ? true : false,
-                user_balance_before: balanceBefore,
-                user_balance_after: balanceAfter,
-                processed_at: new Date().toISOString(),
-                created_at: new Date().toISOString()
-            })
-            .select()
-            .single();
-
-        if (txError) {
-            console.error('❌ Transaction creation error:', txError);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to create transaction'
+                transaction: {
+                    transaction_id: crypto.randomUUID(),
+                    user_id: userId,
+                    merchant_id: merchant_id,
+                    device_id: device_id,
+                    transaction_type: 'payment',
+                    amount: paymentAmount,
+                    currency: 'KES',
+                    route_id: route_id,
+                    origin_stop: origin_stop || 'Unknown',
+                    destination_stop: destination_stop,
+                    status: 'success',
+                    merchant_commission: merchantCommission,
+                    net_amount: netAmount,
+                    reference_code: referenceCode,
+                    gps_boarding_latitude: gps_latitude,
+                    gps_boarding_longitude: gps_longitude,
+                    gps_boarding_accuracy_meters: gps_accuracy_meters || null,
+                    passenger_vehicle_distance_meters: proximity.status !== 'unchecked' ? proximity.distance_meters : null,
+                    risk_score: assessment.risk_score,
+                    risk_decision: assessment.decision,
+                    risk_rules: summarizeRules(assessment),
+                    step_up_challenge_id: stepUpPassed ? step_up_challenge_id : null,
+                    auto_detected_origin: origin_stop ? true : false,
+                    fare_rule_id: fareQuote ? fareQuote.fare_rule_id : null,
+                    base_fare: fareQuote ? fareQuote.base_fare : null,
+                    fare_adjustments: fareQuote ? fareQuote.adjustments : null,
+                    processed_at: new Date().toISOString(),
+                    created_at: new Date().toISOString()
+                }
             });
+        } catch (error) {
+            if (error instanceof LedgerError) {
+                console.log('❌ Ledger rejected payment:', error.code);
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+            throw error;
         }
 
-        console.log('✅ Transaction created:', transaction.transaction_id);
-        console.log('Updating user balance...');
+        const { transaction, balance_after: balanceAfter } = posted;
 
-        // Update user balance
-        const { error: balanceError } = await supabase
-            .from('users')
-            .update({ balance: balanceAfter })
-            .eq('user_id', userId);
+        console.log('✅ Transaction created:', transaction.transaction_id);
 
-        if (balanceError) {
-            console.error('❌ Balance update error:', balanceError);
-        } else {
-            console.log('✅ Balance updated successfully');
+        if (stepUpPassed) {
+            await consumeStepUpChallenge(step_up_challenge_id, transaction.transaction_id);
         }
 
+        await recordRiskDecision(assessment, {
+            user_id: userId,
+            device_id,
+            merchant_id,
+            transaction_id: transaction.transaction_id,
+            amount: parseFloat(amount),
+            step_up_passed: stepUpPassed
+        });
+
+        // Scan-time and step-up alerts that led here belong to this payment
+        await linkAlertsToTransaction({
+            user_id: userId,
+            device_id,
+            transaction_id: transaction.transaction_id
+        });
+
         // Create audit log
-        await supabase
-            .from('audit_logs')
-            .insert({
-                log_id: crypto.randomUUID(),
-                user_id: userId,
-                action: 'payment_processed',
-                entity_type: 'transaction',
-                entity_id: transaction.transaction_id,
-                details: {
-                    amount: amount,
-                    merchant_id: merchant_id,
-                    reference: referenceCode
-                },
-                ip_address: req.ip,
-                created_at: new Date().toISOString()
-            });
+        await logAudit({
+            user_id: userId,
+            action: 'payment_processed',
+            entity_type: 'transaction',
+            entity_id: transaction.transaction_id,
+            details: {
+                amount: amount,
+                merchant_id: merchant_id,
+                reference: referenceCode
+            },
+            ip_address: req.ip
+        });
 
         console.log('✅ Payment successful!');
 
@@ -189,6 +349,8 @@ router.post('/process', authenticateToken, async (req, res) => {
                 transaction_id: transaction.transaction_id,
                 reference_code: referenceCode,
                 amount: parseFloat(amount),
+                base_fare: fareQuote ? fareQuote.base_fare : undefined,
+                fare_adjustments: fareQuote ? fareQuote.adjustments : undefined,
                 new_balance: balanceAfter,
                 timestamp: transaction.created_at
             }
@@ -199,18 +361,22 @@ router.post('/process', authenticateToken, async (req, res) => {
         console.error('Error stack:', error.stack);
         return res.status(500).json({
             success: false,
-            error: 'Payment processing failed: ' + error.message
+            error: 'Payment processing failed'
         });
     }
 });
 
 /**
- * Helper: Generate unique reference code
+ * POST /api/v1/payments/:transaction_id/refund
+ * Full or partial refund (merchants within the refund window, admins any time)
  */
-function generateReferenceCode() {
-    const timestamp = Date.now().toString(36).toUpperCase();
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    return `EM${timestamp}${random}`;
-}
+router.post(
+    '/:transaction_id/refund',
+    authenticateToken,
+    requireRole(Roles.MERCHANT, Roles.ADMIN),
+    refundValidation,
+    checkValidation,
+    refundPayment
+);
 
 module.exports = router;
\ No newline at end of file
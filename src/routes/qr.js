@@ -4,14 +4,20 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateDevice } = require('../middleware/auth');
+const { issueQrCode, resolveQrCode, QrCodeError } = require('../services/qrCodes');
+const { getOriginTrack } = require('../services/telemetry');
+const { checkPassengerProximity, recordProximityMismatch } = require('../services/proximity');
+const { quoteFaresFromOrigin, describeAdjustments } = require('../services/fares');
+const { detectOrigin, findNearestStop, isGpsFresh } = require('../utils/gps');
+
 /**
  * POST /api/v1/qr/scan
  * Validates QR code and returns merchant/route info
  */
 router.post('/scan', authenticateToken, async (req, res) => {
     try {
-        const { device_token, user_gps_latitude, user_gps_longitude } = req.body;
+        const { device_token, user_gps_latitude, user_gps_longitude, user_gps_accuracy_meters } = req.body;
 
         // Validate required fields
         if (!device_token) {
@@ -21,16 +27,37 @@ router.post('/scan', authenticateToken, async (req, res) => {
             });
         }
 
+        // Signed codes are checked for signature and freshness before lookup
+        let qrCode;
+        try {
+            qrCode = resolveQrCode(device_token);
+        } catch (error) {
+            if (error instanceof QrCodeError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+            throw error;
+        }
+
         // Query device, merchant, and route info
-        const { data: deviceData, error: deviceError } = await supabase
+        let deviceQuery = supabase
             .from('devices')
             .select(`
                 device_id,
-                device_token,
                 device_name,
                 merchant_id,
                 route_id,
                 status,
+                gps_enabled,
+                last_gps_latitude,
+                last_gps_longitude,
+                last_gps_updated_at,
+                last_gps_accuracy_meters,
+                last_gps_speed_mps,
+                last_gps_bearing_degrees,
                 merchants (
                     merchant_id,
                     business_name,
@@ -44,9 +71,13 @@ router.post('/scan', authenticateToken, async (req, res) => {
                     stops
                 )
             `)
-            .eq('device_token', device_token)
-            .eq('status', 'active')
-            .single();
+            .eq('status', 'active');
+
+        deviceQuery = qrCode.device_id
+            ? deviceQuery.eq('device_id', qrCode.device_id)
+            : deviceQuery.eq('sticker_code', qrCode.sticker_code);
+
+        const { data: deviceData, error: deviceError } = await deviceQuery.single();
 
         if (deviceError || !deviceData) {
             return res.status(404).json({
@@ -55,29 +86,85 @@ router.post('/scan', authenticateToken, async (req, res) => {
             });
         }
 
-        // Update device GPS location
-        if (user_gps_latitude && user_gps_longitude) {
-            await supabase
-                .from('devices')
-                .update({
-                    last_gps_latitude: user_gps_latitude,
-                    last_gps_longitude: user_gps_longitude,
-                    last_gps_updated_at: new Date().toISOString()
-                })
-                .eq('device_id', deviceData.device_id);
-        }
+        // The vehicle position comes only from device telemetry
+        // (POST /telemetry/gps); a passenger's phone never moves it.
+
+        // ...but it is compared with the vehicle's, to flag riders scanning
+        // from somewhere else (e.g. a photographed QR)
+        const proximity = checkPassengerProximity(deviceData, {
+            latitude: user_gps_latitude,
+            longitude: user_gps_longitude,
+            accuracy_meters: user_gps_accuracy_meters
+        });
+        await recordProximityMismatch(proximity, {
+            stage: 'scan',
+            user_id: req.user.user_id,
+            device_id: deviceData.device_id,
+            merchant_id: deviceData.merchant_id
+        });
 
         // Parse route stops
         const stops = deviceData.routes?.stops || [];
 
-        // Detect nearest stop based on GPS
+        // Boarding stop from the matatu's own recent track when it has a
+        // fresh fix, else the stop nearest the passenger
         let boarding_stop = 'Unknown';
-        if (user_gps_latitude && user_gps_longitude && stops.length > 0) {
-            boarding_stop = findNearestStop(
-                user_gps_latitude, 
-                user_gps_longitude, 
+        let origin = null;
+        let gps_detection = null;
+        if (
+            deviceData.gps_enabled &&
+            deviceData.last_gps_latitude &&
+            deviceData.last_gps_longitude &&
+            isGpsFresh(deviceData.last_gps_updated_at) &&
+            stops.length > 0
+        ) {
+            origin = detectOrigin(await getOriginTrack(deviceData), stops);
+            if (origin) {
+                boarding_stop = origin.name;
+                gps_detection = {
+                    detected_origin: origin.id,
+                    confidence: origin.confidence,
+                    confidence_score: origin.confidence_score,
+                    distance_meters: origin.distance_meters,
+                    direction: origin.direction,
+                    heading_degrees: origin.heading_degrees
+                };
+            }
+        } else if (user_gps_latitude && user_gps_longitude && stops.length > 0) {
+            origin = findNearestStop(
+                parseFloat(user_gps_latitude),
+                parseFloat(user_gps_longitude),
                 stops
             );
+            boarding_stop = origin ? origin.name : 'Unknown';
+        }
+
+        // Price the stops still ahead with the schedules and modifiers in force now
+        let available_destinations = [];
+        let fare_modifiers = null;
+        if (origin && origin.id) {
+            const originIndex = stops.findIndex(s => s.id === origin.id);
+            const ahead = origin.direction === 'reverse'
+                ? stops.filter((s, idx) => idx < originIndex).reverse()
+                : stops.filter((s, idx) => idx > originIndex);
+
+            if (ahead.length > 0) {
+                const quotes = await quoteFaresFromOrigin(deviceData.routes.route_id, origin.id);
+
+                available_destinations = ahead.map(stop => {
+                    const quote = quotes.get(stop.id);
+                    return {
+                        id: stop.id,
+                        name: stop.name,
+                        fare: quote ? quote.fare : null,
+                        base_fare: quote ? quote.base_fare : null,
+                        fare_adjustments: quote ? quote.adjustments : []
+                    };
+                });
+
+                const quoted = [...quotes.values()].find(quote => quote.adjustments.length > 0);
+                fare_modifiers = quoted ? describeAdjustments(quoted.adjustments) : null;
+            }
         }
 
         // Return merchant and route info
@@ -85,7 +172,6 @@ router.post('/scan', authenticateToken, async (req, res) => {
             success: true,
             data: {
                 device_id: deviceData.device_id,
-                device_token: deviceData.device_token,
                 merchant_id: deviceData.merchants.merchant_id,
                 merchant_name: deviceData.merchants.business_name,
                 vehicle_plate: deviceData.merchants.matatu_plate,
@@ -93,6 +179,9 @@ router.post('/scan', authenticateToken, async (req, res) => {
                 route_name: deviceData.routes.route_name,
                 route_number: deviceData.routes.route_number,
                 boarding_stop: boarding_stop,
+                gps_detection,
+                available_destinations,
+                fare_modifiers,
                 stops: stops,
                 user_gps_latitude,
                 user_gps_longitude
@@ -109,52 +198,20 @@ router.post('/scan', authenticateToken, async (req, res) => {
 });
 
 /**
- * Helper: Find nearest stop to user's GPS location
+ * GET /api/v1/qr/current
+ * Signed QR code the calling device should display now (X-Device-Token).
+ * Displays fetch a new one when expires_at passes.
  */
-function findNearestStop(userLat, userLng, stops) {
-    if (!stops || stops.length === 0) return 'Unknown';
-
-    let nearestStop = stops[0].name;
-    let minDistance = Infinity;
-
-    stops.forEach(stop => {
-        if (stop.gps && stop.gps.lat && stop.gps.lng) {
-            const distance = calculateDistance(
-                userLat, 
-                userLng, 
-                stop.gps.lat, 
-                stop.gps.lng
-            );
-
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearestStop = stop.name;
-            }
+router.get('/current', authenticateDevice, (req, res) => {
+    const code = issueQrCode(req.device.device_id);
+
+    return res.status(200).json({
+        success: true,
+        data: {
+            device_id: req.device.device_id,
+            ...code
         }
     });
-
-    return nearestStop;
-}
-
-/**
- * Helper: Calculate distance between two GPS coordinates (Haversine formula)
- * Returns distance in kilometers
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-              Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-function toRad(degrees) {
-    return degrees * (Math.PI / 180);
-}
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,46 @@
+// routes/sacco.js - SACCO fleet reporting
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const { saccoReportValidation, checkValidation } = require('../middleware/validation');
+const {
+    listVehicles,
+    getVehicleReport,
+    getRouteReport,
+    getRidershipReport,
+    listFraudAlerts
+} = require('../controllers/saccoController');
+
+router.use(authenticateToken, requireRole(Roles.SACCO_MANAGER));
+
+/**
+ * GET /api/v1/sacco/vehicles
+ * Member matatus and their devices
+ */
+router.get('/vehicles', listVehicles);
+
+/**
+ * GET /api/v1/sacco/reports/vehicles
+ * Revenue per vehicle (?format=csv to download)
+ */
+router.get('/reports/vehicles', saccoReportValidation, checkValidation, getVehicleReport);
+
+/**
+ * GET /api/v1/sacco/reports/routes
+ * Revenue per route (?format=csv to download)
+ */
+router.get('/reports/routes', saccoReportValidation, checkValidation, getRouteReport);
+
+/**
+ * GET /api/v1/sacco/reports/ridership
+ * Daily rides and unique riders (?format=csv to download)
+ */
+router.get('/reports/ridership', saccoReportValidation, checkValidation, getRidershipReport);
+
+/**
+ * GET /api/v1/sacco/fraud-alerts
+ * Fraud alerts on the fleet (?format=csv to download)
+ */
+router.get('/fraud-alerts', saccoReportValidation, checkValidation, listFraudAlerts);
+
+module.exports = router;
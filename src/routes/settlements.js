@@ -0,0 +1,70 @@
+// routes/settlements.js - Merchant settlement batches
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const {
+    settlementListValidation,
+    settlementRunValidation,
+    settlementPaidValidation,
+    settlementFailedValidation,
+    checkValidation
+} = require('../middleware/validation');
+const {
+    listSettlements,
+    getSettlementReport,
+    runSettlement,
+    markSettlementPaid,
+    markSettlementFailed
+} = require('../controllers/settlementController');
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/v1/settlements
+ * List batches (merchants see only their own)
+ */
+router.get(
+    '/',
+    requireRole(Roles.MERCHANT, Roles.ADMIN),
+    settlementListValidation,
+    checkValidation,
+    listSettlements
+);
+
+/**
+ * POST /api/v1/settlements/run
+ * Batch unsettled transactions up to the end of a business date
+ */
+router.post('/run', requireRole(Roles.ADMIN), settlementRunValidation, checkValidation, runSettlement);
+
+/**
+ * GET /api/v1/settlements/:settlement_id/report
+ * Settlement report with every transaction in the batch
+ */
+router.get('/:settlement_id/report', requireRole(Roles.MERCHANT, Roles.ADMIN), getSettlementReport);
+
+/**
+ * POST /api/v1/settlements/:settlement_id/paid
+ * Record a successful payout
+ */
+router.post(
+    '/:settlement_id/paid',
+    requireRole(Roles.ADMIN),
+    settlementPaidValidation,
+    checkValidation,
+    markSettlementPaid
+);
+
+/**
+ * POST /api/v1/settlements/:settlement_id/failed
+ * Record a failed payout
+ */
+router.post(
+    '/:settlement_id/failed',
+    requireRole(Roles.ADMIN),
+    settlementFailedValidation,
+    checkValidation,
+    markSettlementFailed
+);
+
+module.exports = router;
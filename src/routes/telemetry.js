@@ -0,0 +1,15 @@
+// routes/telemetry.js - GPS telemetry from on-board units
+const express = require('express');
+const router = express.Router();
+const { authenticateDevice } = require('../middleware/auth');
+const { telemetryGpsValidation, checkValidation } = require('../middleware/validation');
+const { ingestGps } = require('../controllers/telemetryController');
+
+/**
+ * POST /api/v1/telemetry/gps
+ * Batched GPS fixes, authenticated by the device's X-Device-Token.
+ * The only way a vehicle's position is updated.
+ */
+router.post('/gps', authenticateDevice, telemetryGpsValidation, checkValidation, ingestGps);
+
+module.exports = router;
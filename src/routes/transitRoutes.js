@@ -0,0 +1,115 @@
+// routes/transitRoutes.js - Matatu route and stop administration
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, Roles } = require('../middleware/auth');
+const {
+    routeIdValidation,
+    routeCreateValidation,
+    routeUpdateValidation,
+    routeStopAddValidation,
+    routeStopRemoveValidation,
+    routeStopGeofenceValidation,
+    routeFraudThresholdsValidation,
+    checkValidation
+} = require('../middleware/validation');
+const {
+    listRoutes,
+    getRoute,
+    listRouteVersions,
+    getRouteVersion,
+    createRoute,
+    updateRoute,
+    addStop,
+    removeStop,
+    setStopGeofence,
+    setFraudThresholds,
+    retireRoute
+} = require('../controllers/routeController');
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/v1/routes
+ * List routes
+ */
+router.get('/', listRoutes);
+
+/**
+ * POST /api/v1/routes
+ * Create a route with ordered stops
+ */
+router.post('/', requireRole(Roles.ADMIN), routeCreateValidation, checkValidation, createRoute);
+
+/**
+ * GET /api/v1/routes/:route_id
+ * Current route version and stops
+ */
+router.get('/:route_id', routeIdValidation, checkValidation, getRoute);
+
+/**
+ * PUT /api/v1/routes/:route_id
+ * Replace number, name and/or the full ordered stop list (new version)
+ */
+router.put('/:route_id', requireRole(Roles.ADMIN), routeUpdateValidation, checkValidation, updateRoute);
+
+/**
+ * DELETE /api/v1/routes/:route_id
+ * Retire a route with no devices assigned
+ */
+router.delete('/:route_id', requireRole(Roles.ADMIN), routeIdValidation, checkValidation, retireRoute);
+
+/**
+ * GET /api/v1/routes/:route_id/versions
+ * Version history
+ */
+router.get('/:route_id/versions', routeIdValidation, checkValidation, listRouteVersions);
+
+/**
+ * GET /api/v1/routes/:route_id/versions/:version
+ * Stop list as it was at a version
+ */
+router.get('/:route_id/versions/:version', routeIdValidation, checkValidation, getRouteVersion);
+
+/**
+ * POST /api/v1/routes/:route_id/stops
+ * Insert a stop (after after_stop_id, or first)
+ */
+router.post('/:route_id/stops', requireRole(Roles.ADMIN), routeStopAddValidation, checkValidation, addStop);
+
+/**
+ * DELETE /api/v1/routes/:route_id/stops/:stop_id
+ * Remove a stop
+ */
+router.delete(
+    '/:route_id/stops/:stop_id',
+    requireRole(Roles.ADMIN),
+    routeStopRemoveValidation,
+    checkValidation,
+    removeStop
+);
+
+/**
+ * PUT /api/v1/routes/:route_id/stops/:stop_id/geofence
+ * Set (or clear with null) a stop's geofence
+ */
+router.put(
+    '/:route_id/stops/:stop_id/geofence',
+    requireRole(Roles.ADMIN),
+    routeStopGeofenceValidation,
+    checkValidation,
+    setStopGeofence
+);
+
+/**
+ * PUT /api/v1/routes/:route_id/fraud-thresholds
+ * Risk scores at which payments on the route are stepped up or blocked
+ */
+router.put(
+    '/:route_id/fraud-thresholds',
+    requireRole(Roles.ADMIN),
+    routeFraudThresholdsValidation,
+    checkValidation,
+    setFraudThresholds
+);
+
+module.exports = router;
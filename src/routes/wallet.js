@@ -3,6 +3,19 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
 const { authenticateToken } = require('../middleware/auth');
+const { getUserBalance } = require('../services/ledger');
+const { initiateTopup, getTopupStatus } = require('../controllers/mpesaController');
+const { quoteWithdrawal, initiateWithdrawal, getWithdrawalStatus } = require('../controllers/withdrawalController');
+const { lookupRecipient, createTransfer } = require('../controllers/transferController');
+const { getHistory } = require('../controllers/walletController');
+const {
+    topupValidation,
+    withdrawalValidation,
+    withdrawalQuoteValidation,
+    transferLookupValidation,
+    transferValidation,
+    checkValidation
+} = require('../middleware/validation');
 
 /**
  * GET /api/v1/wallet/balance
@@ -12,10 +25,9 @@ router.get('/balance', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.user_id;
 
-        // Get user balance
         const { data: userData, error: userError } = await supabase
             .from('users')
-            .select('balance, currency')
+            .select('currency')
             .eq('user_id', userId)
             .single();
 
@@ -26,10 +38,13 @@ router.get('/balance', authenticateToken, async (req, res) => {
             });
         }
 
+        // Balance comes from the wallet ledger
+        const balance = await getUserBalance(userId);
+
         return res.status(200).json({
             success: true,
             data: {
-                balance: parseFloat(userData.balance || 0),
+                balance,
                 currency: userData.currency || 'KES'
             }
         });
@@ -43,4 +58,52 @@ router.get('/balance', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/v1/wallet/topup
+ * Fund the wallet via M-Pesa STK Push (credited when the callback arrives)
+ */
+router.post('/topup', authenticateToken, topupValidation, checkValidation, initiateTopup);
+
+/**
+ * GET /api/v1/wallet/topup/:request_id
+ * Poll the status of a top-up
+ */
+router.get('/topup/:request_id', authenticateToken, getTopupStatus);
+
+/**
+ * GET /api/v1/wallet/withdraw/quote?amount=
+ * Fee for a withdrawal before the PIN is entered
+ */
+router.get('/withdraw/quote', authenticateToken, withdrawalQuoteValidation, checkValidation, quoteWithdrawal);
+
+/**
+ * POST /api/v1/wallet/withdraw
+ * Cash out to M-Pesa (B2C); amount + fee are held until the result arrives
+ */
+router.post('/withdraw', authenticateToken, withdrawalValidation, checkValidation, initiateWithdrawal);
+
+/**
+ * GET /api/v1/wallet/withdraw/:request_id
+ * Poll the status of a withdrawal
+ */
+router.get('/withdraw/:request_id', authenticateToken, getWithdrawalStatus);
+
+/**
+ * POST /api/v1/wallet/transfer/lookup
+ * Recipient name for a phone number, shown before the PIN is entered
+ */
+router.post('/transfer/lookup', authenticateToken, transferLookupValidation, checkValidation, lookupRecipient);
+
+/**
+ * POST /api/v1/wallet/transfer
+ * Send money to another rider by phone number
+ */
+router.post('/transfer', authenticateToken, transferValidation, checkValidation, createTransfer);
+
+/**
+ * GET /api/v1/wallet/history
+ * Paginated wallet history (payments, top-ups, withdrawals, transfers)
+ */
+router.get('/history', authenticateToken, getHistory);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,71 @@
+// GTFS import command
+// Usage: npm run import:gtfs -- <feed.zip> [--apply] [--effective-from <ISO date>] [--user <admin user id>]
+// Without --apply this is a dry run: it prints what would change and writes nothing.
+
+require('dotenv').config();
+
+const { readGtfsZip, planImport, formatPlan, applyImport } = require('../services/gtfs');
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - process.argv without node and script
+ * @returns {Object} { file, apply, effectiveFrom, userId }
+ */
+function parseArgs(argv) {
+    const options = { file: null, apply: false, effectiveFrom: null, userId: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--apply') {
+            options.apply = true;
+        } else if (arg === '--effective-from') {
+            options.effectiveFrom = argv[++i];
+        } else if (arg === '--user') {
+            options.userId = argv[++i];
+        } else if (!options.file) {
+            options.file = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!options.file) {
+        throw new Error('Usage: npm run import:gtfs -- <feed.zip> [--apply] [--effective-from <ISO date>] [--user <admin user id>]');
+    }
+    if (options.effectiveFrom && isNaN(Date.parse(options.effectiveFrom))) {
+        throw new Error(`Invalid --effective-from: ${options.effectiveFrom}`);
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const feed = readGtfsZip(options.file);
+    const plan = await planImport(feed);
+
+    console.log(formatPlan(plan));
+
+    if (!options.apply) {
+        console.log('\nDry run - nothing written. Re-run with --apply to import.');
+        return;
+    }
+
+    const result = await applyImport(plan, {
+        userId: options.userId,
+        effectiveFrom: options.effectiveFrom ? new Date(options.effectiveFrom).toISOString() : null
+    });
+
+    console.log(`\nImported: ${result.routes_created} routes created, ${result.routes_updated} routes updated, ` +
+        `${result.fares_written} fare rules written`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('GTFS import error:', error.message || error);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs };
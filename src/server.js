@@ -10,6 +10,18 @@ const authRoutes = require('./routes/auth');
 const paymentRoutes = require('./routes/payment');
 const walletRoutes = require('./routes/wallet');
 const qrRoutes = require('./routes/qr');
+const mpesaRoutes = require('./routes/mpesa');
+const settlementRoutes = require('./routes/settlements');
+const merchantRoutes = require('./routes/merchant');
+const saccoRoutes = require('./routes/sacco');
+const fareRoutes = require('./routes/fares');
+const transitRoutes = require('./routes/transitRoutes');
+const gtfsRealtimeRoutes = require('./routes/gtfsRealtime');
+const deviceRoutes = require('./routes/devices');
+const telemetryRoutes = require('./routes/telemetry');
+const fraudAlertRoutes = require('./routes/fraudAlerts');
+const darajaSimulator = require('./simulators/daraja');
+const { scheduleDailySettlement } = require('./jobs/settlementJob');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -54,6 +66,21 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/qr', qrRoutes);
 app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/wallet', walletRoutes);
+app.use('/api/v1/mpesa', mpesaRoutes);
+app.use('/api/v1/settlements', settlementRoutes);
+app.use('/api/v1/merchant', merchantRoutes);
+app.use('/api/v1/sacco', saccoRoutes);
+app.use('/api/v1/fares', fareRoutes);
+app.use('/api/v1/routes', transitRoutes);
+app.use('/api/v1/gtfs-rt', gtfsRealtimeRoutes);
+app.use('/api/v1/devices', deviceRoutes);
+app.use('/api/v1/telemetry', telemetryRoutes);
+app.use('/api/v1/fraud-alerts', fraudAlertRoutes);
+
+// Local Daraja stand-in (offline development only)
+if (process.env.MPESA_ENV === 'simulator') {
+    app.use('/simulator/daraja', darajaSimulator);
+}
 
 // 404 handler
 app.use((req, res) => {
@@ -85,6 +112,10 @@ async function startServer() {
             process.exit(1);
         }
 
+        if (process.env.SETTLEMENT_JOB_ENABLED !== 'false') {
+            scheduleDailySettlement();
+        }
+
         app.listen(PORT, () => {
             console.log('');
             console.log('🚀 EmSec Backend API');
@@ -98,9 +129,28 @@ async function startServer() {
             console.log(`   POST   /api/v1/auth/login`);
             console.log(`   POST   /api/v1/auth/refresh`);
             console.log(`   POST   /api/v1/auth/logout`);
+            console.log(`   GET    /api/v1/auth/sessions`);
             console.log(`   POST   /api/v1/qr/scan`);
+            console.log(`   GET    /api/v1/qr/current`);
             console.log(`   POST   /api/v1/payments/process`);
             console.log(`   GET    /api/v1/wallet/balance`);
+            console.log(`   POST   /api/v1/wallet/topup`);
+            console.log(`   POST   /api/v1/wallet/withdraw`);
+            console.log(`   POST   /api/v1/wallet/transfer`);
+            console.log(`   GET    /api/v1/wallet/history`);
+            console.log(`   GET    /api/v1/settlements`);
+            console.log(`   GET    /api/v1/merchant/takings/today`);
+            console.log(`   GET    /api/v1/sacco/reports/vehicles`);
+            console.log(`   POST   /api/v1/fares`);
+            console.log(`   GET    /api/v1/routes`);
+            console.log(`   GET    /api/v1/gtfs-rt/vehicle-positions`);
+            console.log(`   POST   /api/v1/devices`);
+            console.log(`   POST   /api/v1/devices/activate`);
+            console.log(`   POST   /api/v1/telemetry/gps`);
+            console.log(`   GET    /api/v1/fraud-alerts`);
+            if (process.env.MPESA_ENV === 'simulator') {
+                console.log(`   ⚠️  M-Pesa: using local Daraja simulator`);
+            }
             console.log('');
             console.log('📖 API Documentation: See emsec_api_documentation.docx');
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -0,0 +1,38 @@
+// Audit trail (audit_logs)
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+/**
+ * Write an audit_logs entry. Failures are logged, never thrown, so an
+ * audit hiccup cannot undo a completed operation.
+ * @param {Object} entry
+ * @param {string} entry.user_id - Acting user
+ * @param {string} entry.action - e.g. 'payment_refunded'
+ * @param {string} entry.entity_type - e.g. 'transaction'
+ * @param {string} entry.entity_id - ID of the affected row
+ * @param {Object} entry.details - Extra context
+ * @param {string} entry.ip_address - Request IP
+ */
+async function logAudit({ user_id, action, entity_type, entity_id, details = {}, ip_address = null }) {
+    const { error } = await supabase
+        .from('audit_logs')
+        .insert({
+            log_id: crypto.randomUUID(),
+            user_id,
+            action,
+            entity_type,
+            entity_id,
+            details,
+            ip_address,
+            created_at: new Date().toISOString()
+        });
+
+    if (error) {
+        console.error('Audit log error:', error);
+    }
+}
+
+module.exports = {
+    logAudit
+};
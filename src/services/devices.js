@@ -0,0 +1,92 @@
+// On-board device credentials
+// A device is provisioned with a one-time activation code, which the unit
+// exchanges for its device_token (sent as X-Device-Token, see
+// authenticateDevice). Only the SHA-256 of an activation code or a
+// device_token is stored.
+
+const crypto = require('crypto');
+
+/**
+ * Device lifecycle states (devices.status)
+ */
+const DeviceStatus = {
+    PENDING_ACTIVATION: 'pending_activation',
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    REVOKED: 'revoked'
+};
+
+// No 0/O or 1/I, so codes survive being read out over the phone
+const ACTIVATION_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ACTIVATION_CODE_LENGTH = 8;
+
+/**
+ * How long an activation code can be used
+ * @returns {number} Milliseconds
+ */
+function getActivationCodeTtlMs() {
+    return (parseInt(process.env.DEVICE_ACTIVATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+/**
+ * New device_token for an activated device
+ * @returns {string} Random token, e.g. emdev_3f9c...
+ */
+function generateDeviceToken() {
+    return `emdev_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Hash of a device_token as stored in devices.device_secret_hash
+ * @param {string} token - device_token
+ * @returns {string} Hex SHA-256
+ */
+function hashDeviceToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * New one-time activation code
+ * @returns {string} Code as shown to the installer, e.g. K7QM-2XPA
+ */
+function generateActivationCode() {
+    let code = '';
+    for (let i = 0; i < ACTIVATION_CODE_LENGTH; i++) {
+        code += ACTIVATION_ALPHABET[crypto.randomInt(ACTIVATION_ALPHABET.length)];
+    }
+    return `${code.substring(0, 4)}-${code.substring(4)}`;
+}
+
+/**
+ * Hash of an activation code as stored in devices.activation_code_hash.
+ * Case, spaces and dashes are ignored.
+ * @param {string} code - Activation code
+ * @returns {string} Hex SHA-256
+ */
+function hashActivationCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * A fresh activation code with its stored form
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Object} { code, activation_code_hash, activation_expires_at }
+ */
+function issueActivationCode(now = Date.now()) {
+    const code = generateActivationCode();
+
+    return {
+        code,
+        activation_code_hash: hashActivationCode(code),
+        activation_expires_at: new Date(now + getActivationCodeTtlMs()).toISOString()
+    };
+}
+
+module.exports = {
+    DeviceStatus,
+    generateDeviceToken,
+    hashDeviceToken,
+    hashActivationCode,
+    issueActivationCode
+};
@@ -0,0 +1,446 @@
+// Fare rules
+// Each rule prices one route_id / origin / destination over the half-open
+// period [effective_from, effective_until). Writes go through the
+// create_fare_rules / retire_fare_rule database functions, which serialise
+// writers and reject overlapping periods.
+//
+// The fare a rider pays is the rule's base fare adjusted by the route's
+// time-of-day schedules (fare_schedules) and any modifiers a SACCO has
+// switched on (fare_modifiers), rounded to whole shillings.
+
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { ErrorCodes } = require('../utils/response');
+const { Roles } = require('../middleware/auth');
+const { roundMoney } = require('./ledger');
+
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+const FARE_RULE_FIELDS = `
+    fare_rule_id,
+    route_id,
+    origin_stop_id,
+    destination_stop_id,
+    fare_amount,
+    effective_from,
+    effective_until,
+    created_by,
+    retired_by,
+    created_at
+`;
+
+// HTTP status for each rejection reason (anything else is a 500)
+const ERROR_STATUS = {
+    [ErrorCodes.INVALID_INPUT]: 400,
+    [ErrorCodes.FARE_MISMATCH]: 400,
+    [ErrorCodes.FARE_NOT_FOUND]: 404,
+    [ErrorCodes.NOT_FOUND]: 404,
+    [ErrorCodes.FARE_RULE_OVERLAP]: 409,
+    [ErrorCodes.FARE_RULE_RETIRED]: 409
+};
+
+/**
+ * Error raised when a fare lookup or fare rule change is rejected
+ */
+class FareError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message - Human readable message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'FareError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+    }
+}
+
+/**
+ * Fares in force at time T for every destination from an origin
+ * @param {string} routeId - Route ID
+ * @param {string} originStopId - Origin stop ID
+ * @param {Date} at - Instant (default now)
+ * @returns {Map} destination_stop_id -> fare_rules row
+ */
+async function getFaresFromOrigin(routeId, originStopId, at = new Date()) {
+    const { data: rules, error } = await supabase
+        .from('fare_rules')
+        .select(FARE_RULE_FIELDS)
+        .eq('route_id', routeId)
+        .eq('origin_stop_id', originStopId)
+        .lte('effective_from', at.toISOString())
+        .or(`effective_until.is.null,effective_until.gt.${at.toISOString()}`)
+        .order('effective_from', { ascending: true });
+
+    if (error) throw error;
+
+    // Later rules win if legacy data still overlaps
+    return new Map(rules.map(rule => [rule.destination_stop_id, rule]));
+}
+
+/**
+ * The fare rule in force at time T for one journey
+ * @param {string} routeId - Route ID
+ * @param {string} originStopId - Origin stop ID
+ * @param {string} destinationStopId - Destination stop ID
+ * @param {Date} at - Instant (default now)
+ * @returns {Object|null} fare_rules row with numeric fare_amount
+ */
+async function resolveFare(routeId, originStopId, destinationStopId, at = new Date()) {
+    const fares = await getFaresFromOrigin(routeId, originStopId, at);
+    const rule = fares.get(destinationStopId);
+
+    return rule ? { ...rule, fare_amount: parseFloat(rule.fare_amount) } : null;
+}
+
+/**
+ * Weekday (ISO, 1 = Monday) and minute of day in Nairobi time
+ * @param {Date} at - Instant
+ * @returns {Object} { day, minutes }
+ */
+function toLocalTime(at) {
+    const local = new Date(at.getTime() + EAT_OFFSET_MS);
+    return {
+        day: local.getUTCDay() || 7,
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+    };
+}
+
+/**
+ * Minutes since midnight of a time column ("HH:MM" or "HH:MM:SS")
+ * @param {string} time - Time
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Does a schedule's weekday/time window contain an instant?
+ * A window that wraps midnight belongs to the weekday it starts on.
+ * @param {Object} schedule - fare_schedules row
+ * @param {Date} at - Instant
+ * @returns {boolean}
+ */
+function isScheduleInWindow(schedule, at) {
+    const { day, minutes } = toLocalTime(at);
+    const start = toMinutes(schedule.start_time);
+    const end = toMinutes(schedule.end_time);
+    const days = schedule.days_of_week.map(Number);
+
+    if (start < end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    const previousDay = day === 1 ? 7 : day - 1;
+    return (minutes >= start && days.includes(day)) ||
+        (minutes < end && days.includes(previousDay));
+}
+
+/**
+ * Schedules and switched-on modifiers that apply on a route at an instant
+ * Modifiers are real-time switches, so their current state is used.
+ * @param {string} routeId - Route ID
+ * @param {Date} at - Instant (default now)
+ * @returns {Array} [{ source, id, name, adjustment_type, adjustment_value }]
+ */
+async function getFareAdjustments(routeId, at = new Date()) {
+    const [schedules, modifiers] = await Promise.all([
+        supabase
+            .from('fare_schedules')
+            .select('schedule_id, name, days_of_week, start_time, end_time, adjustment_type, adjustment_value')
+            .eq('route_id', routeId)
+            .eq('active', true)
+            .order('start_time', { ascending: true }),
+        supabase
+            .from('fare_modifiers')
+            .select('modifier_id, name, adjustment_type, adjustment_value, expires_at')
+            .eq('route_id', routeId)
+            .eq('is_active', true)
+            .order('name', { ascending: true })
+    ]);
+
+    if (schedules.error) throw schedules.error;
+    if (modifiers.error) throw modifiers.error;
+
+    const now = new Date();
+
+    return [
+        ...schedules.data
+            .filter(schedule => isScheduleInWindow(schedule, at))
+            .map(schedule => ({
+                source: 'schedule',
+                id: schedule.schedule_id,
+                name: schedule.name,
+                adjustment_type: schedule.adjustment_type,
+                adjustment_value: parseFloat(schedule.adjustment_value)
+            })),
+        ...modifiers.data
+            .filter(modifier => !modifier.expires_at || new Date(modifier.expires_at) > now)
+            .map(modifier => ({
+                source: 'modifier',
+                id: modifier.modifier_id,
+                name: modifier.name,
+                adjustment_type: modifier.adjustment_type,
+                adjustment_value: parseFloat(modifier.adjustment_value)
+            }))
+    ];
+}
+
+/**
+ * Apply adjustments to a base fare, schedules first, in order
+ * @param {number} baseFare - fare_rules amount
+ * @param {Array} adjustments - From getFareAdjustments()
+ * @returns {Object} { base_fare, fare, adjustments } with each adjustment's KES effect
+ */
+function applyFareAdjustments(baseFare, adjustments) {
+    let fare = baseFare;
+
+    const applied = adjustments.map(adjustment => {
+        const before = fare;
+        fare = adjustment.adjustment_type === 'percent'
+            ? fare * (1 + adjustment.adjustment_value / 100)
+            : fare + adjustment.adjustment_value;
+
+        return {
+            ...adjustment,
+            amount: roundMoney(fare - before)
+        };
+    });
+
+    return {
+        base_fare: baseFare,
+        fare: Math.max(1, Math.round(fare)),
+        adjustments: applied
+    };
+}
+
+/**
+ * Priced fares for every destination from an origin
+ * @param {string} routeId - Route ID
+ * @param {string} originStopId - Origin stop ID
+ * @param {Date} at - Instant (default now)
+ * @returns {Map} destination_stop_id -> { fare_rule_id, base_fare, fare, adjustments }
+ */
+async function quoteFaresFromOrigin(routeId, originStopId, at = new Date()) {
+    const [rules, adjustments] = await Promise.all([
+        getFaresFromOrigin(routeId, originStopId, at),
+        getFareAdjustments(routeId, at)
+    ]);
+
+    const quotes = new Map();
+    for (const [destination, rule] of rules) {
+        quotes.set(destination, {
+            fare_rule_id: rule.fare_rule_id,
+            ...applyFareAdjustments(parseFloat(rule.fare_amount), adjustments)
+        });
+    }
+    return quotes;
+}
+
+/**
+ * Priced fare for one journey
+ * @param {string} routeId - Route ID
+ * @param {string} originStopId - Origin stop ID
+ * @param {string} destinationStopId - Destination stop ID
+ * @param {Date} at - Instant (default now)
+ * @returns {Object|null} { fare_rule_id, base_fare, fare, adjustments }
+ */
+async function quoteFare(routeId, originStopId, destinationStopId, at = new Date()) {
+    const rule = await resolveFare(routeId, originStopId, destinationStopId, at);
+    if (!rule) {
+        return null;
+    }
+
+    const adjustments = await getFareAdjustments(routeId, at);
+    return {
+        fare_rule_id: rule.fare_rule_id,
+        ...applyFareAdjustments(rule.fare_amount, adjustments)
+    };
+}
+
+/**
+ * Short description of applied adjustments, e.g. "Evening peak +10%, rain +KES 20"
+ * @param {Array} adjustments - Applied adjustments
+ * @returns {string} Description ('' when none)
+ */
+function describeAdjustments(adjustments) {
+    return adjustments
+        .map(adjustment => {
+            const sign = adjustment.adjustment_value >= 0 ? '+' : '-';
+            const value = Math.abs(adjustment.adjustment_value);
+            return adjustment.adjustment_type === 'percent'
+                ? `${adjustment.name} ${sign}${value}%`
+                : `${adjustment.name} ${sign}KES ${value}`;
+        })
+        .join(', ');
+}
+
+/**
+ * Confirm a charged amount is the fare in force for a journey
+ * @param {Object} journey
+ * @param {string} journey.route_id - Route ID
+ * @param {string} journey.origin_stop - Origin stop ID
+ * @param {string} journey.destination_stop - Destination stop ID
+ * @param {number} journey.amount - Amount the client wants to charge
+ * @param {Date} journey.at - Instant (default now)
+ * @returns {Object} The matching quote from quoteFare()
+ * @throws {FareError} FARE_NOT_FOUND or FARE_MISMATCH
+ */
+async function verifyFare({ route_id, origin_stop, destination_stop, amount, at = new Date() }) {
+    if (!route_id || !origin_stop || !destination_stop) {
+        throw new FareError(ErrorCodes.INVALID_INPUT, 'Route, origin and destination are required for fare payments');
+    }
+
+    const quote = await quoteFare(route_id, origin_stop, destination_stop, at);
+
+    if (!quote) {
+        throw new FareError(ErrorCodes.FARE_NOT_FOUND, 'No fare is set for this journey');
+    }
+
+    if (roundMoney(amount) !== roundMoney(quote.fare)) {
+        const applied = describeAdjustments(quote.adjustments);
+        throw new FareError(
+            ErrorCodes.FARE_MISMATCH,
+            `Fare for this journey is KES ${quote.fare.toFixed(2)}${applied ? ` (${applied})` : ''}`
+        );
+    }
+
+    return quote;
+}
+
+/**
+ * Routes a user may manage fares on (null = every route)
+ * Fares apply to everyone on a route, so SACCO managers only manage routes
+ * that no other operator runs on; shared routes are left to admins.
+ * @param {Object} user - req.user (after requireRole)
+ * @returns {Set|null} Route IDs
+ */
+async function getManagedRouteIds(user) {
+    if (user.role === Roles.ADMIN) {
+        return null;
+    }
+    if (!user.sacco_id) {
+        return new Set();
+    }
+
+    const { data: own, error } = await supabase
+        .from('devices')
+        .select('route_id, merchants!inner ( sacco_id )')
+        .eq('merchants.sacco_id', user.sacco_id)
+        .not('route_id', 'is', null);
+
+    if (error) throw error;
+
+    const routeIds = [...new Set(own.map(device => device.route_id))];
+    if (routeIds.length === 0) {
+        return new Set();
+    }
+
+    const { data: devices, error: devicesError } = await supabase
+        .from('devices')
+        .select('route_id, merchants ( sacco_id )')
+        .in('route_id', routeIds);
+
+    if (devicesError) throw devicesError;
+
+    const shared = new Set(
+        devices
+            .filter(device => !device.merchants || device.merchants.sacco_id !== user.sacco_id)
+            .map(device => device.route_id)
+    );
+    return new Set(routeIds.filter(routeId => !shared.has(routeId)));
+}
+
+/**
+ * Create fare rules all-or-nothing
+ * @param {Array} rules - { route_id, origin_stop_id, destination_stop_id, fare_amount, effective_from, effective_until }
+ * @param {Object} options
+ * @param {boolean} options.replace - Close rules in force at each new rule's start
+ * @param {string} options.createdBy - Acting user ID
+ * @returns {Array} Created fare_rules rows
+ */
+async function createFareRules(rules, { replace = false, createdBy = null } = {}) {
+    const { data, error } = await supabaseAdmin.rpc('create_fare_rules', {
+        p_rules: rules.map(rule => ({ ...rule, fare_amount: roundMoney(rule.fare_amount) })),
+        p_replace: replace,
+        p_created_by: createdBy
+    });
+
+    if (error) {
+        throw toFareError(error);
+    }
+
+    return data || [];
+}
+
+/**
+ * Retire a fare rule from an instant onwards
+ * @param {string} fareRuleId - Fare rule ID
+ * @param {string|null} at - ISO timestamp (default now)
+ * @param {string} retiredBy - Acting user ID
+ * @returns {Object} Updated fare_rules row
+ */
+async function retireFareRule(fareRuleId, at, retiredBy) {
+    const { data, error } = await supabaseAdmin.rpc('retire_fare_rule', {
+        p_fare_rule_id: fareRuleId,
+        p_at: at || null,
+        p_retired_by: retiredBy
+    });
+
+    if (error) {
+        throw toFareError(error);
+    }
+
+    return data;
+}
+
+/**
+ * Map a database error from the fare functions to a FareError
+ * @param {Object} error - PostgREST error
+ * @returns {FareError}
+ */
+function toFareError(error) {
+    const message = error.message || '';
+
+    if (message.includes('FARE_RULE_OVERLAP')) {
+        return new FareError(
+            ErrorCodes.FARE_RULE_OVERLAP,
+            `Fare rule overlaps an existing rule${error.details ? ` (${error.details})` : ''}`
+        );
+    }
+    if (message.includes('FARE_RULE_INVALID_PERIOD')) {
+        return new FareError(ErrorCodes.INVALID_INPUT, 'effective_until must be after effective_from');
+    }
+    if (message.includes('FARE_RULE_INVALID_AMOUNT')) {
+        return new FareError(ErrorCodes.INVALID_INPUT, 'Fare amount must be positive');
+    }
+    if (message.includes('FARE_RULE_NOT_FOUND')) {
+        return new FareError(ErrorCodes.NOT_FOUND, 'Fare rule not found');
+    }
+    if (message.includes('FARE_RULE_ALREADY_RETIRED')) {
+        return new FareError(ErrorCodes.FARE_RULE_RETIRED, 'Fare rule has already ended');
+    }
+    if (error.code === '23503') {
+        return new FareError(ErrorCodes.NOT_FOUND, 'Route not found');
+    }
+
+    console.error('Fare rule error:', error);
+    return new FareError(ErrorCodes.SERVER_ERROR, 'Fare rule update failed');
+}
+
+module.exports = {
+    FARE_RULE_FIELDS,
+    FareError,
+    getFaresFromOrigin,
+    resolveFare,
+    getFareAdjustments,
+    applyFareAdjustments,
+    quoteFaresFromOrigin,
+    quoteFare,
+    describeAdjustments,
+    verifyFare,
+    getManagedRouteIds,
+    createFareRules,
+    retireFareRule
+};
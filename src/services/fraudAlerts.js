@@ -0,0 +1,140 @@
+// Fraud alert cases
+// Every fraud_alerts row is a case: open -> in_review -> confirmed_fraud
+// or false_positive. Alerts raised before their payment exists (scan-time
+// checks, step-up challenges) are linked to it once it goes through.
+
+const { supabase } = require('../config/supabase');
+const { fetchAllRows } = require('../utils/reporting');
+const { listRules } = require('./fraudRules');
+
+/**
+ * Case states (fraud_alerts.status)
+ */
+const AlertStatus = {
+    OPEN: 'open',
+    IN_REVIEW: 'in_review',
+    CONFIRMED_FRAUD: 'confirmed_fraud',
+    FALSE_POSITIVE: 'false_positive'
+};
+
+// States a case can still be worked in
+const UNRESOLVED = [AlertStatus.OPEN, AlertStatus.IN_REVIEW];
+
+// How far back a payment claims alerts raised on the way to it
+const LINK_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Attach the payer's unlinked alerts on this device (raised at scan or by
+ * a step-up challenge) to the payment that followed. Failures are logged,
+ * never thrown, so a payment that went through is not reported as failed.
+ * @param {Object} payment - { user_id, device_id, transaction_id }
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {number} Alerts linked
+ */
+async function linkAlertsToTransaction({ user_id, device_id, transaction_id }, now = Date.now()) {
+    if (!user_id || !device_id) {
+        return 0;
+    }
+
+    const { data: linked, error } = await supabase
+        .from('fraud_alerts')
+        .update({ transaction_id })
+        .eq('user_id', user_id)
+        .eq('device_id', device_id)
+        .is('transaction_id', null)
+        .or('decision.is.null,decision.neq.block')
+        .gte('created_at', new Date(now - LINK_WINDOW_MS).toISOString())
+        .select('alert_id');
+
+    if (error) {
+        console.error('Fraud alert link error:', error);
+        return 0;
+    }
+    return linked.length;
+}
+
+/**
+ * Share of resolved cases that were real fraud
+ * @param {Object} counts - { confirmed_fraud, false_positive }
+ * @returns {number|null} 0-1, or null before anything is resolved
+ */
+function precision(counts) {
+    const resolved = counts.confirmed_fraud + counts.false_positive;
+    return resolved > 0 ? Math.round(counts.confirmed_fraud / resolved * 1000) / 1000 : null;
+}
+
+/**
+ * Empty outcome counters
+ * @returns {Object} Counts per status
+ */
+function emptyOutcomes() {
+    return { total: 0, open: 0, in_review: 0, confirmed_fraud: 0, false_positive: 0 };
+}
+
+/**
+ * How alerts were resolved, per alert type, per risk decision and per
+ * fraud rule, to tune rule weights and route thresholds against
+ * @param {Object} range - { from, to } ISO instants (to exclusive)
+ * @returns {Object} { alert_types, decisions, rules }
+ */
+async function getRuleTuningStats(range) {
+    const alerts = await fetchAllRows(() => supabase
+        .from('fraud_alerts')
+        .select('alert_id, alert_type, status, decision, risk_score, details')
+        .gte('created_at', range.from)
+        .lt('created_at', range.to)
+        .order('created_at', { ascending: true }));
+
+    const byType = new Map();
+    const byDecision = new Map();
+    const byRule = new Map(listRules().map(rule => [rule.id, {
+        rule: rule.id,
+        weight: rule.weight,
+        ...emptyOutcomes(),
+        points_total: 0
+    }]));
+
+    const count = (map, key, status, extra = {}) => {
+        if (!map.has(key)) {
+            map.set(key, { ...extra, ...emptyOutcomes() });
+        }
+        const entry = map.get(key);
+        entry.total += 1;
+        entry[status] = (entry[status] || 0) + 1;
+        return entry;
+    };
+
+    for (const alert of alerts) {
+        count(byType, alert.alert_type, alert.status, { alert_type: alert.alert_type });
+
+        if (alert.alert_type !== 'payment_risk') {
+            continue;
+        }
+
+        count(byDecision, alert.decision, alert.status, { decision: alert.decision });
+
+        for (const fired of (alert.details && alert.details.rules) || []) {
+            // Rules since removed still show up in old alerts
+            const entry = count(byRule, fired.rule, alert.status, { rule: fired.rule, weight: null, points_total: 0 });
+            entry.points_total += fired.points || 0;
+        }
+    }
+
+    const finish = entry => ({ ...entry, precision: precision(entry) });
+
+    return {
+        alert_types: Array.from(byType.values()).map(finish),
+        decisions: Array.from(byDecision.values()).map(finish),
+        rules: Array.from(byRule.values()).map(({ points_total, ...entry }) => ({
+            ...finish(entry),
+            average_points: entry.total > 0 ? Math.round(points_total / entry.total * 10) / 10 : null
+        }))
+    };
+}
+
+module.exports = {
+    AlertStatus,
+    UNRESOLVED,
+    linkAlertsToTransaction,
+    getRuleTuningStats
+};
@@ -0,0 +1,489 @@
+// Payment fraud rules engine
+// Every payment is run through a set of rules. Each rule looks at one
+// signal and scores it from 0 (nothing odd) to 1 (as suspicious as that
+// signal gets); the payment's risk score is the weighted sum, 0-100. The
+// route's thresholds then decide: allow, step up (confirm with a one-time
+// code sent by SMS, see services/stepUp.js) or block.
+//
+// Rules are plain objects registered with registerRule, so new signals
+// can be added without touching the payment handlers. Weights can be
+// overridden with FRAUD_RULE_WEIGHTS, e.g. "velocity=40,new_device=0".
+
+const { supabase } = require('../config/supabase');
+const { ErrorCodes } = require('../utils/response');
+const { calculateDistance, getGeofenceExcess, isValidCoordinates } = require('../utils/gps');
+const { StepUpStatus, issueStepUpChallenge, checkStepUpChallenge } = require('./stepUp');
+
+const RiskDecision = {
+    ALLOW: 'allow',
+    STEP_UP: 'step_up',
+    BLOCK: 'block'
+};
+
+// fraud_alerts.alert_level recorded for each decision
+const ALERT_LEVELS = {
+    [RiskDecision.ALLOW]: 'low',
+    [RiskDecision.STEP_UP]: 'medium',
+    [RiskDecision.BLOCK]: 'high'
+};
+
+// HTTP status for each rejection reason (anything else is a 500)
+const ERROR_STATUS = {
+    [ErrorCodes.ORIGIN_MISMATCH]: 400,
+    [ErrorCodes.FRAUD_DETECTED]: 403,
+    [ErrorCodes.STEP_UP_REQUIRED]: 403
+};
+
+/**
+ * Error raised when the risk decision stops a payment
+ */
+class RiskError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message - Human readable message
+     * @param {Object} details - Extra response data (e.g. the step-up challenge)
+     */
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'RiskError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+        this.details = details;
+    }
+}
+
+const rules = [];
+
+/**
+ * Add a rule to the engine
+ * @param {Object} rule - { id, weight, evaluate(payment) }, where evaluate
+ *   resolves to { score (0-1), details } or null when the rule does not fire
+ */
+function registerRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || typeof rule.evaluate !== 'function') {
+        throw new Error('A fraud rule needs an id and an evaluate function');
+    }
+    if (rules.some(existing => existing.id === rule.id)) {
+        throw new Error(`Fraud rule "${rule.id}" is already registered`);
+    }
+    rules.push(rule);
+}
+
+/**
+ * Registered rules with their effective weights
+ * @returns {Array} [{ id, weight, description }]
+ */
+function listRules() {
+    return rules.map(rule => ({
+        id: rule.id,
+        weight: getRuleWeight(rule),
+        description: rule.description
+    }));
+}
+
+/**
+ * A rule's weight, after any FRAUD_RULE_WEIGHTS override
+ * @param {Object} rule - Registered rule
+ * @returns {number} Points the rule adds at full score
+ */
+function getRuleWeight(rule) {
+    const overrides = (process.env.FRAUD_RULE_WEIGHTS || '').split(',');
+
+    for (const entry of overrides) {
+        const [id, value] = entry.split('=').map(part => part && part.trim());
+        const weight = parseFloat(value);
+        if (id === rule.id && Number.isFinite(weight) && weight >= 0) {
+            return weight;
+        }
+    }
+    return rule.weight;
+}
+
+/**
+ * Scores at which a route's payments are stepped up or blocked
+ * @param {Object|null} route - routes row (fraud_step_up_score, fraud_block_score)
+ * @returns {Object} { step_up_score, block_score }
+ */
+function getRiskThresholds(route) {
+    const stepUp = route && route.fraud_step_up_score !== null && route.fraud_step_up_score !== undefined
+        ? route.fraud_step_up_score
+        : parseInt(process.env.FRAUD_STEP_UP_SCORE) || 40;
+    const block = route && route.fraud_block_score !== null && route.fraud_block_score !== undefined
+        ? route.fraud_block_score
+        : parseInt(process.env.FRAUD_BLOCK_SCORE) || 70;
+
+    return { step_up_score: stepUp, block_score: block };
+}
+
+/**
+ * Run every rule over a payment
+ * @param {Object} payment
+ * @param {string} payment.user_id - Payer
+ * @param {string} payment.merchant_id - Payee
+ * @param {number} payment.amount - KES
+ * @param {Object} payment.device - devices row (activated_at) or null
+ * @param {string} payment.route_id - Route ID or null
+ * @param {string} payment.origin_stop - Selected boarding stop ID or null
+ * @param {Object} payment.gps - Payer's { latitude, longitude, accuracy_meters }
+ * @param {Object} payment.proximity - checkPassengerProximity result
+ * @param {number} payment.now - Current time in ms (default Date.now())
+ * @returns {Object} { risk_score, decision, rules: [{ rule, weight, score, points, details }], thresholds }
+ */
+async function assessPayment(payment) {
+    const gps = payment.gps || {};
+    const toNumber = value => (value !== null && value !== undefined && value !== '' ? parseFloat(value) : null);
+    const context = {
+        now: Date.now(),
+        ...payment,
+        gps: {
+            latitude: toNumber(gps.latitude),
+            longitude: toNumber(gps.longitude),
+            accuracy_meters: toNumber(gps.accuracy_meters)
+        },
+        route: null
+    };
+
+    if (payment.route_id) {
+        const { data: route } = await supabase
+            .from('routes')
+            .select('route_id, stops, fraud_step_up_score, fraud_block_score')
+            .eq('route_id', payment.route_id)
+            .maybeSingle();
+        context.route = route;
+    }
+
+    const fired = [];
+
+    for (const rule of rules) {
+        const weight = getRuleWeight(rule);
+        if (weight === 0) {
+            continue;
+        }
+
+        const result = await rule.evaluate(context);
+        if (!result || !(result.score > 0)) {
+            continue;
+        }
+
+        const score = Math.min(1, result.score);
+        fired.push({
+            rule: rule.id,
+            weight,
+            score: Math.round(score * 100) / 100,
+            points: Math.round(weight * score * 10) / 10,
+            details: result.details || {}
+        });
+    }
+
+    const riskScore = Math.min(100, Math.round(fired.reduce((sum, rule) => sum + rule.points, 0)));
+    const thresholds = getRiskThresholds(context.route);
+
+    let decision = RiskDecision.ALLOW;
+    if (riskScore >= thresholds.block_score) {
+        decision = RiskDecision.BLOCK;
+    } else if (riskScore >= thresholds.step_up_score) {
+        decision = RiskDecision.STEP_UP;
+    }
+
+    return {
+        risk_score: riskScore,
+        decision,
+        rules: fired,
+        thresholds
+    };
+}
+
+/**
+ * Apply a risk decision: returns when the payment may go ahead, throws a
+ * RiskError when it is blocked or needs stepping up. A step-up needs the
+ * code sent by SMS for this payment; without a usable one a new code is sent.
+ * @param {Object} assessment - assessPayment result
+ * @param {Object} binding - { user_id, phone_number, merchant_id, amount, step_up_challenge_id?, step_up_code? }
+ * @returns {boolean} True if the payment went through a step-up
+ */
+async function enforceRiskDecision(assessment, binding) {
+    if (assessment.decision === RiskDecision.BLOCK) {
+        // Keep the familiar message when the boarding point is the main reason
+        const top = [...assessment.rules].sort((a, b) => b.points - a.points)[0];
+        if (top && top.rule === 'origin_distance') {
+            throw new RiskError(
+                ErrorCodes.ORIGIN_MISMATCH,
+                'Origin location mismatch detected. Please verify your boarding point.'
+            );
+        }
+        throw new RiskError(ErrorCodes.FRAUD_DETECTED, 'Payment blocked for suspected fraud');
+    }
+
+    if (assessment.decision === RiskDecision.STEP_UP) {
+        if (binding.step_up_challenge_id) {
+            const check = await checkStepUpChallenge(binding);
+
+            if (check.status === StepUpStatus.VALID) {
+                return true;
+            }
+            if (check.status === StepUpStatus.WRONG_CODE && check.attempts_left > 0) {
+                throw new RiskError(
+                    ErrorCodes.STEP_UP_REQUIRED,
+                    'Incorrect confirmation code',
+                    {
+                        step_up_challenge_id: binding.step_up_challenge_id,
+                        expires_at: new Date(check.expires_at).toISOString(),
+                        attempts_left: check.attempts_left
+                    }
+                );
+            }
+        }
+
+        const challenge = await issueStepUpChallenge(binding);
+        throw new RiskError(
+            ErrorCodes.STEP_UP_REQUIRED,
+            'Enter the code sent to your phone to confirm this payment',
+            challenge
+        );
+    }
+
+    return false;
+}
+
+/**
+ * Record a risk decision in fraud_alerts (only when a rule fired).
+ * Failures are logged, never thrown, so a payment that went through is
+ * not reported as failed.
+ * @param {Object} assessment - assessPayment result
+ * @param {Object} context - { user_id, device_id, merchant_id, transaction_id?, amount, step_up_passed? }
+ * @returns {boolean} True if an alert was recorded
+ */
+async function recordRiskDecision(assessment, context) {
+    if (assessment.rules.length === 0) {
+        return false;
+    }
+
+    const { error } = await supabase.from('fraud_alerts').insert({
+        user_id: context.user_id,
+        transaction_id: context.transaction_id || null,
+        device_id: context.device_id || null,
+        merchant_id: context.merchant_id,
+        alert_type: 'payment_risk',
+        risk_score: assessment.risk_score,
+        alert_level: ALERT_LEVELS[assessment.decision],
+        decision: assessment.decision,
+        details: {
+            amount: context.amount,
+            step_up_passed: context.step_up_passed || false,
+            thresholds: assessment.thresholds,
+            rules: assessment.rules
+        }
+    });
+
+    if (error) {
+        console.error('Risk decision alert error:', error);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Compact form of the fired rules for the transaction row
+ * @param {Object} assessment - assessPayment result
+ * @returns {Array} [{ rule, points }]
+ */
+function summarizeRules(assessment) {
+    return assessment.rules.map(rule => ({ rule: rule.rule, points: rule.points }));
+}
+
+// Built-in rules
+
+registerRule({
+    id: 'origin_distance',
+    weight: 80,
+    description: 'Payer GPS outside the chosen boarding stop\'s geofence',
+    evaluate: async ({ route, origin_stop, gps }) => {
+        if (!route || !origin_stop || !gps || !isValidCoordinates(gps.latitude, gps.longitude)) {
+            return null;
+        }
+
+        const stop = (route.stops || []).find(s => s.id === origin_stop);
+        if (!stop || !isValidCoordinates(stop.latitude, stop.longitude)) {
+            return null;
+        }
+
+        const maxDistance = parseInt(process.env.GPS_MAX_DISTANCE_METERS) || 500;
+        const excess = getGeofenceExcess(gps.latitude, gps.longitude, stop, maxDistance) - (gps.accuracy_meters || 0);
+        if (excess <= 0) {
+            return null;
+        }
+
+        // Just outside is worth a step-up; most of a kilometre out is a block
+        return {
+            score: 0.5 + excess / 1500,
+            details: {
+                origin_stop,
+                meters_outside_geofence: Math.round(excess),
+                geofence: stop.geofence || { radius_meters: maxDistance }
+            }
+        };
+    }
+});
+
+registerRule({
+    id: 'passenger_vehicle_mismatch',
+    weight: 50,
+    description: 'Payer GPS far from the matatu\'s own position',
+    evaluate: async ({ proximity }) => {
+        if (!proximity || proximity.status !== 'mismatch') {
+            return null;
+        }
+
+        return {
+            score: 0.5 + (proximity.excess_meters - proximity.threshold_meters) / 2000,
+            details: {
+                distance_meters: proximity.distance_meters,
+                excess_meters: proximity.excess_meters,
+                threshold_meters: proximity.threshold_meters,
+                vehicle_fix_age_seconds: proximity.vehicle_fix_age_seconds
+            }
+        };
+    }
+});
+
+registerRule({
+    id: 'velocity',
+    weight: 30,
+    description: 'Many payments in a short time, or an impossible journey since the last one',
+    evaluate: async ({ user_id, gps, now }) => {
+        const windowMinutes = parseInt(process.env.FRAUD_VELOCITY_WINDOW_MINUTES) || 10;
+        const since = new Date(now - windowMinutes * 60 * 1000).toISOString();
+
+        const { data: recent, error } = await supabase
+            .from('transactions')
+            .select('gps_boarding_latitude, gps_boarding_longitude, created_at')
+            .eq('user_id', user_id)
+            .eq('transaction_type', 'payment')
+            .eq('status', 'success')
+            .gte('created_at', since)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        if (recent.length === 0) {
+            return null;
+        }
+
+        // Paying for a friend straight after yourself is normal; a run is not
+        const burstScore = (recent.length - 1) / 4;
+
+        // Faster than any matatu could have carried the payer
+        let travelScore = 0;
+        let speedKmh = null;
+        const last = recent[0];
+        if (gps && isValidCoordinates(gps.latitude, gps.longitude) &&
+            last.gps_boarding_latitude !== null && last.gps_boarding_longitude !== null) {
+            const meters = calculateDistance(
+                gps.latitude,
+                gps.longitude,
+                parseFloat(last.gps_boarding_latitude),
+                parseFloat(last.gps_boarding_longitude)
+            );
+            const seconds = Math.max(30, (now - new Date(last.created_at).getTime()) / 1000);
+            speedKmh = Math.round(meters / seconds * 3.6);
+            if (meters > 1000 && speedKmh > 120) {
+                travelScore = 1;
+            }
+        }
+
+        const score = Math.max(burstScore, travelScore);
+        if (score <= 0) {
+            return null;
+        }
+
+        return {
+            score,
+            details: {
+                payments_in_window: recent.length,
+                window_minutes: windowMinutes,
+                implied_speed_kmh: speedKmh
+            }
+        };
+    }
+});
+
+registerRule({
+    id: 'new_device',
+    weight: 15,
+    description: 'On-board device activated only recently',
+    evaluate: async ({ device, now }) => {
+        if (!device || !device.activated_at) {
+            return null;
+        }
+
+        const days = parseInt(process.env.FRAUD_NEW_DEVICE_DAYS) || 7;
+        const ageMs = now - new Date(device.activated_at).getTime();
+        const windowMs = days * 24 * 60 * 60 * 1000;
+
+        if (ageMs >= windowMs) {
+            return null;
+        }
+
+        return {
+            score: 1 - Math.max(0, ageMs) / windowMs,
+            details: {
+                activated_at: device.activated_at,
+                new_device_days: days
+            }
+        };
+    }
+});
+
+registerRule({
+    id: 'unusual_amount',
+    weight: 25,
+    description: 'Amount far above what is usually paid on the route (or to the merchant)',
+    evaluate: async ({ route_id, merchant_id, amount }) => {
+        let query = supabase
+            .from('transactions')
+            .select('amount')
+            .eq('transaction_type', 'payment')
+            .eq('status', 'success')
+            .order('created_at', { ascending: false })
+            .limit(200);
+
+        query = route_id ? query.eq('route_id', route_id) : query.eq('merchant_id', merchant_id);
+
+        const { data: history, error } = await query;
+
+        if (error) throw error;
+
+        // Too little history to know what usual is
+        if (history.length < 20) {
+            return null;
+        }
+
+        const amounts = history.map(row => parseFloat(row.amount)).sort((a, b) => a - b);
+        const median = amounts[Math.floor(amounts.length / 2)];
+        const ratio = median > 0 ? amount / median : 0;
+
+        if (ratio < 2) {
+            return null;
+        }
+
+        return {
+            score: (ratio - 1) / 4,
+            details: {
+                amount,
+                typical_amount: median,
+                times_typical: Math.round(ratio * 10) / 10
+            }
+        };
+    }
+});
+
+module.exports = {
+    RiskDecision,
+    RiskError,
+    registerRule,
+    listRules,
+    getRiskThresholds,
+    assessPayment,
+    enforceRiskDecision,
+    recordRiskDecision,
+    summarizeRules
+};
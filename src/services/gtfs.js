@@ -0,0 +1,437 @@
+// GTFS feed import
+// Reads a GTFS zip (routes, trips, stop_times, stops and optionally
+// fare_attributes / fare_rules) into our model: one routes row per GTFS
+// route with its stops ordered as on the route's longest direction-0 trip,
+// and one fare_rules row per origin/destination stop pair. planImport()
+// diffs the feed against the database; applyImport() writes the plan.
+
+const AdmZip = require('adm-zip');
+const { supabaseAdmin } = require('../config/supabase');
+const { parseCsv } = require('../utils/csv');
+const { normalizeStop, validateStops } = require('../utils/stops');
+const { createFareRules } = require('./fares');
+const { roundMoney } = require('./ledger');
+const { logAudit } = require('./audit');
+
+const REQUIRED_FILES = ['routes.txt', 'trips.txt', 'stop_times.txt', 'stops.txt'];
+const OPTIONAL_FILES = ['fare_attributes.txt', 'fare_rules.txt'];
+
+/**
+ * Read the tables we use from a GTFS zip
+ * @param {string} zipPath - Path to the .zip file
+ * @returns {Object} { routes, trips, stop_times, stops, fare_attributes, fare_rules }
+ */
+function readGtfsZip(zipPath) {
+    const zip = new AdmZip(zipPath);
+    const feed = {};
+
+    for (const name of [...REQUIRED_FILES, ...OPTIONAL_FILES]) {
+        // Some feeds nest the files in a folder
+        const entry = zip.getEntries().find(e => !e.isDirectory && e.entryName.split('/').pop() === name);
+
+        if (!entry) {
+            if (REQUIRED_FILES.includes(name)) {
+                throw new Error(`GTFS feed is missing ${name}`);
+            }
+            feed[name.replace('.txt', '')] = [];
+            continue;
+        }
+
+        feed[name.replace('.txt', '')] = parseCsv(entry.getData().toString('utf8'));
+    }
+
+    return feed;
+}
+
+/**
+ * Our stop id for a GTFS stop_id (lowercase letters, digits, - and _)
+ * @param {string} gtfsStopId - GTFS stop_id
+ * @returns {string} Stop id
+ */
+function toStopId(gtfsStopId) {
+    return gtfsStopId.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+/, '').substring(0, 50);
+}
+
+/**
+ * Build our routes from a feed
+ * @param {Object} feed - From readGtfsZip()
+ * @returns {Array} [{ gtfs_route_id, route_number, route_name, stops, zones, errors }]
+ */
+function buildRoutes(feed) {
+    const stopsById = new Map(feed.stops.map(stop => [stop.stop_id, stop]));
+
+    const stopTimesByTrip = new Map();
+    for (const stopTime of feed.stop_times) {
+        if (!stopTimesByTrip.has(stopTime.trip_id)) {
+            stopTimesByTrip.set(stopTime.trip_id, []);
+        }
+        stopTimesByTrip.get(stopTime.trip_id).push(stopTime);
+    }
+
+    const tripsByRoute = new Map();
+    for (const trip of feed.trips) {
+        if (!tripsByRoute.has(trip.route_id)) {
+            tripsByRoute.set(trip.route_id, []);
+        }
+        tripsByRoute.get(trip.route_id).push(trip);
+    }
+
+    return feed.routes.map(gtfsRoute => {
+        const built = {
+            gtfs_route_id: gtfsRoute.route_id,
+            route_number: gtfsRoute.route_short_name || gtfsRoute.route_id,
+            route_name: gtfsRoute.route_long_name || gtfsRoute.route_short_name || gtfsRoute.route_id,
+            stops: [],
+            zones: new Map(),
+            errors: []
+        };
+
+        // Representative trip: the longest one in direction 0 (or any direction)
+        const trips = tripsByRoute.get(gtfsRoute.route_id) || [];
+        const outbound = trips.filter(trip => !trip.direction_id || trip.direction_id === '0');
+        const candidates = outbound.length > 0 ? outbound : trips;
+
+        let stopTimes = [];
+        for (const trip of candidates) {
+            const times = stopTimesByTrip.get(trip.trip_id) || [];
+            if (times.length > stopTimes.length) {
+                stopTimes = times;
+            }
+        }
+
+        if (stopTimes.length === 0) {
+            built.errors.push('No trips with stop times');
+            return built;
+        }
+
+        stopTimes = [...stopTimes].sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+
+        for (const stopTime of stopTimes) {
+            const gtfsStop = stopsById.get(stopTime.stop_id);
+            if (!gtfsStop) {
+                built.errors.push(`Unknown stop_id ${stopTime.stop_id}`);
+                continue;
+            }
+
+            const stop = normalizeStop({
+                id: toStopId(gtfsStop.stop_id),
+                name: gtfsStop.stop_name,
+                latitude: gtfsStop.stop_lat,
+                longitude: gtfsStop.stop_lon
+            });
+
+            built.stops.push(stop);
+            if (gtfsStop.zone_id) {
+                built.zones.set(stop.id, gtfsStop.zone_id);
+            }
+        }
+
+        built.errors.push(...validateStops(built.stops));
+        return built;
+    });
+}
+
+/**
+ * Expand GTFS fares into per-stop-pair fares on our routes
+ * GTFS fare_rules match on route and origin/destination zone; a rule with
+ * no zones prices every journey on the route. When several rules match a
+ * pair, the first in the file wins.
+ * @param {Object} feed - From readGtfsZip()
+ * @param {Array} routes - From buildRoutes()
+ * @returns {Object} { fares: [{ gtfs_route_id, origin_stop_id, destination_stop_id, fare_amount }], warnings }
+ */
+function buildFares(feed, routes) {
+    const warnings = [];
+    const prices = new Map();
+
+    for (const attribute of feed.fare_attributes) {
+        if (attribute.currency_type && attribute.currency_type !== 'KES') {
+            warnings.push(`Fare ${attribute.fare_id} is in ${attribute.currency_type}, skipped`);
+            continue;
+        }
+        prices.set(attribute.fare_id, roundMoney(attribute.price));
+    }
+
+    const fares = new Map();
+
+    for (const rule of feed.fare_rules) {
+        const price = prices.get(rule.fare_id);
+        if (price === undefined) continue;
+
+        if (!rule.route_id) {
+            warnings.push(`Fare ${rule.fare_id} has no route_id, skipped`);
+            continue;
+        }
+
+        const route = routes.find(r => r.gtfs_route_id === rule.route_id);
+        if (!route || route.errors.length > 0) continue;
+
+        route.stops.forEach((origin, originIdx) => {
+            route.stops.slice(originIdx + 1).forEach(destination => {
+                if (rule.origin_id && route.zones.get(origin.id) !== rule.origin_id) return;
+                if (rule.destination_id && route.zones.get(destination.id) !== rule.destination_id) return;
+
+                const key = `${route.gtfs_route_id}|${origin.id}|${destination.id}`;
+                if (!fares.has(key)) {
+                    fares.set(key, {
+                        gtfs_route_id: route.gtfs_route_id,
+                        origin_stop_id: origin.id,
+                        destination_stop_id: destination.id,
+                        fare_amount: price
+                    });
+                }
+            });
+        });
+    }
+
+    return { fares: [...fares.values()], warnings };
+}
+
+/**
+ * Describe how a stop list changed
+ * @param {Array} before - Current stops
+ * @param {Array} after - Imported stops
+ * @returns {Object|null} { added, removed, reordered, moved } or null if identical
+ */
+function diffStops(before, after) {
+    const beforeIds = before.map(stop => stop.id);
+    const afterIds = after.map(stop => stop.id);
+    const added = afterIds.filter(id => !beforeIds.includes(id));
+    const removed = beforeIds.filter(id => !afterIds.includes(id));
+    const kept = afterIds.filter(id => beforeIds.includes(id));
+    const reordered = kept.join('|') !== beforeIds.filter(id => afterIds.includes(id)).join('|');
+
+    const moved = after.filter(stop => {
+        const old = before.find(s => s.id === stop.id);
+        return old && (old.name !== stop.name || old.latitude !== stop.latitude || old.longitude !== stop.longitude);
+    }).map(stop => stop.id);
+
+    if (added.length === 0 && removed.length === 0 && !reordered && moved.length === 0) {
+        return null;
+    }
+    return { added, removed, reordered, moved };
+}
+
+/**
+ * Diff a GTFS feed against the database
+ * @param {Object} feed - From readGtfsZip()
+ * @returns {Object} Plan: { routes: [...], fares: [...], warnings }
+ */
+async function planImport(feed) {
+    const built = buildRoutes(feed);
+    const { fares: builtFares, warnings } = buildFares(feed, built);
+
+    const { data: existingRoutes, error } = await supabaseAdmin
+        .from('routes')
+        .select('route_id, route_number, route_name, stops, version, gtfs_route_id');
+
+    if (error) throw error;
+
+    const routePlans = built.map(route => {
+        const existing = existingRoutes.find(r => r.gtfs_route_id === route.gtfs_route_id) ||
+            existingRoutes.find(r => !r.gtfs_route_id && r.route_number === route.route_number);
+
+        if (route.errors.length > 0) {
+            return { action: 'invalid', route, errors: route.errors };
+        }
+        if (!existing) {
+            return { action: 'create', route };
+        }
+
+        const stopChanges = diffStops(existing.stops || [], route.stops);
+        const renamed = existing.route_number !== route.route_number || existing.route_name !== route.route_name;
+
+        return {
+            action: stopChanges || renamed || !existing.gtfs_route_id ? 'update' : 'unchanged',
+            route,
+            existing,
+            stop_changes: stopChanges,
+            renamed
+        };
+    });
+
+    // Compare fares with the rules in force on routes we already have
+    const routeIds = routePlans.filter(plan => plan.existing).map(plan => plan.existing.route_id);
+    let currentFares = [];
+
+    if (routeIds.length > 0) {
+        const now = new Date().toISOString();
+        const { data, error: fareError } = await supabaseAdmin
+            .from('fare_rules')
+            .select('route_id, origin_stop_id, destination_stop_id, fare_amount')
+            .in('route_id', routeIds)
+            .lte('effective_from', now)
+            .or(`effective_until.is.null,effective_until.gt.${now}`);
+
+        if (fareError) throw fareError;
+        currentFares = data;
+    }
+
+    const farePlans = builtFares.map(fare => {
+        const routePlan = routePlans.find(plan => plan.route.gtfs_route_id === fare.gtfs_route_id);
+        const current = routePlan.existing && currentFares.find(f =>
+            f.route_id === routePlan.existing.route_id &&
+            f.origin_stop_id === fare.origin_stop_id &&
+            f.destination_stop_id === fare.destination_stop_id
+        );
+
+        if (!current) {
+            return { action: 'create', fare };
+        }
+        if (roundMoney(current.fare_amount) !== fare.fare_amount) {
+            return { action: 'update', fare, previous_amount: roundMoney(current.fare_amount) };
+        }
+        return { action: 'unchanged', fare };
+    });
+
+    return { routes: routePlans, fares: farePlans, warnings };
+}
+
+/**
+ * Human-readable dry-run report
+ * @param {Object} plan - From planImport()
+ * @returns {string} Report
+ */
+function formatPlan(plan) {
+    const lines = [];
+    const count = (items, action) => items.filter(item => item.action === action).length;
+
+    lines.push(`Routes: ${count(plan.routes, 'create')} new, ${count(plan.routes, 'update')} changed, ` +
+        `${count(plan.routes, 'unchanged')} unchanged, ${count(plan.routes, 'invalid')} invalid`);
+
+    for (const item of plan.routes) {
+        const label = `${item.route.route_number} (${item.route.route_name})`;
+
+        if (item.action === 'create') {
+            lines.push(`  + ${label}: ${item.route.stops.length} stops`);
+        } else if (item.action === 'update') {
+            const changes = [];
+            if (item.renamed) changes.push(`renamed from ${item.existing.route_number} (${item.existing.route_name})`);
+            if (item.stop_changes) {
+                const { added, removed, reordered, moved } = item.stop_changes;
+                if (added.length) changes.push(`+${added.length} stops [${added.join(', ')}]`);
+                if (removed.length) changes.push(`-${removed.length} stops [${removed.join(', ')}]`);
+                if (reordered) changes.push('stops reordered');
+                if (moved.length) changes.push(`${moved.length} stops renamed/moved`);
+            }
+            if (!item.existing.gtfs_route_id) changes.push('linked to GTFS route');
+            lines.push(`  ~ ${label}: ${changes.join('; ')}`);
+        } else if (item.action === 'invalid') {
+            lines.push(`  ! ${label}: skipped`);
+            item.errors.forEach(err => lines.push(`      ${err}`));
+        }
+    }
+
+    lines.push(`Fares: ${count(plan.fares, 'create')} new, ${count(plan.fares, 'update')} changed, ` +
+        `${count(plan.fares, 'unchanged')} unchanged`);
+
+    for (const item of plan.fares.filter(f => f.action === 'update')) {
+        const { gtfs_route_id, origin_stop_id, destination_stop_id, fare_amount } = item.fare;
+        lines.push(`  ~ ${gtfs_route_id} ${origin_stop_id} -> ${destination_stop_id}: KES ${item.previous_amount} -> ${fare_amount}`);
+    }
+
+    plan.warnings.forEach(warning => lines.push(`Warning: ${warning}`));
+
+    return lines.join('\n');
+}
+
+/**
+ * Write a plan to the database
+ * Route changes go through the routes table (so each change is a new route
+ * version); changed fares replace the rule in force from effectiveFrom.
+ * @param {Object} plan - From planImport()
+ * @param {Object} options
+ * @param {string} options.userId - Admin user ID recorded as author
+ * @param {string} options.effectiveFrom - ISO timestamp for new fares (default now)
+ * @returns {Object} { routes_created, routes_updated, fares_written }
+ */
+async function applyImport(plan, { userId = null, effectiveFrom = null } = {}) {
+    const routeIds = new Map();
+    let routesCreated = 0;
+    let routesUpdated = 0;
+
+    for (const item of plan.routes) {
+        const { route } = item;
+
+        // GTFS has no geofences; keep the ones set on stops we already have
+        const existingStops = item.existing ? item.existing.stops || [] : [];
+        const stops = route.stops.map(stop => {
+            const existing = existingStops.find(s => s.id === stop.id);
+            return existing && existing.geofence ? { ...stop, geofence: existing.geofence } : stop;
+        });
+
+        const fields = {
+            gtfs_route_id: route.gtfs_route_id,
+            route_number: route.route_number,
+            route_name: route.route_name,
+            stops,
+            updated_by: userId
+        };
+
+        if (item.action === 'create') {
+            const { data, error } = await supabaseAdmin.from('routes').insert(fields).select('route_id').single();
+            if (error) throw error;
+            routeIds.set(route.gtfs_route_id, data.route_id);
+            routesCreated++;
+        } else if (item.action === 'update') {
+            const { data, error } = await supabaseAdmin
+                .from('routes')
+                .update(fields)
+                .eq('route_id', item.existing.route_id)
+                .eq('version', item.existing.version)
+                .select('route_id')
+                .maybeSingle();
+            if (error) throw error;
+            if (!data) {
+                throw new Error(`Route ${route.route_number} changed during import; re-run the dry run`);
+            }
+            routeIds.set(route.gtfs_route_id, data.route_id);
+            routesUpdated++;
+        } else if (item.action === 'unchanged') {
+            routeIds.set(route.gtfs_route_id, item.existing.route_id);
+        }
+    }
+
+    // One start instant for every batch
+    const from = effectiveFrom || new Date().toISOString();
+    const rules = plan.fares
+        .filter(item => item.action !== 'unchanged' && routeIds.has(item.fare.gtfs_route_id))
+        .map(({ fare }) => ({
+            route_id: routeIds.get(fare.gtfs_route_id),
+            origin_stop_id: fare.origin_stop_id,
+            destination_stop_id: fare.destination_stop_id,
+            fare_amount: fare.fare_amount,
+            effective_from: from,
+            effective_until: null
+        }));
+
+    let faresWritten = 0;
+    for (let i = 0; i < rules.length; i += 500) {
+        const created = await createFareRules(rules.slice(i, i + 500), { replace: true, createdBy: userId });
+        faresWritten += created.length;
+    }
+
+    const result = {
+        routes_created: routesCreated,
+        routes_updated: routesUpdated,
+        fares_written: faresWritten
+    };
+
+    await logAudit({
+        user_id: userId,
+        action: 'gtfs_imported',
+        entity_type: 'route',
+        details: { ...result, effective_from: from }
+    });
+
+    return result;
+}
+
+module.exports = {
+    readGtfsZip,
+    buildRoutes,
+    buildFares,
+    planImport,
+    formatPlan,
+    applyImport
+};
@@ -0,0 +1,132 @@
+// GTFS-Realtime vehicle positions
+// Builds a VehiclePosition FeedMessage from the last GPS fix each active
+// matatu device reported. Vehicles whose fix is older than GPS_MAX_AGE_MS
+// are left out, the same window scanQR uses for origin detection.
+//
+// Route IDs are the GTFS route_id a route was imported with (see
+// services/gtfs.js), falling back to our route_id. Matatus do not run to a
+// timetable, so trip_id identifies one vehicle's service day on a route
+// rather than a scheduled trip in the static feed.
+
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const { supabase } = require('../config/supabase');
+const { GPS_MAX_AGE_MS } = require('../utils/gps');
+const { toBusinessDate } = require('../utils/reporting');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const GTFS_REALTIME_VERSION = '2.0';
+
+/**
+ * Seconds since the epoch, as GTFS-Realtime timestamps are
+ * @param {string|number|Date} timestamp - Any Date-parsable value
+ * @returns {number} POSIX time
+ */
+function toPosixTime(timestamp) {
+    return Math.floor(new Date(timestamp).getTime() / 1000);
+}
+
+/**
+ * Build the feed entity for one device
+ * @param {Object} device - devices row with merchants and routes joined
+ * @returns {Object} FeedEntity (plain object)
+ */
+function toVehicleEntity(device) {
+    const routeId = device.routes.gtfs_route_id || device.routes.route_id;
+    const startDate = toBusinessDate(device.last_gps_updated_at).replace(/-/g, '');
+    const plate = device.merchants.matatu_plate || undefined;
+
+    return {
+        id: device.device_id,
+        vehicle: {
+            trip: {
+                tripId: `${routeId}:${device.device_id}:${startDate}`,
+                routeId,
+                startDate
+            },
+            vehicle: {
+                id: device.device_id,
+                label: plate,
+                licensePlate: plate
+            },
+            position: {
+                latitude: parseFloat(device.last_gps_latitude),
+                longitude: parseFloat(device.last_gps_longitude)
+            },
+            timestamp: toPosixTime(device.last_gps_updated_at)
+        }
+    };
+}
+
+/**
+ * Current vehicle positions as a GTFS-Realtime FeedMessage
+ * @param {Date} now - Feed time (default now)
+ * @returns {Object} FeedMessage (plain object, see encodeFeed)
+ */
+async function getVehiclePositionFeed(now = new Date()) {
+    const freshSince = new Date(now.getTime() - GPS_MAX_AGE_MS).toISOString();
+
+    const { data: devices, error } = await supabase
+        .from('devices')
+        .select(`
+            device_id,
+            last_gps_latitude,
+            last_gps_longitude,
+            last_gps_updated_at,
+            merchants!inner (
+                matatu_plate,
+                status
+            ),
+            routes!inner (
+                route_id,
+                gtfs_route_id
+            )
+        `)
+        .eq('status', 'active')
+        .eq('gps_enabled', true)
+        .eq('merchants.status', 'active')
+        .not('last_gps_latitude', 'is', null)
+        .not('last_gps_longitude', 'is', null)
+        .gte('last_gps_updated_at', freshSince)
+        .order('device_id');
+
+    if (error) throw error;
+
+    return {
+        header: {
+            gtfsRealtimeVersion: GTFS_REALTIME_VERSION,
+            incrementality: 'FULL_DATASET',
+            timestamp: toPosixTime(now)
+        },
+        entity: devices.map(toVehicleEntity)
+    };
+}
+
+/**
+ * Encode a feed as GTFS-Realtime protobuf
+ * @param {Object} feed - From getVehiclePositionFeed()
+ * @returns {Buffer} Serialized FeedMessage
+ */
+function encodeFeed(feed) {
+    const message = FeedMessage.fromObject(feed);
+    return Buffer.from(FeedMessage.encode(message).finish());
+}
+
+/**
+ * Debug view of a feed, as the protobuf decodes
+ * @param {Object} feed - From getVehiclePositionFeed()
+ * @returns {Object} FeedMessage as JSON
+ */
+function feedToJson(feed) {
+    return FeedMessage.toObject(FeedMessage.fromObject(feed), {
+        enums: String,
+        longs: Number,
+        defaults: false
+    });
+}
+
+module.exports = {
+    getVehiclePositionFeed,
+    encodeFeed,
+    feedToJson
+};
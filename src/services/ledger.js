@@ -0,0 +1,726 @@
+// Double-entry wallet ledger
+// Balances live in ledger_accounts; every posting goes through the
+// post_ledger_transaction database function so the transaction rows and
+// all of their entries are written atomically.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { ErrorCodes } = require('../utils/response');
+
+const MAX_POSTING_ATTEMPTS = 3;
+
+// HTTP status for each rejection reason (anything else is a 500)
+const ERROR_STATUS = {
+    [ErrorCodes.INVALID_INPUT]: 400,
+    [ErrorCodes.INSUFFICIENT_BALANCE]: 400,
+    [ErrorCodes.REFUND_NOT_ALLOWED]: 400,
+    [ErrorCodes.REFUND_EXCEEDS_AMOUNT]: 400,
+    [ErrorCodes.MERCHANT_INACTIVE]: 403,
+    [ErrorCodes.NOT_FOUND]: 404,
+    [ErrorCodes.USER_NOT_FOUND]: 404,
+    [ErrorCodes.DUPLICATE_TRANSACTION]: 409,
+    [ErrorCodes.TRANSACTION_CONFLICT]: 409,
+    [ErrorCodes.SETTLEMENT_STATUS_INVALID]: 409
+};
+
+/**
+ * Well-known system account codes
+ */
+const SystemAccounts = {
+    COMMISSION: 'commission',
+    OPENING_BALANCE: 'opening_balance',
+    MPESA_CLEARING: 'mpesa_clearing',
+    WITHDRAWAL_HOLDS: 'withdrawal_holds',
+    WITHDRAWAL_FEES: 'withdrawal_fees',
+    SETTLEMENT_PAYOUTS: 'settlement_payouts'
+};
+
+/**
+ * Error raised when a posting is rejected by the ledger
+ */
+class LedgerError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message - Human readable message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'LedgerError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+    }
+}
+
+/**
+ * Round a KES amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+    return Math.round(parseFloat(amount) * 100) / 100;
+}
+
+/**
+ * Get a wallet account for a user or merchant
+ * @param {string} ownerType - 'user' or 'merchant'
+ * @param {string} ownerId - user_id or merchant_id
+ * @returns {Object|null} Account with numeric balance and version
+ */
+async function getAccount(ownerType, ownerId) {
+    const { data: account, error } = await supabaseAdmin
+        .from('ledger_accounts')
+        .select('account_id, balance, currency, version')
+        .eq('owner_type', ownerType)
+        .eq('owner_id', ownerId)
+        .eq('account_code', 'wallet')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!account) return null;
+
+    return {
+        ...account,
+        balance: parseFloat(account.balance),
+        version: parseInt(account.version)
+    };
+}
+
+/**
+ * Get a system account (commission, clearing accounts...)
+ * @param {string} code - One of SystemAccounts
+ * @returns {Object} Account
+ */
+async function getSystemAccount(code) {
+    const { data: account, error } = await supabaseAdmin
+        .from('ledger_accounts')
+        .select('account_id, balance, version')
+        .eq('owner_type', 'system')
+        .eq('account_code', code)
+        .single();
+
+    if (error || !account) {
+        throw new LedgerError(ErrorCodes.SERVER_ERROR, `Ledger system account "${code}" is missing`);
+    }
+
+    return account;
+}
+
+/**
+ * Get a user's wallet balance from the ledger
+ * @param {string} userId - User ID
+ * @returns {number} Balance in KES (0 if the wallet has not been opened)
+ */
+async function getUserBalance(userId) {
+    const account = await getAccount('user', userId);
+    return account ? account.balance : 0;
+}
+
+/**
+ * Call a ledger database function, rounding entry amounts and mapping
+ * rejections to LedgerError
+ * @param {string} name - Function name, e.g. 'post_ledger_transaction'
+ * @param {Object} params - Function arguments (p_entries is normalised)
+ * @returns {Object} Function result
+ */
+async function callLedgerFunction(name, params) {
+    const args = { ...params };
+    if (args.p_entries) {
+        args.p_entries = args.p_entries.map(entry => ({ ...entry, amount: roundMoney(entry.amount) }));
+    }
+
+    const { data, error } = await supabaseAdmin.rpc(name, args);
+
+    if (error) {
+        throw toLedgerError(error);
+    }
+
+    return data;
+}
+
+/**
+ * Insert transaction rows and post their entries in one atomic unit
+ * @param {Object} posting
+ * @param {Array} posting.transactions - Rows to insert into transactions
+ * @param {Array} posting.entries - { account_id, direction, amount, transaction_id, expected_version, memo }
+ * @returns {Object} { journal_id, transactions, accounts }
+ */
+async function postTransaction({ transactions = [], entries }) {
+    return callLedgerFunction('post_ledger_transaction', {
+        p_transactions: transactions,
+        p_entries: entries
+    });
+}
+
+/**
+ * Finalise a pending transaction and post its entries in one atomic unit
+ * @param {Object} completion
+ * @param {string} completion.transaction_id - Pending transaction
+ * @param {Object} completion.updates - Columns to set (status, balances...)
+ * @param {Array} completion.entries - Journal entries (may be empty)
+ * @returns {Object} { journal_id, transactions, accounts }
+ */
+async function completeTransaction({ transaction_id, updates, entries = [] }) {
+    return callLedgerFunction('complete_ledger_transaction', {
+        p_transaction_id: transaction_id,
+        p_updates: { processed_at: new Date().toISOString(), ...updates },
+        p_entries: entries
+    });
+}
+
+/**
+ * Post a journal, re-reading account versions when another posting wins the race
+ * @param {Function} buildPosting - async (attempt) => ({ transactions, entries, ...extra })
+ * @param {Function} post - postTransaction or completeTransaction
+ * @returns {Object} Posting result merged with whatever buildPosting returned
+ */
+async function postWithRetry(buildPosting, post = postTransaction) {
+    for (let attempt = 1; attempt <= MAX_POSTING_ATTEMPTS; attempt++) {
+        const posting = await buildPosting(attempt);
+
+        try {
+            const result = await post(posting);
+            return { ...posting, ...result };
+        } catch (error) {
+            if (error.code !== ErrorCodes.TRANSACTION_CONFLICT || attempt === MAX_POSTING_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Debit a user's wallet and credit the merchant and commission accounts
+ * @param {Object} payment
+ * @param {string} payment.user_id - Paying user
+ * @param {string} payment.merchant_id - Receiving merchant
+ * @param {number} payment.amount - Gross amount
+ * @param {number} payment.merchant_commission - Platform commission
+ * @param {number} payment.net_amount - Amount credited to the merchant
+ * @param {Object} payment.transaction - transactions row (balances are filled in)
+ * @returns {Object} { transaction, balance_before, balance_after }
+ */
+async function postPayment({ user_id, merchant_id, amount, merchant_commission, net_amount, transaction }) {
+    const commissionAccount = await getSystemAccount(SystemAccounts.COMMISSION);
+    const merchantAccount = await getAccount('merchant', merchant_id);
+
+    if (!merchantAccount) {
+        throw new LedgerError(ErrorCodes.MERCHANT_INACTIVE, 'Merchant wallet not found');
+    }
+
+    const result = await postWithRetry(async () => {
+        const userAccount = await getAccount('user', user_id);
+
+        if (!userAccount || userAccount.balance < amount) {
+            throw new LedgerError(ErrorCodes.INSUFFICIENT_BALANCE, 'Insufficient balance');
+        }
+
+        const balance_before = userAccount.balance;
+        const balance_after = roundMoney(balance_before - amount);
+        const { transaction_id } = transaction;
+
+        const entries = [
+            {
+                account_id: userAccount.account_id,
+                direction: 'debit',
+                amount,
+                transaction_id,
+                expected_version: userAccount.version,
+                memo: 'Payment'
+            },
+            {
+                account_id: merchantAccount.account_id,
+                direction: 'credit',
+                amount: net_amount,
+                transaction_id,
+                memo: 'Payment received'
+            }
+        ];
+
+        if (merchant_commission > 0) {
+            entries.push({
+                account_id: commissionAccount.account_id,
+                direction: 'credit',
+                amount: merchant_commission,
+                transaction_id,
+                memo: 'Commission'
+            });
+        }
+
+        return {
+            balance_before,
+            balance_after,
+            transactions: [{
+                ...transaction,
+                user_balance_before: balance_before,
+                user_balance_after: balance_after
+            }],
+            entries
+        };
+    });
+
+    return {
+        transaction: result.transactions[0],
+        balance_before: result.balance_before,
+        balance_after: result.balance_after
+    };
+}
+
+/**
+ * Credit a confirmed M-Pesa deposit to the user's wallet and mark it successful
+ * @param {Object} topup
+ * @param {string} topup.transaction_id - Pending top-up transaction
+ * @param {string} topup.user_id - Wallet owner
+ * @param {number} topup.amount - Amount confirmed by M-Pesa
+ * @param {Object} topup.updates - Extra transactions columns to set
+ * @returns {Object} { transaction, balance_before, balance_after }
+ */
+async function completeTopup({ transaction_id, user_id, amount, updates = {} }) {
+    const clearingAccount = await getSystemAccount(SystemAccounts.MPESA_CLEARING);
+
+    const result = await postWithRetry(async () => {
+        const userAccount = await getAccount('user', user_id);
+
+        if (!userAccount) {
+            throw new LedgerError(ErrorCodes.USER_NOT_FOUND, 'User wallet not found');
+        }
+
+        const balance_before = userAccount.balance;
+        const balance_after = roundMoney(balance_before + amount);
+
+        return {
+            transaction_id,
+            balance_before,
+            balance_after,
+            updates: {
+                ...updates,
+                status: 'success',
+                user_balance_before: balance_before,
+                user_balance_after: balance_after
+            },
+            entries: [
+                {
+                    account_id: userAccount.account_id,
+                    direction: 'credit',
+                    amount,
+                    transaction_id,
+                    expected_version: userAccount.version,
+                    memo: 'M-Pesa top-up'
+                },
+                {
+                    account_id: clearingAccount.account_id,
+                    direction: 'debit',
+                    amount,
+                    transaction_id,
+                    memo: 'M-Pesa top-up'
+                }
+            ]
+        };
+    }, completeTransaction);
+
+    return {
+        transaction: result.transactions[0],
+        balance_before: result.balance_before,
+        balance_after: result.balance_after
+    };
+}
+
+/**
+ * Move amount + fee from a user's wallet into the withdrawal hold
+ * @param {Object} withdrawal
+ * @param {string} withdrawal.user_id - Wallet owner
+ * @param {number} withdrawal.amount - Amount to pay out to M-Pesa
+ * @param {number} withdrawal.fee - Withdrawal fee
+ * @param {Object} withdrawal.transaction - Pending transactions row
+ * @returns {Object} { transaction, balance_before, balance_after }
+ */
+async function holdWithdrawal({ user_id, amount, fee, transaction }) {
+    const holdAccount = await getSystemAccount(SystemAccounts.WITHDRAWAL_HOLDS);
+    const total = roundMoney(amount + fee);
+
+    const result = await postWithRetry(async () => {
+        const userAccount = await getAccount('user', user_id);
+
+        if (!userAccount || userAccount.balance < total) {
+            throw new LedgerError(ErrorCodes.INSUFFICIENT_BALANCE, 'Insufficient balance');
+        }
+
+        const balance_before = userAccount.balance;
+        const balance_after = roundMoney(balance_before - total);
+        const { transaction_id } = transaction;
+
+        return {
+            balance_before,
+            balance_after,
+            transactions: [{
+                ...transaction,
+                user_balance_before: balance_before,
+                user_balance_after: balance_after
+            }],
+            entries: [
+                {
+                    account_id: userAccount.account_id,
+                    direction: 'debit',
+                    amount: total,
+                    transaction_id,
+                    expected_version: userAccount.version,
+                    memo: 'Withdrawal hold'
+                },
+                {
+                    account_id: holdAccount.account_id,
+                    direction: 'credit',
+                    amount: total,
+                    transaction_id,
+                    memo: 'Withdrawal hold'
+                }
+            ]
+        };
+    });
+
+    return {
+        transaction: result.transactions[0],
+        balance_before: result.balance_before,
+        balance_after: result.balance_after
+    };
+}
+
+/**
+ * Release a withdrawal hold after M-Pesa confirmed the payout
+ * @param {Object} withdrawal
+ * @param {string} withdrawal.transaction_id - Pending withdrawal
+ * @param {number} withdrawal.amount - Amount paid out
+ * @param {number} withdrawal.fee - Withdrawal fee
+ * @returns {Object} { journal_id, transactions, accounts }
+ */
+async function completeWithdrawal({ transaction_id, amount, fee }) {
+    const holdAccount = await getSystemAccount(SystemAccounts.WITHDRAWAL_HOLDS);
+    const clearingAccount = await getSystemAccount(SystemAccounts.MPESA_CLEARING);
+    const feeAccount = await getSystemAccount(SystemAccounts.WITHDRAWAL_FEES);
+
+    const entries = [
+        {
+            account_id: holdAccount.account_id,
+            direction: 'debit',
+            amount: roundMoney(amount + fee),
+            transaction_id,
+            memo: 'Withdrawal paid out'
+        },
+        {
+            account_id: clearingAccount.account_id,
+            direction: 'credit',
+            amount,
+            transaction_id,
+            memo: 'Withdrawal paid out'
+        }
+    ];
+
+    if (fee > 0) {
+        entries.push({
+            account_id: feeAccount.account_id,
+            direction: 'credit',
+            amount: fee,
+            transaction_id,
+            memo: 'Withdrawal fee'
+        });
+    }
+
+    return completeTransaction({ transaction_id, updates: { status: 'success' }, entries });
+}
+
+/**
+ * Return a withdrawal hold to the user's wallet after a failed payout
+ * @param {Object} withdrawal
+ * @param {string} withdrawal.transaction_id - Pending withdrawal
+ * @param {string} withdrawal.user_id - Wallet owner
+ * @param {number} withdrawal.amount - Amount that was to be paid out
+ * @param {number} withdrawal.fee - Withdrawal fee
+ * @returns {Object} { journal_id, transactions, accounts }
+ */
+async function reverseWithdrawal({ transaction_id, user_id, amount, fee }) {
+    const holdAccount = await getSystemAccount(SystemAccounts.WITHDRAWAL_HOLDS);
+    const userAccount = await getAccount('user', user_id);
+
+    if (!userAccount) {
+        throw new LedgerError(ErrorCodes.USER_NOT_FOUND, 'User wallet not found');
+    }
+
+    const total = roundMoney(amount + fee);
+
+    return completeTransaction({
+        transaction_id,
+        updates: { status: 'failed' },
+        entries: [
+            {
+                account_id: holdAccount.account_id,
+                direction: 'debit',
+                amount: total,
+                transaction_id,
+                memo: 'Withdrawal reversed'
+            },
+            {
+                account_id: userAccount.account_id,
+                direction: 'credit',
+                amount: total,
+                transaction_id,
+                memo: 'Withdrawal reversed'
+            }
+        ]
+    });
+}
+
+/**
+ * Move money from one user's wallet to another's
+ * @param {Object} transfer
+ * @param {string} transfer.sender_id - Sending user
+ * @param {string} transfer.recipient_id - Receiving user
+ * @param {number} transfer.amount - Amount in KES
+ * @param {Object} transfer.outgoing - transfer_out row for the sender
+ * @param {Object} transfer.incoming - transfer_in row for the recipient
+ * @returns {Object} { outgoing, incoming, sender_balance_after, recipient_balance_after }
+ */
+async function postTransfer({ sender_id, recipient_id, amount, outgoing, incoming }) {
+    const result = await postWithRetry(async () => {
+        const senderAccount = await getAccount('user', sender_id);
+        const recipientAccount = await getAccount('user', recipient_id);
+
+        if (!senderAccount || senderAccount.balance < amount) {
+            throw new LedgerError(ErrorCodes.INSUFFICIENT_BALANCE, 'Insufficient balance');
+        }
+
+        if (!recipientAccount) {
+            throw new LedgerError(ErrorCodes.USER_NOT_FOUND, 'Recipient wallet not found');
+        }
+
+        const sender_balance_after = roundMoney(senderAccount.balance - amount);
+        const recipient_balance_after = roundMoney(recipientAccount.balance + amount);
+
+        return {
+            sender_balance_after,
+            recipient_balance_after,
+            transactions: [
+                {
+                    ...outgoing,
+                    user_balance_before: senderAccount.balance,
+                    user_balance_after: sender_balance_after
+                },
+                {
+                    ...incoming,
+                    user_balance_before: recipientAccount.balance,
+                    user_balance_after: recipient_balance_after
+                }
+            ],
+            entries: [
+                {
+                    account_id: senderAccount.account_id,
+                    direction: 'debit',
+                    amount,
+                    transaction_id: outgoing.transaction_id,
+                    expected_version: senderAccount.version,
+                    memo: 'Transfer sent'
+                },
+                {
+                    account_id: recipientAccount.account_id,
+                    direction: 'credit',
+                    amount,
+                    transaction_id: incoming.transaction_id,
+                    expected_version: recipientAccount.version,
+                    memo: 'Transfer received'
+                }
+            ]
+        };
+    });
+
+    return {
+        outgoing: result.transactions[0],
+        incoming: result.transactions[1],
+        sender_balance_after: result.sender_balance_after,
+        recipient_balance_after: result.recipient_balance_after
+    };
+}
+
+/**
+ * Commission to reverse for a refund: pro rata, never more than is left,
+ * and exactly what is left once the payment is refunded in full
+ * @param {Object} original - Payment row (amount, merchant_commission,
+ *   refunded_amount, refunded_commission)
+ * @param {number} amount - Amount being refunded
+ * @returns {number} Commission to reverse
+ */
+function getRefundCommission(original, amount) {
+    const paid = parseFloat(original.amount);
+    const commission = parseFloat(original.merchant_commission || 0);
+    const remaining = roundMoney(commission - parseFloat(original.refunded_commission || 0));
+
+    if (roundMoney(parseFloat(original.refunded_amount || 0) + amount) >= paid) {
+        return remaining;
+    }
+
+    return Math.min(roundMoney(commission * amount / paid), remaining);
+}
+
+/**
+ * Refund (part of) a payment, reversing commission and net amount pro rata
+ * @param {Object} refund
+ * @param {Object} refund.original - Original payment row
+ * @param {number} refund.amount - Amount to give back to the user
+ * @param {Object} refund.transaction - Refund transactions row (amounts are filled in)
+ * @returns {Object} { transaction, balance_after, merchant_commission, net_amount }
+ */
+async function postRefund({ original, amount, transaction }) {
+    const commissionAccount = await getSystemAccount(SystemAccounts.COMMISSION);
+    const merchantAccount = await getAccount('merchant', original.merchant_id);
+
+    if (!merchantAccount) {
+        throw new LedgerError(ErrorCodes.MERCHANT_INACTIVE, 'Merchant wallet not found');
+    }
+
+    const { transaction_id } = transaction;
+
+    const result = await postWithRetry(async attempt => {
+        // A refund that raced this one changed what is left to reverse
+        const payment = attempt === 1 ? original : await getRefundState(original.transaction_id);
+        const merchant_commission = getRefundCommission(payment, amount);
+        const net_amount = roundMoney(amount - merchant_commission);
+
+        const userAccount = await getAccount('user', original.user_id);
+
+        if (!userAccount) {
+            throw new LedgerError(ErrorCodes.USER_NOT_FOUND, 'User wallet not found');
+        }
+
+        const balance_before = userAccount.balance;
+        const balance_after = roundMoney(balance_before + amount);
+
+        const entries = [
+            {
+                account_id: userAccount.account_id,
+                direction: 'credit',
+                amount,
+                transaction_id,
+                expected_version: userAccount.version,
+                memo: 'Refund'
+            },
+            {
+                account_id: merchantAccount.account_id,
+                direction: 'debit',
+                amount: net_amount,
+                transaction_id,
+                memo: 'Refund'
+            }
+        ];
+
+        if (merchant_commission > 0) {
+            entries.push({
+                account_id: commissionAccount.account_id,
+                direction: 'debit',
+                amount: merchant_commission,
+                transaction_id,
+                memo: 'Commission reversed'
+            });
+        }
+
+        return {
+            balance_after,
+            merchant_commission,
+            net_amount,
+            refund: {
+                ...transaction,
+                amount,
+                merchant_commission,
+                net_amount,
+                user_balance_before: balance_before,
+                user_balance_after: balance_after
+            },
+            entries
+        };
+    }, ({ refund, entries }) => callLedgerFunction('post_refund', {
+        p_original_id: original.transaction_id,
+        p_refund: refund,
+        p_entries: entries
+    }));
+
+    return {
+        transaction: result.transactions[0],
+        balance_after: result.balance_after,
+        merchant_commission: result.merchant_commission,
+        net_amount: result.net_amount
+    };
+}
+
+/**
+ * Re-read how much of a payment has been refunded so far
+ * @param {string} transactionId - Original payment
+ * @returns {Object} { amount, merchant_commission, refunded_amount, refunded_commission }
+ */
+async function getRefundState(transactionId) {
+    const { data: payment, error } = await supabaseAdmin
+        .from('transactions')
+        .select('amount, merchant_commission, refunded_amount, refunded_commission')
+        .eq('transaction_id', transactionId)
+        .single();
+
+    if (error || !payment) {
+        throw new LedgerError(ErrorCodes.NOT_FOUND, 'Transaction not found');
+    }
+
+    return payment;
+}
+
+/**
+ * Map a database error from the ledger functions to a LedgerError
+ * @param {Object} error - PostgREST error
+ * @returns {LedgerError}
+ */
+function toLedgerError(error) {
+    const message = error.message || '';
+
+    if (error.code === '23505') {
+        return new LedgerError(ErrorCodes.DUPLICATE_TRANSACTION, 'Transaction already processed');
+    }
+    if (message.includes('INSUFFICIENT_BALANCE')) {
+        return new LedgerError(ErrorCodes.INSUFFICIENT_BALANCE, 'Insufficient balance');
+    }
+    if (message.includes('TRANSACTION_NOT_PENDING')) {
+        return new LedgerError(ErrorCodes.DUPLICATE_TRANSACTION, 'Transaction already completed');
+    }
+    if (message.includes('TRANSACTION_NOT_FOUND')) {
+        return new LedgerError(ErrorCodes.NOT_FOUND, 'Transaction not found');
+    }
+    if (message.includes('TRANSACTION_NOT_REFUNDABLE')) {
+        return new LedgerError(ErrorCodes.REFUND_NOT_ALLOWED, 'Only successful payments can be refunded');
+    }
+    if (message.includes('REFUND_EXCEEDS_AMOUNT')) {
+        return new LedgerError(ErrorCodes.REFUND_EXCEEDS_AMOUNT, 'Refund exceeds the amount still refundable');
+    }
+    if (message.includes('SETTLEMENT_NOT_FOUND')) {
+        return new LedgerError(ErrorCodes.NOT_FOUND, 'Settlement not found');
+    }
+    if (message.includes('SETTLEMENT_STATUS_INVALID')) {
+        return new LedgerError(ErrorCodes.SETTLEMENT_STATUS_INVALID, 'Settlement is already paid or no longer pending');
+    }
+    if (message.includes('VERSION_CONFLICT')) {
+        return new LedgerError(ErrorCodes.TRANSACTION_CONFLICT, 'Wallet was updated by another transaction');
+    }
+
+    console.error('Ledger posting error:', error);
+    return new LedgerError(ErrorCodes.SERVER_ERROR, 'Ledger posting failed');
+}
+
+module.exports = {
+    SystemAccounts,
+    LedgerError,
+    roundMoney,
+    getAccount,
+    getSystemAccount,
+    getUserBalance,
+    callLedgerFunction,
+    postTransaction,
+    completeTransaction,
+    postWithRetry,
+    postPayment,
+    completeTopup,
+    holdWithdrawal,
+    completeWithdrawal,
+    reverseWithdrawal,
+    postTransfer,
+    getRefundCommission,
+    postRefund
+};
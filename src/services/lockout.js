@@ -0,0 +1,147 @@
+// Credential brute-force protection
+// Every attempt at a PIN (per user) or a login password (per phone number)
+// is claimed before it is checked and only cleared when it was right, so a
+// burst of parallel guesses counts in full. After FREE_ATTEMPTS failures
+// each attempt waits out a doubling delay; the attempt that reaches the
+// maximum locks the credential. PIN locks last until an SMS-code reset;
+// login locks run out after LOGIN_LOCKOUT_MINUTES. Logins are counted per
+// phone number only, so anyone who knows a rider's number can still lock
+// them out for that long; the timed lock only keeps it from being permanent.
+
+const { supabaseAdmin } = require('../config/supabase');
+const { ErrorCodes } = require('../utils/response');
+
+const AttemptKind = {
+    PIN: 'pin',
+    PIN_RESET: 'pin_reset',
+    LOGIN: 'login'
+};
+
+// Failures allowed before delays start, and the first delay
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_SECONDS = 30;
+
+// HTTP status for each rejection reason (anything else is a 500)
+const ERROR_STATUS = {
+    [ErrorCodes.TOO_MANY_ATTEMPTS]: 429,
+    [ErrorCodes.PIN_LOCKED]: 423
+};
+
+/**
+ * Error raised when a credential may not be tried right now
+ */
+class LockoutError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message - Human readable message
+     * @param {Object} details - Extra response data (retry_after_seconds)
+     */
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'LockoutError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+        this.details = details;
+    }
+}
+
+/**
+ * Attempt limits for a kind of credential
+ * @param {string} kind - One of AttemptKind
+ * @returns {Object} { max_attempts, lock_seconds } (lock_seconds null = until reset)
+ */
+function getPolicy(kind) {
+    if (kind === AttemptKind.LOGIN) {
+        return {
+            max_attempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+            lock_seconds: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30) * 60
+        };
+    }
+
+    if (kind === AttemptKind.PIN_RESET) {
+        // Wrong reset codes or passwords: a short timed lock, then a new code
+        return { max_attempts: 5, lock_seconds: 30 * 60 };
+    }
+
+    return {
+        max_attempts: parseInt(process.env.PIN_MAX_ATTEMPTS) || 5,
+        lock_seconds: null
+    };
+}
+
+/**
+ * Claim one attempt at a credential, or throw if it may not be tried now
+ * @param {string} kind - One of AttemptKind
+ * @param {string} subject - User ID (PIN) or phone number (login)
+ * @returns {Object} { failed_attempts, locks } - locks is true when this
+ *   attempt, if wrong, has locked the credential
+ */
+async function claimAttempt(kind, subject) {
+    const policy = getPolicy(kind);
+
+    const { data, error } = await supabaseAdmin.rpc('claim_credential_attempt', {
+        p_kind: kind,
+        p_subject: subject,
+        p_max_attempts: policy.max_attempts,
+        p_free_attempts: FREE_ATTEMPTS,
+        p_delay_seconds: BASE_DELAY_SECONDS,
+        p_lock_seconds: policy.lock_seconds
+    });
+
+    if (error) throw error;
+
+    const claim = data[0];
+
+    if (!claim.allowed) {
+        if (claim.locked && kind === AttemptKind.PIN) {
+            throw new LockoutError(
+                ErrorCodes.PIN_LOCKED,
+                'Your PIN is locked after too many wrong attempts. Reset it with a code sent by SMS.'
+            );
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((new Date(claim.retry_at).getTime() - Date.now()) / 1000));
+        throw new LockoutError(
+            ErrorCodes.TOO_MANY_ATTEMPTS,
+            `Too many wrong attempts. Try again in ${formatWait(retryAfter)}.`,
+            { retry_after_seconds: retryAfter }
+        );
+    }
+
+    return { failed_attempts: claim.failed_attempts, locks: claim.locked };
+}
+
+/**
+ * Forget a credential's failures after a correct attempt (or a reset)
+ * @param {string} kind - One of AttemptKind
+ * @param {string} subject - User ID (PIN) or phone number (login)
+ */
+async function clearAttempts(kind, subject) {
+    const { error } = await supabaseAdmin
+        .from('credential_attempts')
+        .delete()
+        .eq('kind', kind)
+        .eq('subject', subject);
+
+    if (error) throw error;
+}
+
+/**
+ * A wait, worded for the user
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. '45 seconds', '4 minutes'
+ */
+function formatWait(seconds) {
+    if (seconds < 60) {
+        return `${seconds} seconds`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+module.exports = {
+    AttemptKind,
+    LockoutError,
+    claimAttempt,
+    clearAttempts
+};
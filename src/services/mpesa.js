@@ -0,0 +1,287 @@
+// M-Pesa Daraja API client
+// Set MPESA_ENV=simulator to talk to the local Daraja stand-in
+// (src/simulators/daraja.js) instead of Safaricom.
+
+const crypto = require('crypto');
+
+const DARAJA_BASE_URLS = {
+    sandbox: 'https://sandbox.safaricom.co.ke',
+    production: 'https://api.safaricom.co.ke'
+};
+
+let cachedToken = null;
+
+/**
+ * Daraja environment: sandbox, production or simulator
+ * @returns {string} Environment name
+ */
+function getEnvironment() {
+    return process.env.MPESA_ENV || 'sandbox';
+}
+
+/**
+ * Base URL for Daraja API calls
+ * @returns {string} Base URL without trailing slash
+ */
+function getBaseUrl() {
+    if (process.env.MPESA_BASE_URL) {
+        return process.env.MPESA_BASE_URL.replace(/\/$/, '');
+    }
+
+    if (getEnvironment() === 'simulator') {
+        return `http://localhost:${process.env.PORT || 3000}/simulator/daraja`;
+    }
+
+    return DARAJA_BASE_URLS[getEnvironment()] || DARAJA_BASE_URLS.sandbox;
+}
+
+/**
+ * Public base URL Daraja should call back on
+ * @returns {string} Base URL without trailing slash
+ */
+function getCallbackBaseUrl() {
+    const url = process.env.MPESA_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return url.replace(/\/$/, '');
+}
+
+/**
+ * Sign a callback ID so forged callbacks can be rejected
+ * @param {string} id - mpesa_requests.request_id
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+function signCallback(id) {
+    const secret = process.env.MPESA_CALLBACK_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(String(id)).digest('hex');
+}
+
+/**
+ * Verify a callback signature in constant time
+ * @param {string} id - mpesa_requests.request_id
+ * @param {string} signature - Signature from the callback URL
+ * @returns {boolean} True if valid
+ */
+function verifyCallbackSignature(id, signature) {
+    if (typeof signature !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(signCallback(id), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Build a signed callback URL for a request
+ * @param {string} path - Callback path, e.g. /api/v1/mpesa/callbacks/stk
+ * @param {string} id - mpesa_requests.request_id
+ * @returns {string} Absolute callback URL
+ */
+function buildCallbackUrl(path, id) {
+    return `${getCallbackBaseUrl()}${path}/${id}?signature=${signCallback(id)}`;
+}
+
+/**
+ * Format +2547XXXXXXXX as Daraja expects (2547XXXXXXXX)
+ * @param {string} phoneNumber - E.164 Kenyan phone number
+ * @returns {string} Daraja MSISDN
+ */
+function toMsisdn(phoneNumber) {
+    return phoneNumber.replace(/^\+/, '');
+}
+
+/**
+ * Daraja timestamp (YYYYMMDDHHmmss, Nairobi time)
+ * @returns {string} Timestamp
+ */
+function getTimestamp() {
+    const eat = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    return eat.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+}
+
+/**
+ * Get an OAuth access token (cached until shortly before expiry)
+ * @returns {string} Access token
+ */
+async function getAccessToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+        return cachedToken.token;
+    }
+
+    const credentials = Buffer.from(
+        `${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`
+    ).toString('base64');
+
+    const response = await fetch(`${getBaseUrl()}/oauth/v1/generate?grant_type=client_credentials`, {
+        headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    if (!response.ok) {
+        throw new Error(`M-Pesa auth failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    cachedToken = {
+        token: body.access_token,
+        expiresAt: Date.now() + (parseInt(body.expires_in) - 60) * 1000
+    };
+
+    return cachedToken.token;
+}
+
+/**
+ * POST to a Daraja endpoint
+ * @param {string} path - API path
+ * @param {Object} payload - Request body
+ * @returns {Object} Parsed response body
+ */
+async function darajaRequest(path, payload) {
+    const token = await getAccessToken();
+
+    const response = await fetch(`${getBaseUrl()}${path}`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || (body.ResponseCode && body.ResponseCode !== '0')) {
+        const error = new Error(body.errorMessage || body.ResponseDescription || `M-Pesa request failed with status ${response.status}`);
+        error.response = body;
+        throw error;
+    }
+
+    return body;
+}
+
+/**
+ * Start an STK Push (Lipa na M-Pesa Online) prompt on the customer's phone
+ * @param {Object} params
+ * @param {string} params.phoneNumber - Customer phone (+254...)
+ * @param {number} params.amount - Whole KES amount
+ * @param {string} params.accountReference - Shown on the customer's prompt
+ * @param {string} params.description - Transaction description
+ * @param {string} params.callbackUrl - Where Daraja posts the result
+ * @returns {Object} { merchantRequestId, checkoutRequestId, customerMessage }
+ */
+async function stkPush({ phoneNumber, amount, accountReference, description, callbackUrl }) {
+    const shortcode = process.env.MPESA_SHORTCODE;
+    const timestamp = getTimestamp();
+    const password = Buffer.from(`${shortcode}${process.env.MPESA_PASSKEY}${timestamp}`).toString('base64');
+    const msisdn = toMsisdn(phoneNumber);
+
+    const body = await darajaRequest('/mpesa/stkpush/v1/processrequest', {
+        BusinessShortCode: shortcode,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: Math.round(amount),
+        PartyA: msisdn,
+        PartyB: shortcode,
+        PhoneNumber: msisdn,
+        CallBackURL: callbackUrl,
+        AccountReference: accountReference,
+        TransactionDesc: description
+    });
+
+    return {
+        merchantRequestId: body.MerchantRequestID,
+        checkoutRequestId: body.CheckoutRequestID,
+        customerMessage: body.CustomerMessage
+    };
+}
+
+/**
+ * Send money from the business to a customer's M-Pesa (B2C)
+ * @param {Object} params
+ * @param {string} params.phoneNumber - Recipient phone (+254...)
+ * @param {number} params.amount - Whole KES amount
+ * @param {string} params.remarks - Transaction remarks
+ * @param {string} params.occasion - Optional occasion / reference
+ * @param {string} params.resultUrl - Where Daraja posts the result
+ * @param {string} params.timeoutUrl - Where Daraja posts queue timeouts
+ * @returns {Object} { conversationId, originatorConversationId }
+ */
+async function b2cPayment({ phoneNumber, amount, remarks, occasion, resultUrl, timeoutUrl }) {
+    const body = await darajaRequest('/mpesa/b2c/v1/paymentrequest', {
+        InitiatorName: process.env.MPESA_B2C_INITIATOR,
+        SecurityCredential: process.env.MPESA_B2C_SECURITY_CREDENTIAL,
+        CommandID: 'BusinessPayment',
+        Amount: Math.round(amount),
+        PartyA: process.env.MPESA_B2C_SHORTCODE || process.env.MPESA_SHORTCODE,
+        PartyB: toMsisdn(phoneNumber),
+        Remarks: remarks,
+        QueueTimeOutURL: timeoutUrl,
+        ResultURL: resultUrl,
+        Occasion: occasion || ''
+    });
+
+    return {
+        conversationId: body.ConversationID,
+        originatorConversationId: body.OriginatorConversationID
+    };
+}
+
+/**
+ * Flatten a B2C result callback body
+ * @param {Object} body - Raw Daraja result
+ * @returns {Object|null} Parsed result, or null if malformed
+ */
+function parseB2CResult(body) {
+    const result = body?.Result;
+    if (!result || !result.ConversationID) {
+        return null;
+    }
+
+    const params = result.ResultParameters?.ResultParameter || [];
+    const param = key => params.find(p => p.Key === key)?.Value;
+
+    return {
+        conversationId: result.ConversationID,
+        originatorConversationId: result.OriginatorConversationID,
+        resultCode: parseInt(result.ResultCode),
+        resultDesc: result.ResultDesc,
+        receipt: result.TransactionID || param('TransactionReceipt') || null,
+        amount: param('TransactionAmount') !== undefined ? parseFloat(param('TransactionAmount')) : null
+    };
+}
+
+/**
+ * Flatten an STK Push callback body
+ * @param {Object} body - Raw Daraja callback
+ * @returns {Object|null} Parsed callback, or null if malformed
+ */
+function parseStkCallback(body) {
+    const callback = body?.Body?.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) {
+        return null;
+    }
+
+    const items = callback.CallbackMetadata?.Item || [];
+    const item = name => items.find(i => i.Name === name)?.Value;
+
+    return {
+        merchantRequestId: callback.MerchantRequestID,
+        checkoutRequestId: callback.CheckoutRequestID,
+        resultCode: parseInt(callback.ResultCode),
+        resultDesc: callback.ResultDesc,
+        amount: item('Amount') !== undefined ? parseFloat(item('Amount')) : null,
+        receipt: item('MpesaReceiptNumber') || null,
+        phoneNumber: item('PhoneNumber') ? String(item('PhoneNumber')) : null
+    };
+}
+
+module.exports = {
+    getEnvironment,
+    buildCallbackUrl,
+    verifyCallbackSignature,
+    toMsisdn,
+    stkPush,
+    parseStkCallback,
+    b2cPayment,
+    parseB2CResult
+};
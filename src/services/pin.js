@@ -0,0 +1,164 @@
+// Payment PIN verification
+// Wrong PINs are counted per user (services/lockout.js): delays after a
+// couple of misses, then a lock that only an SMS-code reset lifts.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { supabase } = require('../config/supabase');
+const { logAudit } = require('./audit');
+const { AttemptKind, LockoutError, claimAttempt, clearAttempts } = require('./lockout');
+const { ErrorCodes } = require('../utils/response');
+
+// How long an SMS reset code stays usable
+const RESET_CODE_TTL_MS = 10 * 60 * 1000;
+const RESEND_AFTER_MS = 60 * 1000;
+
+/**
+ * Check a user's payment PIN. Throws a LockoutError while the PIN is
+ * locked or a retry delay runs, and on the wrong attempt that locks it.
+ * @param {Object} user - users row with user_id and pin_hash
+ * @param {string} pin - PIN entered by the user
+ * @param {Object} context - { ip_address } for the audit trail
+ * @returns {boolean} True if the PIN matches
+ */
+async function verifyPin(user, pin, context = {}) {
+    if (!user || !user.pin_hash || !pin) {
+        return false;
+    }
+
+    const claim = await claimAttempt(AttemptKind.PIN, user.user_id);
+
+    if (await bcrypt.compare(String(pin), user.pin_hash)) {
+        await clearAttempts(AttemptKind.PIN, user.user_id);
+        return true;
+    }
+
+    if (claim.locks) {
+        await notifyPinLocked(user.user_id, claim.failed_attempts, context);
+        throw new LockoutError(
+            ErrorCodes.PIN_LOCKED,
+            'Too many wrong PINs. Your PIN is now locked; reset it with a code sent by SMS.'
+        );
+    }
+
+    return false;
+}
+
+/**
+ * Tell the user their PIN was locked, by SMS, and audit it
+ * @param {string} userId - User ID
+ * @param {number} attempts - Wrong attempts that led to the lock
+ * @param {Object} context - { ip_address }
+ */
+async function notifyPinLocked(userId, attempts, context) {
+    const { data: user } = await supabase
+        .from('users')
+        .select('phone_number')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (user) {
+        await supabase.from('notifications').insert({
+            user_id: userId,
+            notification_type: 'sms',
+            recipient: user.phone_number,
+            message: `EmSec: your PIN was locked after ${attempts} wrong attempts. If this was not you, change your password. To unlock, reset your PIN in the app.`,
+            status: 'queued'
+        });
+    }
+
+    await logAudit({
+        user_id: userId,
+        action: 'pin_locked',
+        entity_type: 'user',
+        entity_id: userId,
+        details: { failed_attempts: attempts },
+        ip_address: context.ip_address || null
+    });
+}
+
+/**
+ * Send a one-time PIN reset code to the user's phone (at most one a minute)
+ * @param {Object} user - users row with user_id, phone_number and pin_reset_expires_at
+ * @returns {string} When the code expires (ISO)
+ */
+async function sendPinResetCode(user) {
+    if (user.pin_reset_expires_at) {
+        const sentAt = new Date(user.pin_reset_expires_at).getTime() - RESET_CODE_TTL_MS;
+        const wait = Math.ceil((sentAt + RESEND_AFTER_MS - Date.now()) / 1000);
+        if (wait > 0) {
+            throw new LockoutError(
+                ErrorCodes.TOO_MANY_ATTEMPTS,
+                'A reset code was just sent. Please wait before asking for another.',
+                { retry_after_seconds: wait }
+            );
+        }
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MS).toISOString();
+
+    const { error } = await supabase
+        .from('users')
+        .update({
+            pin_reset_code_hash: await bcrypt.hash(code, 10),
+            pin_reset_expires_at: expiresAt
+        })
+        .eq('user_id', user.user_id);
+
+    if (error) throw error;
+
+    await supabase.from('notifications').insert({
+        user_id: user.user_id,
+        notification_type: 'sms',
+        recipient: user.phone_number,
+        message: `EmSec: your PIN reset code is ${code}. It expires in ${RESET_CODE_TTL_MS / 60000} minutes. Never share it.`,
+        status: 'queued'
+    });
+
+    return expiresAt;
+}
+
+/**
+ * Check a PIN reset code
+ * @param {Object} user - users row with pin_reset_code_hash and pin_reset_expires_at
+ * @param {string} code - Code from the SMS
+ * @returns {boolean} True if the code is right and unexpired
+ */
+async function verifyPinResetCode(user, code) {
+    if (!user.pin_reset_code_hash || !user.pin_reset_expires_at || !code) {
+        return false;
+    }
+    if (new Date(user.pin_reset_expires_at).getTime() < Date.now()) {
+        return false;
+    }
+    return bcrypt.compare(String(code), user.pin_reset_code_hash);
+}
+
+/**
+ * Set a new PIN, use up the reset code and lift any PIN lock
+ * @param {string} userId - User ID
+ * @param {string} newPin - New PIN
+ */
+async function resetPin(userId, newPin) {
+    const { error } = await supabase
+        .from('users')
+        .update({
+            pin_hash: await bcrypt.hash(String(newPin), 10),
+            pin_reset_code_hash: null,
+            pin_reset_expires_at: null
+        })
+        .eq('user_id', userId);
+
+    if (error) throw error;
+
+    await clearAttempts(AttemptKind.PIN, userId);
+    await clearAttempts(AttemptKind.PIN_RESET, userId);
+}
+
+module.exports = {
+    verifyPin,
+    sendPinResetCode,
+    verifyPinResetCode,
+    resetPin
+};
@@ -0,0 +1,122 @@
+// Passenger vs vehicle proximity
+// A rider scanning or paying should be on (or at) the matatu, so their
+// phone's GPS is compared with the vehicle's own telemetry. Both GPS error
+// radii and the distance the vehicle may have covered since its last fix
+// are forgiven; anything beyond PASSENGER_VEHICLE_MAX_DISTANCE_METERS is a
+// mismatch. At scan it is recorded as a 'passenger_vehicle_mismatch' fraud
+// alert; at payment it feeds the fraud rules engine (services/fraudRules.js).
+
+const { supabase } = require('../config/supabase');
+const { getSeparationExcess, isValidCoordinates } = require('../utils/gps');
+
+// Older vehicle fixes say too little about where it is now
+const MAX_VEHICLE_FIX_AGE_MS = 2 * 60 * 1000;
+
+/**
+ * Distance beyond GPS error the passenger may be from the vehicle
+ * @returns {number} Meters
+ */
+function getMaxSeparation() {
+    return parseInt(process.env.PASSENGER_VEHICLE_MAX_DISTANCE_METERS) || 150;
+}
+
+/**
+ * Parse an optional numeric column or body field
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null if absent
+ */
+function toNumber(value) {
+    return value !== null && value !== undefined && value !== '' ? parseFloat(value) : null;
+}
+
+/**
+ * Compare a passenger's phone position with their vehicle's
+ * @param {Object} device - devices row (gps_enabled, last_gps_*)
+ * @param {Object} passenger - { latitude, longitude, accuracy_meters? } from the request
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Object} { status: 'match' | 'mismatch' | 'unchecked', reason?, distance_meters?, excess_meters?, ... }
+ */
+function checkPassengerProximity(device, passenger, now = Date.now()) {
+    const phone = {
+        latitude: toNumber(passenger.latitude),
+        longitude: toNumber(passenger.longitude),
+        accuracy_meters: toNumber(passenger.accuracy_meters)
+    };
+
+    if (!isValidCoordinates(phone.latitude, phone.longitude)) {
+        return { status: 'unchecked', reason: 'no passenger GPS' };
+    }
+
+    if (!device || !device.gps_enabled || !device.last_gps_updated_at) {
+        return { status: 'unchecked', reason: 'no vehicle GPS' };
+    }
+
+    const fixAgeMs = now - new Date(device.last_gps_updated_at).getTime();
+    if (fixAgeMs > MAX_VEHICLE_FIX_AGE_MS) {
+        return { status: 'unchecked', reason: 'vehicle GPS too old' };
+    }
+
+    const vehicle = {
+        latitude: toNumber(device.last_gps_latitude),
+        longitude: toNumber(device.last_gps_longitude),
+        accuracy_meters: toNumber(device.last_gps_accuracy_meters)
+    };
+
+    // Where the matatu could have got to since it reported
+    const movement = (toNumber(device.last_gps_speed_mps) || 0) * Math.max(0, fixAgeMs) / 1000;
+    const { distance_meters, excess_meters } = getSeparationExcess(phone, vehicle, movement);
+    const threshold = getMaxSeparation();
+
+    return {
+        status: excess_meters > threshold ? 'mismatch' : 'match',
+        distance_meters: Math.round(distance_meters),
+        excess_meters: Math.round(excess_meters),
+        threshold_meters: threshold,
+        passenger: phone,
+        vehicle,
+        vehicle_fix_age_seconds: Math.round(Math.max(0, fixAgeMs) / 1000)
+    };
+}
+
+/**
+ * Record a mismatch from checkPassengerProximity as a fraud alert.
+ * Failures are logged, never thrown, so the scan still answers.
+ * @param {Object} check - checkPassengerProximity result
+ * @param {Object} context - { stage, user_id, device_id, merchant_id, transaction_id? }
+ * @returns {boolean} True if an alert was raised
+ */
+async function recordProximityMismatch(check, context) {
+    if (check.status !== 'mismatch') {
+        return false;
+    }
+
+    const { error } = await supabase.from('fraud_alerts').insert({
+        user_id: context.user_id,
+        transaction_id: context.transaction_id || null,
+        device_id: context.device_id,
+        merchant_id: context.merchant_id,
+        alert_type: 'passenger_vehicle_mismatch',
+        risk_score: 60,
+        alert_level: 'medium',
+        details: {
+            stage: context.stage,
+            distance_meters: check.distance_meters,
+            excess_meters: check.excess_meters,
+            threshold_meters: check.threshold_meters,
+            passenger_gps: check.passenger,
+            vehicle_gps: check.vehicle,
+            vehicle_fix_age_seconds: check.vehicle_fix_age_seconds
+        }
+    });
+
+    if (error) {
+        console.error('Proximity alert error:', error);
+        return false;
+    }
+    return true;
+}
+
+module.exports = {
+    checkPassengerProximity,
+    recordProximityMismatch
+};
@@ -0,0 +1,214 @@
+// Signed, rotating device QR codes
+// A device QR payload is EMSEC.<version>.<device_id>.<window>.<signature>,
+// where window counts QR_ROTATION_SECONDS periods since the epoch and the
+// signature is an HMAC over the other fields. Each device signs with its
+// own key derived from QR_SIGNING_SECRET, so scans are checked for
+// signature and freshness before the device is looked up.
+//
+// Static stickers (EMSEC_TOKEN_...) are only accepted while
+// QR_ALLOW_STATIC_TOKENS=true, to give fleets time to fit displays. They are
+// matched on devices.sticker_code, which is never a device credential.
+
+const crypto = require('crypto');
+const { ErrorCodes } = require('../utils/response');
+
+const QR_PREFIX = 'EMSEC';
+const QR_VERSION = 1;
+
+// Hex characters of the HMAC kept in the payload (128 bits)
+const SIGNATURE_LENGTH = 32;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// HTTP status for each rejection reason (anything else is a 500)
+const ERROR_STATUS = {
+    [ErrorCodes.INVALID_QR]: 404,
+    [ErrorCodes.QR_EXPIRED]: 410
+};
+
+/**
+ * Error raised when a scanned QR payload is rejected
+ */
+class QrCodeError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message - Human readable message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'QrCodeError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+    }
+}
+
+/**
+ * How long one QR code is shown before the display rotates it
+ * @returns {number} Milliseconds
+ */
+function getRotationMs() {
+    return (parseInt(process.env.QR_ROTATION_SECONDS) || 180) * 1000;
+}
+
+/**
+ * Clock difference tolerated between a display and the server
+ * @returns {number} Milliseconds
+ */
+function getClockSkewMs() {
+    const seconds = parseInt(process.env.QR_CLOCK_SKEW_SECONDS);
+    return (Number.isNaN(seconds) ? 30 : seconds) * 1000;
+}
+
+/**
+ * Whether legacy static sticker QR codes still scan
+ * @returns {boolean} True during the migration period
+ */
+function staticTokensAllowed() {
+    return process.env.QR_ALLOW_STATIC_TOKENS === 'true';
+}
+
+/**
+ * Per-device signing key
+ * @param {string} deviceId - Device ID
+ * @returns {Buffer} HMAC key
+ */
+function deviceKey(deviceId) {
+    const secret = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(`qr:${deviceId.toLowerCase()}`).digest();
+}
+
+/**
+ * Signature for one device and time window
+ * @param {number} version - Payload version
+ * @param {string} deviceId - Device ID
+ * @param {number} window - Rotation window counter
+ * @returns {string} Truncated hex HMAC-SHA256
+ */
+function sign(version, deviceId, window) {
+    return crypto
+        .createHmac('sha256', deviceKey(deviceId))
+        .update(`${QR_PREFIX}.${version}.${deviceId.toLowerCase()}.${window}`)
+        .digest('hex')
+        .substring(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Rotation window a moment falls in
+ * @param {number} now - Time in ms
+ * @returns {number} Window counter
+ */
+function getWindow(now) {
+    return Math.floor(now / getRotationMs());
+}
+
+/**
+ * QR code a device should display right now
+ * @param {string} deviceId - Device ID
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Object} { qr_payload, window, valid_from, expires_at }
+ */
+function issueQrCode(deviceId, now = Date.now()) {
+    const rotationMs = getRotationMs();
+    const window = getWindow(now);
+
+    return {
+        qr_payload: `${QR_PREFIX}.${QR_VERSION}.${deviceId.toLowerCase()}.${window}.${sign(QR_VERSION, deviceId, window)}`,
+        window,
+        valid_from: new Date(window * rotationMs).toISOString(),
+        expires_at: new Date((window + 1) * rotationMs).toISOString()
+    };
+}
+
+/**
+ * Split a signed payload into its fields
+ * @param {string} payload - Scanned QR content
+ * @returns {Object|null} { version, device_id, window, signature }, or null if malformed
+ */
+function parseQrCode(payload) {
+    const parts = payload.split('.');
+
+    if (parts.length !== 5 || parts[0] !== QR_PREFIX) {
+        return null;
+    }
+
+    const [, version, deviceId, window, signature] = parts;
+
+    if (!/^\d+$/.test(version) || !/^\d+$/.test(window) || !UUID_PATTERN.test(deviceId)) {
+        return null;
+    }
+
+    return {
+        version: parseInt(version),
+        device_id: deviceId.toLowerCase(),
+        window: parseInt(window),
+        signature
+    };
+}
+
+/**
+ * Check a signed payload's signature and freshness
+ * @param {string} payload - Scanned QR content
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Object} { device_id, window }
+ * @throws {QrCodeError} If forged, malformed or outside its window
+ */
+function verifyQrCode(payload, now = Date.now()) {
+    const parsed = parseQrCode(payload);
+
+    if (!parsed || parsed.version !== QR_VERSION) {
+        throw new QrCodeError(ErrorCodes.INVALID_QR, 'Invalid QR code');
+    }
+
+    const expected = Buffer.from(sign(parsed.version, parsed.device_id, parsed.window), 'hex');
+    const received = Buffer.from(parsed.signature, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new QrCodeError(ErrorCodes.INVALID_QR, 'Invalid QR code');
+    }
+
+    // Valid for its own window, widened by the clock skew allowance
+    const rotationMs = getRotationMs();
+    const skewMs = getClockSkewMs();
+    const validFrom = parsed.window * rotationMs - skewMs;
+    const validUntil = (parsed.window + 1) * rotationMs + skewMs;
+
+    if (now < validFrom || now >= validUntil) {
+        throw new QrCodeError(ErrorCodes.QR_EXPIRED, 'QR code has expired. Scan the code on the display again.');
+    }
+
+    return {
+        device_id: parsed.device_id,
+        window: parsed.window
+    };
+}
+
+/**
+ * Work out which device a scanned QR payload belongs to
+ * @param {string} payload - Scanned QR content
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Object} { device_id } for signed codes, { sticker_code } for static ones
+ * @throws {QrCodeError} If the payload is rejected
+ */
+function resolveQrCode(payload, now = Date.now()) {
+    if (typeof payload !== 'string' || payload === '') {
+        throw new QrCodeError(ErrorCodes.INVALID_QR, 'Invalid QR code');
+    }
+
+    if (payload.startsWith(`${QR_PREFIX}.`)) {
+        return { device_id: verifyQrCode(payload, now).device_id };
+    }
+
+    if (!staticTokensAllowed()) {
+        throw new QrCodeError(ErrorCodes.INVALID_QR, 'This QR code is no longer accepted. Scan the code on the display.');
+    }
+
+    return { sticker_code: payload };
+}
+
+module.exports = {
+    QR_VERSION,
+    QrCodeError,
+    issueQrCode,
+    verifyQrCode,
+    resolveQrCode
+};
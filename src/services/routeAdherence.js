@@ -0,0 +1,134 @@
+// Route adherence
+// A matatu is licensed to run its route's path. Each telemetry batch is
+// snapped onto that path; once a device has been further than
+// ROUTE_OFF_TOLERANCE_METERS from it for ROUTE_OFF_ALERT_MINUTES, an
+// 'off_route' fraud alert is raised for the SACCO. One alert per excursion:
+// the device has to come back on route before it can raise another.
+
+const { supabase } = require('../config/supabase');
+const { getOffRouteExcess, getOffRouteTolerance } = require('../utils/gps');
+
+/**
+ * How long a device may stay off-route before it is alerted on
+ * @returns {number} Milliseconds
+ */
+function getOffRouteAlertMs() {
+    return (parseInt(process.env.ROUTE_OFF_ALERT_MINUTES) || 5) * 60 * 1000;
+}
+
+/**
+ * Walk a device's new fixes along its route and raise an alert if it has
+ * been off-route for too long
+ * @param {Object} device - req.device (device_id, merchant_id, route_id)
+ * @param {Array} fixes - Normalised fixes, oldest first
+ * @returns {Object|null} { off_route, off_route_since, alerted } or null if not checked
+ */
+async function checkRouteAdherence(device, fixes) {
+    if (!device.route_id || fixes.length === 0) {
+        return null;
+    }
+
+    const { data: state, error } = await supabase
+        .from('devices')
+        .select('route_checked_at, off_route_since, off_route_alerted_at, routes ( path )')
+        .eq('device_id', device.device_id)
+        .single();
+
+    if (error) throw error;
+
+    const path = state.routes && state.routes.path;
+    if (!Array.isArray(path) || path.length < 2) {
+        return null;
+    }
+
+    // Fixes older than the last one checked arrived late; the excursion
+    // they belong to has already been judged
+    const checkedAt = state.route_checked_at ? new Date(state.route_checked_at).getTime() : 0;
+    const fresh = fixes.filter(fix => new Date(fix.recorded_at).getTime() > checkedAt);
+
+    if (fresh.length === 0) {
+        return null;
+    }
+
+    const alertMs = getOffRouteAlertMs();
+    let offSince = state.off_route_since;
+    let alertedAt = state.off_route_alerted_at;
+    let alert = null;
+
+    for (const fix of fresh) {
+        const excess = getOffRouteExcess(fix.latitude, fix.longitude, path, fix.accuracy_meters);
+
+        if (excess === 0) {
+            offSince = null;
+            alertedAt = null;
+            continue;
+        }
+
+        if (!offSince) {
+            offSince = fix.recorded_at;
+        }
+
+        if (!alertedAt && new Date(fix.recorded_at).getTime() - new Date(offSince).getTime() >= alertMs) {
+            alertedAt = fix.recorded_at;
+            alert = { fix, excess, since: offSince };
+        }
+    }
+
+    const latest = fresh[fresh.length - 1];
+
+    // Guarded on route_checked_at so two overlapping batches cannot both
+    // move the state (or both raise the alert)
+    let update = supabase
+        .from('devices')
+        .update({
+            route_checked_at: latest.recorded_at,
+            off_route_since: offSince,
+            off_route_alerted_at: alertedAt
+        })
+        .eq('device_id', device.device_id);
+
+    update = state.route_checked_at
+        ? update.eq('route_checked_at', state.route_checked_at)
+        : update.is('route_checked_at', null);
+
+    const { data: moved, error: updateError } = await update.select('device_id');
+
+    if (updateError) throw updateError;
+
+    if (moved.length === 0) {
+        return null;
+    }
+
+    if (alert) {
+        const { error: alertError } = await supabase.from('fraud_alerts').insert({
+            user_id: null,
+            transaction_id: null,
+            device_id: device.device_id,
+            merchant_id: device.merchant_id,
+            alert_type: 'off_route',
+            risk_score: 50,
+            alert_level: 'medium',
+            details: {
+                route_id: device.route_id,
+                off_route_since: alert.since,
+                gps_latitude: alert.fix.latitude,
+                gps_longitude: alert.fix.longitude,
+                accuracy_meters: alert.fix.accuracy_meters,
+                meters_beyond_tolerance: Math.round(alert.excess),
+                tolerance_meters: getOffRouteTolerance()
+            }
+        });
+
+        if (alertError) throw alertError;
+    }
+
+    return {
+        off_route: offSince !== null,
+        off_route_since: offSince,
+        alerted: alert !== null
+    };
+}
+
+module.exports = {
+    checkRouteAdherence
+};
@@ -0,0 +1,229 @@
+// Auth sessions and refresh tokens
+// A login opens a session; its refresh tokens are random, kept only as
+// SHA-256 hashes and swapped for a new one on every refresh. Replaying a
+// swapped token revokes the whole session (see rotate_refresh_token).
+// Access tokens stay short-lived JWTs carrying the session ID (sid); every
+// request checks that session is still live, so revoking it cuts them off
+// too (within SESSION_CHECK_CACHE_MS on other server instances).
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+
+// How long a session lookup is reused by authenticateToken
+const SESSION_CHECK_CACHE_MS = 10 * 1000;
+
+// session_id -> { active, checked_at }
+const sessionChecks = new Map();
+
+/**
+ * How long a refresh token may sit unused before its session lapses
+ * @returns {number} Milliseconds
+ */
+function getRefreshTtlMs() {
+    return (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token as issued
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * A new random refresh token
+ * @returns {string} URL-safe token
+ */
+function newToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Trim request metadata to what is kept on the session
+ * @param {Object} client - { ip_address, user_agent }
+ * @returns {Object} { ip_address, user_agent }
+ */
+function clientFields(client = {}) {
+    return {
+        ip_address: client.ip_address || null,
+        user_agent: client.user_agent ? String(client.user_agent).slice(0, 255) : null
+    };
+}
+
+/**
+ * Open a session for a user who just logged in or registered
+ * @param {string} userId - User ID
+ * @param {Object} client - { ip_address, user_agent }
+ * @returns {Object} { session_id, refresh_token, expires_at }
+ */
+async function createSession(userId, client) {
+    const refreshToken = newToken();
+    const expiresAt = new Date(Date.now() + getRefreshTtlMs()).toISOString();
+
+    const { data: session, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .insert({ user_id: userId, expires_at: expiresAt, ...clientFields(client) })
+        .select('session_id')
+        .single();
+
+    if (error) throw error;
+
+    const { error: tokenError } = await supabaseAdmin
+        .from('refresh_tokens')
+        .insert({
+            token_hash: hashToken(refreshToken),
+            session_id: session.session_id,
+            expires_at: expiresAt
+        });
+
+    if (tokenError) {
+        await supabaseAdmin.from('auth_sessions').delete().eq('session_id', session.session_id);
+        throw tokenError;
+    }
+
+    return { session_id: session.session_id, refresh_token: refreshToken, expires_at: expiresAt };
+}
+
+/**
+ * Swap a refresh token for a new one
+ * @param {string} refreshToken - Token presented by the client
+ * @param {Object} client - { ip_address, user_agent }
+ * @returns {Object} { outcome, user_id, session_id, refresh_token?, expires_at? } -
+ *   outcome is 'rotated', 'invalid', 'revoked', 'expired' or 'reused'
+ */
+async function rotateRefreshToken(refreshToken, client) {
+    const next = newToken();
+    const expiresAt = new Date(Date.now() + getRefreshTtlMs()).toISOString();
+    const { ip_address, user_agent } = clientFields(client);
+
+    const { data, error } = await supabaseAdmin.rpc('rotate_refresh_token', {
+        p_token_hash: hashToken(refreshToken),
+        p_new_token_hash: hashToken(next),
+        p_expires_at: expiresAt,
+        p_ip_address: ip_address,
+        p_user_agent: user_agent
+    });
+
+    if (error) throw error;
+
+    const result = data[0];
+
+    if (result.outcome !== 'rotated') {
+        return result;
+    }
+
+    return { ...result, refresh_token: next, expires_at: expiresAt };
+}
+
+/**
+ * The session a refresh token belongs to
+ * @param {string} refreshToken - Token presented by the client
+ * @returns {Object|null} { session_id, user_id } or null if unknown
+ */
+async function findSessionByToken(refreshToken) {
+    const { data: token, error } = await supabaseAdmin
+        .from('refresh_tokens')
+        .select('session_id, auth_sessions ( user_id )')
+        .eq('token_hash', hashToken(refreshToken))
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return token ? { session_id: token.session_id, user_id: token.auth_sessions.user_id } : null;
+}
+
+/**
+ * Revoke a user's sessions
+ * @param {string} userId - Owner (a session of someone else is never touched)
+ * @param {Object} options
+ * @param {string} options.sessionId - Only this session (default: all of them)
+ * @param {string} options.exceptSessionId - Keep this one (e.g. the caller's)
+ * @param {string} options.reason - Recorded as revoked_reason
+ * @returns {Array} Revoked session IDs
+ */
+async function revokeSessions(userId, { sessionId = null, exceptSessionId = null, reason = 'logout' } = {}) {
+    let query = supabaseAdmin
+        .from('auth_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+    if (sessionId) {
+        query = query.eq('session_id', sessionId);
+    }
+    if (exceptSessionId) {
+        query = query.neq('session_id', exceptSessionId);
+    }
+
+    const { data: revoked, error } = await query.select('session_id');
+
+    if (error) throw error;
+
+    revoked.forEach(session => sessionChecks.delete(session.session_id));
+    return revoked.map(session => session.session_id);
+}
+
+/**
+ * Whether a session may still be used: it exists, is not revoked and has
+ * not expired. Answers are cached for SESSION_CHECK_CACHE_MS.
+ * @param {string} sessionId - Session ID (the access token's sid)
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {boolean} True if the session is live
+ */
+async function isSessionActive(sessionId, now = Date.now()) {
+    const cached = sessionChecks.get(sessionId);
+    if (cached && now - cached.checked_at < SESSION_CHECK_CACHE_MS) {
+        return cached.active;
+    }
+
+    const { data: session, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .select('revoked_at, expires_at')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const active = !!session && !session.revoked_at && new Date(session.expires_at).getTime() > now;
+
+    // Drop stale answers before the map grows with every session seen
+    if (sessionChecks.size >= 10000) {
+        for (const [id, check] of sessionChecks) {
+            if (now - check.checked_at >= SESSION_CHECK_CACHE_MS) {
+                sessionChecks.delete(id);
+            }
+        }
+    }
+    sessionChecks.set(sessionId, { active, checked_at: now });
+
+    return active;
+}
+
+/**
+ * A user's live sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Array} auth_sessions rows
+ */
+async function listSessions(userId) {
+    const { data: sessions, error } = await supabaseAdmin
+        .from('auth_sessions')
+        .select('session_id, created_at, last_used_at, expires_at, ip_address, user_agent')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false });
+
+    if (error) throw error;
+    return sessions;
+}
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    findSessionByToken,
+    revokeSessions,
+    isSessionActive,
+    listSessions
+};
@@ -0,0 +1,126 @@
+// Merchant settlement batches
+// Settlement days run midnight to midnight Nairobi time (EAT, UTC+3).
+
+const { supabase } = require('../config/supabase');
+const { ErrorCodes } = require('../utils/response');
+const {
+    SystemAccounts,
+    LedgerError,
+    getAccount,
+    getSystemAccount,
+    callLedgerFunction
+} = require('./ledger');
+
+const EAT_OFFSET = '+03:00';
+
+/**
+ * Settlement period for a business date
+ * @param {string} date - YYYY-MM-DD (Nairobi)
+ * @returns {Object} { period_start, period_end } as ISO strings
+ */
+function getSettlementPeriod(date) {
+    const start = new Date(`${date}T00:00:00${EAT_OFFSET}`);
+
+    if (isNaN(start.getTime())) {
+        throw new LedgerError(ErrorCodes.INVALID_INPUT, 'Invalid settlement date');
+    }
+
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+    return {
+        period_start: start.toISOString(),
+        period_end: end.toISOString()
+    };
+}
+
+/**
+ * Yesterday's business date in Nairobi
+ * @returns {string} YYYY-MM-DD
+ */
+function getPreviousBusinessDate() {
+    const eatNow = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    eatNow.setUTCDate(eatNow.getUTCDate() - 1);
+    return eatNow.toISOString().substring(0, 10);
+}
+
+/**
+ * Batch every merchant's unsettled transactions up to the end of a day
+ * @param {string} date - Business date to settle (default: yesterday)
+ * @returns {Array} Created settlements
+ */
+async function runSettlement(date = getPreviousBusinessDate()) {
+    const { period_start, period_end } = getSettlementPeriod(date);
+
+    const settlements = await callLedgerFunction('create_settlement_batches', {
+        p_period_start: period_start,
+        p_period_end: period_end
+    });
+
+    return settlements || [];
+}
+
+/**
+ * Mark a settlement paid, moving its net payout out of the merchant wallet
+ * @param {string} settlementId - Settlement ID
+ * @param {string} payoutReference - Bank / M-Pesa payout reference
+ * @returns {Object} Updated settlement
+ */
+async function markSettlementPaid(settlementId, payoutReference) {
+    const { data: settlement } = await supabase
+        .from('settlements')
+        .select('settlement_id, merchant_id, net_payout')
+        .eq('settlement_id', settlementId)
+        .maybeSingle();
+
+    if (!settlement) {
+        throw new LedgerError(ErrorCodes.NOT_FOUND, 'Settlement not found');
+    }
+
+    const netPayout = parseFloat(settlement.net_payout);
+    const entries = [];
+
+    // Refunds can outweigh payments; a zero or negative batch pays nothing
+    // and its shortfall is taken off the merchant's next batch
+    if (netPayout > 0) {
+        const merchantAccount = await getAccount('merchant', settlement.merchant_id);
+        const payoutAccount = await getSystemAccount(SystemAccounts.SETTLEMENT_PAYOUTS);
+        const memo = `Settlement ${settlement.settlement_id}`;
+
+        entries.push(
+            { account_id: merchantAccount.account_id, direction: 'debit', amount: netPayout, memo },
+            { account_id: payoutAccount.account_id, direction: 'credit', amount: netPayout, memo }
+        );
+    }
+
+    return callLedgerFunction('complete_settlement', {
+        p_settlement_id: settlementId,
+        p_status: 'paid',
+        p_payout_reference: payoutReference,
+        p_failure_reason: null,
+        p_entries: entries
+    });
+}
+
+/**
+ * Mark a pending settlement's payout as failed
+ * @param {string} settlementId - Settlement ID
+ * @param {string} reason - Why the payout failed
+ * @returns {Object} Updated settlement
+ */
+async function markSettlementFailed(settlementId, reason) {
+    return callLedgerFunction('complete_settlement', {
+        p_settlement_id: settlementId,
+        p_status: 'failed',
+        p_payout_reference: null,
+        p_failure_reason: reason,
+        p_entries: []
+    });
+}
+
+module.exports = {
+    getSettlementPeriod,
+    getPreviousBusinessDate,
+    runSettlement,
+    markSettlementPaid,
+    markSettlementFailed
+};
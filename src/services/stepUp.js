@@ -0,0 +1,129 @@
+// Step-up confirmation codes for risky payments
+// When the fraud rules ask for a step-up, the payer is sent a 6-digit code
+// by SMS and the payment is refused with a challenge id. Resending the
+// payment with that id and the code lets it through once: the transaction
+// records the challenge, and a challenge can only be recorded on one
+// transaction. Only an HMAC of each code is stored.
+
+const crypto = require('crypto');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// How long a code can be used, and how many wrong codes a challenge takes
+const STEP_UP_TTL_MS = 5 * 60 * 1000;
+const STEP_UP_MAX_ATTEMPTS = 3;
+
+const CODE_PATTERN = /^\d{6}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Outcome of checking a step-up code (check_step_up_challenge status)
+ */
+const StepUpStatus = {
+    VALID: 'valid',
+    WRONG_CODE: 'wrong_code',
+    INVALID: 'invalid'
+};
+
+/**
+ * Stored form of a step-up code, keyed to its challenge
+ * @param {string} challengeId - Challenge ID
+ * @param {string} code - 6-digit code
+ * @returns {string} Hex HMAC
+ */
+function hashStepUpCode(challengeId, code) {
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET)
+        .update(`stepup:${challengeId}:${code}`)
+        .digest('hex');
+}
+
+/**
+ * Create a challenge for one payment and text its code to the payer
+ * @param {Object} binding - { user_id, phone_number, merchant_id, amount }
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Object} { step_up_challenge_id, expires_at }
+ */
+async function issueStepUpChallenge(binding, now = Date.now()) {
+    const challengeId = crypto.randomUUID();
+    const code = String(crypto.randomInt(1000000)).padStart(6, '0');
+    const amount = Number(binding.amount);
+    const expiresAt = new Date(now + STEP_UP_TTL_MS).toISOString();
+
+    const { error } = await supabaseAdmin.from('step_up_challenges').insert({
+        challenge_id: challengeId,
+        user_id: binding.user_id,
+        merchant_id: binding.merchant_id,
+        amount,
+        code_hash: hashStepUpCode(challengeId, code),
+        expires_at: expiresAt
+    });
+
+    if (error) throw error;
+
+    const { error: notifyError } = await supabase.from('notifications').insert({
+        user_id: binding.user_id,
+        notification_type: 'sms',
+        recipient: binding.phone_number,
+        message: `EmSec: your code to confirm a payment of KES ${amount.toFixed(2)} is ${code}. It expires in 5 minutes. Never share it.`,
+        status: 'queued'
+    });
+
+    if (notifyError) throw notifyError;
+
+    return { step_up_challenge_id: challengeId, expires_at: expiresAt };
+}
+
+/**
+ * Check a step-up code for one payment. Wrong codes are counted; the
+ * challenge is used up only when a transaction records it.
+ * @param {Object} binding - { user_id, merchant_id, amount, step_up_challenge_id, step_up_code }
+ * @returns {Object} { status, attempts_left, expires_at } - status is one of StepUpStatus
+ */
+async function checkStepUpChallenge(binding) {
+    const challengeId = binding.step_up_challenge_id;
+    const code = String(binding.step_up_code || '');
+
+    if (!UUID_PATTERN.test(challengeId || '') || !CODE_PATTERN.test(code)) {
+        return { status: StepUpStatus.INVALID, attempts_left: 0, expires_at: null };
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('check_step_up_challenge', {
+        p_challenge_id: challengeId,
+        p_user_id: binding.user_id,
+        p_merchant_id: binding.merchant_id,
+        p_amount: Number(binding.amount),
+        p_code_hash: hashStepUpCode(challengeId, code),
+        p_max_attempts: STEP_UP_MAX_ATTEMPTS
+    });
+
+    if (error) throw error;
+
+    return data[0];
+}
+
+/**
+ * Mark a challenge used by the transaction that recorded it. Failures are
+ * logged, never thrown: the transaction's step_up_challenge_id already
+ * stops the code being used again.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} transactionId - Transaction that used it
+ */
+async function consumeStepUpChallenge(challengeId, transactionId) {
+    const { error } = await supabaseAdmin
+        .from('step_up_challenges')
+        .update({ consumed_at: new Date().toISOString(), transaction_id: transactionId })
+        .eq('challenge_id', challengeId)
+        .is('consumed_at', null);
+
+    if (error) {
+        console.error('Step-up challenge consume error:', error);
+    }
+}
+
+module.exports = {
+    StepUpStatus,
+    hashStepUpCode,
+    issueStepUpChallenge,
+    checkStepUpChallenge,
+    consumeStepUpChallenge
+};
@@ -0,0 +1,229 @@
+// Device GPS telemetry
+// On-board units push batches of fixes. Each usable fix is stored in
+// device_gps_fixes (the track history); the device's last_gps_* columns
+// only move forward, to the newest fix it has reported, so a late batch
+// never drags a matatu back to where it was. New fixes are also checked
+// against the route's path for off-route running.
+
+const { supabase } = require('../config/supabase');
+const { isValidCoordinates, isWithinKenya } = require('../utils/gps');
+const { checkRouteAdherence } = require('./routeAdherence');
+
+// Fixes further in the future than this are from a badly set clock
+const MAX_FUTURE_SKEW_MS = 2 * 60 * 1000;
+
+// How much recent track origin detection looks at
+const ORIGIN_TRACK_WINDOW_MS = 2 * 60 * 1000;
+const ORIGIN_TRACK_MAX_FIXES = 20;
+
+/**
+ * Oldest fix a device may still upload (units buffer while offline)
+ * @returns {number} Milliseconds
+ */
+function getMaxFixAgeMs() {
+    return (parseInt(process.env.TELEMETRY_MAX_FIX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+/**
+ * Optional non-negative number, or undefined if absent
+ * @param {*} value - Raw value
+ * @param {number} max - Upper bound
+ * @returns {number|null|undefined} Parsed value, null if invalid, undefined if absent
+ */
+function optionalNumber(value, max) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number >= 0 && number <= max
+        ? number
+        : null;
+}
+
+/**
+ * Check one fix from a batch
+ * @param {Object} fix - { latitude, longitude, recorded_at, accuracy_meters?, speed_mps?, bearing_degrees? }
+ * @param {number} now - Current time in ms
+ * @returns {Object} { fix } when usable, { reason } when rejected
+ */
+function normalizeFix(fix, now) {
+    if (!fix || typeof fix !== 'object') {
+        return { reason: 'not an object' };
+    }
+
+    const latitude = typeof fix.latitude === 'string' ? parseFloat(fix.latitude) : fix.latitude;
+    const longitude = typeof fix.longitude === 'string' ? parseFloat(fix.longitude) : fix.longitude;
+
+    if (!isValidCoordinates(latitude, longitude)) {
+        return { reason: 'invalid coordinates' };
+    }
+    if (!isWithinKenya(latitude, longitude)) {
+        return { reason: 'coordinates are outside Kenya' };
+    }
+
+    const recordedAt = new Date(fix.recorded_at);
+    if (!fix.recorded_at || Number.isNaN(recordedAt.getTime())) {
+        return { reason: 'invalid recorded_at' };
+    }
+    if (recordedAt.getTime() > now + MAX_FUTURE_SKEW_MS) {
+        return { reason: 'recorded_at is in the future' };
+    }
+    if (recordedAt.getTime() < now - getMaxFixAgeMs()) {
+        return { reason: 'recorded_at is too old' };
+    }
+
+    const accuracy = optionalNumber(fix.accuracy_meters, 10000);
+    const speed = optionalNumber(fix.speed_mps, 100);
+    const bearing = optionalNumber(fix.bearing_degrees, 360);
+
+    if (accuracy === null) return { reason: 'invalid accuracy_meters' };
+    if (speed === null) return { reason: 'invalid speed_mps' };
+    if (bearing === null) return { reason: 'invalid bearing_degrees' };
+
+    return {
+        fix: {
+            latitude,
+            longitude,
+            accuracy_meters: accuracy !== undefined ? accuracy : null,
+            speed_mps: speed !== undefined ? speed : null,
+            bearing_degrees: bearing !== undefined ? bearing % 360 : null,
+            recorded_at: recordedAt.toISOString()
+        }
+    };
+}
+
+/**
+ * Store a batch of fixes from a device and advance its position
+ * @param {Object} device - req.device (device_id, merchant_id, route_id)
+ * @param {Array} fixes - Raw fixes from the request body
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Object} { accepted, duplicates, rejected: [{ index, reason }], position_updated }
+ */
+async function ingestFixes(device, fixes, now = Date.now()) {
+    const rejected = [];
+    const byTime = new Map();
+
+    fixes.forEach((raw, index) => {
+        const { fix, reason } = normalizeFix(raw, now);
+        if (reason) {
+            rejected.push({ index, reason });
+        } else {
+            // Repeats of one timestamp within a batch: the last one wins
+            byTime.set(fix.recorded_at, fix);
+        }
+    });
+
+    const usable = [...byTime.values()].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+
+    if (usable.length === 0) {
+        return { accepted: 0, duplicates: 0, rejected, position_updated: false };
+    }
+
+    // Re-sent fixes (retries after a dropped connection) are ignored
+    const { data: inserted, error } = await supabase
+        .from('device_gps_fixes')
+        .upsert(
+            usable.map(fix => ({
+                device_id: device.device_id,
+                route_id: device.route_id || null,
+                ...fix
+            })),
+            { onConflict: 'device_id,recorded_at', ignoreDuplicates: true }
+        )
+        .select('fix_id');
+
+    if (error) throw error;
+
+    const latest = usable[usable.length - 1];
+
+    const { data: moved, error: updateError } = await supabase
+        .from('devices')
+        .update({
+            last_gps_latitude: latest.latitude,
+            last_gps_longitude: latest.longitude,
+            last_gps_accuracy_meters: latest.accuracy_meters,
+            last_gps_speed_mps: latest.speed_mps,
+            last_gps_bearing_degrees: latest.bearing_degrees,
+            last_gps_updated_at: latest.recorded_at
+        })
+        .eq('device_id', device.device_id)
+        .or(`last_gps_updated_at.is.null,last_gps_updated_at.lt.${latest.recorded_at}`)
+        .select('device_id');
+
+    if (updateError) throw updateError;
+
+    await checkRouteAdherence(device, usable);
+
+    return {
+        accepted: inserted.length,
+        duplicates: usable.length - inserted.length,
+        rejected,
+        position_updated: moved.length > 0
+    };
+}
+
+/**
+ * A device's recent track, oldest first
+ * @param {string} deviceId - Device ID
+ * @param {Object} options - { since (Date), limit }
+ * @returns {Array} device_gps_fixes rows
+ */
+async function getRecentTrack(deviceId, { since, limit = 50 } = {}) {
+    let query = supabase
+        .from('device_gps_fixes')
+        .select('latitude, longitude, accuracy_meters, speed_mps, bearing_degrees, recorded_at')
+        .eq('device_id', deviceId)
+        .order('recorded_at', { ascending: false })
+        .limit(limit);
+
+    if (since) {
+        query = query.gte('recorded_at', since.toISOString());
+    }
+
+    const { data: fixes, error } = await query;
+
+    if (error) throw error;
+
+    return fixes.reverse().map(fix => ({
+        latitude: parseFloat(fix.latitude),
+        longitude: parseFloat(fix.longitude),
+        accuracy_meters: fix.accuracy_meters !== null ? parseFloat(fix.accuracy_meters) : null,
+        speed_mps: fix.speed_mps !== null ? parseFloat(fix.speed_mps) : null,
+        bearing_degrees: fix.bearing_degrees !== null ? parseFloat(fix.bearing_degrees) : null,
+        recorded_at: fix.recorded_at
+    }));
+}
+
+/**
+ * Track to infer a vehicle's boarding stop from: the last couple of
+ * minutes of fixes, or just its last known position if it has none
+ * @param {Object} device - devices row with last_gps_* columns
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Array} Fixes, oldest first
+ */
+async function getOriginTrack(device, now = Date.now()) {
+    const track = await getRecentTrack(device.device_id, {
+        since: new Date(now - ORIGIN_TRACK_WINDOW_MS),
+        limit: ORIGIN_TRACK_MAX_FIXES
+    });
+
+    if (track.length > 0) {
+        return track;
+    }
+
+    const toNumber = value => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+    return [{
+        latitude: parseFloat(device.last_gps_latitude),
+        longitude: parseFloat(device.last_gps_longitude),
+        speed_mps: toNumber(device.last_gps_speed_mps),
+        bearing_degrees: toNumber(device.last_gps_bearing_degrees),
+        recorded_at: device.last_gps_updated_at
+    }];
+}
+
+module.exports = {
+    ingestFixes,
+    getRecentTrack,
+    getOriginTrack
+};
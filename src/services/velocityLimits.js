@@ -0,0 +1,210 @@
+// Payment velocity limits
+// Hard caps on how often and how much is paid, per payer, per on-board
+// device and per merchant: payments per minute, hour and day, and KES per
+// day. Unlike the fraud rules these are not scored: a payment that would go
+// over any limit is refused before money moves, and a 'velocity_limit'
+// fraud alert is raised. The check runs just before the ledger posting, so
+// payments racing each other can overshoot a limit by the ones in flight.
+//
+// Defaults can be overridden per scope with PAYMENT_LIMITS_USER,
+// PAYMENT_LIMITS_DEVICE and PAYMENT_LIMITS_MERCHANT, e.g.
+// "per_minute=2,amount_per_day=10000" (0 switches a limit off).
+
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { ErrorCodes } = require('../utils/response');
+
+const LimitScope = {
+    USER: 'user',
+    DEVICE: 'device',
+    MERCHANT: 'merchant'
+};
+
+// A rider pays for themselves and maybe a friend or two; a matatu loads
+// at most a few dozen passengers a minute
+const DEFAULT_LIMITS = {
+    [LimitScope.USER]: { per_minute: 3, per_hour: 20, per_day: 50, amount_per_day: 20000 },
+    [LimitScope.DEVICE]: { per_minute: 40, per_hour: 600, per_day: 4000, amount_per_day: 500000 },
+    [LimitScope.MERCHANT]: { per_minute: 60, per_hour: 900, per_day: 6000, amount_per_day: 1000000 }
+};
+
+const LIMIT_ENV = {
+    [LimitScope.USER]: 'PAYMENT_LIMITS_USER',
+    [LimitScope.DEVICE]: 'PAYMENT_LIMITS_DEVICE',
+    [LimitScope.MERCHANT]: 'PAYMENT_LIMITS_MERCHANT'
+};
+
+// How a breach reads to the payer
+const LIMIT_LABELS = {
+    per_minute: 'payments per minute',
+    per_hour: 'payments per hour',
+    per_day: 'payments per day',
+    amount_per_day: 'KES per day'
+};
+
+const SCOPE_LABELS = {
+    [LimitScope.USER]: 'your account',
+    [LimitScope.DEVICE]: 'this device',
+    [LimitScope.MERCHANT]: 'this merchant'
+};
+
+// One alert per payer and device while a run of refusals lasts
+const ALERT_REPEAT_MS = 10 * 60 * 1000;
+
+// HTTP status for each rejection reason (anything else is a 500)
+const ERROR_STATUS = {
+    [ErrorCodes.VELOCITY_LIMIT_EXCEEDED]: 429
+};
+
+/**
+ * Error raised when a payment would go over a velocity limit
+ */
+class LimitError extends Error {
+    /**
+     * @param {string} code - One of ErrorCodes
+     * @param {string} message - Human readable message
+     * @param {Object} details - Extra response data (the limit that was hit)
+     */
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'LimitError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+        this.details = details;
+    }
+}
+
+/**
+ * A scope's limits, after any PAYMENT_LIMITS_* override
+ * @param {string} scope - One of LimitScope
+ * @returns {Object} { per_minute, per_hour, per_day, amount_per_day } (0 = off)
+ */
+function getLimits(scope) {
+    const limits = { ...DEFAULT_LIMITS[scope] };
+    const overrides = (process.env[LIMIT_ENV[scope]] || '').split(',');
+
+    for (const entry of overrides) {
+        const [name, value] = entry.split('=').map(part => part && part.trim());
+        const limit = parseFloat(value);
+        if (Object.keys(LIMIT_LABELS).includes(name) && Number.isFinite(limit) && limit >= 0) {
+            limits[name] = limit;
+        }
+    }
+    return limits;
+}
+
+/**
+ * Which limits this payment would go over
+ * @param {Object} payment - { user_id, device_id?, merchant_id, amount }
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Array} [{ scope, limit, max, current }], tightest window first
+ */
+async function findBreaches(payment, now = Date.now()) {
+    const { data: usage, error } = await supabaseAdmin.rpc('payment_velocity', {
+        p_user_id: payment.user_id,
+        p_device_id: payment.device_id || null,
+        p_merchant_id: payment.merchant_id,
+        p_at: new Date(now).toISOString()
+    });
+
+    if (error) throw error;
+
+    const breaches = [];
+
+    for (const row of usage) {
+        const limits = getLimits(row.scope);
+
+        for (const limit of Object.keys(LIMIT_LABELS)) {
+            const current = Number(row[limit]);
+            const adding = limit === 'amount_per_day' ? Number(payment.amount) : 1;
+
+            if (limits[limit] > 0 && current + adding > limits[limit]) {
+                breaches.push({ scope: row.scope, limit, max: limits[limit], current });
+            }
+        }
+    }
+
+    const order = Object.keys(LIMIT_LABELS);
+    return breaches.sort((a, b) => order.indexOf(a.limit) - order.indexOf(b.limit));
+}
+
+/**
+ * Raise a 'velocity_limit' fraud alert for a refused payment, unless one
+ * was raised for this payer and device recently. Failures are logged,
+ * never thrown, so the refusal still answers.
+ * @param {Object} payment - { user_id, device_id?, merchant_id, amount }
+ * @param {Array} breaches - findBreaches result
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if an alert was raised
+ */
+async function recordBreach(payment, breaches, now) {
+    let recent = supabase
+        .from('fraud_alerts')
+        .select('alert_id')
+        .eq('alert_type', 'velocity_limit')
+        .eq('user_id', payment.user_id)
+        .gte('created_at', new Date(now - ALERT_REPEAT_MS).toISOString())
+        .limit(1);
+
+    recent = payment.device_id ? recent.eq('device_id', payment.device_id) : recent.is('device_id', null);
+
+    const { data: existing, error: lookupError } = await recent;
+
+    if (lookupError) {
+        console.error('Velocity alert lookup error:', lookupError);
+        return false;
+    }
+    if (existing.length > 0) {
+        return false;
+    }
+
+    const { error } = await supabase.from('fraud_alerts').insert({
+        user_id: payment.user_id,
+        transaction_id: null,
+        device_id: payment.device_id || null,
+        merchant_id: payment.merchant_id,
+        alert_type: 'velocity_limit',
+        risk_score: 70,
+        alert_level: 'high',
+        decision: 'block',
+        details: {
+            amount: payment.amount,
+            breaches
+        }
+    });
+
+    if (error) {
+        console.error('Velocity alert error:', error);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Refuse a payment that would go over a velocity limit: returns when it may
+ * go ahead, records an alert and throws a LimitError when it may not
+ * @param {Object} payment - { user_id, device_id?, merchant_id, amount }
+ * @param {number} now - Current time in ms (default Date.now())
+ */
+async function enforceVelocityLimits(payment, now = Date.now()) {
+    const breaches = await findBreaches(payment, now);
+
+    if (breaches.length === 0) {
+        return;
+    }
+
+    await recordBreach(payment, breaches, now);
+
+    const first = breaches[0];
+    throw new LimitError(
+        ErrorCodes.VELOCITY_LIMIT_EXCEEDED,
+        `Payment limit reached: ${SCOPE_LABELS[first.scope]} allows ${first.max} ${LIMIT_LABELS[first.limit]}`,
+        { scope: first.scope, limit: first.limit, max: first.max }
+    );
+}
+
+module.exports = {
+    LimitScope,
+    LimitError,
+    getLimits,
+    enforceVelocityLimits
+};
@@ -0,0 +1,178 @@
+// Local Daraja stand-in for offline development
+// Mounted at /simulator/daraja when MPESA_ENV=simulator. It accepts the same
+// requests as Safaricom's API and posts the result to the CallBackURL after
+// SIMULATOR_CALLBACK_DELAY_MS (default 3s).
+//
+// Outcomes are picked by the customer's phone number:
+//   ...9999 -> STK: cancelled by user (1032), B2C: unregistered recipient (2040)
+//   ...9998 -> STK: insufficient M-Pesa balance (1), B2C: insufficient float (1)
+//   anything else -> success
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const OUTCOMES = {
+    '9999': { code: 1032, desc: 'Request cancelled by user' },
+    '9998': { code: 1, desc: 'The balance is insufficient for the transaction' }
+};
+
+const B2C_OUTCOMES = {
+    '9999': { code: 2040, desc: 'Credit Party customer type (Unregistered or Registered Customer) can\'t be supported by the service.' },
+    '9998': { code: 1, desc: 'The balance is insufficient for the transaction.' }
+};
+
+/**
+ * Random Daraja-looking identifier
+ * @param {string} prefix - ID prefix
+ * @returns {string} Identifier
+ */
+function randomId(prefix) {
+    return `${prefix}${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Random M-Pesa receipt number, e.g. SJK3H2L9QX
+ * @returns {string} Receipt number
+ */
+function randomReceipt() {
+    return crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+/**
+ * Pick the simulated outcome for a phone number
+ * @param {string} msisdn - Customer MSISDN
+ * @returns {Object} { code, desc }
+ */
+function outcomeFor(msisdn) {
+    return OUTCOMES[String(msisdn).slice(-4)] || { code: 0, desc: 'The service request is processed successfully.' };
+}
+
+/**
+ * Deliver a callback after the configured delay
+ * @param {string} url - CallBackURL / ResultURL
+ * @param {Object} payload - Callback body
+ */
+function deliverCallback(url, payload) {
+    const delay = parseInt(process.env.SIMULATOR_CALLBACK_DELAY_MS) || 3000;
+
+    setTimeout(async () => {
+        try {
+            await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+        } catch (error) {
+            console.error('Daraja simulator callback error:', error.message);
+        }
+    }, delay);
+}
+
+/**
+ * GET /oauth/v1/generate
+ */
+router.get('/oauth/v1/generate', (req, res) => {
+    res.json({
+        access_token: `simulated-${crypto.randomBytes(12).toString('hex')}`,
+        expires_in: '3599'
+    });
+});
+
+/**
+ * POST /mpesa/stkpush/v1/processrequest
+ */
+router.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+    const { Amount, PhoneNumber, CallBackURL } = req.body;
+
+    if (!Amount || !PhoneNumber || !CallBackURL) {
+        return res.status(400).json({
+            requestId: randomId(''),
+            errorCode: '400.002.02',
+            errorMessage: 'Bad Request - Invalid request payload'
+        });
+    }
+
+    const merchantRequestId = randomId('SIM-');
+    const checkoutRequestId = randomId('ws_CO_');
+    const outcome = outcomeFor(PhoneNumber);
+
+    const stkCallback = {
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResultCode: outcome.code,
+        ResultDesc: outcome.desc
+    };
+
+    if (outcome.code === 0) {
+        stkCallback.CallbackMetadata = {
+            Item: [
+                { Name: 'Amount', Value: Amount },
+                { Name: 'MpesaReceiptNumber', Value: randomReceipt() },
+                { Name: 'TransactionDate', Value: parseInt(new Date().toISOString().replace(/[-:T]/g, '').substring(0, 14)) },
+                { Name: 'PhoneNumber', Value: parseInt(PhoneNumber) }
+            ]
+        };
+    }
+
+    deliverCallback(CallBackURL, { Body: { stkCallback } });
+
+    res.json({
+        MerchantRequestID: merchantRequestId,
+        CheckoutRequestID: checkoutRequestId,
+        ResponseCode: '0',
+        ResponseDescription: 'Success. Request accepted for processing',
+        CustomerMessage: 'Success. Request accepted for processing'
+    });
+});
+
+/**
+ * POST /mpesa/b2c/v1/paymentrequest
+ */
+router.post('/mpesa/b2c/v1/paymentrequest', (req, res) => {
+    const { Amount, PartyB, ResultURL } = req.body;
+
+    if (!Amount || !PartyB || !ResultURL) {
+        return res.status(400).json({
+            requestId: randomId(''),
+            errorCode: '400.002.02',
+            errorMessage: 'Bad Request - Invalid request payload'
+        });
+    }
+
+    const conversationId = randomId('AG_');
+    const originatorConversationId = randomId('SIM-');
+    const outcome = B2C_OUTCOMES[String(PartyB).slice(-4)] || { code: 0, desc: 'The service request is processed successfully.' };
+    const receipt = randomReceipt();
+
+    const result = {
+        ResultType: 0,
+        ResultCode: outcome.code,
+        ResultDesc: outcome.desc,
+        OriginatorConversationID: originatorConversationId,
+        ConversationID: conversationId,
+        TransactionID: receipt
+    };
+
+    if (outcome.code === 0) {
+        result.ResultParameters = {
+            ResultParameter: [
+                { Key: 'TransactionAmount', Value: Amount },
+                { Key: 'TransactionReceipt', Value: receipt },
+                { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - Simulated Customer` },
+                { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' }
+            ]
+        };
+    }
+
+    deliverCallback(ResultURL, { Result: result });
+
+    res.json({
+        ConversationID: conversationId,
+        OriginatorConversationID: originatorConversationId,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+    });
+});
+
+module.exports = router;
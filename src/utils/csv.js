@@ -0,0 +1,109 @@
+// CSV export helpers
+
+/**
+ * Quote one CSV field (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    // Keep spreadsheet apps from evaluating user-supplied text as a formula
+    if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - [{ key, header }]
+ * @param {Array} rows - Objects keyed by column key
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(col => escapeField(col.header)).join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map(col => escapeField(row[col.key])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Send rows as a CSV file download
+ * @param {Object} res - Express response object
+ * @param {string} filename - Download file name
+ * @param {Array} columns - [{ key, header }]
+ * @param {Array} rows - Objects keyed by column key
+ */
+function sendCsv(res, filename, columns, rows) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(toCsv(columns, rows));
+}
+
+/**
+ * Parse a CSV document with a header row (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array} One object per data row, keyed by trimmed header
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+    const keys = header.map(key => key.trim().replace(/^\uFEFF/, ''));
+
+    return rows.map(row => Object.fromEntries(keys.map((key, idx) => [key, (row[idx] || '').trim()])));
+}
+
+module.exports = {
+    parseCsv,
+    toCsv,
+    sendCsv
+};
@@ -0,0 +1,42 @@
+// Wallet fee schedules
+
+/**
+ * Withdrawal (B2C cash-out) fee tiers in KES, by upper bound of the amount
+ */
+const WITHDRAWAL_FEE_TIERS = [
+    { max: 100, fee: 0 },
+    { max: 500, fee: 7 },
+    { max: 1000, fee: 13 },
+    { max: 1500, fee: 23 },
+    { max: 2500, fee: 33 },
+    { max: 3500, fee: 53 },
+    { max: 5000, fee: 57 },
+    { max: 7500, fee: 78 },
+    { max: 10000, fee: 90 },
+    { max: 15000, fee: 100 },
+    { max: 20000, fee: 105 },
+    { max: 150000, fee: 108 }
+];
+
+const MIN_WITHDRAWAL = 50;
+const MAX_WITHDRAWAL = 150000;
+
+/**
+ * Calculate the fee for withdrawing an amount to M-Pesa
+ * @param {number} amount - Amount the user receives on M-Pesa
+ * @returns {number|null} Fee in KES, or null if the amount is not a number or out of range
+ */
+function calculateWithdrawalFee(amount) {
+    if (!Number.isFinite(amount) || amount < MIN_WITHDRAWAL || amount > MAX_WITHDRAWAL) {
+        return null;
+    }
+
+    const tier = WITHDRAWAL_FEE_TIERS.find(t => amount <= t.max);
+    return tier ? tier.fee : null;
+}
+
+module.exports = {
+    MIN_WITHDRAWAL,
+    MAX_WITHDRAWAL,
+    calculateWithdrawalFee
+};
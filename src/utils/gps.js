@@ -1,5 +1,18 @@
 // GPS and geolocation utilities for fraud prevention
 
+// A device position older than this is not trusted (QR scan origin
+// detection, GTFS-Realtime feed)
+const GPS_MAX_AGE_MS = 10 * 60 * 1000; // 10 minutes
+
+// Origin detection (detectOrigin)
+const ORIGIN_MIN_MOVEMENT_METERS = 20; // Less than this over the track is standing still
+const ORIGIN_MIN_SPEED_MPS = 1; // Below this a unit's reported bearing is noise
+const ORIGIN_UNKNOWN_HEADING_FACTOR = 0.85; // Score multiplier when heading is unknown
+const ORIGIN_AHEAD_FACTOR = 0.5; // Score multiplier for stops not reached yet
+
+// Passenger vs vehicle cross-check (getSeparationExcess)
+const MAX_ACCURACY_CREDIT_METERS = 250; // A claimed accuracy worse than this earns no more slack
+
 /**
  * Calculate distance between two GPS coordinates using Haversine formula
  * @param {number} lat1 - Latitude of point 1
@@ -68,22 +81,147 @@ function findNearestStop(latitude, longitude, stops) {
 }
 
 /**
- * Determine confidence level based on distance
- * @param {number} distanceMeters - Distance in meters
- * @returns {string} Confidence level: 'high', 'medium', 'low'
+ * Default radius a stop is considered to cover when it has no geofence
+ * @returns {number} Meters (GPS_CONFIDENCE_THRESHOLD_METERS)
  */
-function getConfidenceLevel(distanceMeters) {
-    const threshold = parseInt(process.env.GPS_CONFIDENCE_THRESHOLD_METERS) || 100;
-    
-    if (distanceMeters < threshold) {
+function getDefaultStopRadius() {
+    return parseInt(process.env.GPS_CONFIDENCE_THRESHOLD_METERS) || 100;
+}
+
+/**
+ * Whether a point lies inside a polygon (ray casting; fine for
+ * stage-sized polygons that do not cross the antimeridian)
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Array} polygon - Ring of [{ latitude, longitude }], not closed
+ * @returns {boolean} True if inside
+ */
+function isPointInPolygon(latitude, longitude, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+
+        if ((a.latitude > latitude) !== (b.latitude > latitude) &&
+            longitude < (b.longitude - a.longitude) * (latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * How far a point is outside a stop's geofence. A stop's geofence is
+ * { radius_meters } around the stop or { polygon: [{ latitude, longitude }, ...] };
+ * stops without one are treated as a circle of fallbackRadius.
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Object} stop - Route stop ({ latitude, longitude, geofence? })
+ * @param {number} fallbackRadius - Radius for stops without a geofence (meters)
+ * @returns {number} Meters beyond the geofence edge (0 inside)
+ */
+function getGeofenceExcess(latitude, longitude, stop, fallbackRadius = getDefaultStopRadius()) {
+    const geofence = stop.geofence || {};
+
+    if (Array.isArray(geofence.polygon) && geofence.polygon.length >= 3) {
+        if (isPointInPolygon(latitude, longitude, geofence.polygon)) {
+            return 0;
+        }
+        const ring = [...geofence.polygon, geofence.polygon[0]];
+        return snapToPath(latitude, longitude, ring).distance_meters;
+    }
+
+    const radius = geofence.radius_meters || fallbackRadius;
+    const distance = calculateDistance(latitude, longitude, stop.latitude, stop.longitude);
+
+    return Math.max(0, distance - radius);
+}
+
+/**
+ * Determine confidence that a point is at a stop, from the stop's geofence
+ * (GPS_CONFIDENCE_THRESHOLD_METERS around the stop if it has none)
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Object} stop - Route stop
+ * @returns {string} Confidence level: 'high' (inside), 'medium' (within
+ *   GPS_CONFIDENCE_THRESHOLD_METERS of the edge), 'low'
+ */
+function getConfidenceLevel(latitude, longitude, stop) {
+    const threshold = getDefaultStopRadius();
+    const excess = getGeofenceExcess(latitude, longitude, stop, threshold);
+
+    if (excess === 0) {
         return 'high';
-    } else if (distanceMeters < threshold * 2) {
+    } else if (excess < threshold) {
         return 'medium';
     } else {
         return 'low';
     }
 }
 
+/**
+ * Whether a GPS position is too far from the boarding stop a payment
+ * claims. Uses the stop's geofence, or GPS_MAX_DISTANCE_METERS around the
+ * stop if it has none.
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Object} stop - Route stop
+ * @returns {boolean} True if outside the stop's geofence
+ */
+function isOutsideStopGeofence(latitude, longitude, stop) {
+    const maxDistance = parseInt(process.env.GPS_MAX_DISTANCE_METERS) || 500;
+    return getGeofenceExcess(latitude, longitude, stop, maxDistance) > 0;
+}
+
+/**
+ * How far a vehicle may stray from its route's path before it counts as
+ * off-route
+ * @returns {number} Meters
+ */
+function getOffRouteTolerance() {
+    return parseInt(process.env.ROUTE_OFF_TOLERANCE_METERS) || 150;
+}
+
+/**
+ * How far a fix is beyond the off-route tolerance of a route's path. The
+ * fix's accuracy radius is given the benefit of the doubt, so a poor fix
+ * beside the road does not count against the vehicle.
+ * @param {number} latitude - Fix latitude
+ * @param {number} longitude - Fix longitude
+ * @param {Array} path - Route path, ordered [{ latitude, longitude }]
+ * @param {number} accuracyMeters - Fix accuracy radius (default 0)
+ * @returns {number|null} Meters beyond the tolerance (0 on route), null without a path
+ */
+function getOffRouteExcess(latitude, longitude, path, accuracyMeters = 0) {
+    const snapped = snapToPath(latitude, longitude, path);
+    if (!snapped) {
+        return null;
+    }
+    return Math.max(0, snapped.distance_meters - (accuracyMeters || 0) - getOffRouteTolerance());
+}
+
+/**
+ * How far apart a passenger's phone and their vehicle are beyond what GPS
+ * error can explain. Each side is allowed its accuracy radius (capped, so a
+ * phone claiming a huge radius cannot excuse any distance) plus any
+ * allowance the caller adds, e.g. for vehicle movement since its fix.
+ * @param {Object} passenger - { latitude, longitude, accuracy_meters? }
+ * @param {Object} vehicle - { latitude, longitude, accuracy_meters? }
+ * @param {number} allowanceMeters - Extra slack (default 0)
+ * @returns {Object} { distance_meters, excess_meters }
+ */
+function getSeparationExcess(passenger, vehicle, allowanceMeters = 0) {
+    const credit = accuracy => Math.min(accuracy || 0, MAX_ACCURACY_CREDIT_METERS);
+    const distance = calculateDistance(passenger.latitude, passenger.longitude, vehicle.latitude, vehicle.longitude);
+
+    return {
+        distance_meters: distance,
+        excess_meters: Math.max(0, distance - credit(passenger.accuracy_meters) - credit(vehicle.accuracy_meters) - allowanceMeters)
+    };
+}
+
 /**
  * Validate GPS coordinates
  * @param {number} latitude - Latitude
@@ -124,10 +262,290 @@ function isWithinKenya(latitude, longitude) {
     );
 }
 
+/**
+ * Whether a device GPS fix is recent enough to use
+ * @param {string} updatedAt - last_gps_updated_at
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {boolean} True if within GPS_MAX_AGE_MS
+ */
+function isGpsFresh(updatedAt, now = Date.now()) {
+    if (!updatedAt) {
+        return false;
+    }
+    return now - new Date(updatedAt).getTime() <= GPS_MAX_AGE_MS;
+}
+
+/**
+ * Initial bearing from point 1 to point 2
+ * @param {number} lat1 - Latitude of point 1
+ * @param {number} lon1 - Longitude of point 1
+ * @param {number} lat2 - Latitude of point 2
+ * @param {number} lon2 - Longitude of point 2
+ * @returns {number} Degrees clockwise from north, 0-360
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Smallest angle between two bearings
+ * @param {number} a - Bearing in degrees
+ * @param {number} b - Bearing in degrees
+ * @returns {number} Degrees, 0-180
+ */
+function angleDifference(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Snap a point onto a path of points (a route's stops or its polyline).
+ * Segments are treated as straight lines on a local flat projection,
+ * which is accurate to well under a meter at matatu-stage distances.
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Array} path - Ordered [{ latitude, longitude }]
+ * @returns {Object|null} { segment_index, fraction, progress, along_meters, distance_meters, latitude, longitude }
+ */
+function snapToPath(latitude, longitude, path) {
+    const points = (path || []).filter(point => isValidCoordinates(point.latitude, point.longitude));
+
+    if (points.length === 0) {
+        return null;
+    }
+
+    if (points.length === 1) {
+        return {
+            segment_index: 0,
+            fraction: 0,
+            progress: 0,
+            along_meters: 0,
+            distance_meters: calculateDistance(latitude, longitude, points[0].latitude, points[0].longitude),
+            latitude: points[0].latitude,
+            longitude: points[0].longitude
+        };
+    }
+
+    const metersPerDegLat = 111320;
+    const metersPerDegLon = 111320 * Math.cos(latitude * Math.PI / 180);
+
+    let best = null;
+    let alongSoFar = 0;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+
+        // Work in meters relative to the segment start
+        const bx = (b.longitude - a.longitude) * metersPerDegLon;
+        const by = (b.latitude - a.latitude) * metersPerDegLat;
+        const px = (longitude - a.longitude) * metersPerDegLon;
+        const py = (latitude - a.latitude) * metersPerDegLat;
+
+        const lengthSq = bx * bx + by * by;
+        const fraction = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq));
+        const dx = px - fraction * bx;
+        const dy = py - fraction * by;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const segmentLength = Math.sqrt(lengthSq);
+
+        if (!best || distance < best.distance_meters) {
+            best = {
+                segment_index: i,
+                fraction,
+                progress: i + fraction,
+                along_meters: alongSoFar + fraction * segmentLength,
+                distance_meters: Math.round(distance),
+                latitude: a.latitude + fraction * (b.latitude - a.latitude),
+                longitude: a.longitude + fraction * (b.longitude - a.longitude)
+            };
+        }
+
+        alongSoFar += segmentLength;
+    }
+
+    best.along_meters = Math.round(best.along_meters);
+    return best;
+}
+
+/**
+ * Map an origin confidence score to the level scanQR reports
+ * @param {number} score - 0 to 1
+ * @returns {string} Confidence level: 'high', 'medium', 'low'
+ */
+function getConfidenceLevelForScore(score) {
+    if (score >= 0.6) {
+        return 'high';
+    } else if (score >= 0.35) {
+        return 'medium';
+    }
+    return 'low';
+}
+
+/**
+ * Heading of travel from a vehicle's recent track
+ * @param {Array} track - Fixes, oldest first ({ latitude, longitude, speed_mps?, bearing_degrees? })
+ * @returns {number|null} Degrees, or null if the vehicle is not clearly moving
+ */
+function getTrackHeading(track) {
+    const first = track[0];
+    const last = track[track.length - 1];
+
+    if (track.length > 1 &&
+        calculateDistance(first.latitude, first.longitude, last.latitude, last.longitude) >= ORIGIN_MIN_MOVEMENT_METERS) {
+        return calculateBearing(first.latitude, first.longitude, last.latitude, last.longitude);
+    }
+
+    // Standing still or barely moving: trust the unit's own heading only at speed
+    if (last.bearing_degrees !== null && last.bearing_degrees !== undefined &&
+        (last.speed_mps || 0) >= ORIGIN_MIN_SPEED_MPS) {
+        return last.bearing_degrees;
+    }
+
+    return null;
+}
+
+/**
+ * Bearing of the route at a stop when travelling in one direction
+ * @param {Array} stops - Ordered route stops
+ * @param {number} idx - Stop index
+ * @param {string} direction - 'forward' (stop order) or 'reverse'
+ * @returns {number|null} Degrees
+ */
+function getRouteBearingAt(stops, idx, direction) {
+    const step = direction === 'reverse' ? -1 : 1;
+    let from = idx;
+    let to = idx + step;
+
+    // At the end of the line, use the segment arriving at the stop instead
+    if (to < 0 || to >= stops.length) {
+        from = idx - step;
+        to = idx;
+    }
+    if (from < 0 || from >= stops.length || to < 0 || to >= stops.length) {
+        return null;
+    }
+
+    return calculateBearing(stops[from].latitude, stops[from].longitude, stops[to].latitude, stops[to].longitude);
+}
+
+/**
+ * Work out the boarding stop from a vehicle's recent GPS track.
+ *
+ * Direction of travel comes from the vehicle's progress along the route's
+ * ordered stops over the track (or, if it has not moved along the route,
+ * from its heading). Each stop is then scored on how far the latest fix is
+ * outside the stop's geofence and on how well the vehicle's heading matches
+ * the route's bearing at that stop, so at a stage served in both
+ * directions, or among stops close together, the stop that fits the
+ * direction of travel wins. Stops the vehicle has not reached yet are
+ * marked down.
+ *
+ * @param {Array} track - Fixes, oldest first ({ latitude, longitude, speed_mps?, bearing_degrees? })
+ * @param {Array} stops - Ordered route stops ({ id, name, latitude, longitude, geofence? })
+ * @returns {Object|null} Stop with distance_meters, direction ('forward' | 'reverse' | 'unknown'),
+ *   heading_degrees, confidence_score (0-1) and confidence
+ */
+function detectOrigin(track, stops) {
+    const points = (track || []).filter(fix => isValidCoordinates(fix.latitude, fix.longitude));
+    const routeStops = (stops || []).filter(stop => isValidCoordinates(stop.latitude, stop.longitude));
+
+    if (points.length === 0 || routeStops.length === 0) {
+        return null;
+    }
+
+    const latest = points[points.length - 1];
+    const threshold = getDefaultStopRadius();
+    const heading = getTrackHeading(points);
+    const position = snapToPath(latest.latitude, latest.longitude, routeStops);
+
+    // Direction from progress along the route over the track
+    let direction = 'unknown';
+    if (points.length > 1 && routeStops.length > 1) {
+        const start = snapToPath(points[0].latitude, points[0].longitude, routeStops);
+        const moved = position.along_meters - start.along_meters;
+
+        if (moved >= ORIGIN_MIN_MOVEMENT_METERS) {
+            direction = 'forward';
+        } else if (moved <= -ORIGIN_MIN_MOVEMENT_METERS) {
+            direction = 'reverse';
+        }
+    }
+
+    const directionKnown = direction !== 'unknown' || heading !== null;
+    let best = null;
+
+    routeStops.forEach((stop, idx) => {
+        const distance = calculateDistance(latest.latitude, latest.longitude, stop.latitude, stop.longitude);
+        const excess = getGeofenceExcess(latest.latitude, latest.longitude, stop, threshold);
+
+        // Mostly how far outside the stop's geofence the vehicle is; distance
+        // within it only breaks ties between overlapping geofences
+        const distanceFactor = Math.exp(-excess / threshold - Math.max(0, distance - excess) / (10 * threshold));
+
+        const directions = direction === 'unknown' ? ['forward', 'reverse'] : [direction];
+
+        for (const dir of directions) {
+            let headingFactor = ORIGIN_UNKNOWN_HEADING_FACTOR;
+            const routeBearing = getRouteBearingAt(routeStops, idx, dir);
+
+            if (heading !== null && routeBearing !== null) {
+                headingFactor = (1 + Math.cos(angleDifference(heading, routeBearing) * Math.PI / 180)) / 2;
+            }
+
+            // A stop still ahead in the direction of travel is not where
+            // the passenger boarded, unless the vehicle is already at it
+            let aheadFactor = 1;
+            if (directionKnown && routeStops.length > 1 && excess > 0) {
+                const ahead = dir === 'forward' ? idx > position.progress : idx < position.progress;
+                if (ahead) {
+                    aheadFactor = ORIGIN_AHEAD_FACTOR;
+                }
+            }
+
+            const score = distanceFactor * headingFactor * aheadFactor;
+
+            if (!best || score > best.score) {
+                best = { stop, distance, score, dir: directionKnown ? dir : 'unknown' };
+            }
+        }
+    });
+
+    const confidenceScore = Math.round(best.score * 100) / 100;
+
+    return {
+        ...best.stop,
+        distance_meters: best.distance,
+        direction: best.dir,
+        heading_degrees: heading !== null ? Math.round(heading) : null,
+        confidence_score: confidenceScore,
+        confidence: getConfidenceLevelForScore(confidenceScore)
+    };
+}
+
 module.exports = {
+    GPS_MAX_AGE_MS,
     calculateDistance,
     findNearestStop,
     getConfidenceLevel,
+    getGeofenceExcess,
+    isOutsideStopGeofence,
+    getOffRouteTolerance,
+    getOffRouteExcess,
+    getSeparationExcess,
+    isPointInPolygon,
     isValidCoordinates,
-    isWithinKenya
+    isWithinKenya,
+    isGpsFresh,
+    calculateBearing,
+    angleDifference,
+    snapToPath,
+    detectOrigin
 };
@@ -0,0 +1,27 @@
+// Kenyan phone number helpers
+
+/**
+ * Normalize a Kenyan phone number to +254XXXXXXXXX
+ * Accepts 07XX..., 01XX..., 2547XX... and +2547XX...
+ * @param {string} phoneNumber - Phone number as entered
+ * @returns {string|null} Normalized number, or null if invalid
+ */
+function normalizePhoneNumber(phoneNumber) {
+    if (typeof phoneNumber !== 'string') {
+        return null;
+    }
+
+    let normalized = phoneNumber.trim().replace(/[\s-]/g, '');
+
+    if (normalized.startsWith('0')) {
+        normalized = '+254' + normalized.substring(1);
+    } else if (normalized.startsWith('254') && !normalized.startsWith('+')) {
+        normalized = '+' + normalized;
+    }
+
+    return /^\+254\d{9}$/.test(normalized) ? normalized : null;
+}
+
+module.exports = {
+    normalizePhoneNumber
+};
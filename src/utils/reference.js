@@ -0,0 +1,16 @@
+// Human-readable transaction reference codes
+
+/**
+ * Generate a unique reference code, e.g. EMLX3K9Q2ZAB4F
+ * @param {string} prefix - Two-letter prefix (default: 'EM')
+ * @returns {string} Reference code
+ */
+function generateReferenceCode(prefix = 'EM') {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    return `${prefix}${timestamp}${random}`;
+}
+
+module.exports = {
+    generateReferenceCode
+};
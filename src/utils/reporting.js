@@ -0,0 +1,180 @@
+// Reporting helpers: business dates, date ranges and takings aggregation
+// Business days run midnight to midnight Nairobi time (EAT, UTC+3).
+
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Business date (Nairobi) of a timestamp
+ * @param {string|Date} timestamp - Timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toBusinessDate(timestamp) {
+    return new Date(new Date(timestamp).getTime() + EAT_OFFSET_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * Monday of the business week containing a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function toWeekStart(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    const offset = (day.getUTCDay() + 6) % 7; // Monday = 0
+    return new Date(day.getTime() - offset * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * Start of a business date as a UTC instant
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Date} Midnight EAT
+ */
+function startOfBusinessDate(date) {
+    return new Date(`${date}T00:00:00+03:00`);
+}
+
+/**
+ * Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive business dates)
+ * @param {Object} query - req.query
+ * @param {number} defaultDays - Days to cover when from is omitted
+ * @returns {Object|null} { from, to } ISO instants (to is exclusive), or null if invalid
+ */
+function parseDateRange(query, defaultDays = 7) {
+    const today = toBusinessDate(new Date());
+    const toDate = query.to || today;
+    const fromDate = query.from || toBusinessDate(startOfBusinessDate(toDate).getTime() - (defaultDays - 1) * DAY_MS);
+
+    const from = startOfBusinessDate(fromDate);
+    const to = new Date(startOfBusinessDate(toDate).getTime() + DAY_MS);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return null;
+    }
+
+    if ((to - from) / DAY_MS > MAX_RANGE_DAYS) {
+        return null;
+    }
+
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        from_date: fromDate,
+        to_date: toDate
+    };
+}
+
+/**
+ * Fetch every row of a query, paging past PostgREST's row limit
+ * @param {Function} buildQuery - () => fresh Supabase query (without range)
+ * @returns {Array} All rows
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) throw error;
+
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) {
+            return rows;
+        }
+    }
+}
+
+/**
+ * Empty takings totals
+ * @returns {Object} Totals
+ */
+function emptyTotals() {
+    return {
+        payment_count: 0,
+        refund_count: 0,
+        gross_amount: 0,
+        refund_amount: 0,
+        commission_amount: 0,
+        net_amount: 0
+    };
+}
+
+/**
+ * Add one payment or refund to running totals (refunds count negative)
+ * @param {Object} totals - Totals from emptyTotals()
+ * @param {Object} txn - transactions row with amount, merchant_commission, net_amount
+ * @returns {Object} The same totals
+ */
+function addToTotals(totals, txn) {
+    const amount = parseFloat(txn.amount) || 0;
+    const commission = parseFloat(txn.merchant_commission) || 0;
+    const net = parseFloat(txn.net_amount) || 0;
+
+    if (txn.transaction_type === 'refund') {
+        totals.refund_count += 1;
+        totals.refund_amount += amount;
+        totals.commission_amount -= commission;
+        totals.net_amount -= net;
+    } else {
+        totals.payment_count += 1;
+        totals.gross_amount += amount;
+        totals.commission_amount += commission;
+        totals.net_amount += net;
+    }
+
+    return totals;
+}
+
+/**
+ * Round every amount in a totals object to cents
+ * @param {Object} totals - Totals
+ * @returns {Object} Rounded totals
+ */
+function roundTotals(totals) {
+    const rounded = { ...totals };
+    for (const key of ['gross_amount', 'refund_amount', 'commission_amount', 'net_amount']) {
+        rounded[key] = Math.round(totals[key] * 100) / 100;
+    }
+    return rounded;
+}
+
+/**
+ * Summarise transactions into totals
+ * @param {Array} transactions - Payments and refunds
+ * @returns {Object} Rounded totals
+ */
+function summarize(transactions) {
+    return roundTotals(transactions.reduce(addToTotals, emptyTotals()));
+}
+
+/**
+ * Group transactions and summarise each group
+ * @param {Array} transactions - Payments and refunds
+ * @param {Function} keyFn - txn => group key (null/undefined groups are skipped)
+ * @returns {Array} [{ key, ...totals }] in first-seen order
+ */
+function summarizeBy(transactions, keyFn) {
+    const groups = new Map();
+
+    for (const txn of transactions) {
+        const key = keyFn(txn);
+        if (key === null || key === undefined) continue;
+
+        if (!groups.has(key)) {
+            groups.set(key, emptyTotals());
+        }
+        addToTotals(groups.get(key), txn);
+    }
+
+    return Array.from(groups, ([key, totals]) => ({ key, ...roundTotals(totals) }));
+}
+
+module.exports = {
+    toBusinessDate,
+    toWeekStart,
+    parseDateRange,
+    fetchAllRows,
+    summarize,
+    summarizeBy
+};
@@ -21,12 +21,14 @@ function sendSuccess(res, data, message = 'Success', statusCode = 200) {
  * @param {string} message - Error message
  * @param {string} code - Error code
  * @param {number} statusCode - HTTP status code (default: 400)
+ * @param {Object} details - Extra error details (optional)
  */
-function sendError(res, message, code = 'ERROR', statusCode = 400) {
+function sendError(res, message, code = 'ERROR', statusCode = 400, details = undefined) {
     return res.status(statusCode).json({
         success: false,
         error: message,
-        code
+        code,
+        details
     });
 }
 
@@ -39,6 +41,8 @@ const ErrorCodes = {
     TOKEN_EXPIRED: 'TOKEN_EXPIRED',
     UNAUTHORIZED: 'UNAUTHORIZED',
     INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+    FORBIDDEN: 'FORBIDDEN',
     
     // User
     PHONE_EXISTS: 'PHONE_EXISTS',
@@ -49,15 +53,47 @@ const ErrorCodes = {
     // Payment
     INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
     INVALID_PIN: 'INVALID_PIN',
+    PIN_LOCKED: 'PIN_LOCKED',
     FRAUD_DETECTED: 'FRAUD_DETECTED',
     ORIGIN_MISMATCH: 'ORIGIN_MISMATCH',
+    STEP_UP_REQUIRED: 'STEP_UP_REQUIRED',
+    VELOCITY_LIMIT_EXCEEDED: 'VELOCITY_LIMIT_EXCEEDED',
     DUPLICATE_TRANSACTION: 'DUPLICATE_TRANSACTION',
+    TRANSACTION_CONFLICT: 'TRANSACTION_CONFLICT',
+    MPESA_UNAVAILABLE: 'MPESA_UNAVAILABLE',
+    
+    // Refunds
+    REFUND_NOT_ALLOWED: 'REFUND_NOT_ALLOWED',
+    REFUND_WINDOW_EXPIRED: 'REFUND_WINDOW_EXPIRED',
+    REFUND_EXCEEDS_AMOUNT: 'REFUND_EXCEEDS_AMOUNT',
+    
+    // Fares
+    FARE_NOT_FOUND: 'FARE_NOT_FOUND',
+    FARE_MISMATCH: 'FARE_MISMATCH',
+    FARE_RULE_OVERLAP: 'FARE_RULE_OVERLAP',
+    FARE_RULE_RETIRED: 'FARE_RULE_RETIRED',
+    
+    // Routes
+    ROUTE_CONFLICT: 'ROUTE_CONFLICT',
+    INVALID_STOPS: 'INVALID_STOPS',
+    INVALID_ROUTE_PATH: 'INVALID_ROUTE_PATH',
+    
+    // Settlements
+    SETTLEMENT_STATUS_INVALID: 'SETTLEMENT_STATUS_INVALID',
     
     // Merchant
     INVALID_QR: 'INVALID_QR',
+    QR_EXPIRED: 'QR_EXPIRED',
     MERCHANT_INACTIVE: 'MERCHANT_INACTIVE',
     GPS_UNAVAILABLE: 'GPS_UNAVAILABLE',
     
+    // Devices
+    DEVICE_STATUS_INVALID: 'DEVICE_STATUS_INVALID',
+    INVALID_ACTIVATION_CODE: 'INVALID_ACTIVATION_CODE',
+    
+    // Fraud alerts
+    FRAUD_ALERT_STATUS_INVALID: 'FRAUD_ALERT_STATUS_INVALID',
+    
     // Validation
     INVALID_INPUT: 'INVALID_INPUT',
     MISSING_FIELD: 'MISSING_FIELD',
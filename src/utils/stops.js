@@ -0,0 +1,238 @@
+// Route stop list validation
+// A route's stops are an ordered JSONB array of
+// { id, name, latitude, longitude, geofence? }; scanQR treats every stop
+// after the boarding stop as a possible destination, so order matters.
+// A geofence is { radius_meters } or { polygon: [{ latitude, longitude }, ...] }
+// and replaces the global GPS distance settings for that stop.
+// A route's path is the road it is licensed to run, an ordered JSONB array
+// of { latitude, longitude } that every stop must lie on.
+
+const {
+    calculateDistance,
+    isValidCoordinates,
+    isWithinKenya,
+    isPointInPolygon,
+    snapToPath,
+    getOffRouteTolerance
+} = require('./gps');
+
+const STOP_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+const MIN_GEOFENCE_RADIUS_METERS = 10;
+const MAX_GEOFENCE_RADIUS_METERS = 2000;
+const MAX_GEOFENCE_POINTS = 50;
+const MAX_PATH_POINTS = 1000;
+
+/**
+ * Minimum distance between two distinct stops on one route
+ * @returns {number} Meters
+ */
+function getDuplicateStopDistance() {
+    return parseInt(process.env.DUPLICATE_STOP_DISTANCE_METERS) || 25;
+}
+
+/**
+ * Parse a coordinate that may arrive as a string
+ * @param {*} value - Raw value
+ * @returns {*} Number if it was a numeric string, else unchanged
+ */
+function toCoordinate(value) {
+    return typeof value === 'string' ? parseFloat(value) : value;
+}
+
+/**
+ * Normalise a stop's geofence from a request body
+ * @param {Object} geofence - Raw geofence
+ * @returns {Object} { radius_meters } or { polygon }
+ */
+function normalizeGeofence(geofence) {
+    if (!geofence || typeof geofence !== 'object') {
+        return geofence;
+    }
+    if (Array.isArray(geofence.polygon)) {
+        return {
+            polygon: geofence.polygon.map(point => ({
+                latitude: toCoordinate(point && point.latitude),
+                longitude: toCoordinate(point && point.longitude)
+            }))
+        };
+    }
+    return {
+        radius_meters: typeof geofence.radius_meters === 'string'
+            ? parseFloat(geofence.radius_meters)
+            : geofence.radius_meters
+    };
+}
+
+/**
+ * Normalise one stop from a request body
+ * @param {Object} stop - Raw stop
+ * @returns {Object} { id, name, latitude, longitude, geofence? }
+ */
+function normalizeStop(stop) {
+    const normalized = {
+        ...stop,
+        id: typeof stop.id === 'string' ? stop.id.trim().toLowerCase() : stop.id,
+        name: typeof stop.name === 'string' ? stop.name.trim() : stop.name,
+        latitude: toCoordinate(stop.latitude),
+        longitude: toCoordinate(stop.longitude)
+    };
+
+    if (stop.geofence === null || stop.geofence === undefined) {
+        delete normalized.geofence;
+    } else {
+        normalized.geofence = normalizeGeofence(stop.geofence);
+    }
+
+    return normalized;
+}
+
+/**
+ * Validate a stop's geofence
+ * @param {Object} stop - Normalised stop with valid coordinates
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateGeofence(stop) {
+    const { geofence } = stop;
+
+    if (!geofence || typeof geofence !== 'object') {
+        return 'geofence must be { radius_meters } or { polygon }';
+    }
+
+    if (geofence.polygon) {
+        const points = geofence.polygon;
+
+        if (points.length < 3 || points.length > MAX_GEOFENCE_POINTS) {
+            return `geofence polygon needs 3-${MAX_GEOFENCE_POINTS} points`;
+        }
+        if (!points.every(point => isValidCoordinates(point.latitude, point.longitude) &&
+                isWithinKenya(point.latitude, point.longitude))) {
+            return 'geofence polygon has invalid coordinates';
+        }
+        if (!isPointInPolygon(stop.latitude, stop.longitude, points)) {
+            return 'stop must lie inside its geofence polygon';
+        }
+        return null;
+    }
+
+    const radius = geofence.radius_meters;
+    if (typeof radius !== 'number' || !(radius >= MIN_GEOFENCE_RADIUS_METERS && radius <= MAX_GEOFENCE_RADIUS_METERS)) {
+        return `geofence radius_meters must be ${MIN_GEOFENCE_RADIUS_METERS}-${MAX_GEOFENCE_RADIUS_METERS}`;
+    }
+    return null;
+}
+
+/**
+ * Validate an ordered stop list
+ * @param {Array} stops - Normalised stops
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateStops(stops) {
+    const errors = [];
+
+    if (!Array.isArray(stops) || stops.length < 2) {
+        return ['A route needs at least two stops'];
+    }
+
+    const minDistance = getDuplicateStopDistance();
+
+    stops.forEach((stop, idx) => {
+        const label = `Stop ${idx + 1}${stop.name ? ` (${stop.name})` : ''}`;
+
+        if (typeof stop.id !== 'string' || !STOP_ID_PATTERN.test(stop.id)) {
+            errors.push(`${label}: id must be lowercase letters, digits, - or _`);
+        }
+        if (typeof stop.name !== 'string' || stop.name === '') {
+            errors.push(`${label}: name is required`);
+        }
+        if (!isValidCoordinates(stop.latitude, stop.longitude)) {
+            errors.push(`${label}: invalid coordinates`);
+            return;
+        }
+        if (!isWithinKenya(stop.latitude, stop.longitude)) {
+            errors.push(`${label}: coordinates are outside Kenya`);
+            return;
+        }
+        if (stop.geofence !== undefined) {
+            const geofenceError = validateGeofence(stop);
+            if (geofenceError) {
+                errors.push(`${label}: ${geofenceError}`);
+            }
+        }
+
+        // Duplicate detection against every earlier stop
+        for (let prev = 0; prev < idx; prev++) {
+            const other = stops[prev];
+
+            if (other.id === stop.id) {
+                errors.push(`${label}: duplicate stop id "${stop.id}" (also stop ${prev + 1})`);
+            } else if (
+                typeof other.name === 'string' &&
+                typeof stop.name === 'string' &&
+                other.name.toLowerCase() === stop.name.toLowerCase()
+            ) {
+                errors.push(`${label}: duplicate stop name (also stop ${prev + 1})`);
+            } else if (
+                isValidCoordinates(other.latitude, other.longitude) &&
+                calculateDistance(stop.latitude, stop.longitude, other.latitude, other.longitude) < minDistance
+            ) {
+                errors.push(`${label}: within ${minDistance}m of stop ${prev + 1} (${other.name})`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Normalise a route path from a request body
+ * @param {Array} path - Raw path
+ * @returns {Array} [{ latitude, longitude }]
+ */
+function normalizePath(path) {
+    if (!Array.isArray(path)) {
+        return path;
+    }
+    return path.map(point => ({
+        latitude: toCoordinate(point && point.latitude),
+        longitude: toCoordinate(point && point.longitude)
+    }));
+}
+
+/**
+ * Validate a route path against the route's stops
+ * @param {Array} path - Normalised path
+ * @param {Array} stops - Normalised, valid stops
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validatePath(path, stops) {
+    if (!Array.isArray(path) || path.length < 2 || path.length > MAX_PATH_POINTS) {
+        return [`A route path needs 2-${MAX_PATH_POINTS} points`];
+    }
+
+    const badIndex = path.findIndex(point => !isValidCoordinates(point.latitude, point.longitude) ||
+        !isWithinKenya(point.latitude, point.longitude));
+    if (badIndex !== -1) {
+        return [`Path point ${badIndex + 1}: invalid coordinates`];
+    }
+
+    // A stop off the path would put every vehicle serving it off-route
+    const tolerance = getOffRouteTolerance();
+    const errors = [];
+
+    (stops || []).forEach((stop, idx) => {
+        const snapped = snapToPath(stop.latitude, stop.longitude, path);
+        if (snapped && snapped.distance_meters > tolerance) {
+            errors.push(`Stop ${idx + 1} (${stop.name}): ${Math.round(snapped.distance_meters)}m from the path (max ${tolerance}m)`);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    normalizeStop,
+    validateStops,
+    normalizePath,
+    validatePath
+};
@@ -0,0 +1,257 @@
+-- Double-entry wallet ledger
+--
+-- Every movement of money is a journal of balanced entries (sum of debits =
+-- sum of credits) posted in a single database transaction. All ledger
+-- accounts are wallet-style: a credit increases the balance, a debit
+-- decreases it. Each posting bumps the account version so callers can use
+-- optimistic locking (expected_version) on top of the row-level update.
+--
+-- users.balance is kept as a read-only mirror of the user's wallet account
+-- for older queries; the ledger is the source of truth.
+
+create table if not exists ledger_accounts (
+    account_id uuid primary key default gen_random_uuid(),
+    owner_type text not null check (owner_type in ('user', 'merchant', 'system')),
+    owner_id uuid,
+    account_code text not null,
+    currency text not null default 'KES',
+    balance numeric(14, 2) not null default 0,
+    allow_negative boolean not null default false,
+    version bigint not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists ledger_accounts_owner_key
+    on ledger_accounts (owner_type, owner_id, account_code)
+    where owner_id is not null;
+
+create unique index if not exists ledger_accounts_system_key
+    on ledger_accounts (account_code)
+    where owner_type = 'system';
+
+create table if not exists ledger_entries (
+    entry_id uuid primary key default gen_random_uuid(),
+    journal_id uuid not null,
+    transaction_id uuid references transactions (transaction_id),
+    account_id uuid not null references ledger_accounts (account_id),
+    direction text not null check (direction in ('debit', 'credit')),
+    amount numeric(14, 2) not null check (amount > 0),
+    balance_after numeric(14, 2) not null,
+    account_version bigint not null,
+    memo text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists ledger_entries_account_idx on ledger_entries (account_id, created_at desc);
+create index if not exists ledger_entries_transaction_idx on ledger_entries (transaction_id);
+create index if not exists ledger_entries_journal_idx on ledger_entries (journal_id);
+
+-- Idempotency keys are stored in reference_code; make concurrent retries collide
+create unique index if not exists transactions_reference_code_key on transactions (reference_code);
+
+-- System accounts
+insert into ledger_accounts (owner_type, account_code, allow_negative)
+values
+    ('system', 'commission', false),
+    ('system', 'opening_balance', true)
+on conflict do nothing;
+
+/**
+ * Insert transaction rows and post a balanced journal atomically.
+ *
+ * p_transactions: array of transactions rows (only the given columns are set)
+ * p_entries: array of { account_id, direction, amount, transaction_id?,
+ *            expected_version?, memo? }
+ *
+ * Raises UNBALANCED_JOURNAL, ACCOUNT_NOT_FOUND, VERSION_CONFLICT or
+ * INSUFFICIENT_BALANCE; any error rolls back the whole posting.
+ */
+create or replace function post_ledger_transaction(
+    p_transactions jsonb,
+    p_entries jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_journal_id uuid := gen_random_uuid();
+    v_txn jsonb;
+    v_columns text;
+    v_row jsonb;
+    v_entry jsonb;
+    v_account ledger_accounts%rowtype;
+    v_debits numeric;
+    v_credits numeric;
+    v_delta numeric;
+    v_transactions jsonb := '[]'::jsonb;
+    v_accounts jsonb := '[]'::jsonb;
+begin
+    select
+        coalesce(sum((e->>'amount')::numeric) filter (where e->>'direction' = 'debit'), 0),
+        coalesce(sum((e->>'amount')::numeric) filter (where e->>'direction' = 'credit'), 0)
+    into v_debits, v_credits
+    from jsonb_array_elements(p_entries) e;
+
+    if v_debits = 0 or v_debits <> v_credits then
+        raise exception 'UNBALANCED_JOURNAL';
+    end if;
+
+    for v_txn in select * from jsonb_array_elements(coalesce(p_transactions, '[]'::jsonb)) loop
+        select string_agg(quote_ident(k), ', ') into v_columns from jsonb_object_keys(v_txn) k;
+
+        execute format(
+            'insert into transactions (%1$s) select %1$s from jsonb_populate_record(null::transactions, $1) returning to_jsonb(transactions.*)',
+            v_columns
+        ) into v_row using v_txn;
+
+        v_transactions := v_transactions || v_row;
+    end loop;
+
+    -- Lock accounts in a stable order so concurrent journals cannot deadlock
+    for v_entry in
+        select e from jsonb_array_elements(p_entries) e order by e->>'account_id'
+    loop
+        perform 1 from ledger_accounts where account_id = (v_entry->>'account_id')::uuid;
+        if not found then
+            raise exception 'ACCOUNT_NOT_FOUND';
+        end if;
+
+        v_delta := (v_entry->>'amount')::numeric
+            * case when v_entry->>'direction' = 'credit' then 1 else -1 end;
+
+        update ledger_accounts
+           set balance = balance + v_delta,
+               version = version + 1,
+               updated_at = now()
+         where account_id = (v_entry->>'account_id')::uuid
+           and (v_entry->>'expected_version' is null
+                or version = (v_entry->>'expected_version')::bigint)
+        returning * into v_account;
+
+        if not found then
+            raise exception 'VERSION_CONFLICT';
+        end if;
+
+        if v_account.balance < 0 and not v_account.allow_negative then
+            raise exception 'INSUFFICIENT_BALANCE';
+        end if;
+
+        insert into ledger_entries (
+            journal_id, transaction_id, account_id, direction,
+            amount, balance_after, account_version, memo
+        ) values (
+            v_journal_id,
+            (v_entry->>'transaction_id')::uuid,
+            v_account.account_id,
+            v_entry->>'direction',
+            (v_entry->>'amount')::numeric,
+            v_account.balance,
+            v_account.version,
+            v_entry->>'memo'
+        );
+
+        if v_account.owner_type = 'user' and v_account.account_code = 'wallet' then
+            update users set balance = v_account.balance where user_id = v_account.owner_id;
+        end if;
+
+        v_accounts := v_accounts || jsonb_build_object(
+            'account_id', v_account.account_id,
+            'balance', v_account.balance,
+            'version', v_account.version
+        );
+    end loop;
+
+    return jsonb_build_object(
+        'journal_id', v_journal_id,
+        'transactions', v_transactions,
+        'accounts', v_accounts
+    );
+end;
+$$;
+
+/**
+ * Open a wallet account for a user or merchant, posting any opening
+ * balance against the opening_balance system account. Idempotent.
+ */
+create or replace function open_ledger_account(
+    p_owner_type text,
+    p_owner_id uuid,
+    p_opening_balance numeric default 0
+) returns uuid
+language plpgsql
+as $$
+declare
+    v_account_id uuid;
+begin
+    select account_id into v_account_id
+      from ledger_accounts
+     where owner_type = p_owner_type and owner_id = p_owner_id and account_code = 'wallet';
+
+    if found then
+        return v_account_id;
+    end if;
+
+    insert into ledger_accounts (owner_type, owner_id, account_code)
+    values (p_owner_type, p_owner_id, 'wallet')
+    returning account_id into v_account_id;
+
+    if coalesce(p_opening_balance, 0) > 0 then
+        perform post_ledger_transaction(
+            null,
+            jsonb_build_array(
+                jsonb_build_object(
+                    'account_id', v_account_id,
+                    'direction', 'credit',
+                    'amount', p_opening_balance,
+                    'memo', 'Opening balance'
+                ),
+                jsonb_build_object(
+                    'account_id', (select account_id from ledger_accounts
+                                    where owner_type = 'system' and account_code = 'opening_balance'),
+                    'direction', 'debit',
+                    'amount', p_opening_balance,
+                    'memo', 'Opening balance'
+                )
+            )
+        );
+    end if;
+
+    return v_account_id;
+end;
+$$;
+
+create or replace function open_user_ledger_account() returns trigger
+language plpgsql
+as $$
+begin
+    perform open_ledger_account('user', new.user_id, new.balance);
+    return new;
+end;
+$$;
+
+create or replace function open_merchant_ledger_account() returns trigger
+language plpgsql
+as $$
+begin
+    perform open_ledger_account('merchant', new.merchant_id, 0);
+    return new;
+end;
+$$;
+
+drop trigger if exists users_open_ledger_account on users;
+create trigger users_open_ledger_account
+    after insert on users
+    for each row execute function open_user_ledger_account();
+
+drop trigger if exists merchants_open_ledger_account on merchants;
+create trigger merchants_open_ledger_account
+    after insert on merchants
+    for each row execute function open_merchant_ledger_account();
+
+-- Backfill accounts for existing users and merchants
+select open_ledger_account('user', user_id, balance) from users;
+select open_ledger_account('merchant', merchant_id, 0) from merchants;
+
+-- Ledger postings go through the service role only
+revoke execute on function post_ledger_transaction(jsonb, jsonb) from public, anon, authenticated;
+revoke execute on function open_ledger_account(text, uuid, numeric) from public, anon, authenticated;
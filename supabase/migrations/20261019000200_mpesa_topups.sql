@@ -0,0 +1,82 @@
+-- M-Pesa requests (STK Push top-ups) and completion of pending transactions
+
+-- Money held in the M-Pesa paybill; goes negative as wallets are funded
+insert into ledger_accounts (owner_type, account_code, allow_negative)
+values ('system', 'mpesa_clearing', true)
+on conflict do nothing;
+
+create table if not exists mpesa_requests (
+    request_id uuid primary key default gen_random_uuid(),
+    transaction_id uuid not null references transactions (transaction_id),
+    user_id uuid not null references users (user_id),
+    request_type text not null check (request_type in ('stk_push', 'b2c')),
+    phone_number text not null,
+    amount numeric(14, 2) not null check (amount > 0),
+    merchant_request_id text,
+    checkout_request_id text unique,
+    conversation_id text unique,
+    status text not null default 'pending'
+        check (status in ('pending', 'success', 'failed', 'rejected')),
+    result_code integer,
+    result_desc text,
+    mpesa_receipt text unique,
+    callback_payload jsonb,
+    callback_received_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists mpesa_requests_user_idx on mpesa_requests (user_id, created_at desc);
+
+/**
+ * Move a pending transaction to its final state and post its entries.
+ *
+ * The transaction row is locked first, so of two concurrent callbacks for
+ * the same request only one can complete it; the other gets
+ * TRANSACTION_NOT_PENDING.
+ *
+ * p_updates: transactions columns to set (status, user_balance_after...)
+ * p_entries: journal entries, as for post_ledger_transaction (may be empty)
+ */
+create or replace function complete_ledger_transaction(
+    p_transaction_id uuid,
+    p_updates jsonb,
+    p_entries jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_status text;
+    v_columns text;
+    v_row jsonb;
+    v_result jsonb := '{}'::jsonb;
+begin
+    select status into v_status
+      from transactions
+     where transaction_id = p_transaction_id
+       for update;
+
+    if not found then
+        raise exception 'TRANSACTION_NOT_FOUND';
+    end if;
+
+    if v_status <> 'pending' then
+        raise exception 'TRANSACTION_NOT_PENDING';
+    end if;
+
+    if p_entries is not null and jsonb_array_length(p_entries) > 0 then
+        v_result := post_ledger_transaction(null, p_entries);
+    end if;
+
+    select string_agg(quote_ident(k), ', ') into v_columns from jsonb_object_keys(p_updates) k;
+
+    execute format(
+        'update transactions set (%1$s) = (select %1$s from jsonb_populate_record(null::transactions, $1)) where transaction_id = $2 returning to_jsonb(transactions.*)',
+        v_columns
+    ) into v_row using p_updates, p_transaction_id;
+
+    return v_result || jsonb_build_object('transactions', jsonb_build_array(v_row));
+end;
+$$;
+
+revoke execute on function complete_ledger_transaction(uuid, jsonb, jsonb) from public, anon, authenticated;
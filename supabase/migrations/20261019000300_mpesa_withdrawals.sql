@@ -0,0 +1,17 @@
+-- M-Pesa B2C withdrawals
+--
+-- A withdrawal moves amount + fee from the user's wallet into
+-- withdrawal_holds while the payout is pending. The B2C result either
+-- releases the hold to mpesa_clearing and withdrawal_fees (success) or
+-- returns it to the wallet (failure).
+
+insert into ledger_accounts (owner_type, account_code, allow_negative)
+values
+    ('system', 'withdrawal_holds', false),
+    ('system', 'withdrawal_fees', false)
+on conflict do nothing;
+
+alter table transactions
+    add column if not exists fee_amount numeric(14, 2) not null default 0;
+
+create index if not exists mpesa_requests_conversation_idx on mpesa_requests (conversation_id);
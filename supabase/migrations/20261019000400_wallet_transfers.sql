@@ -0,0 +1,12 @@
+-- Peer-to-peer wallet transfers
+--
+-- A transfer is two transactions rows, one per wallet: transfer_out on the
+-- sender and transfer_in on the recipient, linked through
+-- related_transaction_id and posted as a single journal.
+
+alter table transactions
+    add column if not exists counterparty_user_id uuid references users (user_id),
+    add column if not exists related_transaction_id uuid references transactions (transaction_id),
+    add column if not exists description text;
+
+create index if not exists transactions_counterparty_idx on transactions (counterparty_user_id);
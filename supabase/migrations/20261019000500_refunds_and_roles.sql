@@ -0,0 +1,75 @@
+-- Account roles and payment refunds
+
+-- Roles: rider (default), merchant, admin. Merchant staff accounts point at
+-- the merchant they act for.
+alter table users
+    add column if not exists role text not null default 'rider',
+    add column if not exists merchant_id uuid references merchants (merchant_id);
+
+-- Refunds are their own transactions rows pointing at the payment they undo
+alter table transactions
+    add column if not exists original_transaction_id uuid references transactions (transaction_id),
+    add column if not exists refunded_amount numeric(14, 2) not null default 0;
+
+create index if not exists transactions_original_idx on transactions (original_transaction_id);
+
+-- A refund after the merchant has been paid out leaves the merchant owing
+-- us; that negative balance is netted off the next settlement.
+update ledger_accounts set allow_negative = true where owner_type = 'merchant';
+
+create or replace function open_merchant_ledger_account() returns trigger
+language plpgsql
+as $$
+begin
+    perform open_ledger_account('merchant', new.merchant_id, 0);
+    update ledger_accounts
+       set allow_negative = true
+     where owner_type = 'merchant' and owner_id = new.merchant_id;
+    return new;
+end;
+$$;
+
+/**
+ * Refund (part of) a successful payment.
+ *
+ * Locks the original payment so concurrent refunds cannot exceed its
+ * amount, records the refunded total on it, then inserts the refund row
+ * and posts its entries.
+ */
+create or replace function post_refund(
+    p_original_id uuid,
+    p_refund jsonb,
+    p_entries jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_original transactions%rowtype;
+    v_amount numeric := (p_refund->>'amount')::numeric;
+begin
+    select * into v_original
+      from transactions
+     where transaction_id = p_original_id
+       for update;
+
+    if not found then
+        raise exception 'TRANSACTION_NOT_FOUND';
+    end if;
+
+    if v_original.transaction_type <> 'payment' or v_original.status <> 'success' then
+        raise exception 'TRANSACTION_NOT_REFUNDABLE';
+    end if;
+
+    if v_original.refunded_amount + v_amount > v_original.amount then
+        raise exception 'REFUND_EXCEEDS_AMOUNT';
+    end if;
+
+    update transactions
+       set refunded_amount = refunded_amount + v_amount
+     where transaction_id = p_original_id;
+
+    return post_ledger_transaction(jsonb_build_array(p_refund), p_entries);
+end;
+$$;
+
+revoke execute on function post_refund(uuid, jsonb, jsonb) from public, anon, authenticated;
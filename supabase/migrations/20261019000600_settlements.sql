@@ -0,0 +1,169 @@
+-- Merchant settlement batches
+--
+-- A daily run groups each merchant's unsettled successful payments and
+-- refunds into one settlement. Refunds are netted off, so
+-- net_payout = payment net_amount - refund net_amount. Marking a batch paid
+-- moves net_payout out of the merchant wallet into settlement_payouts.
+
+insert into ledger_accounts (owner_type, account_code, allow_negative)
+values ('system', 'settlement_payouts', false)
+on conflict do nothing;
+
+create table if not exists settlements (
+    settlement_id uuid primary key default gen_random_uuid(),
+    merchant_id uuid not null references merchants (merchant_id),
+    period_start timestamptz not null,
+    period_end timestamptz not null,
+    status text not null default 'pending' check (status in ('pending', 'paid', 'failed')),
+    payment_count integer not null default 0,
+    refund_count integer not null default 0,
+    gross_amount numeric(14, 2) not null default 0,
+    commission_amount numeric(14, 2) not null default 0,
+    refund_amount numeric(14, 2) not null default 0,
+    refund_commission_amount numeric(14, 2) not null default 0,
+    net_payout numeric(14, 2) not null default 0,
+    payout_reference text,
+    failure_reason text,
+    paid_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists settlements_merchant_idx on settlements (merchant_id, period_end desc);
+create index if not exists settlements_status_idx on settlements (status);
+
+alter table transactions
+    add column if not exists settlement_id uuid references settlements (settlement_id);
+
+create index if not exists transactions_unsettled_idx
+    on transactions (merchant_id, created_at)
+    where settlement_id is null;
+
+/**
+ * Create one settlement per merchant with unsettled transactions created
+ * before p_period_end and stamp those transactions with its settlement_id.
+ * Safe to run twice: already-stamped rows are skipped.
+ */
+create or replace function create_settlement_batches(
+    p_period_start timestamptz,
+    p_period_end timestamptz
+) returns setof settlements
+language plpgsql
+as $$
+declare
+    v_merchant_id uuid;
+    v_settlement settlements%rowtype;
+begin
+    for v_merchant_id in
+        select distinct merchant_id
+          from transactions
+         where settlement_id is null
+           and merchant_id is not null
+           and status = 'success'
+           and transaction_type in ('payment', 'refund')
+           and created_at < p_period_end
+    loop
+        -- Lock this merchant's rows; a concurrent run that got here first
+        -- leaves nothing to lock
+        perform 1
+           from transactions
+          where merchant_id = v_merchant_id
+            and settlement_id is null
+            and status = 'success'
+            and transaction_type in ('payment', 'refund')
+            and created_at < p_period_end
+            for update;
+
+        if not found then
+            continue;
+        end if;
+
+        insert into settlements (
+            merchant_id, period_start, period_end,
+            payment_count, refund_count,
+            gross_amount, commission_amount,
+            refund_amount, refund_commission_amount,
+            net_payout
+        )
+        select
+            v_merchant_id, p_period_start, p_period_end,
+            count(*) filter (where transaction_type = 'payment'),
+            count(*) filter (where transaction_type = 'refund'),
+            coalesce(sum(amount) filter (where transaction_type = 'payment'), 0),
+            coalesce(sum(merchant_commission) filter (where transaction_type = 'payment'), 0),
+            coalesce(sum(amount) filter (where transaction_type = 'refund'), 0),
+            coalesce(sum(merchant_commission) filter (where transaction_type = 'refund'), 0),
+            coalesce(sum(net_amount) filter (where transaction_type = 'payment'), 0)
+                - coalesce(sum(net_amount) filter (where transaction_type = 'refund'), 0)
+          from transactions
+         where merchant_id = v_merchant_id
+           and settlement_id is null
+           and status = 'success'
+           and transaction_type in ('payment', 'refund')
+           and created_at < p_period_end
+        returning * into v_settlement;
+
+        update transactions
+           set settlement_id = v_settlement.settlement_id
+         where merchant_id = v_merchant_id
+           and settlement_id is null
+           and status = 'success'
+           and transaction_type in ('payment', 'refund')
+           and created_at < p_period_end;
+
+        return next v_settlement;
+    end loop;
+end;
+$$;
+
+/**
+ * Mark a settlement paid or failed.
+ *
+ * pending -> paid | failed, failed -> paid (payout retried). Paying posts
+ * p_entries (merchant wallet -> settlement_payouts) in the same unit.
+ */
+create or replace function complete_settlement(
+    p_settlement_id uuid,
+    p_status text,
+    p_payout_reference text,
+    p_failure_reason text,
+    p_entries jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_status text;
+    v_row jsonb;
+begin
+    select status into v_status
+      from settlements
+     where settlement_id = p_settlement_id
+       for update;
+
+    if not found then
+        raise exception 'SETTLEMENT_NOT_FOUND';
+    end if;
+
+    if v_status = 'paid' or (p_status = 'failed' and v_status <> 'pending') then
+        raise exception 'SETTLEMENT_STATUS_INVALID';
+    end if;
+
+    if p_status = 'paid' and p_entries is not null and jsonb_array_length(p_entries) > 0 then
+        perform post_ledger_transaction(null, p_entries);
+    end if;
+
+    update settlements
+       set status = p_status,
+           payout_reference = coalesce(p_payout_reference, payout_reference),
+           failure_reason = case when p_status = 'failed' then p_failure_reason else null end,
+           paid_at = case when p_status = 'paid' then now() else null end,
+           updated_at = now()
+     where settlement_id = p_settlement_id
+    returning to_jsonb(settlements.*) into v_row;
+
+    return v_row;
+end;
+$$;
+
+revoke execute on function create_settlement_batches(timestamptz, timestamptz) from public, anon, authenticated;
+revoke execute on function complete_settlement(uuid, text, text, text, jsonb) from public, anon, authenticated;
@@ -0,0 +1,24 @@
+-- SACCO fleet reporting
+
+-- SACCO manager accounts (role = 'sacco_manager') point at the SACCO whose
+-- member matatus (merchants.sacco_id) they can report on.
+alter table users
+    add column if not exists sacco_id uuid references saccos (sacco_id);
+
+create index if not exists merchants_sacco_idx on merchants (sacco_id);
+create index if not exists transactions_merchant_created_idx on transactions (merchant_id, created_at);
+
+-- Alerts raised before a transaction exists still need to be traceable to
+-- the vehicle they happened on
+alter table fraud_alerts
+    add column if not exists device_id uuid references devices (device_id),
+    add column if not exists merchant_id uuid references merchants (merchant_id);
+
+update fraud_alerts fa
+   set device_id = t.device_id,
+       merchant_id = t.merchant_id
+  from transactions t
+ where fa.transaction_id = t.transaction_id
+   and fa.merchant_id is null;
+
+create index if not exists fraud_alerts_merchant_idx on fraud_alerts (merchant_id, created_at desc);
@@ -0,0 +1,150 @@
+-- Scheduled fare rules
+--
+-- A fare rule applies to one route_id / origin / destination over the
+-- half-open period [effective_from, effective_until). effective_until NULL
+-- means open-ended. Periods for the same route/origin/destination must not
+-- overlap, so the fare at any instant is unambiguous.
+
+alter table fare_rules
+    add column if not exists effective_from timestamptz,
+    add column if not exists created_by uuid references users (user_id),
+    add column if not exists retired_by uuid references users (user_id),
+    add column if not exists created_at timestamptz not null default now(),
+    add column if not exists updated_at timestamptz not null default now();
+
+-- Rules that predate scheduling have always applied
+update fare_rules set effective_from = '-infinity' where effective_from is null;
+
+alter table fare_rules
+    alter column effective_from set default now(),
+    alter column effective_from set not null;
+
+create index if not exists fare_rules_lookup_idx
+    on fare_rules (route_id, origin_stop_id, destination_stop_id, effective_from desc);
+
+/**
+ * Create fare rules all-or-nothing.
+ *
+ * p_rules: [{ route_id, origin_stop_id, destination_stop_id, fare_amount,
+ * effective_from?, effective_until? }]. With p_replace, an existing rule
+ * still in force at a new rule's effective_from is closed at that instant
+ * (the usual "new fare from date X"); any other overlap is rejected.
+ */
+create or replace function create_fare_rules(
+    p_rules jsonb,
+    p_replace boolean,
+    p_created_by uuid
+) returns setof fare_rules
+language plpgsql
+as $$
+declare
+    v_rule jsonb;
+    v_from timestamptz;
+    v_until timestamptz;
+    v_row fare_rules%rowtype;
+begin
+    for v_rule in select * from jsonb_array_elements(p_rules)
+    loop
+        v_from := coalesce((v_rule->>'effective_from')::timestamptz, now());
+        v_until := (v_rule->>'effective_until')::timestamptz;
+
+        if v_until is not null and v_until <= v_from then
+            raise exception 'FARE_RULE_INVALID_PERIOD';
+        end if;
+
+        if (v_rule->>'fare_amount')::numeric <= 0 then
+            raise exception 'FARE_RULE_INVALID_AMOUNT';
+        end if;
+
+        -- Serialise writers for this route/origin/destination
+        perform pg_advisory_xact_lock(hashtext(
+            concat_ws('|', v_rule->>'route_id', v_rule->>'origin_stop_id', v_rule->>'destination_stop_id')
+        ));
+
+        if p_replace then
+            update fare_rules
+               set effective_until = v_from,
+                   updated_at = now()
+             where route_id = (v_rule->>'route_id')::uuid
+               and origin_stop_id = v_rule->>'origin_stop_id'
+               and destination_stop_id = v_rule->>'destination_stop_id'
+               and effective_from < v_from
+               and (effective_until is null or effective_until > v_from);
+        end if;
+
+        if exists (
+            select 1
+              from fare_rules
+             where route_id = (v_rule->>'route_id')::uuid
+               and origin_stop_id = v_rule->>'origin_stop_id'
+               and destination_stop_id = v_rule->>'destination_stop_id'
+               and effective_from < coalesce(v_until, 'infinity')
+               and coalesce(effective_until, 'infinity') > v_from
+               and coalesce(effective_until, 'infinity') > effective_from -- skip cancelled rules
+        ) then
+            raise exception 'FARE_RULE_OVERLAP'
+                using detail = concat_ws(' ', v_rule->>'route_id', v_rule->>'origin_stop_id', v_rule->>'destination_stop_id');
+        end if;
+
+        insert into fare_rules (
+            route_id, origin_stop_id, destination_stop_id, fare_amount,
+            effective_from, effective_until, created_by
+        ) values (
+            (v_rule->>'route_id')::uuid,
+            v_rule->>'origin_stop_id',
+            v_rule->>'destination_stop_id',
+            (v_rule->>'fare_amount')::numeric,
+            v_from,
+            v_until,
+            p_created_by
+        )
+        returning * into v_row;
+
+        return next v_row;
+    end loop;
+end;
+$$;
+
+/**
+ * Retire a fare rule from p_at onwards (default now). A rule that has not
+ * started yet is cancelled by retiring it at its own effective_from.
+ */
+create or replace function retire_fare_rule(
+    p_fare_rule_id uuid,
+    p_at timestamptz,
+    p_retired_by uuid
+) returns fare_rules
+language plpgsql
+as $$
+declare
+    v_row fare_rules%rowtype;
+    v_at timestamptz;
+begin
+    select * into v_row
+      from fare_rules
+     where fare_rule_id = p_fare_rule_id
+       for update;
+
+    if not found then
+        raise exception 'FARE_RULE_NOT_FOUND';
+    end if;
+
+    v_at := greatest(coalesce(p_at, now()), v_row.effective_from);
+
+    if v_row.effective_until is not null and v_row.effective_until <= v_at then
+        raise exception 'FARE_RULE_ALREADY_RETIRED';
+    end if;
+
+    update fare_rules
+       set effective_until = v_at,
+           retired_by = p_retired_by,
+           updated_at = now()
+     where fare_rule_id = p_fare_rule_id
+    returning * into v_row;
+
+    return v_row;
+end;
+$$;
+
+revoke execute on function create_fare_rules(jsonb, boolean, uuid) from public, anon, authenticated;
+revoke execute on function retire_fare_rule(uuid, timestamptz, uuid) from public, anon, authenticated;
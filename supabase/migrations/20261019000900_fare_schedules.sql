@@ -0,0 +1,52 @@
+-- Time-of-day fare schedules and real-time fare modifiers
+--
+-- The fare for a journey is its fare_rules base fare, adjusted by every
+-- active schedule whose weekday/time window (Nairobi time) contains the
+-- moment of travel, then by every modifier a SACCO has switched on for the
+-- route ("rain +20", "holiday"...).
+
+create table if not exists fare_schedules (
+    schedule_id uuid primary key default gen_random_uuid(),
+    route_id uuid not null references routes (route_id),
+    name text not null,
+    -- ISO weekdays the window starts on: 1 = Monday ... 7 = Sunday
+    days_of_week smallint[] not null default '{1,2,3,4,5,6,7}',
+    -- Window may wrap midnight (start_time > end_time)
+    start_time time not null,
+    end_time time not null,
+    adjustment_type text not null check (adjustment_type in ('percent', 'fixed')),
+    adjustment_value numeric(10, 2) not null,
+    active boolean not null default true,
+    created_by uuid references users (user_id),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check (start_time <> end_time),
+    check (days_of_week <@ '{1,2,3,4,5,6,7}'::smallint[] and cardinality(days_of_week) > 0)
+);
+
+create index if not exists fare_schedules_route_idx on fare_schedules (route_id) where active;
+
+create table if not exists fare_modifiers (
+    modifier_id uuid primary key default gen_random_uuid(),
+    route_id uuid not null references routes (route_id),
+    name text not null,
+    adjustment_type text not null check (adjustment_type in ('percent', 'fixed')),
+    adjustment_value numeric(10, 2) not null,
+    is_active boolean not null default false,
+    -- Switched-on modifiers turn themselves off at expires_at (if set)
+    expires_at timestamptz,
+    activated_by uuid references users (user_id),
+    activated_at timestamptz,
+    created_by uuid references users (user_id),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (route_id, name)
+);
+
+create index if not exists fare_modifiers_route_idx on fare_modifiers (route_id) where is_active;
+
+-- Record what the rider was actually charged and why
+alter table transactions
+    add column if not exists fare_rule_id uuid references fare_rules (fare_rule_id),
+    add column if not exists base_fare numeric(14, 2),
+    add column if not exists fare_adjustments jsonb;
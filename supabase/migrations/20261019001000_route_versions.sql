@@ -0,0 +1,98 @@
+-- Versioned routes
+--
+-- Every change to a route's stops (or name/number) bumps routes.version and
+-- snapshots the route into route_versions. Transactions record the version
+-- in force when they were created, so later edits never change which stop
+-- list a past fare referred to.
+
+alter table routes
+    add column if not exists version integer not null default 1,
+    add column if not exists status text not null default 'active',
+    add column if not exists updated_by uuid references users (user_id),
+    add column if not exists updated_at timestamptz not null default now();
+
+create table if not exists route_versions (
+    route_id uuid not null references routes (route_id),
+    version integer not null,
+    route_number text,
+    route_name text,
+    stops jsonb not null default '[]'::jsonb,
+    created_by uuid references users (user_id),
+    created_at timestamptz not null default now(),
+    primary key (route_id, version)
+);
+
+insert into route_versions (route_id, version, route_number, route_name, stops)
+select route_id, version, route_number, route_name, coalesce(stops, '[]'::jsonb)
+  from routes
+on conflict do nothing;
+
+create or replace function bump_route_version() returns trigger
+language plpgsql
+as $$
+begin
+    if new.stops is distinct from old.stops
+       or new.route_number is distinct from old.route_number
+       or new.route_name is distinct from old.route_name then
+        new.version := old.version + 1;
+    else
+        new.version := old.version;
+    end if;
+    new.updated_at := now();
+    return new;
+end;
+$$;
+
+create or replace function snapshot_route_version() returns trigger
+language plpgsql
+as $$
+begin
+    insert into route_versions (route_id, version, route_number, route_name, stops, created_by)
+    values (new.route_id, new.version, new.route_number, new.route_name, coalesce(new.stops, '[]'::jsonb), new.updated_by)
+    on conflict do nothing;
+    return new;
+end;
+$$;
+
+drop trigger if exists routes_bump_version on routes;
+create trigger routes_bump_version
+    before update on routes
+    for each row execute function bump_route_version();
+
+drop trigger if exists routes_snapshot_version on routes;
+create trigger routes_snapshot_version
+    after insert or update on routes
+    for each row execute function snapshot_route_version();
+
+alter table transactions
+    add column if not exists route_version integer;
+
+update transactions t
+   set route_version = 1
+ where t.route_id is not null
+   and t.route_version is null;
+
+alter table transactions
+    drop constraint if exists transactions_route_version_fkey;
+alter table transactions
+    add constraint transactions_route_version_fkey
+    foreign key (route_id, route_version) references route_versions (route_id, version);
+
+-- Stamp every transaction on a route with the version in force right now
+create or replace function stamp_transaction_route_version() returns trigger
+language plpgsql
+as $$
+begin
+    if new.route_id is not null and new.route_version is null then
+        select version into new.route_version
+          from routes
+         where route_id = new.route_id;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists transactions_route_version on transactions;
+create trigger transactions_route_version
+    before insert on transactions
+    for each row execute function stamp_transaction_route_version();
@@ -0,0 +1,8 @@
+-- GTFS import: remember which GTFS route each of our routes came from so
+-- re-imports update it in place
+alter table routes
+    add column if not exists gtfs_route_id text;
+
+create unique index if not exists routes_gtfs_route_id_idx
+    on routes (gtfs_route_id)
+    where gtfs_route_id is not null;
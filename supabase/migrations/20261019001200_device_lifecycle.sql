@@ -0,0 +1,26 @@
+-- Device provisioning and lifecycle
+--
+-- A device is provisioned as pending_activation with a one-time activation
+-- code (only its SHA-256 hash is stored). The on-board unit exchanges the
+-- code for its device_token, which it then sends as X-Device-Token.
+--
+--   pending_activation -> active <-> suspended
+--   any                -> revoked (final)
+
+alter table devices
+    alter column device_token drop not null,
+    add column if not exists activation_code_hash text,
+    add column if not exists activation_expires_at timestamptz,
+    add column if not exists activated_at timestamptz,
+    add column if not exists token_rotated_at timestamptz,
+    add column if not exists status_reason text,
+    add column if not exists created_by uuid references users (user_id),
+    add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists devices_activation_code_hash_idx
+    on devices (activation_code_hash)
+    where activation_code_hash is not null;
+
+create unique index if not exists devices_device_token_idx
+    on devices (device_token)
+    where device_token is not null;
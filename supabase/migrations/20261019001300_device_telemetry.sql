@@ -0,0 +1,28 @@
+-- Device GPS telemetry
+--
+-- On-board units push batches of GPS fixes (POST /api/v1/telemetry/gps).
+-- Every fix is kept as track history; devices.last_gps_* only ever moves
+-- forward to the newest fix a device has reported. Passenger phones no
+-- longer write the vehicle position.
+
+create table if not exists device_gps_fixes (
+    fix_id bigint generated always as identity primary key,
+    device_id uuid not null references devices (device_id),
+    route_id uuid references routes (route_id),
+    latitude numeric(9, 6) not null,
+    longitude numeric(9, 6) not null,
+    accuracy_meters numeric(8, 2),
+    speed_mps numeric(6, 2),
+    bearing_degrees numeric(5, 2),
+    recorded_at timestamptz not null,
+    received_at timestamptz not null default now(),
+    unique (device_id, recorded_at)
+);
+
+create index if not exists device_gps_fixes_device_time_idx
+    on device_gps_fixes (device_id, recorded_at desc);
+
+alter table devices
+    add column if not exists last_gps_accuracy_meters numeric(8, 2),
+    add column if not exists last_gps_speed_mps numeric(6, 2),
+    add column if not exists last_gps_bearing_degrees numeric(5, 2);
@@ -0,0 +1,48 @@
+-- Route geometry and off-route detection
+--
+-- routes.path is the licensed road path as an ordered JSONB array of
+-- { latitude, longitude }. It is versioned with the stops. Device telemetry
+-- is snapped onto it; a device that stays further than
+-- ROUTE_OFF_TOLERANCE_METERS from it for ROUTE_OFF_ALERT_MINUTES raises an
+-- 'off_route' fraud alert, once per excursion.
+
+alter table routes
+    add column if not exists path jsonb;
+
+alter table route_versions
+    add column if not exists path jsonb;
+
+create or replace function bump_route_version() returns trigger
+language plpgsql
+as $$
+begin
+    if new.stops is distinct from old.stops
+       or new.path is distinct from old.path
+       or new.route_number is distinct from old.route_number
+       or new.route_name is distinct from old.route_name then
+        new.version := old.version + 1;
+    else
+        new.version := old.version;
+    end if;
+    new.updated_at := now();
+    return new;
+end;
+$$;
+
+create or replace function snapshot_route_version() returns trigger
+language plpgsql
+as $$
+begin
+    insert into route_versions (route_id, version, route_number, route_name, stops, path, created_by)
+    values (new.route_id, new.version, new.route_number, new.route_name, coalesce(new.stops, '[]'::jsonb), new.path, new.updated_by)
+    on conflict do nothing;
+    return new;
+end;
+$$;
+
+-- Off-route state per device: the newest fix checked, when the current
+-- excursion started and whether it has been alerted on
+alter table devices
+    add column if not exists route_checked_at timestamptz,
+    add column if not exists off_route_since timestamptz,
+    add column if not exists off_route_alerted_at timestamptz;
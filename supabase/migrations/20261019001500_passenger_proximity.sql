@@ -0,0 +1,10 @@
+-- Passenger vs vehicle GPS cross-check
+--
+-- At scan and payment time the rider's phone GPS is compared with the
+-- matatu's own telemetry; a disagreement beyond what GPS error explains is
+-- raised as a 'passenger_vehicle_mismatch' fraud alert. Payments keep the
+-- measured distance for later review.
+
+alter table transactions
+    add column if not exists gps_boarding_accuracy_meters numeric(8, 2),
+    add column if not exists passenger_vehicle_distance_meters numeric(10, 2);
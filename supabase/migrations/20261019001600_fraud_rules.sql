@@ -0,0 +1,27 @@
+-- Fraud rules engine
+--
+-- Payments are scored by weighted fraud rules (services/fraudRules.js).
+-- Each route may set its own step-up and block thresholds (null means the
+-- FRAUD_STEP_UP_SCORE / FRAUD_BLOCK_SCORE defaults). The decision and the
+-- rules that fired are kept on the transaction and in fraud_alerts.
+
+alter table routes
+    add column if not exists fraud_step_up_score integer,
+    add column if not exists fraud_block_score integer;
+
+alter table routes
+    drop constraint if exists routes_fraud_thresholds_check;
+alter table routes
+    add constraint routes_fraud_thresholds_check check (
+        (fraud_step_up_score is null or fraud_step_up_score between 1 and 100)
+        and (fraud_block_score is null or fraud_block_score between 1 and 100)
+        and (fraud_step_up_score is null or fraud_block_score is null or fraud_step_up_score < fraud_block_score)
+    );
+
+alter table transactions
+    add column if not exists risk_score integer,
+    add column if not exists risk_decision text,
+    add column if not exists risk_rules jsonb;
+
+alter table fraud_alerts
+    add column if not exists decision text;
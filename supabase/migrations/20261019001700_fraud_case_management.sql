@@ -0,0 +1,55 @@
+-- Fraud alert case management
+--
+-- Alerts are worked as cases: open -> in_review (assigned to a reviewer)
+-- -> confirmed_fraud or false_positive. Reviewers leave notes as they go.
+-- Resolutions feed the rule tuning statistics (GET /fraud-alerts/stats).
+
+alter table fraud_alerts
+    add column if not exists status text not null default 'open',
+    add column if not exists assigned_to uuid references users (user_id),
+    add column if not exists assigned_at timestamptz,
+    add column if not exists resolved_by uuid references users (user_id),
+    add column if not exists resolved_at timestamptz,
+    add column if not exists resolution_notes text,
+    add column if not exists resolution_actions jsonb;
+
+alter table fraud_alerts
+    drop constraint if exists fraud_alerts_status_check;
+alter table fraud_alerts
+    add constraint fraud_alerts_status_check
+    check (status in ('open', 'in_review', 'confirmed_fraud', 'false_positive'));
+
+create index if not exists fraud_alerts_status_idx on fraud_alerts (status, created_at desc);
+create index if not exists fraud_alerts_assigned_idx on fraud_alerts (assigned_to, status);
+create index if not exists fraud_alerts_transaction_idx on fraud_alerts (transaction_id);
+
+create table if not exists fraud_alert_notes (
+    note_id bigint generated always as identity primary key,
+    alert_id uuid not null references fraud_alerts (alert_id),
+    author_id uuid not null references users (user_id),
+    note text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists fraud_alert_notes_alert_idx on fraud_alert_notes (alert_id, created_at);
+
+-- Alerts raised before their payment existed (scan-time checks, step-up
+-- challenges) point at the payer's next successful payment on the same
+-- device within 15 minutes. Blocked attempts stay unlinked.
+update fraud_alerts fa
+   set transaction_id = (
+        select t.transaction_id
+          from transactions t
+         where t.user_id = fa.user_id
+           and t.device_id = fa.device_id
+           and t.transaction_type = 'payment'
+           and t.status = 'success'
+           and t.created_at >= fa.created_at
+           and t.created_at < fa.created_at + interval '15 minutes'
+         order by t.created_at
+         limit 1
+       )
+ where fa.transaction_id is null
+   and fa.user_id is not null
+   and fa.device_id is not null
+   and fa.decision is distinct from 'block';
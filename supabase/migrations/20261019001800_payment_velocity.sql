@@ -0,0 +1,52 @@
+-- Payment velocity limits
+--
+-- Payments per minute, hour and day, and KES per day, per payer, per
+-- on-board device and per merchant (services/velocityLimits.js). One call
+-- returns the recent usage of all three so the check costs a single round
+-- trip before money moves.
+
+create index if not exists transactions_user_created_idx on transactions (user_id, created_at);
+create index if not exists transactions_device_created_idx on transactions (device_id, created_at);
+
+/**
+ * Successful payments in the last minute, hour and day (and the day's
+ * total) for each given scope. A null ID skips its scope.
+ */
+create or replace function payment_velocity(
+    p_user_id uuid,
+    p_device_id uuid,
+    p_merchant_id uuid,
+    p_at timestamptz default now()
+) returns table (
+    scope text,
+    per_minute bigint,
+    per_hour bigint,
+    per_day bigint,
+    amount_per_day numeric
+)
+language sql
+stable
+as $$
+    with recent as (
+        select user_id, device_id, merchant_id, amount, created_at
+          from transactions
+         where transaction_type = 'payment'
+           and status = 'success'
+           and created_at > p_at - interval '1 day'
+           and (user_id = p_user_id or device_id = p_device_id or merchant_id = p_merchant_id)
+    )
+    select s.scope,
+           count(r.created_at) filter (where r.created_at > p_at - interval '1 minute'),
+           count(r.created_at) filter (where r.created_at > p_at - interval '1 hour'),
+           count(r.created_at),
+           coalesce(sum(r.amount), 0)
+      from (values ('user', p_user_id), ('device', p_device_id), ('merchant', p_merchant_id)) as s (scope, id)
+      left join recent r
+        on (s.scope = 'user' and r.user_id = s.id)
+        or (s.scope = 'device' and r.device_id = s.id)
+        or (s.scope = 'merchant' and r.merchant_id = s.id)
+     where s.id is not null
+     group by s.scope;
+$$;
+
+revoke execute on function payment_velocity(uuid, uuid, uuid, timestamptz) from public, anon, authenticated;
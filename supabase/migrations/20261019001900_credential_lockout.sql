@@ -0,0 +1,102 @@
+-- Credential brute-force protection
+--
+-- Failed PIN attempts (per user) and login attempts (per phone number) are
+-- counted in credential_attempts (services/lockout.js). After a few free
+-- tries each attempt must wait out a doubling delay; at the maximum the
+-- credential locks. A PIN lock lasts until the PIN is reset with a code
+-- sent by SMS; a login lock runs out after LOGIN_LOCKOUT_MINUTES.
+
+create table if not exists credential_attempts (
+    kind text not null,
+    subject text not null,
+    failed_attempts integer not null default 0,
+    last_failed_at timestamptz,
+    locked_at timestamptz,
+    locked_until timestamptz,
+    primary key (kind, subject)
+);
+
+alter table users
+    add column if not exists pin_reset_code_hash text,
+    add column if not exists pin_reset_expires_at timestamptz;
+
+/**
+ * Take one attempt at a credential. The attempt counts as failed until a
+ * correct one deletes the row, so parallel guesses cannot slip past the
+ * count. Refused (allowed = false) while locked or while the
+ * delay after the last failure runs; retry_at says until when (null for a
+ * lock that never runs out). locked = true on the attempt that reaches
+ * p_max_attempts.
+ */
+create or replace function claim_credential_attempt(
+    p_kind text,
+    p_subject text,
+    p_max_attempts integer,
+    p_free_attempts integer,
+    p_delay_seconds integer,
+    p_lock_seconds integer
+) returns table (
+    allowed boolean,
+    failed_attempts integer,
+    locked boolean,
+    retry_at timestamptz
+)
+language plpgsql
+as $$
+declare
+    v_row credential_attempts%rowtype;
+    v_wait interval;
+    v_count integer;
+begin
+    insert into credential_attempts (kind, subject)
+    values (p_kind, p_subject)
+    on conflict do nothing;
+
+    select * into v_row
+      from credential_attempts a
+     where a.kind = p_kind
+       and a.subject = p_subject
+       for update;
+
+    if v_row.locked_at is not null then
+        if v_row.locked_until is null or v_row.locked_until > now() then
+            return query select false, v_row.failed_attempts, true, v_row.locked_until;
+            return;
+        end if;
+
+        -- A timed lock has run out: start counting again
+        v_row.failed_attempts := 0;
+        v_row.last_failed_at := null;
+    end if;
+
+    -- Doubling delay after the free attempts, at most 15 minutes
+    if v_row.failed_attempts >= p_free_attempts and v_row.last_failed_at is not null then
+        v_wait := make_interval(secs => least(
+            p_delay_seconds * power(2, v_row.failed_attempts - p_free_attempts),
+            900
+        ));
+
+        if v_row.last_failed_at + v_wait > now() then
+            return query select false, v_row.failed_attempts, false, v_row.last_failed_at + v_wait;
+            return;
+        end if;
+    end if;
+
+    v_count := v_row.failed_attempts + 1;
+
+    update credential_attempts a
+       set failed_attempts = v_count,
+           last_failed_at = now(),
+           locked_at = case when v_count >= p_max_attempts then now() end,
+           locked_until = case
+               when v_count >= p_max_attempts and p_lock_seconds is not null
+               then now() + make_interval(secs => p_lock_seconds)
+           end
+     where a.kind = p_kind
+       and a.subject = p_subject;
+
+    return query select true, v_count, v_count >= p_max_attempts, null::timestamptz;
+end;
+$$;
+
+revoke execute on function claim_credential_attempt(text, text, integer, integer, integer, integer) from public, anon, authenticated;
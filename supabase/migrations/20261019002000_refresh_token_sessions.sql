@@ -0,0 +1,108 @@
+-- Server-side refresh tokens
+--
+-- Each login opens an auth session (one device or app install). Its
+-- refresh tokens are opaque, stored only as SHA-256 hashes, and single-use:
+-- every refresh swaps the presented token for a new one. Presenting a
+-- token that was already swapped means it leaked, so the whole session (the
+-- token family) is revoked. Logout revokes the session.
+
+create table if not exists auth_sessions (
+    session_id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references users (user_id),
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    ip_address text,
+    user_agent text,
+    revoked_at timestamptz,
+    revoked_reason text
+);
+
+create index if not exists auth_sessions_user_idx on auth_sessions (user_id, revoked_at);
+
+create table if not exists refresh_tokens (
+    token_hash text primary key,
+    session_id uuid not null references auth_sessions (session_id),
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    used_at timestamptz
+);
+
+create index if not exists refresh_tokens_session_idx on refresh_tokens (session_id);
+
+/**
+ * Swap a refresh token for a new one. outcome is 'rotated', or why not:
+ * 'invalid' (unknown token), 'revoked', 'expired' or 'reused' (the token
+ * was already swapped; its session is revoked here).
+ */
+create or replace function rotate_refresh_token(
+    p_token_hash text,
+    p_new_token_hash text,
+    p_expires_at timestamptz,
+    p_ip_address text,
+    p_user_agent text
+) returns table (
+    outcome text,
+    user_id uuid,
+    session_id uuid
+)
+language plpgsql
+as $$
+declare
+    v_token refresh_tokens%rowtype;
+    v_session auth_sessions%rowtype;
+begin
+    select * into v_token
+      from refresh_tokens t
+     where t.token_hash = p_token_hash
+       for update;
+
+    if not found then
+        return query select 'invalid'::text, null::uuid, null::uuid;
+        return;
+    end if;
+
+    select * into v_session
+      from auth_sessions s
+     where s.session_id = v_token.session_id
+       for update;
+
+    if v_session.revoked_at is not null then
+        return query select 'revoked'::text, v_session.user_id, v_session.session_id;
+        return;
+    end if;
+
+    if v_token.used_at is not null then
+        update auth_sessions s
+           set revoked_at = now(),
+               revoked_reason = 'token_reuse'
+         where s.session_id = v_session.session_id;
+
+        return query select 'reused'::text, v_session.user_id, v_session.session_id;
+        return;
+    end if;
+
+    if v_token.expires_at <= now() then
+        return query select 'expired'::text, v_session.user_id, v_session.session_id;
+        return;
+    end if;
+
+    update refresh_tokens t
+       set used_at = now()
+     where t.token_hash = p_token_hash;
+
+    insert into refresh_tokens (token_hash, session_id, expires_at)
+    values (p_new_token_hash, v_session.session_id, p_expires_at);
+
+    update auth_sessions s
+       set last_used_at = now(),
+           expires_at = p_expires_at,
+           ip_address = coalesce(p_ip_address, s.ip_address),
+           user_agent = coalesce(p_user_agent, s.user_agent)
+     where s.session_id = v_session.session_id;
+
+    return query select 'rotated'::text, v_session.user_id, v_session.session_id;
+end;
+$$;
+
+revoke execute on function rotate_refresh_token(text, text, timestamptz, text, text) from public, anon, authenticated;
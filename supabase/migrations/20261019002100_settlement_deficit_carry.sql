@@ -0,0 +1,102 @@
+-- Carry settlement shortfalls forward
+--
+-- A batch whose refunds outweigh its payments has net_payout <= 0 and pays
+-- nothing, leaving the merchant wallet negative. That shortfall is now
+-- brought into the merchant's next batch as carried_deficit and taken off
+-- its net_payout, so a later day's payout nets it off instead of paying the
+-- full day on top of the deficit. A next batch that is itself short carries
+-- the whole running shortfall on again.
+
+alter table settlements
+    add column if not exists carried_deficit numeric(14, 2) not null default 0;
+
+/**
+ * Create one settlement per merchant with unsettled transactions created
+ * before p_period_end and stamp those transactions with its settlement_id.
+ * net_payout = payment net_amount - refund net_amount - carried_deficit,
+ * where carried_deficit is the shortfall of the merchant's latest batch.
+ * Safe to run twice: already-stamped rows are skipped.
+ */
+create or replace function create_settlement_batches(
+    p_period_start timestamptz,
+    p_period_end timestamptz
+) returns setof settlements
+language plpgsql
+as $$
+declare
+    v_merchant_id uuid;
+    v_carried numeric(14, 2);
+    v_settlement settlements%rowtype;
+begin
+    for v_merchant_id in
+        select distinct merchant_id
+          from transactions
+         where settlement_id is null
+           and merchant_id is not null
+           and status = 'success'
+           and transaction_type in ('payment', 'refund')
+           and created_at < p_period_end
+    loop
+        -- Lock this merchant's rows; a concurrent run that got here first
+        -- leaves nothing to lock
+        perform 1
+           from transactions
+          where merchant_id = v_merchant_id
+            and settlement_id is null
+            and status = 'success'
+            and transaction_type in ('payment', 'refund')
+            and created_at < p_period_end
+            for update;
+
+        if not found then
+            continue;
+        end if;
+
+        -- The latest batch already includes whatever it carried itself
+        select greatest(0, -net_payout) into v_carried
+          from settlements
+         where merchant_id = v_merchant_id
+         order by created_at desc
+         limit 1;
+
+        insert into settlements (
+            merchant_id, period_start, period_end,
+            payment_count, refund_count,
+            gross_amount, commission_amount,
+            refund_amount, refund_commission_amount,
+            carried_deficit, net_payout
+        )
+        select
+            v_merchant_id, p_period_start, p_period_end,
+            count(*) filter (where transaction_type = 'payment'),
+            count(*) filter (where transaction_type = 'refund'),
+            coalesce(sum(amount) filter (where transaction_type = 'payment'), 0),
+            coalesce(sum(merchant_commission) filter (where transaction_type = 'payment'), 0),
+            coalesce(sum(amount) filter (where transaction_type = 'refund'), 0),
+            coalesce(sum(merchant_commission) filter (where transaction_type = 'refund'), 0),
+            coalesce(v_carried, 0),
+            coalesce(sum(net_amount) filter (where transaction_type = 'payment'), 0)
+                - coalesce(sum(net_amount) filter (where transaction_type = 'refund'), 0)
+                - coalesce(v_carried, 0)
+          from transactions
+         where merchant_id = v_merchant_id
+           and settlement_id is null
+           and status = 'success'
+           and transaction_type in ('payment', 'refund')
+           and created_at < p_period_end
+        returning * into v_settlement;
+
+        update transactions
+           set settlement_id = v_settlement.settlement_id
+         where merchant_id = v_merchant_id
+           and settlement_id is null
+           and status = 'success'
+           and transaction_type in ('payment', 'refund')
+           and created_at < p_period_end;
+
+        return next v_settlement;
+    end loop;
+end;
+$$;
+
+revoke execute on function create_settlement_batches(timestamptz, timestamptz) from public, anon, authenticated;
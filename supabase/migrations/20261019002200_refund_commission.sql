@@ -0,0 +1,78 @@
+-- Cap refunded commission at what was charged
+--
+-- Each partial refund reverses its share of the commission rounded to the
+-- cent, so several of them could add up to more than the payment's
+-- commission (33.33 + 33.33 + 33.34 on 5.00 reverses 1.67 x 3 = 5.01). The
+-- payment now records the commission refunded so far; a refund may not take
+-- it past merchant_commission, and the refund that completes the payment
+-- must take exactly the rest.
+
+alter table transactions
+    add column if not exists refunded_commission numeric(14, 2) not null default 0;
+
+update transactions p
+   set refunded_commission = least(p.merchant_commission, r.total)
+  from (
+        select original_transaction_id, sum(merchant_commission) as total
+          from transactions
+         where transaction_type = 'refund'
+           and status = 'success'
+         group by original_transaction_id
+       ) r
+ where r.original_transaction_id = p.transaction_id
+   and p.transaction_type = 'payment';
+
+/**
+ * Refund (part of) a payment atomically.
+ *
+ * Locks the original payment, checks the refund does not exceed its
+ * remaining amount, records the refunded amount and commission on it, then
+ * inserts the refund row and posts its entries. A commission share worked
+ * out from a stale view of the payment (another refund got in first) raises
+ * VERSION_CONFLICT so the caller can re-read and retry.
+ */
+create or replace function post_refund(
+    p_original_id uuid,
+    p_refund jsonb,
+    p_entries jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_original transactions%rowtype;
+    v_amount numeric := (p_refund->>'amount')::numeric;
+    v_commission numeric := coalesce((p_refund->>'merchant_commission')::numeric, 0);
+begin
+    select * into v_original
+      from transactions
+     where transaction_id = p_original_id
+       for update;
+
+    if not found then
+        raise exception 'TRANSACTION_NOT_FOUND';
+    end if;
+
+    if v_original.transaction_type <> 'payment' or v_original.status <> 'success' then
+        raise exception 'TRANSACTION_NOT_REFUNDABLE';
+    end if;
+
+    if v_original.refunded_amount + v_amount > v_original.amount then
+        raise exception 'REFUND_EXCEEDS_AMOUNT';
+    end if;
+
+    if v_original.refunded_commission + v_commission > coalesce(v_original.merchant_commission, 0)
+       or (v_original.refunded_amount + v_amount = v_original.amount
+           and v_original.refunded_commission + v_commission <> coalesce(v_original.merchant_commission, 0)) then
+        raise exception 'VERSION_CONFLICT';
+    end if;
+
+    update transactions
+       set refunded_amount = refunded_amount + v_amount,
+           refunded_commission = refunded_commission + v_commission
+     where transaction_id = p_original_id;
+
+    return post_ledger_transaction(jsonb_build_array(p_refund), p_entries);
+end;
+$$;
+
+revoke execute on function post_refund(uuid, jsonb, jsonb) from public, anon, authenticated;
@@ -0,0 +1,13 @@
+-- Per-user idempotency keys for transfers
+--
+-- Transfers used the client's idempotency key as reference_code, which is
+-- unique across every transaction, so one rider's key could collide with
+-- (and be answered by) another's. The key now has its own column, unique per
+-- user, and reference_code is always generated by the server.
+
+alter table transactions
+    add column if not exists idempotency_key text;
+
+create unique index if not exists transactions_user_idempotency_key
+    on transactions (user_id, idempotency_key)
+    where idempotency_key is not null;
@@ -0,0 +1,41 @@
+-- Hashed device credentials, separate from sticker codes
+--
+-- devices.device_token was both the X-Device-Token credential and, for
+-- fleets not yet on signed QR displays, the text printed on the static
+-- sticker, so reading a sticker was enough to send telemetry as the device.
+-- The two are now split:
+--
+--   device_secret_hash  SHA-256 of the credential issued at activation;
+--                       the credential itself is never stored
+--   sticker_code        text of a legacy static sticker; only ever a QR
+--                       payload, never a credential
+--
+-- Devices that were never activated through provisioning keep their sticker
+-- but have no credential until they are issued an activation code.
+
+alter table devices
+    add column if not exists device_secret_hash text,
+    add column if not exists sticker_code text;
+
+update devices
+   set device_secret_hash = encode(sha256(convert_to(device_token, 'UTF8')), 'hex')
+ where device_token is not null
+   and activated_at is not null;
+
+update devices
+   set sticker_code = device_token
+ where device_token is not null
+   and activated_at is null;
+
+drop index if exists devices_device_token_idx;
+
+alter table devices
+    drop column if exists device_token;
+
+create unique index if not exists devices_device_secret_hash_idx
+    on devices (device_secret_hash)
+    where device_secret_hash is not null;
+
+create unique index if not exists devices_sticker_code_idx
+    on devices (sticker_code)
+    where sticker_code is not null;
@@ -0,0 +1,87 @@
+-- One-time step-up codes for risky payments
+--
+-- A payment scored for step-up used to get back a signed token that the
+-- client could simply resend, with the same PIN, for 5 minutes. It now gets
+-- a challenge: a 6-digit code sent to the payer by SMS (only its HMAC is
+-- stored), bound to payer, merchant and amount. The payment is resent with
+-- the challenge id and the code, and the transaction records the challenge
+-- it used; the unique index makes posting the payment and using up the
+-- challenge one atomic step, so a code confirms at most one payment.
+
+create table if not exists step_up_challenges (
+    challenge_id uuid primary key,
+    user_id uuid not null references users (user_id),
+    merchant_id uuid not null references merchants (merchant_id),
+    amount numeric(14, 2) not null,
+    code_hash text not null,
+    failed_attempts integer not null default 0,
+    expires_at timestamptz not null,
+    consumed_at timestamptz,
+    transaction_id uuid references transactions (transaction_id),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists step_up_challenges_user_idx on step_up_challenges (user_id, created_at desc);
+
+alter table transactions
+    add column if not exists step_up_challenge_id uuid references step_up_challenges (challenge_id);
+
+create unique index if not exists transactions_step_up_challenge_key
+    on transactions (step_up_challenge_id)
+    where step_up_challenge_id is not null;
+
+/**
+ * Check a step-up code for one payment. status is 'valid' when the code is
+ * right and the challenge is unused, unexpired and issued for this payer,
+ * merchant and amount; 'wrong_code' when only the code is wrong (the miss
+ * is counted); otherwise 'invalid'. A challenge stops accepting codes after
+ * p_max_attempts misses.
+ */
+create or replace function check_step_up_challenge(
+    p_challenge_id uuid,
+    p_user_id uuid,
+    p_merchant_id uuid,
+    p_amount numeric,
+    p_code_hash text,
+    p_max_attempts integer
+) returns table (
+    status text,
+    attempts_left integer,
+    expires_at timestamptz
+)
+language plpgsql
+as $$
+declare
+    v_row step_up_challenges%rowtype;
+begin
+    select * into v_row
+      from step_up_challenges c
+     where c.challenge_id = p_challenge_id
+       for update;
+
+    if not found
+       or v_row.user_id <> p_user_id
+       or v_row.merchant_id <> p_merchant_id
+       or v_row.amount <> p_amount
+       or v_row.consumed_at is not null
+       or v_row.expires_at <= now()
+       or v_row.failed_attempts >= p_max_attempts
+       or exists (select 1 from transactions t where t.step_up_challenge_id = p_challenge_id) then
+        return query select 'invalid'::text, 0, null::timestamptz;
+        return;
+    end if;
+
+    if v_row.code_hash <> p_code_hash then
+        update step_up_challenges c
+           set failed_attempts = c.failed_attempts + 1
+         where c.challenge_id = p_challenge_id;
+
+        return query select 'wrong_code'::text, p_max_attempts - v_row.failed_attempts - 1, v_row.expires_at;
+        return;
+    end if;
+
+    return query select 'valid'::text, p_max_attempts - v_row.failed_attempts, v_row.expires_at;
+end;
+$$;
+
+revoke execute on function check_step_up_challenge(uuid, uuid, uuid, numeric, text, integer) from public, anon, authenticated;
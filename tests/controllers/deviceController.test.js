@@ -0,0 +1,163 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { Roles } = require('../../src/middleware/auth');
+const { DeviceStatus, hashDeviceToken, hashActivationCode } = require('../../src/services/devices');
+const {
+    activateDevice,
+    rotateDeviceToken,
+    revokeDevice,
+    reissueActivationCode
+} = require('../../src/controllers/deviceController');
+
+const HOUR = 60 * 60 * 1000;
+
+const device = (fields = {}) => ({
+    device_id: 'device-1',
+    device_name: 'KCB 123A display',
+    merchant_id: 'merchant-1',
+    route_id: 'route-46',
+    status: DeviceStatus.ACTIVE,
+    gps_enabled: true,
+    activated_at: '2026-10-01T08:00:00Z',
+    token_rotated_at: '2026-10-01T08:00:00Z',
+    ...fields
+});
+
+const deviceRequest = ({ user = {}, body = {} } = {}) => ({
+    user: { user_id: 'admin-1', role: Roles.ADMIN, ...user },
+    params: { device_id: 'device-1' },
+    body,
+    ip: '10.0.0.1'
+});
+
+describe('activateDevice', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('exchanges the code for a token, storing only its hash', async () => {
+        supabase.respond('devices',
+            { data: { device_id: 'device-1', status: DeviceStatus.PENDING_ACTIVATION, activation_expires_at: new Date(Date.now() + HOUR).toISOString() }, error: null },
+            { data: device(), error: null });
+        const res = mockResponse();
+
+        await activateDevice({ body: { activation_code: 'k7qm-2xpa' }, ip: '10.0.0.1' }, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        const token = res.body.data.device_token;
+        expect(token).toMatch(/^emdev_/);
+
+        const [lookup, update] = supabase.queriesOn('devices');
+        expect(lookup.calls).toContainEqual(['eq', 'activation_code_hash', hashActivationCode('K7QM2XPA')]);
+        expect(argOf(update, 'update')).toMatchObject({
+            device_secret_hash: hashDeviceToken(token),
+            status: DeviceStatus.ACTIVE,
+            activation_code_hash: null
+        });
+        expect(JSON.stringify(argOf(update, 'update'))).not.toContain(token);
+        expect(update.calls).toContainEqual(['eq', 'status', DeviceStatus.PENDING_ACTIVATION]);
+    });
+
+    test('refuses an expired code', async () => {
+        supabase.respond('devices', {
+            data: { device_id: 'device-1', status: DeviceStatus.PENDING_ACTIVATION, activation_expires_at: new Date(Date.now() - 1000).toISOString() },
+            error: null
+        });
+        const res = mockResponse();
+
+        await activateDevice({ body: { activation_code: 'K7QM-2XPA' }, ip: '10.0.0.1' }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_ACTIVATION_CODE);
+        expect(supabase.queriesOn('devices')).toHaveLength(1);
+    });
+
+    test('refuses a code another request used first', async () => {
+        supabase.respond('devices',
+            { data: { device_id: 'device-1', status: DeviceStatus.PENDING_ACTIVATION, activation_expires_at: new Date(Date.now() + HOUR).toISOString() }, error: null },
+            { data: null, error: null });
+        const res = mockResponse();
+
+        await activateDevice({ body: { activation_code: 'K7QM-2XPA' }, ip: '10.0.0.1' }, res);
+
+        expect(res.body.code).toBe(ErrorCodes.INVALID_ACTIVATION_CODE);
+        expect(supabase.queriesOn('audit_logs')).toHaveLength(0);
+    });
+});
+
+describe('device lifecycle', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('rotating replaces the token hash and returns the new token once', async () => {
+        supabase.respond('devices', { data: device(), error: null }, { data: device(), error: null });
+        const res = mockResponse();
+
+        await rotateDeviceToken(deviceRequest(), res);
+
+        const update = supabase.queriesOn('devices')[1];
+        expect(argOf(update, 'update').device_secret_hash).toBe(hashDeviceToken(res.body.data.device_token));
+        expect(update.calls).toContainEqual(['in', 'status', [DeviceStatus.ACTIVE]]);
+        expect(argOf(supabase.queriesOn('audit_logs')[0], 'insert')).toMatchObject({ action: 'device_token_rotated', entity_id: 'device-1' });
+    });
+
+    test('a suspended device keeps its token until reactivated', async () => {
+        supabase.respond('devices', { data: device({ status: DeviceStatus.SUSPENDED }), error: null });
+        const res = mockResponse();
+
+        await rotateDeviceToken(deviceRequest(), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.body.error).toBe('Cannot rotate the token of a device that is suspended');
+    });
+
+    test('revoking clears every credential', async () => {
+        supabase.respond('devices', { data: device(), error: null }, { data: device({ status: DeviceStatus.REVOKED }), error: null });
+        const res = mockResponse();
+
+        await revokeDevice(deviceRequest({ body: { reason: 'Stolen' } }), res);
+
+        expect(res.body.data.status).toBe(DeviceStatus.REVOKED);
+        expect(argOf(supabase.queriesOn('devices')[1], 'update')).toMatchObject({
+            status: DeviceStatus.REVOKED,
+            status_reason: 'Stolen',
+            device_secret_hash: null,
+            activation_code_hash: null
+        });
+    });
+
+    test('a merchant cannot manage another merchant\'s device', async () => {
+        const res = mockResponse();
+
+        await revokeDevice(deviceRequest({ user: { role: Roles.MERCHANT, merchant_id: 'merchant-2' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(supabase.queriesOn('devices')[0].calls).toContainEqual(['eq', 'merchant_id', 'merchant-2']);
+    });
+
+    test('re-issuing an activation code retires the current token', async () => {
+        supabase.respond('devices', { data: device(), error: null }, { data: device({ status: DeviceStatus.PENDING_ACTIVATION }), error: null });
+        const res = mockResponse();
+
+        await reissueActivationCode(deviceRequest(), res);
+
+        const updates = argOf(supabase.queriesOn('devices')[1], 'update');
+        expect(updates).toMatchObject({ status: DeviceStatus.PENDING_ACTIVATION, device_secret_hash: null });
+        expect(updates.activation_code_hash).toBe(hashActivationCode(res.body.data.activation_code));
+    });
+});
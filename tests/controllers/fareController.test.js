@@ -0,0 +1,88 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { Roles } = require('../../src/middleware/auth');
+const { createFareRule, bulkUploadFareRules } = require('../../src/controllers/fareController');
+
+const ROUTE = 'd4e5f6a7-b8c9-4d8e-9f2a-3b4c5d6e7f8a';
+const SHARED_ROUTE = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+
+const route = route_id => ({
+    route_id,
+    stops: [{ id: 'cbd' }, { id: 'westlands' }, { id: 'kawangware' }]
+});
+
+const admin = { user_id: 'admin-1', role: Roles.ADMIN };
+
+describe('fare rule changes', () => {
+    beforeEach(() => {
+        supabase.reset();
+        supabase.rpc.mockImplementation(async (name, args) => ({
+            data: args.p_rules.map((rule, idx) => ({ ...rule, fare_rule_id: `rule-${idx + 1}`, effective_from: '2026-10-19T00:00:00Z' })),
+            error: null
+        }));
+    });
+
+    test('a bulk upload with a bad row imports nothing and lists every bad row', async () => {
+        supabase.respond('routes', { data: [route(ROUTE)], error: null });
+        const csv = [
+            'route_id,origin_stop_id,destination_stop_id,fare_amount',
+            `${ROUTE},cbd,kawangware,50`,
+            `${ROUTE},cbd,cbd,50`,
+            `${ROUTE},cbd,thika,50`,
+            'not-a-route,cbd,westlands,30',
+            `${ROUTE},cbd,westlands,0`
+        ].join('\n');
+        const res = mockResponse();
+
+        await bulkUploadFareRules({ user: admin, body: csv, query: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.details.rows).toEqual([
+            { row: 2, error: 'Origin and destination must differ' },
+            { row: 3, error: 'Origin or destination is not a stop on this route' },
+            { row: 4, error: 'Invalid route_id' },
+            { row: 5, error: 'fare_amount must be between 0.01 and 10,000 KES' }
+        ]);
+        expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('a valid upload creates every rule in one call', async () => {
+        supabase.respond('routes', { data: [route(ROUTE)], error: null });
+        const csv = `route_id,origin_stop_id,destination_stop_id,fare_amount\n${ROUTE},cbd,kawangware,50\n${ROUTE},cbd,westlands,30\n`;
+        const res = mockResponse();
+
+        await bulkUploadFareRules({ user: admin, body: csv, query: { replace_existing: 'true' } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.body.data.imported).toBe(2);
+        expect(supabase.rpc).toHaveBeenCalledTimes(1);
+        expect(supabase.rpc.mock.calls[0][1].p_replace).toBe(true);
+    });
+
+    test('a SACCO manager cannot set fares on a route another operator runs', async () => {
+        supabase.respond('devices',
+            { data: [{ route_id: SHARED_ROUTE }], error: null },
+            {
+                data: [
+                    { route_id: SHARED_ROUTE, merchants: { sacco_id: 'sacco-1' } },
+                    { route_id: SHARED_ROUTE, merchants: { sacco_id: 'sacco-2' } }
+                ],
+                error: null
+            }
+        );
+        supabase.respond('routes', { data: [route(SHARED_ROUTE)], error: null });
+        const res = mockResponse();
+
+        await createFareRule({
+            user: { user_id: 'manager-1', role: Roles.SACCO_MANAGER, sacco_id: 'sacco-1' },
+            body: { route_id: SHARED_ROUTE, origin_stop_id: 'cbd', destination_stop_id: 'westlands', fare_amount: 500 }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body).toMatchObject({ code: ErrorCodes.INVALID_INPUT, error: 'Route not found' });
+        expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+});
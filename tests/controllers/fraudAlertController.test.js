@@ -0,0 +1,143 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { Roles } = require('../../src/middleware/auth');
+const { DeviceStatus } = require('../../src/services/devices');
+const { AlertStatus } = require('../../src/services/fraudAlerts');
+const { assignAlert, resolveAlert } = require('../../src/controllers/fraudAlertController');
+
+const alert = (fields = {}) => ({
+    alert_id: 'alert-1',
+    alert_type: 'payment_risk',
+    status: AlertStatus.IN_REVIEW,
+    user_id: 'user-1',
+    device_id: 'device-1',
+    transaction_id: 'tx-1',
+    assigned_to: 'admin-1',
+    ...fields
+});
+
+const alertRequest = (body = {}) => ({
+    user: { user_id: 'admin-1', role: Roles.ADMIN },
+    params: { alert_id: 'alert-1' },
+    body,
+    ip: '10.0.0.1'
+});
+
+describe('resolveAlert', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('confirmed fraud can suspend the user, sign them out and suspend the device', async () => {
+        const actions = { user_suspended: true, sessions_revoked: 2, device_suspended: true };
+        supabase.respond('fraud_alerts',
+            { data: alert(), error: null },
+            { data: alert({ status: AlertStatus.CONFIRMED_FRAUD }), error: null },
+            { data: alert({ status: AlertStatus.CONFIRMED_FRAUD, resolution_actions: actions }), error: null });
+        supabase.respond('users', { data: [{ user_id: 'user-1' }], error: null });
+        supabase.respond('auth_sessions', { data: [{ session_id: 's-1' }, { session_id: 's-2' }], error: null });
+        supabase.respond('devices', { data: [{ device_id: 'device-1' }], error: null });
+        const res = mockResponse();
+
+        await resolveAlert(alertRequest({ outcome: AlertStatus.CONFIRMED_FRAUD, notes: 'Card testing', suspend_user: true, suspend_device: true }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.body.data.resolution_actions).toEqual(actions);
+
+        expect(argOf(supabase.queriesOn('fraud_alerts')[2], 'update')).toEqual({ resolution_actions: actions });
+        expect(argOf(supabase.queriesOn('auth_sessions')[0], 'update')).toMatchObject({ revoked_reason: 'suspended' });
+        expect(argOf(supabase.queriesOn('devices')[0], 'update')).toMatchObject({
+            status: DeviceStatus.SUSPENDED,
+            status_reason: 'Confirmed fraud (alert alert-1)'
+        });
+        expect(supabase.queriesOn('audit_logs').map(query => argOf(query, 'insert').action)).toEqual([
+            'fraud_alert_resolved',
+            'user_suspended',
+            'device_suspended'
+        ]);
+    });
+
+    test('a user already suspended still has their sessions revoked', async () => {
+        supabase.respond('fraud_alerts',
+            { data: alert(), error: null },
+            { data: alert({ status: AlertStatus.CONFIRMED_FRAUD }), error: null },
+            { data: alert({ status: AlertStatus.CONFIRMED_FRAUD }), error: null });
+        supabase.respond('users', { data: [], error: null });
+        supabase.respond('auth_sessions', { data: [{ session_id: 's-1' }], error: null });
+        const res = mockResponse();
+
+        await resolveAlert(alertRequest({ outcome: AlertStatus.CONFIRMED_FRAUD, notes: 'Repeat', suspend_user: true }), res);
+
+        expect(argOf(supabase.queriesOn('fraud_alerts')[2], 'update')).toEqual({
+            resolution_actions: { user_suspended: false, sessions_revoked: 1, device_suspended: false }
+        });
+        expect(supabase.queriesOn('devices')).toHaveLength(0);
+    });
+
+    test('a false positive cannot suspend anyone', async () => {
+        supabase.respond('fraud_alerts', { data: alert(), error: null });
+        const res = mockResponse();
+
+        await resolveAlert(alertRequest({ outcome: AlertStatus.FALSE_POSITIVE, notes: 'Paid for a friend', suspend_user: true }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(supabase.queriesOn('fraud_alerts')).toHaveLength(1);
+    });
+
+    test('refuses an alert already resolved', async () => {
+        supabase.respond('fraud_alerts', { data: alert({ status: AlertStatus.FALSE_POSITIVE }), error: null });
+        const res = mockResponse();
+
+        await resolveAlert(alertRequest({ outcome: AlertStatus.CONFIRMED_FRAUD, notes: 'Second look' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.body).toMatchObject({
+            error: 'Cannot resolve an alert that is false positive',
+            code: ErrorCodes.FRAUD_ALERT_STATUS_INVALID
+        });
+    });
+});
+
+describe('assignAlert', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('assigns to the caller and starts the review', async () => {
+        supabase.respond('fraud_alerts',
+            { data: alert({ status: AlertStatus.OPEN, assigned_to: null }), error: null },
+            { data: alert(), error: null });
+        const res = mockResponse();
+
+        await assignAlert(alertRequest(), res);
+
+        expect(res.body.data.status).toBe(AlertStatus.IN_REVIEW);
+        expect(argOf(supabase.queriesOn('fraud_alerts')[1], 'update')).toMatchObject({ assigned_to: 'admin-1', status: AlertStatus.IN_REVIEW });
+        expect(supabase.queriesOn('users')).toHaveLength(0);
+    });
+
+    test('only assigns to another active admin', async () => {
+        supabase.respond('fraud_alerts', { data: alert({ status: AlertStatus.OPEN }), error: null });
+        supabase.respond('users', { data: { user_id: 'user-9', role: Roles.RIDER, status: 'active' }, error: null });
+        const res = mockResponse();
+
+        await assignAlert(alertRequest({ assignee_id: 'user-9' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.error).toBe('Assignee must be an active admin');
+    });
+});
@@ -0,0 +1,83 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { getTakings, getDeviceTransactions } = require('../../src/controllers/merchantController');
+
+const merchantRequest = (query = {}, params = {}) => ({
+    user: { user_id: 'user-1', merchant_id: 'merchant-1' },
+    query,
+    params
+});
+
+describe('getTakings', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('buckets payments and refunds by business day', async () => {
+        supabase.respond('transactions', {
+            data: [
+                { transaction_type: 'payment', amount: '100', merchant_commission: '5', net_amount: '95', created_at: '2026-10-12T06:00:00Z' },
+                // 22:30 UTC is already the next day in Nairobi
+                { transaction_type: 'payment', amount: '60', merchant_commission: '3', net_amount: '57', created_at: '2026-10-12T22:30:00Z' },
+                { transaction_type: 'refund', amount: '20', merchant_commission: '1', net_amount: '19', created_at: '2026-10-13T07:00:00Z' }
+            ],
+            error: null
+        });
+        const res = mockResponse();
+
+        await getTakings(merchantRequest({ from: '2026-10-12', to: '2026-10-13' }), res);
+
+        expect(res.body.data.totals).toMatchObject({ gross_amount: 160, refund_amount: 20, net_amount: 133 });
+        expect(res.body.data.buckets.map(({ date, net_amount }) => [date, net_amount])).toEqual([
+            ['2026-10-12', 95],
+            ['2026-10-13', 38]
+        ]);
+
+        const query = supabase.queriesOn('transactions')[0].calls;
+        expect(query).toContainEqual(['eq', 'merchant_id', 'merchant-1']);
+        expect(query).toContainEqual(['gte', 'created_at', '2026-10-11T21:00:00.000Z']);
+    });
+
+    test('weekly buckets are keyed by their Monday', async () => {
+        supabase.respond('transactions', {
+            data: [
+                { transaction_type: 'payment', amount: '100', merchant_commission: '5', net_amount: '95', created_at: '2026-10-14T06:00:00Z' },
+                { transaction_type: 'payment', amount: '100', merchant_commission: '5', net_amount: '95', created_at: '2026-10-18T06:00:00Z' }
+            ],
+            error: null
+        });
+        const res = mockResponse();
+
+        await getTakings(merchantRequest({ period: 'week', from: '2026-10-12', to: '2026-10-18' }), res);
+
+        expect(res.body.data.buckets).toEqual([expect.objectContaining({ week_start: '2026-10-12', payment_count: 2 })]);
+    });
+
+    test('refuses a range longer than a year', async () => {
+        const res = mockResponse();
+
+        await getTakings(merchantRequest({ from: '2025-01-01', to: '2026-10-18' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_INPUT);
+    });
+});
+
+describe('getDeviceTransactions', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('only lists the merchant\'s own devices', async () => {
+        const res = mockResponse();
+
+        await getDeviceTransactions(merchantRequest({}, { device_id: 'device-9' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(supabase.queriesOn('devices')[0].calls).toContainEqual(['eq', 'merchant_id', 'merchant-1']);
+        expect(supabase.queriesOn('transactions')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,148 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ACK, ledgerAccounts, callbackRequest, ledgerSucceeds } = require('../helpers/mpesa');
+const { ErrorCodes } = require('../../src/utils/response');
+const { handleStkCallback } = require('../../src/controllers/mpesaController');
+
+describe('handleStkCallback', () => {
+    const request = {
+        request_id: 'req-1',
+        transaction_id: 'txn-1',
+        user_id: 'user-1',
+        phone_number: '+254712345678',
+        checkout_request_id: 'ws_CO_1',
+        amount: '500.00',
+        status: 'pending'
+    };
+
+    const stkBody = (resultCode, amount = 500) => ({
+        Body: {
+            stkCallback: {
+                MerchantRequestID: 'mr-1',
+                CheckoutRequestID: 'ws_CO_1',
+                ResultCode: resultCode,
+                ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+                CallbackMetadata: resultCode === 0
+                    ? {
+                        Item: [
+                            { Name: 'Amount', Value: amount },
+                            { Name: 'MpesaReceiptNumber', Value: 'QKJ1ABC2DE' },
+                            { Name: 'PhoneNumber', Value: 254712345678 }
+                        ]
+                    }
+                    : undefined
+            }
+        }
+    });
+
+    beforeEach(() => {
+        supabase.reset();
+        ledgerSucceeds(supabase);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('credits the wallet, records the receipt and texts the rider', async () => {
+        supabase.respond('mpesa_requests', { data: request, error: null });
+        supabase.respond('ledger_accounts', ...ledgerAccounts('clearing', 'user-wallet'));
+        const res = mockResponse();
+
+        await handleStkCallback(callbackRequest('req-1', stkBody(0)), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.body).toEqual(ACK);
+
+        const [name, args] = supabase.rpc.mock.calls[0];
+        expect(name).toBe('complete_ledger_transaction');
+        expect(args.p_transaction_id).toBe('txn-1');
+        expect(args.p_updates.status).toBe('success');
+        expect(args.p_entries.map(entry => [entry.account_id, entry.direction, entry.amount])).toEqual([
+            ['user-wallet', 'credit', 500],
+            ['clearing', 'debit', 500]
+        ]);
+
+        const updates = supabase.queriesOn('mpesa_requests').map(query => argOf(query, 'update')).filter(Boolean);
+        expect(updates[updates.length - 1]).toMatchObject({ status: 'success', mpesa_receipt: 'QKJ1ABC2DE' });
+
+        const [sms] = supabase.queriesOn('notifications');
+        expect(argOf(sms, 'insert').message).toContain('KES 500.00 added to your wallet');
+    });
+
+    test('a cancelled payment fails the request and its transaction', async () => {
+        supabase.respond('mpesa_requests', { data: request, error: null });
+        const res = mockResponse();
+
+        await handleStkCallback(callbackRequest('req-1', stkBody(1032)), res);
+
+        expect(res.body).toEqual(ACK);
+        expect(supabase.rpc).toHaveBeenCalledWith('complete_ledger_transaction', expect.objectContaining({
+            p_transaction_id: 'txn-1',
+            p_updates: expect.objectContaining({ status: 'failed' }),
+            p_entries: []
+        }));
+
+        const updates = supabase.queriesOn('mpesa_requests').map(query => argOf(query, 'update')).filter(Boolean);
+        expect(updates[updates.length - 1]).toMatchObject({ status: 'failed', result_desc: 'Request cancelled by user' });
+        expect(supabase.queriesOn('notifications')).toHaveLength(0);
+    });
+
+    test('an amount different from the request is rejected without crediting', async () => {
+        supabase.respond('mpesa_requests', { data: request, error: null });
+        const res = mockResponse();
+
+        await handleStkCallback(callbackRequest('req-1', stkBody(0, 5000)), res);
+
+        expect(res.body).toEqual(ACK);
+        expect(supabase.rpc.mock.calls[0][1].p_updates.status).toBe('failed');
+        const updates = supabase.queriesOn('mpesa_requests').map(query => argOf(query, 'update')).filter(Boolean);
+        expect(updates[updates.length - 1]).toMatchObject({ status: 'rejected', result_desc: 'Amount mismatch' });
+    });
+
+    test('a repeated callback is acknowledged and ignored', async () => {
+        supabase.respond('mpesa_requests', { data: { ...request, status: 'success' }, error: null });
+        const res = mockResponse();
+
+        await handleStkCallback(callbackRequest('req-1', stkBody(0)), res);
+
+        expect(res.body).toEqual(ACK);
+        expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('a callback completed by a concurrent one is acknowledged', async () => {
+        supabase.respond('mpesa_requests', { data: request, error: null });
+        supabase.respond('ledger_accounts', ...ledgerAccounts('clearing', 'user-wallet'));
+        supabase.rpc.mockResolvedValue({ data: null, error: { message: 'TRANSACTION_NOT_PENDING' } });
+        const res = mockResponse();
+
+        await handleStkCallback(callbackRequest('req-1', stkBody(0)), res);
+
+        expect(res.body).toEqual(ACK);
+        expect(supabase.queriesOn('notifications')).toHaveLength(0);
+    });
+
+    test('a bad signature is refused before anything is read', async () => {
+        const res = mockResponse();
+
+        await handleStkCallback(callbackRequest('req-1', stkBody(0), 'ab'.repeat(32)), res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.body.code).toBe(ErrorCodes.UNAUTHORIZED);
+        expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    test('a malformed body is a 400', async () => {
+        const res = mockResponse();
+
+        await handleStkCallback(callbackRequest('req-1', { Body: {} }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_INPUT);
+    });
+});
@@ -0,0 +1,142 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ledgerAccounts } = require('../helpers/mpesa');
+const { ErrorCodes } = require('../../src/utils/response');
+const { Roles } = require('../../src/middleware/auth');
+const { refundPayment } = require('../../src/controllers/refundController');
+
+const HOUR = 60 * 60 * 1000;
+
+const payment = (fields = {}) => ({
+    transaction_id: 'pay-1',
+    user_id: 'user-1',
+    merchant_id: 'merchant-1',
+    transaction_type: 'payment',
+    amount: '100.00',
+    merchant_commission: '5.00',
+    net_amount: '95.00',
+    refunded_amount: '0.00',
+    refunded_commission: '0.00',
+    status: 'success',
+    reference_code: 'EMPAY1',
+    created_at: new Date(Date.now() - HOUR).toISOString(),
+    users: { phone_number: '+254711111111' },
+    merchants: { business_name: 'Super Metro KCB 123A' },
+    ...fields
+});
+
+const refundRequest = ({ user = {}, body = {} } = {}) => ({
+    user: { user_id: 'admin-1', role: Roles.ADMIN, ...user },
+    params: { transaction_id: 'pay-1' },
+    body,
+    ip: '10.0.0.1'
+});
+
+describe('refundPayment', () => {
+    beforeEach(() => {
+        supabase.reset();
+        supabase.rpc.mockImplementation(async (name, args) => ({
+            data: { transactions: [{ ...args.p_refund, created_at: '2026-10-19T08:00:00Z' }] },
+            error: null
+        }));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a partial refund reverses its share of the commission', async () => {
+        supabase.respond('transactions', { data: payment(), error: null });
+        supabase.respond('ledger_accounts', ...ledgerAccounts('commission', 'merchant-wallet', 'user-wallet'));
+        const res = mockResponse();
+
+        await refundPayment(refundRequest({ body: { amount: 40, reason: 'Alighted early' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.body.data).toMatchObject({
+            amount: 40,
+            full_refund: false,
+            merchant_commission_reversed: 2,
+            net_amount_reversed: 38,
+            refundable_remaining: 60
+        });
+
+        const [name, args] = supabase.rpc.mock.calls[0];
+        expect(name).toBe('post_refund');
+        expect(args.p_original_id).toBe('pay-1');
+        expect(args.p_refund).toMatchObject({ transaction_type: 'refund', original_transaction_id: 'pay-1', description: 'Alighted early' });
+        expect(args.p_entries.map(entry => [entry.account_id, entry.direction, entry.amount])).toEqual([
+            ['user-wallet', 'credit', 40],
+            ['merchant-wallet', 'debit', 38],
+            ['commission', 'debit', 2]
+        ]);
+    });
+
+    test('without an amount refunds whatever is left', async () => {
+        supabase.respond('transactions', { data: payment({ refunded_amount: '40.00', refunded_commission: '2.00' }), error: null });
+        supabase.respond('ledger_accounts', ...ledgerAccounts('commission', 'merchant-wallet', 'user-wallet'));
+        const res = mockResponse();
+
+        await refundPayment(refundRequest(), res);
+
+        expect(res.body.data).toMatchObject({ amount: 60, merchant_commission_reversed: 3, refundable_remaining: 0 });
+    });
+
+    test('refuses more than is left to refund', async () => {
+        supabase.respond('transactions', { data: payment({ refunded_amount: '90.00' }), error: null });
+        const res = mockResponse();
+
+        await refundPayment(refundRequest({ body: { amount: 20 } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.REFUND_EXCEEDS_AMOUNT);
+        expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    test('refuses anything but a successful payment', async () => {
+        supabase.respond('transactions', { data: payment({ transaction_type: 'topup' }), error: null });
+        const res = mockResponse();
+
+        await refundPayment(refundRequest(), res);
+
+        expect(res.body.code).toBe(ErrorCodes.REFUND_NOT_ALLOWED);
+    });
+
+    test('a merchant cannot see another merchant\'s payment', async () => {
+        supabase.respond('transactions', { data: payment(), error: null });
+        const res = mockResponse();
+
+        await refundPayment(refundRequest({ user: { role: Roles.MERCHANT, merchant_id: 'merchant-2' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('a merchant cannot refund after the refund window', async () => {
+        supabase.respond('transactions', {
+            data: payment({ created_at: new Date(Date.now() - 25 * HOUR).toISOString() }),
+            error: null
+        });
+        const res = mockResponse();
+
+        await refundPayment(refundRequest({ user: { role: Roles.MERCHANT, merchant_id: 'merchant-1' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.body.code).toBe(ErrorCodes.REFUND_WINDOW_EXPIRED);
+    });
+
+    test('the payer is told by SMS', async () => {
+        supabase.respond('transactions', { data: payment(), error: null });
+        supabase.respond('ledger_accounts', ...ledgerAccounts('commission', 'merchant-wallet', 'user-wallet'));
+        const res = mockResponse();
+
+        await refundPayment(refundRequest(), res);
+
+        const [sms] = argOf(supabase.queriesOn('notifications')[0], 'insert');
+        expect(sms).toMatchObject({ recipient: '+254711111111', notification_type: 'sms' });
+        expect(sms.message).toContain('KES 100.00 refunded by Super Metro KCB 123A');
+    });
+});
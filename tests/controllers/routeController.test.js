@@ -0,0 +1,110 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { updateRoute, addStop } = require('../../src/controllers/routeController');
+
+const CBD = { id: 'cbd', name: 'CBD', latitude: -1.2833, longitude: 36.8167 };
+const WESTLANDS = { id: 'westlands', name: 'Westlands', latitude: -1.2676, longitude: 36.8108 };
+const KAWANGWARE = { id: 'kawangware', name: 'Kawangware', latitude: -1.2833, longitude: 36.75 };
+
+const route = {
+    route_id: 'route-46',
+    route_number: '46',
+    route_name: 'CBD - Kawangware',
+    stops: [CBD, KAWANGWARE],
+    path: null,
+    version: 3,
+    status: 'active'
+};
+
+const adminRequest = body => ({
+    user: { user_id: 'admin-1', role: 'admin' },
+    params: { route_id: 'route-46' },
+    body,
+    ip: '10.0.0.1'
+});
+
+describe('route changes', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('inserting a stop saves the new list as the next version', async () => {
+        supabase.respond('routes',
+            { data: route, error: null },
+            { data: { ...route, stops: [CBD, WESTLANDS, KAWANGWARE], version: 4 }, error: null }
+        );
+        const res = mockResponse();
+
+        await addStop(adminRequest({ version: 3, stop: WESTLANDS, after_stop_id: 'cbd' }), res);
+
+        expect(res.body.data.version).toBe(4);
+        const update = supabase.queriesOn('routes')[1];
+        expect(argOf(update, 'update').stops.map(stop => stop.id)).toEqual(['cbd', 'westlands', 'kawangware']);
+        expect(update.calls).toContainEqual(['eq', 'version', 3]);
+        expect(argOf(supabase.queriesOn('audit_logs')[0], 'insert')).toMatchObject({
+            action: 'route_stop_added',
+            details: { from_version: 3, to_version: 4, changed: ['stops'] }
+        });
+    });
+
+    test('an edit of an older version is a ROUTE_CONFLICT', async () => {
+        supabase.respond('routes', { data: route, error: null });
+        const res = mockResponse();
+
+        await updateRoute(adminRequest({ version: 2, route_name: 'CBD - Kawangware via Ngong Rd' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.body.code).toBe(ErrorCodes.ROUTE_CONFLICT);
+        expect(supabase.queriesOn('routes')).toHaveLength(1);
+    });
+
+    test('losing the race to another edit is a ROUTE_CONFLICT', async () => {
+        supabase.respond('routes', { data: route, error: null }, { data: null, error: null });
+        const res = mockResponse();
+
+        await updateRoute(adminRequest({ version: 3, route_name: 'CBD - Kawangware via Ngong Rd' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.body.code).toBe(ErrorCodes.ROUTE_CONFLICT);
+    });
+
+    test('an invalid stop list is refused with every problem', async () => {
+        supabase.respond('routes', { data: route, error: null });
+        const res = mockResponse();
+
+        await updateRoute(adminRequest({ version: 3, stops: [CBD, { ...KAWANGWARE, id: 'cbd' }] }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_STOPS);
+        expect(res.body.details.errors).toEqual(['Stop 2 (Kawangware): duplicate stop id "cbd" (also stop 1)']);
+    });
+
+    test('a stop that fares still price cannot be removed', async () => {
+        supabase.respond('routes', { data: { ...route, stops: [CBD, WESTLANDS, KAWANGWARE] }, error: null });
+        supabase.respond('fare_rules', {
+            data: [
+                { fare_rule_id: 'rule-1', origin_stop_id: 'cbd', destination_stop_id: 'westlands', effective_until: null },
+                { fare_rule_id: 'rule-2', origin_stop_id: 'cbd', destination_stop_id: 'westlands', effective_until: '2020-01-01T00:00:00Z' }
+            ],
+            error: null
+        });
+        const res = mockResponse();
+
+        await updateRoute(adminRequest({ version: 3, stops: [CBD, KAWANGWARE] }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.body.details).toEqual({ fare_rule_ids: ['rule-1'] });
+        expect(supabase.queriesOn('fare_rules')[0].calls).toContainEqual(
+            ['or', 'origin_stop_id.in.("westlands"),destination_stop_id.in.("westlands")']
+        );
+    });
+});
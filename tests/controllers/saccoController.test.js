@@ -0,0 +1,99 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { getVehicleReport, getRouteReport } = require('../../src/controllers/saccoController');
+
+const fleet = [
+    { merchant_id: 'm-1', business_name: 'Rocket', matatu_plate: 'KCA 001A', status: 'active' },
+    { merchant_id: 'm-2', business_name: 'Spider', matatu_plate: 'KCB 002B', status: 'active' }
+];
+
+const txn = (merchant_id, amount, fields = {}) => ({
+    merchant_id,
+    transaction_type: 'payment',
+    amount: String(amount),
+    merchant_commission: String(amount * 0.05),
+    net_amount: String(amount * 0.95),
+    created_at: '2026-10-13T06:00:00Z',
+    ...fields
+});
+
+const saccoRequest = (query = {}) => ({
+    user: { user_id: 'manager-1', sacco_id: 'sacco-1' },
+    query: { from: '2026-10-12', to: '2026-10-18', ...query }
+});
+
+describe('SACCO reports', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('the vehicle report lists every member matatu, idle ones with zeros', async () => {
+        supabase.respond('merchants', { data: fleet, error: null });
+        supabase.respond('transactions', { data: [txn('m-1', 100), txn('m-1', 50)], error: null });
+        const res = mockResponse();
+
+        await getVehicleReport(saccoRequest(), res);
+
+        expect(res.body.data.totals.gross_amount).toBe(150);
+        expect(res.body.data.vehicles.map(v => [v.matatu_plate, v.payment_count, v.net_amount])).toEqual([
+            ['KCA 001A', 2, 142.5],
+            ['KCB 002B', 0, 0]
+        ]);
+        expect(supabase.queriesOn('merchants')[0].calls).toContainEqual(['eq', 'sacco_id', 'sacco-1']);
+        expect(supabase.queriesOn('transactions')[0].calls).toContainEqual(['in', 'merchant_id', ['m-1', 'm-2']]);
+    });
+
+    test('the vehicle report downloads as CSV', async () => {
+        supabase.respond('merchants', { data: fleet, error: null });
+        supabase.respond('transactions', { data: [txn('m-2', 80)], error: null });
+        const res = mockResponse();
+
+        await getVehicleReport(saccoRequest({ format: 'csv' }), res);
+
+        expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="sacco-vehicles-2026-10-12-to-2026-10-18.csv"');
+        expect(res.text.split('\r\n')).toEqual([
+            'Plate,Vehicle,Payments,Refunds,Gross (KES),Refunded (KES),Commission (KES),Net (KES)',
+            'KCA 001A,Rocket,0,0,0,0,0,0',
+            'KCB 002B,Spider,1,0,80,0,4,76',
+            ''
+        ]);
+    });
+
+    test('the route report counts the vehicles that ran each route', async () => {
+        const route = { route_number: '46', route_name: 'CBD - Kawangware' };
+        supabase.respond('merchants', { data: fleet, error: null });
+        supabase.respond('transactions', {
+            data: [
+                txn('m-1', 50, { route_id: 'r-46', routes: route }),
+                txn('m-2', 50, { route_id: 'r-46', routes: route }),
+                txn('m-2', 50, { route_id: 'r-46', routes: route })
+            ],
+            error: null
+        });
+        const res = mockResponse();
+
+        await getRouteReport(saccoRequest(), res);
+
+        expect(res.body.data.routes).toEqual([
+            expect.objectContaining({ route_id: 'r-46', route_number: '46', vehicle_count: 2, payment_count: 3 })
+        ]);
+    });
+
+    test('a manager without a SACCO gets FORBIDDEN', async () => {
+        const res = mockResponse();
+
+        await getVehicleReport({ user: { user_id: 'manager-2' }, query: {} }, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.body.code).toBe(ErrorCodes.FORBIDDEN);
+    });
+});
@@ -0,0 +1,136 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const bcrypt = require('bcrypt');
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { createTransfer } = require('../../src/controllers/transferController');
+
+const sender = {
+    user_id: 'user-1',
+    phone_number: '+254711111111',
+    first_name: 'Amina',
+    last_name: 'Otieno',
+    pin_hash: bcrypt.hashSync('1234', 4),
+    status: 'active'
+};
+
+const recipient = {
+    user_id: 'user-2',
+    phone_number: '+254722222222',
+    first_name: 'Brian',
+    last_name: 'Kamau',
+    status: 'active'
+};
+
+const wallet = (account_id, balance) => ({ data: { account_id, balance: String(balance), version: '3' }, error: null });
+
+const transferRequest = (body = {}) => ({
+    user: { user_id: 'user-1' },
+    ip: '10.0.0.1',
+    body: { phone_number: '0722222222', amount: 100, pin: '1234', ...body }
+});
+
+describe('createTransfer', () => {
+    beforeEach(() => {
+        supabase.reset();
+        supabase.rpc.mockImplementation(async (name, args) => {
+            if (name === 'claim_credential_attempt') {
+                return { data: [{ allowed: true, failed_attempts: 1, locked: false, retry_at: null }], error: null };
+            }
+            return {
+                data: { transactions: args.p_transactions.map(row => ({ ...row, created_at: '2026-10-19T08:00:00Z' })) },
+                error: null
+            };
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('moves the amount between wallets under a server-generated reference', async () => {
+        supabase.respond('users', { data: sender, error: null }, { data: recipient, error: null });
+        supabase.respond('ledger_accounts', wallet('acc-1', 500), wallet('acc-2', 20));
+        const res = mockResponse();
+
+        await createTransfer(transferRequest({ idempotency_key: 'key-1' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.body.data).toMatchObject({ amount: 100, balance_after: 400, recipient_phone: '+254722222222' });
+        expect(res.body.data.reference).toMatch(/^TR[0-9A-Z]+$/);
+
+        const [, args] = supabase.rpc.mock.calls.find(([name]) => name === 'post_ledger_transaction');
+        const [outgoing, incoming] = args.p_transactions;
+        expect(outgoing).toMatchObject({ transaction_type: 'transfer_out', reference_code: res.body.data.reference, idempotency_key: 'key-1' });
+        expect(incoming).toMatchObject({ transaction_type: 'transfer_in', user_id: 'user-2', related_transaction_id: outgoing.transaction_id });
+        expect(incoming.idempotency_key).toBeUndefined();
+        expect(args.p_entries.map(entry => [entry.account_id, entry.direction, entry.amount])).toEqual([
+            ['acc-1', 'debit', 100],
+            ['acc-2', 'credit', 100]
+        ]);
+
+        const sms = argOf(supabase.queriesOn('notifications')[0], 'insert');
+        expect(sms.map(row => row.recipient)).toEqual(['+254711111111', '+254722222222']);
+    });
+
+    test('a repeated idempotency key returns the sender\'s first transfer', async () => {
+        supabase.respond('transactions', {
+            data: {
+                transaction_id: 'tx-1',
+                status: 'success',
+                amount: 100,
+                reference_code: 'TRABC123',
+                user_balance_after: 400,
+                created_at: '2026-10-19T08:00:00Z'
+            },
+            error: null
+        });
+        const res = mockResponse();
+
+        await createTransfer(transferRequest({ idempotency_key: 'key-1' }), res);
+
+        expect(res.body.data).toMatchObject({ transaction_id: 'tx-1', reference: 'TRABC123' });
+        expect(supabase.rpc).not.toHaveBeenCalled();
+
+        const lookup = supabase.queriesOn('transactions')[0].calls;
+        expect(lookup).toEqual(expect.arrayContaining([
+            ['eq', 'user_id', 'user-1'],
+            ['eq', 'idempotency_key', 'key-1']
+        ]));
+    });
+
+    test('refuses a transfer to yourself', async () => {
+        supabase.respond('users', { data: sender, error: null }, { data: sender, error: null });
+        const res = mockResponse();
+
+        await createTransfer(transferRequest({ phone_number: '0711111111' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_INPUT);
+    });
+
+    test('refuses a wrong PIN before looking up the recipient', async () => {
+        supabase.respond('users', { data: sender, error: null });
+        const res = mockResponse();
+
+        await createTransfer(transferRequest({ pin: '9999' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_PIN);
+        expect(supabase.queriesOn('users')).toHaveLength(1);
+    });
+
+    test('refuses more than the sender\'s balance', async () => {
+        supabase.respond('users', { data: sender, error: null }, { data: recipient, error: null });
+        supabase.respond('ledger_accounts', wallet('acc-1', 50), wallet('acc-2', 20));
+        const res = mockResponse();
+
+        await createTransfer(transferRequest(), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.INSUFFICIENT_BALANCE);
+    });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ACK, ledgerAccounts, callbackRequest, ledgerSucceeds } = require('../helpers/mpesa');
+const { ErrorCodes } = require('../../src/utils/response');
+const { quoteWithdrawal, handleB2CResult } = require('../../src/controllers/withdrawalController');
+
+describe('quoteWithdrawal', () => {
+    test('quotes the fee and total debit', async () => {
+        const res = mockResponse();
+
+        await quoteWithdrawal({ query: { amount: '500' } }, res);
+
+        expect(res.body.data).toEqual({ amount: 500, fee: 7, total_debit: 507 });
+    });
+
+    test.each([undefined, 'abc', '20', '200000'])('refuses amount %p with INVALID_INPUT', async amount => {
+        const res = mockResponse();
+
+        await quoteWithdrawal({ query: { amount } }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_INPUT);
+    });
+});
+
+describe('handleB2CResult', () => {
+    const request = {
+        request_id: 'req-2',
+        request_type: 'b2c',
+        transaction_id: 'wd-1',
+        user_id: 'user-1',
+        phone_number: '+254712345678',
+        conversation_id: 'AG_1',
+        status: 'pending'
+    };
+
+    const withdrawal = { transaction_id: 'wd-1', user_id: 'user-1', amount: '500.00', fee_amount: '7.00' };
+
+    const b2cBody = (resultCode, amount = 500) => ({
+        Result: {
+            ConversationID: 'AG_1',
+            OriginatorConversationID: 'oc-1',
+            ResultCode: resultCode,
+            ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The balance is insufficient',
+            TransactionID: 'QKJ1XYZ9',
+            ResultParameters: resultCode === 0
+                ? { ResultParameter: [{ Key: 'TransactionAmount', Value: amount }] }
+                : undefined
+        }
+    });
+
+    beforeEach(() => {
+        supabase.reset();
+        ledgerSucceeds(supabase);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a paid-out withdrawal releases the hold to clearing and fees', async () => {
+        supabase.respond('mpesa_requests', { data: request, error: null });
+        supabase.respond('transactions', { data: withdrawal, error: null });
+        supabase.respond('ledger_accounts', ...ledgerAccounts('holds', 'clearing', 'fees'));
+        const res = mockResponse();
+
+        await handleB2CResult(callbackRequest('req-2', b2cBody(0)), res);
+
+        expect(res.body).toEqual(ACK);
+        const [, args] = supabase.rpc.mock.calls[0];
+        expect(args.p_updates.status).toBe('success');
+        expect(args.p_entries.map(entry => [entry.account_id, entry.direction, entry.amount])).toEqual([
+            ['holds', 'debit', 507],
+            ['clearing', 'credit', 500],
+            ['fees', 'credit', 7]
+        ]);
+    });
+
+    test('a failed payout returns the hold to the wallet and tells the user', async () => {
+        supabase.respond('mpesa_requests', { data: request, error: null });
+        supabase.respond('transactions', { data: withdrawal, error: null });
+        supabase.respond('ledger_accounts', ...ledgerAccounts('holds', 'user-wallet'));
+        const res = mockResponse();
+
+        await handleB2CResult(callbackRequest('req-2', b2cBody(2001)), res);
+
+        expect(res.body).toEqual(ACK);
+        const [, args] = supabase.rpc.mock.calls[0];
+        expect(args.p_updates.status).toBe('failed');
+        expect(args.p_entries.map(entry => [entry.account_id, entry.direction, entry.amount])).toEqual([
+            ['holds', 'debit', 507],
+            ['user-wallet', 'credit', 507]
+        ]);
+
+        const [sms] = supabase.queriesOn('notifications');
+        expect(argOf(sms, 'insert').message).toContain('refunded to your wallet');
+    });
+
+    test('a payout for a different amount keeps the hold for review', async () => {
+        supabase.respond('mpesa_requests', { data: request, error: null });
+        supabase.respond('transactions', { data: withdrawal, error: null });
+        const res = mockResponse();
+
+        await handleB2CResult(callbackRequest('req-2', b2cBody(0, 450)), res);
+
+        expect(res.body).toEqual(ACK);
+        expect(supabase.rpc).not.toHaveBeenCalled();
+        const updates = supabase.queriesOn('mpesa_requests').map(query => argOf(query, 'update')).filter(Boolean);
+        expect(updates[updates.length - 1]).toMatchObject({ status: 'rejected' });
+    });
+
+    test('a result for another conversation is acknowledged and ignored', async () => {
+        supabase.respond('mpesa_requests', { data: { ...request, conversation_id: 'AG_other' }, error: null });
+        const res = mockResponse();
+
+        await handleB2CResult(callbackRequest('req-2', b2cBody(0)), res);
+
+        expect(res.body).toEqual(ACK);
+        expect(supabase.queriesOn('transactions')).toHaveLength(0);
+        expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,29 @@
+// Minimal Express response double for controller tests
+
+/**
+ * A response whose status(), json(), send() and setHeader() are chainable
+ * jest.fn()s
+ * @returns {Object} res (res.body holds the last JSON sent, res.text the
+ *   last send() body and res.headers what setHeader() set)
+ */
+function mockResponse() {
+    const res = { headers: {} };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(body => {
+        res.body = body;
+        return res;
+    });
+    res.send = jest.fn(text => {
+        res.text = text;
+        return res;
+    });
+    res.setHeader = jest.fn((name, value) => {
+        res.headers[name.toLowerCase()] = value;
+        return res;
+    });
+    return res;
+}
+
+module.exports = {
+    mockResponse
+};
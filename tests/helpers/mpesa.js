@@ -0,0 +1,49 @@
+// Daraja callback fixtures for controller tests
+
+const { buildCallbackUrl } = require('../../src/services/mpesa');
+
+// What every accepted callback is answered with
+const ACK = { ResultCode: 0, ResultDesc: 'Accepted' };
+
+/**
+ * ledger_accounts lookup results, in the order the ledger makes them
+ * @param {...string} ids - Account IDs
+ * @returns {Array} Results for supabase.respond('ledger_accounts', ...)
+ */
+function ledgerAccounts(...ids) {
+    return ids.map(account_id => ({ data: { account_id, balance: '0', version: '1' }, error: null }));
+}
+
+/**
+ * A Daraja callback request as it would arrive on the signed URL
+ * @param {string} requestId - mpesa_requests.request_id
+ * @param {Object} body - Callback body
+ * @param {string} signature - Override the URL signature
+ * @returns {Object} req
+ */
+function callbackRequest(requestId, body, signature) {
+    const url = new URL(buildCallbackUrl('/api/v1/mpesa/callbacks', requestId));
+    return {
+        params: { request_id: requestId },
+        query: { signature: signature === undefined ? url.searchParams.get('signature') : signature },
+        body
+    };
+}
+
+/**
+ * Make ledger RPCs succeed, echoing the transaction they complete
+ * @param {Object} stub - Supabase stub
+ */
+function ledgerSucceeds(stub) {
+    stub.rpc.mockImplementation(async (name, args) => ({
+        data: { transactions: [{ transaction_id: args.p_transaction_id, ...args.p_updates }] },
+        error: null
+    }));
+}
+
+module.exports = {
+    ACK,
+    ledgerAccounts,
+    callbackRequest,
+    ledgerSucceeds
+};
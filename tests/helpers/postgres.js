@@ -0,0 +1,56 @@
+// In-process Postgres (PGlite) for migration specs, with just enough of the
+// base schema (users, merchants, transactions) for the migrations to apply
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const MIGRATIONS = path.join(__dirname, '../../supabase/migrations');
+
+const BASE_SCHEMA = `
+    create role anon;
+    create role authenticated;
+
+    create table users (
+        user_id uuid primary key default gen_random_uuid(),
+        balance numeric(14, 2) not null default 0
+    );
+
+    create table merchants (
+        merchant_id uuid primary key default gen_random_uuid()
+    );
+
+    create table transactions (
+        transaction_id uuid primary key default gen_random_uuid(),
+        user_id uuid references users (user_id),
+        merchant_id uuid references merchants (merchant_id),
+        transaction_type text not null,
+        amount numeric(14, 2) not null,
+        merchant_commission numeric(14, 2) not null default 0,
+        net_amount numeric(14, 2) not null default 0,
+        status text not null default 'success',
+        reference_code text,
+        user_balance_before numeric(14, 2),
+        user_balance_after numeric(14, 2),
+        created_at timestamptz not null default now()
+    );
+`;
+
+/**
+ * A fresh database with the base schema and the given migrations applied
+ * @param {Array} migrations - Migration file names, in order
+ * @returns {PGlite} Database (close it when done)
+ */
+async function createDatabase(migrations) {
+    const db = new PGlite();
+    await db.exec(BASE_SCHEMA);
+
+    for (const name of migrations) {
+        await db.exec(fs.readFileSync(path.join(MIGRATIONS, name), 'utf8'));
+    }
+    return db;
+}
+
+module.exports = {
+    createDatabase
+};
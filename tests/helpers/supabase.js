@@ -0,0 +1,103 @@
+// Stand-in for config/supabase in unit tests
+//
+//   jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+//
+// supabase and supabaseAdmin are the same stub. Table queries resolve to the
+// results queued with respond(table, ...) in order ({ data: null, error: null }
+// once none are left); rpc is a jest.fn. Every query is recorded with the
+// builder calls made on it, for assertions.
+
+const BUILDER_METHODS = [
+    'select', 'insert', 'update', 'upsert', 'delete',
+    'eq', 'neq', 'is', 'in', 'not', 'or', 'gt', 'gte', 'lt', 'lte',
+    'order', 'limit', 'range', 'single', 'maybeSingle'
+];
+
+/**
+ * A chainable, awaitable Supabase client stub
+ * @returns {Object} { from, rpc, respond, queriesOn, reset }
+ */
+function createSupabaseStub() {
+    let responses = {};
+    let queries = [];
+
+    function from(table) {
+        const query = { table, calls: [] };
+        queries.push(query);
+
+        const builder = {};
+        for (const method of BUILDER_METHODS) {
+            builder[method] = (...args) => {
+                query.calls.push([method, ...args]);
+                return builder;
+            };
+        }
+        builder.then = (resolve, reject) => {
+            const queued = responses[table] && responses[table].shift();
+            return Promise.resolve(queued || { data: null, error: null }).then(resolve, reject);
+        };
+        return builder;
+    }
+
+    const stub = {
+        from: jest.fn(from),
+        rpc: jest.fn(),
+
+        /**
+         * Queue results for the next queries on a table
+         * @param {string} table - Table name
+         * @param {...Object} results - { data, error }
+         */
+        respond(table, ...results) {
+            responses[table] = (responses[table] || []).concat(results);
+        },
+
+        /**
+         * Queries made on a table, in order
+         * @param {string} table - Table name
+         * @returns {Array} [{ table, calls: [[method, ...args]] }]
+         */
+        queriesOn(table) {
+            return queries.filter(query => query.table === table);
+        },
+
+        reset() {
+            responses = {};
+            queries = [];
+            stub.from.mockClear();
+            stub.rpc.mockReset();
+        }
+    };
+
+    return stub;
+}
+
+/**
+ * Module exports replacing src/config/supabase
+ * @returns {Object} { supabase, supabaseAdmin, testConnection }
+ */
+function mockSupabaseModule() {
+    const stub = createSupabaseStub();
+    return {
+        supabase: stub,
+        supabaseAdmin: stub,
+        testConnection: jest.fn().mockResolvedValue(true)
+    };
+}
+
+/**
+ * The argument a recorded query passed to a builder method
+ * @param {Object} query - Recorded query
+ * @param {string} method - e.g. 'update', 'insert'
+ * @returns {*} First argument of the first such call (undefined if none)
+ */
+function argOf(query, method) {
+    const call = query.calls.find(([name]) => name === method);
+    return call ? call[1] : undefined;
+}
+
+module.exports = {
+    createSupabaseStub,
+    mockSupabaseModule,
+    argOf
+};
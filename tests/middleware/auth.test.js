@@ -0,0 +1,60 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { mockResponse } = require('../helpers/http');
+const { ErrorCodes } = require('../../src/utils/response');
+const { hashDeviceToken } = require('../../src/services/devices');
+const { authenticateDevice } = require('../../src/middleware/auth');
+
+const TOKEN = 'emdev_0123456789abcdef';
+
+const deviceRequest = token => ({ headers: token ? { 'x-device-token': token } : {} });
+
+describe('authenticateDevice', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('looks the device up by the hash of its token', async () => {
+        const device = { device_id: 'device-1', merchant_id: 'merchant-1', route_id: 'route-46', status: 'active', activated_at: '2026-10-01T08:00:00Z' };
+        supabase.respond('devices', { data: device, error: null });
+        const req = deviceRequest(TOKEN);
+        const next = jest.fn();
+
+        await authenticateDevice(req, mockResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.device).toBe(device);
+        expect(supabase.queriesOn('devices')[0].calls).toContainEqual(['eq', 'device_secret_hash', hashDeviceToken(TOKEN)]);
+    });
+
+    test('refuses a device that was never activated', async () => {
+        supabase.respond('devices', { data: { device_id: 'device-1', status: 'active', activated_at: null }, error: null });
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await authenticateDevice(deviceRequest(TOKEN), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.body.code).toBe(ErrorCodes.INVALID_TOKEN);
+    });
+
+    test('refuses a suspended device', async () => {
+        supabase.respond('devices', { data: { device_id: 'device-1', status: 'suspended', activated_at: '2026-10-01T08:00:00Z' }, error: null });
+        const res = mockResponse();
+
+        await authenticateDevice(deviceRequest(TOKEN), res, jest.fn());
+
+        expect(res.body.code).toBe(ErrorCodes.INVALID_TOKEN);
+    });
+
+    test('refuses a request without a token', async () => {
+        const res = mockResponse();
+
+        await authenticateDevice(deviceRequest(), res, jest.fn());
+
+        expect(res.body.code).toBe(ErrorCodes.UNAUTHORIZED);
+        expect(supabase.queriesOn('devices')).toHaveLength(0);
+    });
+});
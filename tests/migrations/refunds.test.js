@@ -0,0 +1,91 @@
+// post_refund against a real Postgres (PGlite)
+
+const { createDatabase } = require('../helpers/postgres');
+
+describe('post_refund', () => {
+    let db;
+    let userId;
+    let merchantId;
+    let accounts;
+
+    beforeAll(async () => {
+        db = await createDatabase([
+            '20261019000100_wallet_ledger.sql',
+            '20261019000500_refunds_and_roles.sql',
+            '20261019002200_refund_commission.sql'
+        ]);
+
+        userId = (await db.query('insert into users default values returning user_id')).rows[0].user_id;
+        merchantId = (await db.query('insert into merchants default values returning merchant_id')).rows[0].merchant_id;
+
+        const { rows } = await db.query(
+            `select account_id, owner_type, account_code from ledger_accounts
+              where owner_id in ($1, $2) or account_code = 'commission'`,
+            [userId, merchantId]
+        );
+        accounts = {
+            user: rows.find(a => a.owner_type === 'user').account_id,
+            merchant: rows.find(a => a.owner_type === 'merchant').account_id,
+            commission: rows.find(a => a.account_code === 'commission').account_id
+        };
+
+        // A 100 KES payment that charged 5.00 commission
+        await db.query(
+            `insert into transactions (transaction_id, user_id, merchant_id, transaction_type, amount, merchant_commission, net_amount)
+             values ('00000000-0000-0000-0000-000000000001', $1, $2, 'payment', 100, 5, 95)`,
+            [userId, merchantId]
+        );
+        await db.query('update ledger_accounts set balance = 95 where account_id = $1', [accounts.merchant]);
+        await db.query('update ledger_accounts set balance = 5 where account_id = $1', [accounts.commission]);
+    });
+
+    afterAll(async () => {
+        await db.close();
+    });
+
+    function refund(amount, commission) {
+        const net = Math.round((amount - commission) * 100) / 100;
+        const entries = [
+            { account_id: accounts.user, direction: 'credit', amount },
+            { account_id: accounts.merchant, direction: 'debit', amount: net },
+            { account_id: accounts.commission, direction: 'debit', amount: commission }
+        ];
+
+        return db.query('select post_refund($1, $2, $3)', [
+            '00000000-0000-0000-0000-000000000001',
+            JSON.stringify({
+                user_id: userId,
+                merchant_id: merchantId,
+                transaction_type: 'refund',
+                original_transaction_id: '00000000-0000-0000-0000-000000000001',
+                amount,
+                merchant_commission: commission,
+                net_amount: net
+            }),
+            JSON.stringify(entries)
+        ]);
+    }
+
+    async function payment() {
+        const { rows } = await db.query(
+            `select refunded_amount, refunded_commission from transactions
+              where transaction_id = '00000000-0000-0000-0000-000000000001'`
+        );
+        return { amount: parseFloat(rows[0].refunded_amount), commission: parseFloat(rows[0].refunded_commission) };
+    }
+
+    test('records refunded commission and refuses to overshoot it', async () => {
+        await refund(33.33, 1.67);
+        await refund(33.33, 1.67);
+        expect(await payment()).toEqual({ amount: 66.66, commission: 3.34 });
+
+        // The last third at the rounded pro-rata share would reverse 5.01
+        await expect(refund(33.34, 1.67)).rejects.toThrow('VERSION_CONFLICT');
+
+        await refund(33.34, 1.66);
+        expect(await payment()).toEqual({ amount: 100, commission: 5 });
+
+        const { rows } = await db.query('select balance from ledger_accounts where account_id = $1', [accounts.commission]);
+        expect(parseFloat(rows[0].balance)).toBe(0);
+    });
+});
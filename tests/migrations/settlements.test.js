@@ -0,0 +1,120 @@
+// Settlement batches against a real Postgres (PGlite)
+
+const { createDatabase } = require('../helpers/postgres');
+
+describe('settlement batches', () => {
+    let db;
+    let merchantId;
+    let merchantAccountId;
+    let payoutAccountId;
+
+    beforeAll(async () => {
+        db = await createDatabase([
+            '20261019000100_wallet_ledger.sql',
+            '20261019000500_refunds_and_roles.sql',
+            '20261019000600_settlements.sql',
+            '20261019002100_settlement_deficit_carry.sql'
+        ]);
+
+        const merchant = await db.query('insert into merchants default values returning merchant_id');
+        merchantId = merchant.rows[0].merchant_id;
+
+        const accounts = await db.query(
+            `select account_id, owner_type from ledger_accounts
+              where owner_id = $1 or account_code = 'settlement_payouts'`,
+            [merchantId]
+        );
+        merchantAccountId = accounts.rows.find(a => a.owner_type === 'merchant').account_id;
+        payoutAccountId = accounts.rows.find(a => a.owner_type === 'system').account_id;
+    });
+
+    afterAll(async () => {
+        await db.close();
+    });
+
+    /**
+     * Record a settled-side transaction and move its net amount through the
+     * merchant wallet, as postPayment / postRefund would
+     */
+    async function record(type, netAmount, createdAt) {
+        await db.query(
+            `insert into transactions (merchant_id, transaction_type, amount, net_amount, created_at)
+             values ($1, $2, $3, $3, $4)`,
+            [merchantId, type, netAmount, createdAt]
+        );
+        await db.query(
+            'update ledger_accounts set balance = balance + $1 where account_id = $2',
+            [type === 'payment' ? netAmount : -netAmount, merchantAccountId]
+        );
+    }
+
+    async function settle(periodStart, periodEnd) {
+        const { rows } = await db.query('select * from create_settlement_batches($1, $2)', [periodStart, periodEnd]);
+        return rows[0];
+    }
+
+    // What markSettlementPaid sends: nothing for a batch that is not positive
+    async function markPaid(settlement) {
+        const netPayout = parseFloat(settlement.net_payout);
+        const entries = netPayout > 0
+            ? [
+                { account_id: merchantAccountId, direction: 'debit', amount: netPayout },
+                { account_id: payoutAccountId, direction: 'credit', amount: netPayout }
+            ]
+            : [];
+
+        await db.query(
+            'select complete_settlement($1, $2, $3, null, $4)',
+            [settlement.settlement_id, 'paid', 'REF', JSON.stringify(entries)]
+        );
+    }
+
+    async function walletBalance() {
+        const { rows } = await db.query('select balance from ledger_accounts where account_id = $1', [merchantAccountId]);
+        return parseFloat(rows[0].balance);
+    }
+
+    test('carries a refund-heavy day into the next day and nets it off', async () => {
+        // Day 1: 200 paid, 700 refunded
+        await record('payment', 200, '2026-10-17T08:00:00Z');
+        await record('refund', 700, '2026-10-17T09:00:00Z');
+
+        const day1 = await settle('2026-10-16T21:00:00Z', '2026-10-17T21:00:00Z');
+        expect(parseFloat(day1.carried_deficit)).toBe(0);
+        expect(parseFloat(day1.net_payout)).toBe(-500);
+        await markPaid(day1);
+        expect(await walletBalance()).toBe(-500);
+
+        // Day 2: a normal day of 800
+        await record('payment', 800, '2026-10-18T08:00:00Z');
+
+        const day2 = await settle('2026-10-17T21:00:00Z', '2026-10-18T21:00:00Z');
+        expect(parseFloat(day2.carried_deficit)).toBe(500);
+        expect(parseFloat(day2.net_payout)).toBe(300);
+        await markPaid(day2);
+        expect(await walletBalance()).toBe(0);
+
+        // Day 3: nothing left to carry
+        await record('payment', 100, '2026-10-19T08:00:00Z');
+
+        const day3 = await settle('2026-10-18T21:00:00Z', '2026-10-19T21:00:00Z');
+        expect(parseFloat(day3.carried_deficit)).toBe(0);
+        expect(parseFloat(day3.net_payout)).toBe(100);
+    });
+
+    test('keeps carrying a shortfall the next day does not cover', async () => {
+        await record('refund', 400, '2026-10-20T08:00:00Z');
+        const short = await settle('2026-10-19T21:00:00Z', '2026-10-20T21:00:00Z');
+        expect(parseFloat(short.net_payout)).toBe(-400);
+
+        await record('payment', 150, '2026-10-21T08:00:00Z');
+        const stillShort = await settle('2026-10-20T21:00:00Z', '2026-10-21T21:00:00Z');
+        expect(parseFloat(stillShort.carried_deficit)).toBe(400);
+        expect(parseFloat(stillShort.net_payout)).toBe(-250);
+
+        await record('payment', 1000, '2026-10-22T08:00:00Z');
+        const covered = await settle('2026-10-21T21:00:00Z', '2026-10-22T21:00:00Z');
+        expect(parseFloat(covered.carried_deficit)).toBe(250);
+        expect(parseFloat(covered.net_payout)).toBe(750);
+    });
+});
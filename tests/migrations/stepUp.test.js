@@ -0,0 +1,76 @@
+// check_step_up_challenge against a real Postgres (PGlite)
+
+const { createDatabase } = require('../helpers/postgres');
+
+describe('check_step_up_challenge', () => {
+    let db;
+    let userId;
+    let merchantId;
+
+    beforeAll(async () => {
+        db = await createDatabase(['20261019002500_step_up_challenges.sql']);
+
+        userId = (await db.query('insert into users default values returning user_id')).rows[0].user_id;
+        merchantId = (await db.query('insert into merchants default values returning merchant_id')).rows[0].merchant_id;
+    });
+
+    afterAll(async () => {
+        await db.close();
+    });
+
+    async function challenge(expiresIn = '5 minutes') {
+        const { rows } = await db.query(
+            `insert into step_up_challenges (challenge_id, user_id, merchant_id, amount, code_hash, expires_at)
+             values (gen_random_uuid(), $1, $2, 50, 'right', now() + $3::interval)
+             returning challenge_id`,
+            [userId, merchantId, expiresIn]
+        );
+        return rows[0].challenge_id;
+    }
+
+    async function check(challengeId, { code = 'right', amount = 50 } = {}) {
+        const { rows } = await db.query(
+            'select * from check_step_up_challenge($1, $2, $3, $4, $5, 3)',
+            [challengeId, userId, merchantId, amount, code]
+        );
+        return rows[0];
+    }
+
+    test('accepts the right code for the payment it was issued for', async () => {
+        const id = await challenge();
+
+        expect(await check(id)).toMatchObject({ status: 'valid', attempts_left: 3 });
+    });
+
+    test('refuses a different amount', async () => {
+        const id = await challenge();
+
+        expect((await check(id, { amount: 500 })).status).toBe('invalid');
+    });
+
+    test('refuses an expired challenge', async () => {
+        const id = await challenge('-1 second');
+
+        expect((await check(id)).status).toBe('invalid');
+    });
+
+    test('counts wrong codes and stops accepting any after the last attempt', async () => {
+        const id = await challenge();
+
+        expect(await check(id, { code: 'wrong' })).toMatchObject({ status: 'wrong_code', attempts_left: 2 });
+        expect(await check(id, { code: 'wrong' })).toMatchObject({ status: 'wrong_code', attempts_left: 1 });
+        expect(await check(id, { code: 'wrong' })).toMatchObject({ status: 'wrong_code', attempts_left: 0 });
+        expect((await check(id)).status).toBe('invalid');
+    });
+
+    test('confirms only one payment', async () => {
+        const id = await challenge();
+        const payment = `insert into transactions (user_id, merchant_id, transaction_type, amount, step_up_challenge_id)
+                         values ($1, $2, 'payment', 50, $3)`;
+
+        await db.query(payment, [userId, merchantId, id]);
+
+        expect((await check(id)).status).toBe('invalid');
+        await expect(db.query(payment, [userId, merchantId, id])).rejects.toMatchObject({ code: '23505' });
+    });
+});
@@ -0,0 +1,23 @@
+const { hashDeviceToken, hashActivationCode, issueActivationCode, generateDeviceToken } = require('../../src/services/devices');
+
+describe('activation codes', () => {
+    test('are issued as XXXX-XXXX without look-alike characters', () => {
+        const { code, activation_code_hash: hash, activation_expires_at: expiresAt } = issueActivationCode(Date.UTC(2026, 9, 19));
+
+        expect(code).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+        expect(hash).toBe(hashActivationCode(code));
+        expect(expiresAt).toBe('2026-10-20T00:00:00.000Z');
+    });
+
+    test('match however the installer types them', () => {
+        expect(hashActivationCode(' k7qm 2xpa ')).toBe(hashActivationCode('K7QM-2XPA'));
+    });
+});
+
+describe('device tokens', () => {
+    test('are random and stored as their hex SHA-256', () => {
+        expect(generateDeviceToken()).toMatch(/^emdev_[0-9a-f]{64}$/);
+        expect(generateDeviceToken()).not.toBe(generateDeviceToken());
+        expect(hashDeviceToken('emdev_abc')).toBe('2e76cf251453d506c88ec317513733c0dae9e9a876747d8ba12dada701bf166b');
+    });
+});
@@ -0,0 +1,239 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { ErrorCodes } = require('../../src/utils/response');
+const { Roles } = require('../../src/middleware/auth');
+const {
+    FareError,
+    getFareAdjustments,
+    applyFareAdjustments,
+    quoteFaresFromOrigin,
+    verifyFare,
+    getManagedRouteIds,
+    createFareRules
+} = require('../../src/services/fares');
+
+const ROUTE = 'd4e5f6a7-b8c9-4d8e-9f2a-3b4c5d6e7f8a';
+
+const rule = (destination_stop_id, fare_amount) => ({
+    fare_rule_id: `rule-${destination_stop_id}`,
+    route_id: ROUTE,
+    origin_stop_id: 'cbd',
+    destination_stop_id,
+    fare_amount: String(fare_amount),
+    effective_from: '2026-01-01T00:00:00Z',
+    effective_until: null
+});
+
+const journey = (amount, fields = {}) => ({
+    route_id: ROUTE,
+    origin_stop: 'cbd',
+    destination_stop: 'kawangware',
+    amount,
+    ...fields
+});
+
+describe('verifyFare', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('accepts the fare in force', async () => {
+        supabase.respond('fare_rules', { data: [rule('kawangware', 50), rule('westlands', 30)], error: null });
+        supabase.respond('fare_schedules', { data: [], error: null });
+        supabase.respond('fare_modifiers', { data: [], error: null });
+
+        await expect(verifyFare(journey(50))).resolves.toMatchObject({ fare_rule_id: 'rule-kawangware', fare: 50 });
+    });
+
+    test('looks only at rules in force at the payment time', async () => {
+        supabase.respond('fare_schedules', { data: [], error: null });
+        supabase.respond('fare_modifiers', { data: [], error: null });
+        const at = new Date('2026-10-19T08:00:00Z');
+
+        await verifyFare(journey(50, { at })).catch(() => {});
+
+        const calls = supabase.queriesOn('fare_rules')[0].calls;
+        expect(calls).toContainEqual(['lte', 'effective_from', '2026-10-19T08:00:00.000Z']);
+        expect(calls).toContainEqual(['or', 'effective_until.is.null,effective_until.gt.2026-10-19T08:00:00.000Z']);
+    });
+
+    test('a different amount is FARE_MISMATCH naming the right fare', async () => {
+        supabase.respond('fare_rules', { data: [rule('kawangware', 50)], error: null });
+        supabase.respond('fare_schedules', { data: [], error: null });
+        supabase.respond('fare_modifiers', { data: [], error: null });
+
+        const error = await verifyFare(journey(40)).catch(e => e);
+
+        expect(error).toBeInstanceOf(FareError);
+        expect(error.code).toBe(ErrorCodes.FARE_MISMATCH);
+        expect(error.status).toBe(400);
+        expect(error.message).toBe('Fare for this journey is KES 50.00');
+    });
+
+    test('a journey without a rule is FARE_NOT_FOUND', async () => {
+        supabase.respond('fare_rules', { data: [rule('westlands', 30)], error: null });
+        supabase.respond('fare_schedules', { data: [], error: null });
+        supabase.respond('fare_modifiers', { data: [], error: null });
+
+        await expect(verifyFare(journey(50))).rejects.toMatchObject({ code: ErrorCodes.FARE_NOT_FOUND, status: 404 });
+    });
+
+    test('needs route, origin and destination', async () => {
+        await expect(verifyFare(journey(50, { origin_stop: null }))).rejects.toMatchObject({ code: ErrorCodes.INVALID_INPUT });
+        expect(supabase.from).not.toHaveBeenCalled();
+    });
+});
+
+describe('fare adjustments', () => {
+    // Weekday evening peak 17:00-20:00 and a late-night window over midnight
+    const schedules = [
+        { schedule_id: 's-peak', name: 'Evening peak', days_of_week: [1, 2, 3, 4, 5], start_time: '17:00:00', end_time: '20:00:00', adjustment_type: 'percent', adjustment_value: '20' },
+        { schedule_id: 's-night', name: 'Night', days_of_week: [5], start_time: '22:00:00', end_time: '02:00:00', adjustment_type: 'flat', adjustment_value: '30' }
+    ];
+
+    // Nairobi is UTC+3: 2026-10-19 is a Monday
+    const eat = local => new Date(`${local}+03:00`);
+
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test.each([
+        ['2026-10-19T18:00:00', ['s-peak']],
+        ['2026-10-19T20:00:00', []],
+        ['2026-10-24T18:00:00', []],
+        ['2026-10-23T23:30:00', ['s-night']],
+        ['2026-10-24T01:30:00', ['s-night']],
+        ['2026-10-25T01:30:00', []]
+    ])('at %s the schedules in force are %p', async (local, ids) => {
+        supabase.respond('fare_schedules', { data: schedules, error: null });
+        supabase.respond('fare_modifiers', { data: [], error: null });
+
+        const adjustments = await getFareAdjustments(ROUTE, eat(local));
+
+        expect(adjustments.map(adjustment => adjustment.id)).toEqual(ids);
+    });
+
+    test('switched-on modifiers apply until they expire', async () => {
+        supabase.respond('fare_schedules', { data: [], error: null });
+        supabase.respond('fare_modifiers', {
+            data: [
+                { modifier_id: 'm-rain', name: 'Rain', adjustment_type: 'flat', adjustment_value: '20', expires_at: null },
+                { modifier_id: 'm-old', name: 'Strike', adjustment_type: 'percent', adjustment_value: '50', expires_at: '2020-01-01T00:00:00Z' }
+            ],
+            error: null
+        });
+
+        const adjustments = await getFareAdjustments(ROUTE);
+
+        expect(adjustments).toEqual([
+            { source: 'modifier', id: 'm-rain', name: 'Rain', adjustment_type: 'flat', adjustment_value: 20 }
+        ]);
+        expect(supabase.queriesOn('fare_modifiers')[0].calls).toContainEqual(['eq', 'is_active', true]);
+    });
+
+    test('schedules apply before modifiers and the fare rounds to whole shillings', () => {
+        const quote = applyFareAdjustments(55, [
+            { source: 'schedule', name: 'Evening peak', adjustment_type: 'percent', adjustment_value: 15 },
+            { source: 'modifier', name: 'Rain', adjustment_type: 'flat', adjustment_value: 20 }
+        ]);
+
+        expect(quote.fare).toBe(83);
+        expect(quote.adjustments.map(adjustment => adjustment.amount)).toEqual([8.25, 20]);
+    });
+
+    test('a discount never takes the fare below 1 KES', () => {
+        expect(applyFareAdjustments(30, [{ adjustment_type: 'flat', adjustment_value: -50 }]).fare).toBe(1);
+    });
+
+    test('every destination is priced with the same adjustments', async () => {
+        supabase.respond('fare_rules', { data: [rule('kawangware', 50), rule('westlands', 30)], error: null });
+        supabase.respond('fare_schedules', { data: schedules, error: null });
+        supabase.respond('fare_modifiers', { data: [], error: null });
+
+        const quotes = await quoteFaresFromOrigin(ROUTE, 'cbd', eat('2026-10-19T18:00:00'));
+
+        expect(quotes.get('kawangware')).toMatchObject({ base_fare: 50, fare: 60 });
+        expect(quotes.get('westlands')).toMatchObject({ base_fare: 30, fare: 36 });
+    });
+
+    test('a mismatch names the adjustments behind the fare', async () => {
+        supabase.respond('fare_rules', { data: [rule('kawangware', 50)], error: null });
+        supabase.respond('fare_schedules', { data: schedules, error: null });
+        supabase.respond('fare_modifiers', { data: [], error: null });
+
+        await expect(verifyFare(journey(50, { at: eat('2026-10-19T18:00:00') }))).rejects.toMatchObject({
+            code: ErrorCodes.FARE_MISMATCH,
+            message: 'Fare for this journey is KES 60.00 (Evening peak +20%)'
+        });
+    });
+});
+
+describe('getManagedRouteIds', () => {
+    const manager = { user_id: 'manager-1', role: Roles.SACCO_MANAGER, sacco_id: 'sacco-1' };
+
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('admins manage every route', async () => {
+        await expect(getManagedRouteIds({ role: Roles.ADMIN })).resolves.toBeNull();
+    });
+
+    test('a manager without a SACCO manages none', async () => {
+        await expect(getManagedRouteIds({ role: Roles.SACCO_MANAGER })).resolves.toEqual(new Set());
+    });
+
+    test('a SACCO manages only the routes no other operator runs on', async () => {
+        supabase.respond('devices',
+            { data: [{ route_id: 'r-own' }, { route_id: 'r-shared' }, { route_id: 'r-independent' }], error: null },
+            {
+                data: [
+                    { route_id: 'r-own', merchants: { sacco_id: 'sacco-1' } },
+                    { route_id: 'r-shared', merchants: { sacco_id: 'sacco-1' } },
+                    { route_id: 'r-shared', merchants: { sacco_id: 'sacco-2' } },
+                    { route_id: 'r-independent', merchants: { sacco_id: 'sacco-1' } },
+                    { route_id: 'r-independent', merchants: { sacco_id: null } }
+                ],
+                error: null
+            }
+        );
+
+        await expect(getManagedRouteIds(manager)).resolves.toEqual(new Set(['r-own']));
+        expect(supabase.queriesOn('devices')[1].calls).toContainEqual(['in', 'route_id', ['r-own', 'r-shared', 'r-independent']]);
+    });
+});
+
+describe('createFareRules', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('rounds amounts and passes replace through', async () => {
+        supabase.rpc.mockResolvedValue({ data: [{ fare_rule_id: 'rule-1' }], error: null });
+
+        await createFareRules([{ route_id: ROUTE, fare_amount: '49.999' }], { replace: true, createdBy: 'admin-1' });
+
+        expect(supabase.rpc).toHaveBeenCalledWith('create_fare_rules', {
+            p_rules: [{ route_id: ROUTE, fare_amount: 50 }],
+            p_replace: true,
+            p_created_by: 'admin-1'
+        });
+    });
+
+    test.each([
+        ['FARE_RULE_OVERLAP', ErrorCodes.FARE_RULE_OVERLAP, 409],
+        ['FARE_RULE_INVALID_PERIOD', ErrorCodes.INVALID_INPUT, 400],
+        ['FARE_RULE_ALREADY_RETIRED', ErrorCodes.FARE_RULE_RETIRED, 409]
+    ])('maps %s to %s', async (message, code, status) => {
+        supabase.rpc.mockResolvedValue({ data: null, error: { message } });
+
+        await expect(createFareRules([{ route_id: ROUTE, fare_amount: 50 }])).rejects.toMatchObject({ code, status });
+    });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { AlertStatus, linkAlertsToTransaction, getRuleTuningStats } = require('../../src/services/fraudAlerts');
+
+const NOW = Date.parse('2026-10-19T08:00:00Z');
+
+describe('linkAlertsToTransaction', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('claims the payer\'s recent unlinked alerts on the device, but not blocks', async () => {
+        supabase.respond('fraud_alerts', { data: [{ alert_id: 'alert-1' }, { alert_id: 'alert-2' }], error: null });
+
+        expect(await linkAlertsToTransaction({ user_id: 'user-1', device_id: 'device-1', transaction_id: 'tx-1' }, NOW)).toBe(2);
+
+        const query = supabase.queriesOn('fraud_alerts')[0];
+        expect(argOf(query, 'update')).toEqual({ transaction_id: 'tx-1' });
+        expect(query.calls).toEqual(expect.arrayContaining([
+            ['eq', 'user_id', 'user-1'],
+            ['eq', 'device_id', 'device-1'],
+            ['is', 'transaction_id', null],
+            ['or', 'decision.is.null,decision.neq.block'],
+            ['gte', 'created_at', '2026-10-19T07:45:00.000Z']
+        ]));
+    });
+
+    test('without a device there is nothing to link', async () => {
+        expect(await linkAlertsToTransaction({ user_id: 'user-1', device_id: null, transaction_id: 'tx-1' }, NOW)).toBe(0);
+        expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    test('a failed update does not throw', async () => {
+        supabase.respond('fraud_alerts', { data: null, error: { message: 'down' } });
+
+        expect(await linkAlertsToTransaction({ user_id: 'user-1', device_id: 'device-1', transaction_id: 'tx-1' }, NOW)).toBe(0);
+    });
+});
+
+describe('getRuleTuningStats', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('counts outcomes per alert type, decision and rule', async () => {
+        const riskAlert = (status, decision, rules) => ({ alert_type: 'payment_risk', status, decision, details: { rules } });
+        supabase.respond('fraud_alerts', {
+            data: [
+                riskAlert(AlertStatus.CONFIRMED_FRAUD, 'block', [{ rule: 'origin_distance', points: 70 }]),
+                riskAlert(AlertStatus.FALSE_POSITIVE, 'step_up', [{ rule: 'origin_distance', points: 50 }, { rule: 'retired_rule', points: 5 }]),
+                riskAlert(AlertStatus.OPEN, 'step_up', [{ rule: 'velocity', points: 45 }]),
+                { alert_type: 'off_route', status: AlertStatus.OPEN, decision: null, details: {} }
+            ],
+            error: null
+        });
+
+        const stats = await getRuleTuningStats({ from: '2026-10-01T00:00:00Z', to: '2026-10-20T00:00:00Z' });
+
+        expect(stats.alert_types.map(type => [type.alert_type, type.total, type.precision])).toEqual([
+            ['payment_risk', 3, 0.5],
+            ['off_route', 1, null]
+        ]);
+        expect(stats.decisions.map(decision => [decision.decision, decision.total, decision.precision])).toEqual([
+            ['block', 1, 1],
+            ['step_up', 2, 0]
+        ]);
+
+        const byRule = Object.fromEntries(stats.rules.map(rule => [rule.rule, rule]));
+        expect(byRule.origin_distance).toMatchObject({ weight: 80, total: 2, precision: 0.5, average_points: 60 });
+        expect(byRule.new_device).toMatchObject({ total: 0, precision: null, average_points: null });
+        expect(byRule.retired_rule).toMatchObject({ weight: null, total: 1, false_positive: 1 });
+    });
+});
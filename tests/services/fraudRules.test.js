@@ -0,0 +1,204 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { ErrorCodes } = require('../../src/utils/response');
+const { hashStepUpCode } = require('../../src/services/stepUp');
+const { RiskDecision, assessPayment, enforceRiskDecision, recordRiskDecision } = require('../../src/services/fraudRules');
+
+const NOW = Date.parse('2026-10-19T08:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+const CHALLENGE = 'c1d2e3f4-a5b6-4c7d-8e9f-0a1b2c3d4e5f';
+
+const ROUTE = {
+    route_id: 'route-46',
+    stops: [{ id: 'cbd', name: 'CBD', latitude: -1.2833, longitude: 36.8167 }],
+    fraud_step_up_score: null,
+    fraud_block_score: null
+};
+
+const payment = (fields = {}) => ({
+    user_id: 'user-1',
+    merchant_id: 'merchant-1',
+    amount: 100,
+    device: { activated_at: '2026-01-01T00:00:00Z' },
+    route_id: 'route-46',
+    origin_stop: 'cbd',
+    gps: { latitude: '-1.2833', longitude: '36.8167', accuracy_meters: '10' },
+    proximity: { status: 'match' },
+    now: NOW,
+    ...fields
+});
+
+// Respond to the route lookup, then the velocity and unusual amount rules
+const history = ({ route = ROUTE, recent = [], amounts = [] } = {}) => {
+    supabase.respond('routes', { data: route, error: null });
+    supabase.respond('transactions', { data: recent, error: null }, { data: amounts, error: null });
+};
+
+describe('assessPayment', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    afterEach(() => {
+        delete process.env.FRAUD_RULE_WEIGHTS;
+    });
+
+    test('an ordinary payment fires no rules', async () => {
+        history();
+
+        expect(await assessPayment(payment())).toEqual({
+            risk_score: 0,
+            decision: RiskDecision.ALLOW,
+            rules: [],
+            thresholds: { step_up_score: 40, block_score: 70 }
+        });
+    });
+
+    test('paying well away from the boarding stop is stepped up', async () => {
+        history();
+
+        // About 1km north of CBD, half of it beyond the default 500m
+        const assessment = await assessPayment(payment({ gps: { latitude: -1.2743, longitude: 36.8167 } }));
+
+        expect(assessment.decision).toBe(RiskDecision.STEP_UP);
+        expect(assessment.rules).toEqual([expect.objectContaining({ rule: 'origin_distance', weight: 80, score: 0.83 })]);
+        expect(assessment.rules[0].details).toMatchObject({ origin_stop: 'cbd', meters_outside_geofence: 501 });
+    });
+
+    test('scores add up across rules, against the route\'s own thresholds', async () => {
+        history({
+            route: { ...ROUTE, fraud_step_up_score: 20, fraud_block_score: 40 },
+            recent: [{ gps_boarding_latitude: '-1.3', gps_boarding_longitude: '36.78', created_at: new Date(NOW - 60 * 1000).toISOString() }]
+        });
+
+        const assessment = await assessPayment(payment({ device: { activated_at: new Date(NOW - DAY).toISOString() } }));
+
+        expect(assessment.rules.map(rule => [rule.rule, rule.points])).toEqual([['velocity', 30], ['new_device', 12.9]]);
+        expect(assessment.rules[0].details.implied_speed_kmh).toBeGreaterThan(120);
+        expect(assessment).toMatchObject({ risk_score: 43, decision: RiskDecision.BLOCK });
+    });
+
+    test('a rule weighted to zero by FRAUD_RULE_WEIGHTS is skipped', async () => {
+        process.env.FRAUD_RULE_WEIGHTS = 'new_device=0, velocity=10';
+        history({ recent: Array.from({ length: 5 }, () => ({ gps_boarding_latitude: null, created_at: new Date(NOW).toISOString() })) });
+
+        const assessment = await assessPayment(payment({ device: { activated_at: new Date(NOW - DAY).toISOString() } }));
+
+        expect(assessment.rules.map(rule => [rule.rule, rule.points])).toEqual([['velocity', 10]]);
+    });
+
+    test('an amount far above the route\'s usual fare scores', async () => {
+        history({ amounts: Array.from({ length: 20 }, () => ({ amount: '50.00' })) });
+
+        const assessment = await assessPayment(payment({ amount: 250 }));
+
+        expect(assessment.rules).toEqual([expect.objectContaining({ rule: 'unusual_amount', score: 1, points: 25 })]);
+        expect(assessment.rules[0].details).toEqual({ amount: 250, typical_amount: 50, times_typical: 5 });
+    });
+});
+
+describe('enforceRiskDecision', () => {
+    const binding = (fields = {}) => ({
+        user_id: 'user-1',
+        phone_number: '+254711111111',
+        merchant_id: 'merchant-1',
+        amount: 100,
+        ...fields
+    });
+
+    const stepUp = { decision: RiskDecision.STEP_UP, rules: [] };
+
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('lets an allowed payment through', async () => {
+        expect(await enforceRiskDecision({ decision: RiskDecision.ALLOW, rules: [] }, binding())).toBe(false);
+    });
+
+    test('blocks, naming the boarding point when that is the main reason', async () => {
+        const block = rules => ({ decision: RiskDecision.BLOCK, rules });
+
+        await expect(enforceRiskDecision(block([{ rule: 'velocity', points: 30 }, { rule: 'origin_distance', points: 60 }]), binding()))
+            .rejects.toMatchObject({ code: ErrorCodes.ORIGIN_MISMATCH, status: 400 });
+        await expect(enforceRiskDecision(block([{ rule: 'velocity', points: 30 }]), binding()))
+            .rejects.toMatchObject({ code: ErrorCodes.FRAUD_DETECTED, status: 403 });
+    });
+
+    test('a step-up without a code texts one to the payer', async () => {
+        const error = await enforceRiskDecision(stepUp, binding()).catch(err => err);
+
+        expect(error).toMatchObject({ code: ErrorCodes.STEP_UP_REQUIRED, status: 403 });
+
+        const challenge = argOf(supabase.queriesOn('step_up_challenges')[0], 'insert');
+        expect(challenge).toMatchObject({ user_id: 'user-1', merchant_id: 'merchant-1', amount: 100 });
+        expect(error.details).toEqual({ step_up_challenge_id: challenge.challenge_id, expires_at: challenge.expires_at });
+
+        const sms = argOf(supabase.queriesOn('notifications')[0], 'insert');
+        const code = sms.message.match(/is (\d{6})\./)[1];
+        expect(sms.recipient).toBe('+254711111111');
+        expect(challenge.code_hash).toBe(hashStepUpCode(challenge.challenge_id, code));
+    });
+
+    test('the right code lets the payment through', async () => {
+        supabase.rpc.mockResolvedValue({ data: [{ status: 'valid', attempts_left: 3, expires_at: '2026-10-19T08:05:00Z' }], error: null });
+
+        expect(await enforceRiskDecision(stepUp, binding({ step_up_challenge_id: CHALLENGE, step_up_code: '123456' }))).toBe(true);
+
+        expect(supabase.rpc).toHaveBeenCalledWith('check_step_up_challenge', expect.objectContaining({
+            p_challenge_id: CHALLENGE,
+            p_amount: 100,
+            p_code_hash: hashStepUpCode(CHALLENGE, '123456'),
+            p_max_attempts: 3
+        }));
+    });
+
+    test('a wrong code keeps the challenge while attempts are left', async () => {
+        supabase.rpc.mockResolvedValue({ data: [{ status: 'wrong_code', attempts_left: 2, expires_at: '2026-10-19T08:05:00Z' }], error: null });
+
+        await expect(enforceRiskDecision(stepUp, binding({ step_up_challenge_id: CHALLENGE, step_up_code: '654321' }))).rejects.toMatchObject({
+            message: 'Incorrect confirmation code',
+            details: { step_up_challenge_id: CHALLENGE, expires_at: '2026-10-19T08:05:00.000Z', attempts_left: 2 }
+        });
+        expect(supabase.queriesOn('step_up_challenges')).toHaveLength(0);
+    });
+
+    test('a used-up or malformed challenge gets a new code', async () => {
+        supabase.rpc.mockResolvedValue({ data: [{ status: 'wrong_code', attempts_left: 0, expires_at: '2026-10-19T08:05:00Z' }], error: null });
+
+        const used = await enforceRiskDecision(stepUp, binding({ step_up_challenge_id: CHALLENGE, step_up_code: '654321' })).catch(err => err);
+        const malformed = await enforceRiskDecision(stepUp, binding({ step_up_challenge_id: 'not-a-uuid', step_up_code: '123456' })).catch(err => err);
+
+        expect(used.details.step_up_challenge_id).not.toBe(CHALLENGE);
+        expect(malformed.message).toBe('Enter the code sent to your phone to confirm this payment');
+        expect(supabase.rpc).toHaveBeenCalledTimes(1);
+        expect(supabase.queriesOn('step_up_challenges')).toHaveLength(2);
+    });
+});
+
+describe('recordRiskDecision', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('records a decision only when a rule fired', async () => {
+        const assessment = {
+            risk_score: 45,
+            decision: RiskDecision.STEP_UP,
+            rules: [{ rule: 'origin_distance', points: 45 }],
+            thresholds: { step_up_score: 40, block_score: 70 }
+        };
+
+        expect(await recordRiskDecision({ ...assessment, rules: [] }, { user_id: 'user-1' })).toBe(false);
+        expect(await recordRiskDecision(assessment, { user_id: 'user-1', merchant_id: 'merchant-1', amount: 100, step_up_passed: true })).toBe(true);
+
+        expect(argOf(supabase.queriesOn('fraud_alerts')[0], 'insert')).toMatchObject({
+            alert_type: 'payment_risk',
+            alert_level: 'medium',
+            decision: RiskDecision.STEP_UP,
+            details: { amount: 100, step_up_passed: true }
+        });
+    });
+});
@@ -0,0 +1,150 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const AdmZip = require('adm-zip');
+const { supabase } = require('../../src/config/supabase');
+const { readGtfsZip, buildRoutes, buildFares, planImport } = require('../../src/services/gtfs');
+
+// Route 46 runs CBD -> Westlands -> Kawangware; Westlands and Kawangware are zone B
+const feed = () => ({
+    routes: [{ route_id: 'R46', route_short_name: '46', route_long_name: 'CBD - Kawangware' }],
+    trips: [
+        { route_id: 'R46', trip_id: 'short', direction_id: '0' },
+        { route_id: 'R46', trip_id: 'long', direction_id: '0' },
+        { route_id: 'R46', trip_id: 'back', direction_id: '1' }
+    ],
+    stop_times: [
+        { trip_id: 'short', stop_id: 'CBD', stop_sequence: '1' },
+        { trip_id: 'short', stop_id: 'WEST LANDS', stop_sequence: '2' },
+        { trip_id: 'long', stop_id: 'KAWANGWARE', stop_sequence: '3' },
+        { trip_id: 'long', stop_id: 'CBD', stop_sequence: '1' },
+        { trip_id: 'long', stop_id: 'WEST LANDS', stop_sequence: '2' },
+        { trip_id: 'back', stop_id: 'KAWANGWARE', stop_sequence: '1' },
+        { trip_id: 'back', stop_id: 'WEST LANDS', stop_sequence: '2' },
+        { trip_id: 'back', stop_id: 'CBD', stop_sequence: '3' },
+        { trip_id: 'back', stop_id: 'CBD', stop_sequence: '4' }
+    ],
+    stops: [
+        { stop_id: 'CBD', stop_name: 'CBD', stop_lat: '-1.2833', stop_lon: '36.8167', zone_id: 'A' },
+        { stop_id: 'WEST LANDS', stop_name: 'Westlands', stop_lat: '-1.2676', stop_lon: '36.8108', zone_id: 'B' },
+        { stop_id: 'KAWANGWARE', stop_name: 'Kawangware', stop_lat: '-1.2833', stop_lon: '36.75', zone_id: 'B' }
+    ],
+    fare_attributes: [
+        { fare_id: 'cross', price: '70', currency_type: 'KES' },
+        { fare_id: 'local', price: '30', currency_type: 'KES' },
+        { fare_id: 'usd', price: '1', currency_type: 'USD' }
+    ],
+    fare_rules: [
+        { fare_id: 'cross', route_id: 'R46', origin_id: 'A', destination_id: 'B' },
+        { fare_id: 'local', route_id: 'R46' },
+        { fare_id: 'usd', route_id: 'R46' }
+    ]
+});
+
+describe('readGtfsZip', () => {
+    test('finds the files in a nested folder and leaves missing fares empty', () => {
+        const zip = new AdmZip();
+        zip.addFile('feed/routes.txt', Buffer.from('route_id,route_short_name\nR46,46\n'));
+        zip.addFile('feed/trips.txt', Buffer.from('route_id,trip_id\nR46,t1\n'));
+        zip.addFile('feed/stop_times.txt', Buffer.from('trip_id,stop_id,stop_sequence\nt1,CBD,1\n'));
+        zip.addFile('feed/stops.txt', Buffer.from('stop_id,stop_name,stop_lat,stop_lon\nCBD,CBD,-1.2833,36.8167\n'));
+
+        const read = readGtfsZip(zip.toBuffer());
+
+        expect(read.routes).toEqual([{ route_id: 'R46', route_short_name: '46' }]);
+        expect(read.fare_rules).toEqual([]);
+    });
+
+    test('refuses a feed without stops', () => {
+        const zip = new AdmZip();
+        zip.addFile('routes.txt', Buffer.from('route_id\nR46\n'));
+
+        expect(() => readGtfsZip(zip.toBuffer())).toThrow('GTFS feed is missing trips.txt');
+    });
+});
+
+describe('buildRoutes', () => {
+    test('takes the stops of the longest outbound trip in sequence order', () => {
+        const [route] = buildRoutes(feed());
+
+        expect(route).toMatchObject({ gtfs_route_id: 'R46', route_number: '46', route_name: 'CBD - Kawangware', errors: [] });
+        expect(route.stops.map(stop => stop.id)).toEqual(['cbd', 'west-lands', 'kawangware']);
+        expect(route.stops[0]).toMatchObject({ latitude: -1.2833, longitude: 36.8167 });
+    });
+
+    test('flags unknown stops and a route without trips', () => {
+        const data = feed();
+        data.routes.push({ route_id: 'R99', route_short_name: '99' });
+        data.stop_times.push({ trip_id: 'long', stop_id: 'NOWHERE', stop_sequence: '4' });
+
+        const [route46, route99] = buildRoutes(data);
+
+        expect(route46.errors).toEqual(['Unknown stop_id NOWHERE']);
+        expect(route99.errors).toEqual(['No trips with stop times']);
+    });
+});
+
+describe('buildFares', () => {
+    test('prices every stop pair by zone, the first matching rule winning', () => {
+        const data = feed();
+        const { fares, warnings } = buildFares(data, buildRoutes(data));
+
+        expect(fares.map(fare => [fare.origin_stop_id, fare.destination_stop_id, fare.fare_amount])).toEqual([
+            ['cbd', 'west-lands', 70],
+            ['cbd', 'kawangware', 70],
+            ['west-lands', 'kawangware', 30]
+        ]);
+        expect(warnings).toEqual(['Fare usd is in USD, skipped']);
+    });
+});
+
+describe('planImport', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('a feed route with no match is created', async () => {
+        supabase.respond('routes', { data: [], error: null });
+
+        const plan = await planImport(feed());
+
+        expect(plan.routes.map(route => route.action)).toEqual(['create']);
+        expect(plan.fares.every(fare => fare.action === 'create')).toBe(true);
+        expect(supabase.queriesOn('fare_rules')).toHaveLength(0);
+    });
+
+    test('an existing route is matched by number and its changes listed', async () => {
+        supabase.respond('routes', {
+            data: [{
+                route_id: 'route-46',
+                route_number: '46',
+                route_name: 'CBD - Kawangware',
+                version: 2,
+                gtfs_route_id: null,
+                stops: [
+                    { id: 'cbd', name: 'CBD', latitude: -1.2833, longitude: 36.8167 },
+                    { id: 'kawangware', name: 'Kawangware', latitude: -1.2833, longitude: 36.76 }
+                ]
+            }],
+            error: null
+        });
+        supabase.respond('fare_rules', {
+            data: [
+                { route_id: 'route-46', origin_stop_id: 'cbd', destination_stop_id: 'kawangware', fare_amount: '60.00' },
+                { route_id: 'route-46', origin_stop_id: 'cbd', destination_stop_id: 'west-lands', fare_amount: '70.00' }
+            ],
+            error: null
+        });
+
+        const plan = await planImport(feed());
+
+        expect(plan.routes[0]).toMatchObject({
+            action: 'update',
+            stop_changes: { added: ['west-lands'], removed: [], reordered: false, moved: ['kawangware'] }
+        });
+        expect(plan.fares.map(fare => [fare.fare.destination_stop_id, fare.action, fare.previous_amount])).toEqual([
+            ['west-lands', 'unchanged', undefined],
+            ['kawangware', 'update', 60],
+            ['kawangware', 'create', undefined]
+        ]);
+    });
+});
@@ -0,0 +1,67 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const { supabase } = require('../../src/config/supabase');
+const { getVehiclePositionFeed, encodeFeed, feedToJson } = require('../../src/services/gtfsRealtime');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const NOW = new Date('2026-10-19T21:30:00Z');
+
+const device = (fields = {}) => ({
+    device_id: 'device-1',
+    last_gps_latitude: '-1.2833',
+    last_gps_longitude: '36.8167',
+    last_gps_updated_at: '2026-10-19T21:28:00Z',
+    merchants: { matatu_plate: 'KCB 123A', status: 'active' },
+    routes: { route_id: 'route-46', gtfs_route_id: 'R46' },
+    ...fields
+});
+
+describe('getVehiclePositionFeed', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('reports each vehicle on its GTFS route for the Nairobi service day', async () => {
+        supabase.respond('devices', { data: [device()], error: null });
+
+        const feed = await getVehiclePositionFeed(NOW);
+
+        expect(feed.header).toEqual({ gtfsRealtimeVersion: '2.0', incrementality: 'FULL_DATASET', timestamp: 1792445400 });
+        expect(feed.entity).toEqual([{
+            id: 'device-1',
+            vehicle: {
+                // 21:28 UTC is already the 20th in Nairobi
+                trip: { tripId: 'R46:device-1:20261020', routeId: 'R46', startDate: '20261020' },
+                vehicle: { id: 'device-1', label: 'KCB 123A', licensePlate: 'KCB 123A' },
+                position: { latitude: -1.2833, longitude: 36.8167 },
+                timestamp: 1792445280
+            }
+        }]);
+    });
+
+    test('falls back to our route id and leaves out fixes older than ten minutes', async () => {
+        supabase.respond('devices', { data: [device({ routes: { route_id: 'route-46', gtfs_route_id: null } })], error: null });
+
+        const feed = await getVehiclePositionFeed(NOW);
+
+        expect(feed.entity[0].vehicle.trip.routeId).toBe('route-46');
+        expect(supabase.queriesOn('devices')[0].calls).toContainEqual(['gte', 'last_gps_updated_at', '2026-10-19T21:20:00.000Z']);
+    });
+});
+
+describe('encodeFeed', () => {
+    test('round-trips through the protobuf', async () => {
+        supabase.reset();
+        supabase.respond('devices', { data: [device({ merchants: { matatu_plate: null, status: 'active' } })], error: null });
+        const feed = await getVehiclePositionFeed(NOW);
+
+        const decoded = FeedMessage.decode(encodeFeed(feed));
+
+        expect(decoded.entity).toHaveLength(1);
+        expect(decoded.entity[0].vehicle.trip.routeId).toBe('R46');
+        expect(feedToJson(feed).header.incrementality).toBe('FULL_DATASET');
+        expect(feedToJson(feed).entity[0].vehicle.vehicle.licensePlate).toBeUndefined();
+    });
+});
@@ -0,0 +1,254 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabaseAdmin } = require('../../src/config/supabase');
+const { ErrorCodes } = require('../../src/utils/response');
+const {
+    LedgerError,
+    roundMoney,
+    callLedgerFunction,
+    postPayment,
+    holdWithdrawal,
+    completeWithdrawal,
+    reverseWithdrawal,
+    getRefundCommission,
+    postRefund
+} = require('../../src/services/ledger');
+
+const account = (account_id, balance = 0, version = 1) => ({ data: { account_id, balance: String(balance), version: String(version) }, error: null });
+
+describe('ledger', () => {
+    beforeEach(() => {
+        supabaseAdmin.reset();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('roundMoney', () => {
+        test('rounds to cents', () => {
+            expect(roundMoney(10.005)).toBe(10.01);
+            expect(roundMoney('99.999')).toBe(100);
+            expect(roundMoney(0.1 + 0.2)).toBe(0.3);
+        });
+    });
+
+    describe('callLedgerFunction', () => {
+        test('rounds entry amounts before posting', async () => {
+            supabaseAdmin.rpc.mockResolvedValue({ data: { journal_id: 'j1' }, error: null });
+
+            await callLedgerFunction('post_ledger_transaction', {
+                p_transactions: [],
+                p_entries: [{ account_id: 'a', direction: 'debit', amount: 12.345 }]
+            });
+
+            expect(supabaseAdmin.rpc).toHaveBeenCalledWith('post_ledger_transaction', {
+                p_transactions: [],
+                p_entries: [{ account_id: 'a', direction: 'debit', amount: 12.35 }]
+            });
+        });
+
+        test.each([
+            [{ code: '23505', message: 'duplicate key' }, ErrorCodes.DUPLICATE_TRANSACTION, 409],
+            [{ message: 'INSUFFICIENT_BALANCE' }, ErrorCodes.INSUFFICIENT_BALANCE, 400],
+            [{ message: 'VERSION_CONFLICT' }, ErrorCodes.TRANSACTION_CONFLICT, 409],
+            [{ message: 'TRANSACTION_NOT_PENDING' }, ErrorCodes.DUPLICATE_TRANSACTION, 409],
+            [{ message: 'something else' }, ErrorCodes.SERVER_ERROR, 500]
+        ])('maps %p to a LedgerError', async (error, code, status) => {
+            supabaseAdmin.rpc.mockResolvedValue({ data: null, error });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            const rejection = callLedgerFunction('post_ledger_transaction', { p_entries: [] });
+
+            await expect(rejection).rejects.toBeInstanceOf(LedgerError);
+            await expect(rejection).rejects.toMatchObject({ code, status });
+        });
+    });
+
+    describe('postPayment', () => {
+        const payment = {
+            user_id: 'user-1',
+            merchant_id: 'merchant-1',
+            amount: 100,
+            merchant_commission: 5,
+            net_amount: 95,
+            transaction: { transaction_id: 'txn-1', transaction_type: 'payment' }
+        };
+
+        test('debits the rider and credits merchant and commission in one journal', async () => {
+            supabaseAdmin.respond('ledger_accounts',
+                account('commission'),
+                account('merchant-wallet'),
+                account('user-wallet', 250, 7)
+            );
+            supabaseAdmin.rpc.mockImplementation(async (name, args) => ({
+                data: { journal_id: 'j1', transactions: args.p_transactions },
+                error: null
+            }));
+
+            const result = await postPayment(payment);
+
+            expect(result.balance_before).toBe(250);
+            expect(result.balance_after).toBe(150);
+            expect(result.transaction).toMatchObject({
+                transaction_id: 'txn-1',
+                user_balance_before: 250,
+                user_balance_after: 150
+            });
+
+            const [name, args] = supabaseAdmin.rpc.mock.calls[0];
+            expect(name).toBe('post_ledger_transaction');
+            expect(args.p_entries).toEqual([
+                expect.objectContaining({ account_id: 'user-wallet', direction: 'debit', amount: 100, expected_version: 7 }),
+                expect.objectContaining({ account_id: 'merchant-wallet', direction: 'credit', amount: 95 }),
+                expect.objectContaining({ account_id: 'commission', direction: 'credit', amount: 5 })
+            ]);
+        });
+
+        test('refuses a payment larger than the balance without posting', async () => {
+            supabaseAdmin.respond('ledger_accounts',
+                account('commission'),
+                account('merchant-wallet'),
+                account('user-wallet', 99.99)
+            );
+
+            await expect(postPayment(payment)).rejects.toMatchObject({ code: ErrorCodes.INSUFFICIENT_BALANCE });
+            expect(supabaseAdmin.rpc).not.toHaveBeenCalled();
+        });
+
+        test('re-reads the wallet and retries when another posting wins the race', async () => {
+            supabaseAdmin.respond('ledger_accounts',
+                account('commission'),
+                account('merchant-wallet'),
+                account('user-wallet', 250, 7),
+                account('user-wallet', 200, 8)
+            );
+            supabaseAdmin.rpc
+                .mockResolvedValueOnce({ data: null, error: { message: 'VERSION_CONFLICT' } })
+                .mockImplementationOnce(async (name, args) => ({
+                    data: { journal_id: 'j2', transactions: args.p_transactions },
+                    error: null
+                }));
+
+            const result = await postPayment(payment);
+
+            expect(supabaseAdmin.rpc).toHaveBeenCalledTimes(2);
+            expect(supabaseAdmin.rpc.mock.calls[1][1].p_entries[0].expected_version).toBe(8);
+            expect(result.balance_after).toBe(100);
+        });
+
+        test('fails when the merchant has no wallet', async () => {
+            supabaseAdmin.respond('ledger_accounts', account('commission'), { data: null, error: null });
+
+            await expect(postPayment(payment)).rejects.toMatchObject({ code: ErrorCodes.MERCHANT_INACTIVE });
+        });
+    });
+
+    describe('withdrawals', () => {
+        test('holds amount plus fee', async () => {
+            supabaseAdmin.respond('ledger_accounts', account('holds'), account('user-wallet', 1000, 3));
+            supabaseAdmin.rpc.mockImplementation(async (name, args) => ({
+                data: { transactions: args.p_transactions },
+                error: null
+            }));
+
+            const result = await holdWithdrawal({
+                user_id: 'user-1',
+                amount: 500,
+                fee: 7,
+                transaction: { transaction_id: 'wd-1' }
+            });
+
+            expect(result.balance_after).toBe(493);
+            expect(supabaseAdmin.rpc.mock.calls[0][1].p_entries).toEqual([
+                expect.objectContaining({ account_id: 'user-wallet', direction: 'debit', amount: 507 }),
+                expect.objectContaining({ account_id: 'holds', direction: 'credit', amount: 507 })
+            ]);
+        });
+
+        test('releases the hold to M-Pesa clearing and fees on success', async () => {
+            supabaseAdmin.respond('ledger_accounts', account('holds'), account('clearing'), account('fees'));
+            supabaseAdmin.rpc.mockResolvedValue({ data: {}, error: null });
+
+            await completeWithdrawal({ transaction_id: 'wd-1', amount: 500, fee: 7 });
+
+            const [name, args] = supabaseAdmin.rpc.mock.calls[0];
+            expect(name).toBe('complete_ledger_transaction');
+            expect(args.p_updates.status).toBe('success');
+            expect(args.p_entries).toEqual([
+                expect.objectContaining({ account_id: 'holds', direction: 'debit', amount: 507 }),
+                expect.objectContaining({ account_id: 'clearing', direction: 'credit', amount: 500 }),
+                expect.objectContaining({ account_id: 'fees', direction: 'credit', amount: 7 })
+            ]);
+        });
+
+        test('returns the hold to the wallet on failure', async () => {
+            supabaseAdmin.respond('ledger_accounts', account('holds'), account('user-wallet', 493));
+            supabaseAdmin.rpc.mockResolvedValue({ data: {}, error: null });
+
+            await reverseWithdrawal({ transaction_id: 'wd-1', user_id: 'user-1', amount: 500, fee: 7 });
+
+            const [, args] = supabaseAdmin.rpc.mock.calls[0];
+            expect(args.p_updates.status).toBe('failed');
+            expect(args.p_entries).toEqual([
+                expect.objectContaining({ account_id: 'holds', direction: 'debit', amount: 507 }),
+                expect.objectContaining({ account_id: 'user-wallet', direction: 'credit', amount: 507 })
+            ]);
+        });
+    });
+    describe('refund commission', () => {
+        const payment = { amount: '100.00', merchant_commission: '5.00', refunded_amount: '0', refunded_commission: '0' };
+
+        test('never reverses more commission than was charged', () => {
+            let state = { ...payment };
+            const reversed = [];
+
+            for (const amount of [33.33, 33.33, 33.34]) {
+                const commission = getRefundCommission(state, amount);
+                reversed.push(commission);
+                state = {
+                    ...state,
+                    refunded_amount: roundMoney(parseFloat(state.refunded_amount) + amount),
+                    refunded_commission: roundMoney(parseFloat(state.refunded_commission) + commission)
+                };
+            }
+
+            expect(reversed).toEqual([1.67, 1.67, 1.66]);
+            expect(state.refunded_commission).toBe(5);
+        });
+
+        test('a full refund takes the whole commission', () => {
+            expect(getRefundCommission(payment, 100)).toBe(5);
+        });
+
+        test('re-reads the payment when another refund got in first', async () => {
+            supabaseAdmin.respond('ledger_accounts',
+                account('commission'),
+                account('merchant-wallet'),
+                account('user-wallet', 0, 1),
+                account('user-wallet', 66.66, 2)
+            );
+            supabaseAdmin.respond('transactions', {
+                data: { ...payment, refunded_amount: '66.66', refunded_commission: '3.34' },
+                error: null
+            });
+            supabaseAdmin.rpc
+                .mockResolvedValueOnce({ data: null, error: { message: 'VERSION_CONFLICT' } })
+                .mockImplementationOnce(async (name, args) => ({
+                    data: { transactions: [args.p_refund] },
+                    error: null
+                }));
+
+            const result = await postRefund({
+                original: { ...payment, transaction_id: 'pay-1', user_id: 'user-1', merchant_id: 'merchant-1' },
+                amount: 33.34,
+                transaction: { transaction_id: 'refund-1' }
+            });
+
+            expect(supabaseAdmin.rpc.mock.calls[0][1].p_refund.merchant_commission).toBe(1.67);
+            expect(result.merchant_commission).toBe(1.66);
+            expect(result.net_amount).toBe(31.68);
+            expect(result.transaction).toMatchObject({ amount: 33.34, merchant_commission: 1.66, net_amount: 31.68 });
+        });
+    });
+});
@@ -0,0 +1,89 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabaseAdmin } = require('../../src/config/supabase');
+const { ErrorCodes } = require('../../src/utils/response');
+const { AttemptKind, LockoutError, claimAttempt, clearAttempts } = require('../../src/services/lockout');
+
+const claim = fields => ({
+    data: [{ allowed: true, failed_attempts: 0, locked: false, retry_at: null, ...fields }],
+    error: null
+});
+
+describe('claimAttempt', () => {
+    beforeEach(() => {
+        supabaseAdmin.reset();
+    });
+
+    test('claims a PIN attempt with the PIN policy', async () => {
+        supabaseAdmin.rpc.mockResolvedValue(claim({ failed_attempts: 1 }));
+
+        await expect(claimAttempt(AttemptKind.PIN, 'user-1')).resolves.toEqual({ failed_attempts: 1, locks: false });
+        expect(supabaseAdmin.rpc).toHaveBeenCalledWith('claim_credential_attempt', expect.objectContaining({
+            p_kind: 'pin',
+            p_subject: 'user-1',
+            p_max_attempts: 5,
+            p_lock_seconds: null
+        }));
+    });
+
+    test('login locks run out', async () => {
+        supabaseAdmin.rpc.mockResolvedValue(claim());
+
+        await claimAttempt(AttemptKind.LOGIN, '+254712345678');
+
+        expect(supabaseAdmin.rpc.mock.calls[0][1]).toMatchObject({ p_max_attempts: 10, p_lock_seconds: 30 * 60 });
+    });
+
+    test('reports the attempt that will lock if it is wrong', async () => {
+        supabaseAdmin.rpc.mockResolvedValue(claim({ failed_attempts: 5, locked: true }));
+
+        await expect(claimAttempt(AttemptKind.PIN, 'user-1')).resolves.toEqual({ failed_attempts: 5, locks: true });
+    });
+
+    test('a locked PIN is PIN_LOCKED (423)', async () => {
+        supabaseAdmin.rpc.mockResolvedValue(claim({ allowed: false, locked: true }));
+
+        const rejection = claimAttempt(AttemptKind.PIN, 'user-1');
+
+        await expect(rejection).rejects.toBeInstanceOf(LockoutError);
+        await expect(rejection).rejects.toMatchObject({ code: ErrorCodes.PIN_LOCKED, status: 423 });
+    });
+
+    test('a running delay is TOO_MANY_ATTEMPTS (429) with the wait', async () => {
+        const retryAt = new Date(Date.now() + 90 * 1000).toISOString();
+        supabaseAdmin.rpc.mockResolvedValue(claim({ allowed: false, retry_at: retryAt }));
+
+        const error = await claimAttempt(AttemptKind.PIN, 'user-1').catch(e => e);
+
+        expect(error).toMatchObject({ code: ErrorCodes.TOO_MANY_ATTEMPTS, status: 429 });
+        expect(error.details.retry_after_seconds).toBeGreaterThanOrEqual(89);
+        expect(error.details.retry_after_seconds).toBeLessThanOrEqual(90);
+        expect(error.message).toBe('Too many wrong attempts. Try again in 2 minutes.');
+    });
+
+    test('a locked login is a timed TOO_MANY_ATTEMPTS, not PIN_LOCKED', async () => {
+        const retryAt = new Date(Date.now() + 30 * 1000).toISOString();
+        supabaseAdmin.rpc.mockResolvedValue(claim({ allowed: false, locked: true, retry_at: retryAt }));
+
+        await expect(claimAttempt(AttemptKind.LOGIN, '+254712345678'))
+            .rejects.toMatchObject({ code: ErrorCodes.TOO_MANY_ATTEMPTS });
+    });
+
+    test('database errors are thrown as they are', async () => {
+        const dbError = { message: 'connection refused' };
+        supabaseAdmin.rpc.mockResolvedValue({ data: null, error: dbError });
+
+        await expect(claimAttempt(AttemptKind.PIN, 'user-1')).rejects.toBe(dbError);
+    });
+});
+
+describe('clearAttempts', () => {
+    test('deletes the credential\'s failures', async () => {
+        supabaseAdmin.reset();
+
+        await clearAttempts(AttemptKind.PIN, 'user-1');
+
+        const [query] = supabaseAdmin.queriesOn('credential_attempts');
+        expect(query.calls).toEqual([['delete'], ['eq', 'kind', 'pin'], ['eq', 'subject', 'user-1']]);
+    });
+});
@@ -0,0 +1,68 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const bcrypt = require('bcrypt');
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { ErrorCodes } = require('../../src/utils/response');
+const { LockoutError } = require('../../src/services/lockout');
+const { verifyPin } = require('../../src/services/pin');
+
+const user = { user_id: 'user-1', pin_hash: bcrypt.hashSync('1234', 4) };
+
+const claim = fields => ({
+    data: [{ allowed: true, failed_attempts: 1, locked: false, retry_at: null, ...fields }],
+    error: null
+});
+
+describe('verifyPin', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('a right PIN clears the failures', async () => {
+        supabase.rpc.mockResolvedValue(claim());
+
+        await expect(verifyPin(user, '1234')).resolves.toBe(true);
+        expect(supabase.queriesOn('credential_attempts')).toHaveLength(1);
+    });
+
+    test('a wrong PIN counts and returns false', async () => {
+        supabase.rpc.mockResolvedValue(claim({ failed_attempts: 2 }));
+
+        await expect(verifyPin(user, '9999')).resolves.toBe(false);
+        expect(supabase.queriesOn('credential_attempts')).toHaveLength(0);
+    });
+
+    test('the wrong PIN that locks sends an SMS, audits and throws PIN_LOCKED', async () => {
+        supabase.rpc.mockResolvedValue(claim({ failed_attempts: 5, locked: true }));
+        supabase.respond('users', { data: { phone_number: '+254712345678' }, error: null });
+
+        const error = await verifyPin(user, '9999', { ip_address: '10.0.0.1' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(LockoutError);
+        expect(error.code).toBe(ErrorCodes.PIN_LOCKED);
+
+        const [sms] = supabase.queriesOn('notifications');
+        expect(argOf(sms, 'insert')).toMatchObject({ user_id: 'user-1', recipient: '+254712345678' });
+
+        const [audit] = supabase.queriesOn('audit_logs');
+        expect(argOf(audit, 'insert')).toMatchObject({
+            action: 'pin_locked',
+            details: { failed_attempts: 5 },
+            ip_address: '10.0.0.1'
+        });
+    });
+
+    test('a locked PIN is refused even when it is right', async () => {
+        supabase.rpc.mockResolvedValue(claim({ allowed: false, locked: true }));
+
+        await expect(verifyPin(user, '1234')).rejects.toMatchObject({ code: ErrorCodes.PIN_LOCKED });
+        expect(supabase.queriesOn('credential_attempts')).toHaveLength(0);
+    });
+
+    test('no PIN or no PIN set is false without claiming an attempt', async () => {
+        await expect(verifyPin(user, '')).resolves.toBe(false);
+        await expect(verifyPin({ user_id: 'user-2', pin_hash: null }, '1234')).resolves.toBe(false);
+        expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+});
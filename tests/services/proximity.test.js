@@ -0,0 +1,85 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { checkPassengerProximity, recordProximityMismatch } = require('../../src/services/proximity');
+
+const NOW = Date.parse('2026-10-19T08:00:00Z');
+
+const device = (fields = {}) => ({
+    gps_enabled: true,
+    last_gps_latitude: '-1.295',
+    last_gps_longitude: '36.8',
+    last_gps_accuracy_meters: '10',
+    last_gps_speed_mps: '0',
+    last_gps_updated_at: '2026-10-19T07:59:30Z',
+    ...fields
+});
+
+// About 333m east of the vehicle
+const AWAY = { latitude: '-1.295', longitude: '36.803', accuracy_meters: '20' };
+
+describe('checkPassengerProximity', () => {
+    test('a passenger on the vehicle matches', () => {
+        const check = checkPassengerProximity(device(), { latitude: -1.2951, longitude: 36.8 }, NOW);
+
+        expect(check).toMatchObject({ status: 'match', distance_meters: 11, excess_meters: 1, threshold_meters: 150, vehicle_fix_age_seconds: 30 });
+    });
+
+    test('beyond both GPS errors and the threshold is a mismatch', () => {
+        const check = checkPassengerProximity(device(), AWAY, NOW);
+
+        expect(check).toMatchObject({ status: 'mismatch', distance_meters: 333, excess_meters: 303 });
+        expect(check.passenger).toEqual({ latitude: -1.295, longitude: 36.803, accuracy_meters: 20 });
+    });
+
+    test('forgives the distance the vehicle may have covered since its fix', () => {
+        expect(checkPassengerProximity(device({ last_gps_speed_mps: '6' }), AWAY, NOW)).toMatchObject({ status: 'match', excess_meters: 123 });
+    });
+
+    test('a huge claimed accuracy earns no more than 250m of slack', () => {
+        const far = { latitude: '-1.295', longitude: '36.806', accuracy_meters: '5000' };
+
+        expect(checkPassengerProximity(device(), far, NOW)).toMatchObject({ status: 'mismatch', excess_meters: 407 });
+    });
+
+    test('is unchecked without usable GPS on either side', () => {
+        expect(checkPassengerProximity(device(), {}, NOW)).toEqual({ status: 'unchecked', reason: 'no passenger GPS' });
+        expect(checkPassengerProximity(device({ gps_enabled: false }), AWAY, NOW).reason).toBe('no vehicle GPS');
+        expect(checkPassengerProximity(device({ last_gps_updated_at: '2026-10-19T07:57:00Z' }), AWAY, NOW).reason).toBe('vehicle GPS too old');
+    });
+});
+
+describe('recordProximityMismatch', () => {
+    const context = { stage: 'scan', user_id: 'user-1', device_id: 'device-1', merchant_id: 'merchant-1' };
+
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('raises an alert for a mismatch', async () => {
+        const check = checkPassengerProximity(device(), AWAY, NOW);
+
+        expect(await recordProximityMismatch(check, context)).toBe(true);
+
+        const alert = argOf(supabase.queriesOn('fraud_alerts')[0], 'insert');
+        expect(alert).toMatchObject({ alert_type: 'passenger_vehicle_mismatch', transaction_id: null, device_id: 'device-1' });
+        expect(alert.details).toMatchObject({ stage: 'scan', distance_meters: 333, vehicle_fix_age_seconds: 30 });
+    });
+
+    test('raises nothing for a match', async () => {
+        expect(await recordProximityMismatch({ status: 'match' }, context)).toBe(false);
+        expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    test('a failed insert does not throw', async () => {
+        supabase.respond('fraud_alerts', { data: null, error: { message: 'down' } });
+
+        expect(await recordProximityMismatch(checkPassengerProximity(device(), AWAY, NOW), context)).toBe(false);
+    });
+});
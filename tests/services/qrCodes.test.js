@@ -0,0 +1,78 @@
+const { ErrorCodes } = require('../../src/utils/response');
+const { issueQrCode, verifyQrCode, resolveQrCode } = require('../../src/services/qrCodes');
+
+const DEVICE = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+const ROTATION = 180 * 1000;
+
+// One minute into a rotation window
+const NOW = 10000000 * ROTATION + 60 * 1000;
+
+describe('issueQrCode', () => {
+    test('signs the device and the window it is shown in', () => {
+        const qr = issueQrCode(DEVICE.toUpperCase(), NOW);
+
+        expect(qr.window).toBe(10000000);
+        expect(qr.qr_payload).toMatch(new RegExp(`^EMSEC\\.1\\.${DEVICE}\\.10000000\\.[0-9a-f]{32}$`));
+        expect(new Date(qr.expires_at) - new Date(qr.valid_from)).toBe(ROTATION);
+    });
+});
+
+describe('verifyQrCode', () => {
+    test('accepts a code for its window and the clock skew either side', () => {
+        const { qr_payload: payload } = issueQrCode(DEVICE, NOW);
+        const start = 10000000 * ROTATION;
+
+        expect(verifyQrCode(payload, NOW)).toEqual({ device_id: DEVICE, window: 10000000 });
+        expect(() => verifyQrCode(payload, start - 30 * 1000)).not.toThrow();
+        expect(() => verifyQrCode(payload, start + ROTATION + 29 * 1000)).not.toThrow();
+    });
+
+    test('refuses a code once its window and the skew have passed', () => {
+        const { qr_payload: payload } = issueQrCode(DEVICE, NOW);
+
+        expect(() => verifyQrCode(payload, 10000001 * ROTATION + 30 * 1000)).toThrow(expect.objectContaining({
+            code: ErrorCodes.QR_EXPIRED,
+            status: 410
+        }));
+    });
+
+    test('refuses a signature copied to another device or window', () => {
+        const signature = issueQrCode(DEVICE, NOW).qr_payload.split('.')[4];
+        const otherDevice = 'b1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+
+        for (const payload of [`EMSEC.1.${otherDevice}.10000000.${signature}`, `EMSEC.1.${DEVICE}.10000001.${signature}`]) {
+            expect(() => verifyQrCode(payload, NOW)).toThrow(expect.objectContaining({
+                code: ErrorCodes.INVALID_QR,
+                status: 404
+            }));
+        }
+    });
+
+    test('refuses malformed payloads and unknown versions', () => {
+        const signature = issueQrCode(DEVICE, NOW).qr_payload.split('.')[4];
+
+        for (const payload of [`EMSEC.2.${DEVICE}.10000000.${signature}`, `EMSEC.1.device-1.10000000.${signature}`, 'EMSEC.1']) {
+            expect(() => verifyQrCode(payload, NOW)).toThrow(expect.objectContaining({ code: ErrorCodes.INVALID_QR }));
+        }
+    });
+});
+
+describe('resolveQrCode', () => {
+    afterEach(() => {
+        delete process.env.QR_ALLOW_STATIC_TOKENS;
+    });
+
+    test('a signed code resolves to its device', () => {
+        expect(resolveQrCode(issueQrCode(DEVICE, NOW).qr_payload, NOW)).toEqual({ device_id: DEVICE });
+    });
+
+    test('a static sticker resolves to its sticker code while they are allowed', () => {
+        process.env.QR_ALLOW_STATIC_TOKENS = 'true';
+
+        expect(resolveQrCode('EMSEC_TOKEN_KCB123A', NOW)).toEqual({ sticker_code: 'EMSEC_TOKEN_KCB123A' });
+    });
+
+    test('a static sticker is refused by default', () => {
+        expect(() => resolveQrCode('EMSEC_TOKEN_KCB123A', NOW)).toThrow('This QR code is no longer accepted');
+    });
+});
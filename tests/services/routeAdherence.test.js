@@ -0,0 +1,93 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { checkRouteAdherence } = require('../../src/services/routeAdherence');
+
+const DEVICE = { device_id: 'device-1', merchant_id: 'merchant-1', route_id: 'route-46' };
+
+// A straight northbound road
+const PATH = [
+    { latitude: -1.3, longitude: 36.8 },
+    { latitude: -1.29, longitude: 36.8 }
+];
+
+// On the road, or about 334m east of it
+const onRoute = recordedAt => ({ latitude: -1.295, longitude: 36.8, accuracy_meters: 10, recorded_at: recordedAt });
+const offRoute = recordedAt => ({ latitude: -1.295, longitude: 36.803, accuracy_meters: 10, recorded_at: recordedAt });
+
+const state = (fields = {}) => ({
+    data: { route_checked_at: null, off_route_since: null, off_route_alerted_at: null, routes: { path: PATH }, ...fields },
+    error: null
+});
+
+describe('checkRouteAdherence', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('alerts once a device has been off-route for five minutes', async () => {
+        supabase.respond('devices', state(), { data: [{ device_id: 'device-1' }], error: null });
+
+        const result = await checkRouteAdherence(DEVICE, [
+            offRoute('2026-10-19T08:00:00.000Z'),
+            offRoute('2026-10-19T08:03:00.000Z'),
+            offRoute('2026-10-19T08:05:00.000Z')
+        ]);
+
+        expect(result).toEqual({ off_route: true, off_route_since: '2026-10-19T08:00:00.000Z', alerted: true });
+
+        const alert = argOf(supabase.queriesOn('fraud_alerts')[0], 'insert');
+        expect(alert).toMatchObject({ device_id: 'device-1', merchant_id: 'merchant-1', alert_type: 'off_route' });
+        expect(alert.details).toMatchObject({ off_route_since: '2026-10-19T08:00:00.000Z', meters_beyond_tolerance: 174, tolerance_meters: 150 });
+    });
+
+    test('does not alert twice for one excursion', async () => {
+        supabase.respond('devices', state({
+            route_checked_at: '2026-10-19T08:05:00.000Z',
+            off_route_since: '2026-10-19T08:00:00.000Z',
+            off_route_alerted_at: '2026-10-19T08:05:00.000Z'
+        }), { data: [{ device_id: 'device-1' }], error: null });
+
+        const result = await checkRouteAdherence(DEVICE, [offRoute('2026-10-19T08:10:00.000Z')]);
+
+        expect(result.alerted).toBe(false);
+        expect(supabase.queriesOn('fraud_alerts')).toHaveLength(0);
+        expect(supabase.queriesOn('devices')[1].calls).toContainEqual(['eq', 'route_checked_at', '2026-10-19T08:05:00.000Z']);
+    });
+
+    test('coming back on route ends the excursion', async () => {
+        supabase.respond('devices', state({
+            route_checked_at: '2026-10-19T08:02:00.000Z',
+            off_route_since: '2026-10-19T08:00:00.000Z'
+        }), { data: [{ device_id: 'device-1' }], error: null });
+
+        const result = await checkRouteAdherence(DEVICE, [onRoute('2026-10-19T08:06:00.000Z')]);
+
+        expect(result).toEqual({ off_route: false, off_route_since: null, alerted: false });
+        expect(argOf(supabase.queriesOn('devices')[1], 'update')).toEqual({
+            route_checked_at: '2026-10-19T08:06:00.000Z',
+            off_route_since: null,
+            off_route_alerted_at: null
+        });
+    });
+
+    test('ignores fixes older than the last one checked', async () => {
+        supabase.respond('devices', state({ route_checked_at: '2026-10-19T08:05:00.000Z' }));
+
+        expect(await checkRouteAdherence(DEVICE, [offRoute('2026-10-19T08:04:00.000Z')])).toBeNull();
+        expect(supabase.queriesOn('devices')).toHaveLength(1);
+    });
+
+    test('a batch another request already checked raises nothing', async () => {
+        supabase.respond('devices', state(), { data: [], error: null });
+
+        const result = await checkRouteAdherence(DEVICE, [
+            offRoute('2026-10-19T08:00:00.000Z'),
+            offRoute('2026-10-19T08:05:00.000Z')
+        ]);
+
+        expect(result).toBeNull();
+        expect(supabase.queriesOn('fraud_alerts')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,114 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../../src/config/supabase');
+const { rotateRefreshToken, revokeSessions, isSessionActive } = require('../../src/services/sessions');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('rotateRefreshToken', () => {
+    beforeEach(() => {
+        supabaseAdmin.reset();
+    });
+
+    test('swaps the presented token for a new one, by hash only', async () => {
+        supabaseAdmin.rpc.mockResolvedValue({
+            data: [{ outcome: 'rotated', user_id: 'user-1', session_id: 'session-1' }],
+            error: null
+        });
+
+        const result = await rotateRefreshToken('old-token', { ip_address: '10.0.0.1', user_agent: 'app/1.0' });
+
+        expect(result).toMatchObject({ outcome: 'rotated', user_id: 'user-1', session_id: 'session-1' });
+        expect(result.refresh_token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+        const [name, args] = supabaseAdmin.rpc.mock.calls[0];
+        expect(name).toBe('rotate_refresh_token');
+        expect(args).toEqual({
+            p_token_hash: sha256('old-token'),
+            p_new_token_hash: sha256(result.refresh_token),
+            p_expires_at: result.expires_at,
+            p_ip_address: '10.0.0.1',
+            p_user_agent: 'app/1.0'
+        });
+    });
+
+    test('expires the new token REFRESH_TOKEN_TTL_DAYS from now', async () => {
+        supabaseAdmin.rpc.mockResolvedValue({ data: [{ outcome: 'rotated' }], error: null });
+
+        const { expires_at } = await rotateRefreshToken('old-token');
+
+        const days = (new Date(expires_at).getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+        expect(days).toBeCloseTo(7, 2);
+    });
+
+    test.each(['invalid', 'revoked', 'expired', 'reused'])('a %s token gets no new token', async outcome => {
+        supabaseAdmin.rpc.mockResolvedValue({
+            data: [{ outcome, user_id: 'user-1', session_id: 'session-1' }],
+            error: null
+        });
+
+        const result = await rotateRefreshToken('old-token');
+
+        expect(result).toEqual({ outcome, user_id: 'user-1', session_id: 'session-1' });
+    });
+
+    test('database errors are thrown as they are', async () => {
+        const dbError = { message: 'connection refused' };
+        supabaseAdmin.rpc.mockResolvedValue({ data: null, error: dbError });
+
+        await expect(rotateRefreshToken('old-token')).rejects.toBe(dbError);
+    });
+});
+
+describe('isSessionActive', () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+        supabaseAdmin.reset();
+    });
+
+    test('a live session is active', async () => {
+        supabaseAdmin.respond('auth_sessions', { data: { revoked_at: null, expires_at: future }, error: null });
+
+        await expect(isSessionActive('live-1')).resolves.toBe(true);
+    });
+
+    test('revoked, expired and unknown sessions are not', async () => {
+        supabaseAdmin.respond('auth_sessions',
+            { data: { revoked_at: new Date().toISOString(), expires_at: future }, error: null },
+            { data: { revoked_at: null, expires_at: new Date(Date.now() - 1000).toISOString() }, error: null },
+            { data: null, error: null }
+        );
+
+        await expect(isSessionActive('revoked-1')).resolves.toBe(false);
+        await expect(isSessionActive('expired-1')).resolves.toBe(false);
+        await expect(isSessionActive('unknown-1')).resolves.toBe(false);
+    });
+
+    test('reuses an answer for a few seconds, then looks again', async () => {
+        const now = Date.now();
+        supabaseAdmin.respond('auth_sessions',
+            { data: { revoked_at: null, expires_at: future }, error: null },
+            { data: { revoked_at: new Date(now).toISOString(), expires_at: future }, error: null }
+        );
+
+        await expect(isSessionActive('cached-1', now)).resolves.toBe(true);
+        await expect(isSessionActive('cached-1', now + 5 * 1000)).resolves.toBe(true);
+        expect(supabaseAdmin.queriesOn('auth_sessions')).toHaveLength(1);
+
+        await expect(isSessionActive('cached-1', now + 10 * 1000)).resolves.toBe(false);
+    });
+
+    test('revoking a session here drops its cached answer', async () => {
+        supabaseAdmin.respond('auth_sessions',
+            { data: { revoked_at: null, expires_at: future }, error: null },
+            { data: [{ session_id: 'cached-2' }], error: null },
+            { data: { revoked_at: new Date().toISOString(), expires_at: future }, error: null }
+        );
+
+        await expect(isSessionActive('cached-2')).resolves.toBe(true);
+        await revokeSessions('user-1', { sessionId: 'cached-2' });
+        await expect(isSessionActive('cached-2')).resolves.toBe(false);
+    });
+});
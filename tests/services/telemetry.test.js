@@ -0,0 +1,89 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { ingestFixes, getOriginTrack } = require('../../src/services/telemetry');
+
+const NOW = Date.parse('2026-10-19T08:00:00Z');
+
+// No route, so no off-route check
+const DEVICE = { device_id: 'device-1', merchant_id: 'merchant-1', route_id: null };
+
+const fix = (recordedAt, fields = {}) => ({ latitude: -1.2833, longitude: 36.8167, recorded_at: recordedAt, ...fields });
+
+describe('ingestFixes', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('stores usable fixes in time order and reports the rest', async () => {
+        supabase.respond('device_gps_fixes', { data: [{ fix_id: 1 }, { fix_id: 2 }], error: null });
+        supabase.respond('devices', { data: [{ device_id: 'device-1' }], error: null });
+
+        const result = await ingestFixes(DEVICE, [
+            fix('2026-10-19T07:59:30Z', { bearing_degrees: 360 }),
+            fix('2026-10-19T07:59:00Z', { speed_mps: '8.5' }),
+            fix('2026-10-19T07:58:00Z', { latitude: 51.5, longitude: -0.12 }),
+            fix('2026-10-19T08:05:00Z'),
+            fix('2026-10-19T07:59:10Z', { accuracy_meters: -1 })
+        ], NOW);
+
+        expect(result).toEqual({
+            accepted: 2,
+            duplicates: 0,
+            rejected: [
+                { index: 2, reason: 'coordinates are outside Kenya' },
+                { index: 3, reason: 'recorded_at is in the future' },
+                { index: 4, reason: 'invalid accuracy_meters' }
+            ],
+            position_updated: true
+        });
+
+        const rows = argOf(supabase.queriesOn('device_gps_fixes')[0], 'upsert');
+        expect(rows.map(row => [row.recorded_at, row.speed_mps, row.bearing_degrees])).toEqual([
+            ['2026-10-19T07:59:00.000Z', 8.5, null],
+            ['2026-10-19T07:59:30.000Z', null, 0]
+        ]);
+    });
+
+    test('only moves the device forward to its newest fix', async () => {
+        supabase.respond('device_gps_fixes', { data: [], error: null });
+        supabase.respond('devices', { data: [], error: null });
+
+        const result = await ingestFixes(DEVICE, [fix('2026-10-19T07:50:00Z')], NOW);
+
+        expect(result).toMatchObject({ accepted: 0, duplicates: 1, position_updated: false });
+        expect(supabase.queriesOn('devices')[0].calls).toContainEqual([
+            'or', 'last_gps_updated_at.is.null,last_gps_updated_at.lt.2026-10-19T07:50:00.000Z'
+        ]);
+    });
+
+    test('a batch with nothing usable writes nothing', async () => {
+        const result = await ingestFixes(DEVICE, [fix('not a time'), null], NOW);
+
+        expect(result.rejected.map(rejection => rejection.reason)).toEqual(['invalid recorded_at', 'not an object']);
+        expect(supabase.from).not.toHaveBeenCalled();
+    });
+});
+
+describe('getOriginTrack', () => {
+    beforeEach(() => {
+        supabase.reset();
+    });
+
+    test('falls back to the last known position without recent fixes', async () => {
+        supabase.respond('device_gps_fixes', { data: [], error: null });
+
+        const track = await getOriginTrack({
+            device_id: 'device-1',
+            last_gps_latitude: '-1.2833',
+            last_gps_longitude: '36.8167',
+            last_gps_speed_mps: null,
+            last_gps_bearing_degrees: '90',
+            last_gps_updated_at: '2026-10-19T07:40:00Z'
+        }, NOW);
+
+        expect(track).toEqual([{ latitude: -1.2833, longitude: 36.8167, speed_mps: null, bearing_degrees: 90, recorded_at: '2026-10-19T07:40:00Z' }]);
+        expect(supabase.queriesOn('device_gps_fixes')[0].calls).toContainEqual(['gte', 'recorded_at', '2026-10-19T07:58:00.000Z']);
+    });
+});
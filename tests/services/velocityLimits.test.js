@@ -0,0 +1,100 @@
+jest.mock('../../src/config/supabase', () => require('../helpers/supabase').mockSupabaseModule());
+
+const { supabase } = require('../../src/config/supabase');
+const { argOf } = require('../helpers/supabase');
+const { ErrorCodes } = require('../../src/utils/response');
+const { LimitScope, getLimits, enforceVelocityLimits } = require('../../src/services/velocityLimits');
+
+const NOW = Date.parse('2026-10-19T08:00:00Z');
+
+const PAYMENT = { user_id: 'user-1', device_id: 'device-1', merchant_id: 'merchant-1', amount: 100 };
+
+const usage = (scope, fields = {}) => ({ scope, per_minute: '0', per_hour: '0', per_day: '0', amount_per_day: '0', ...fields });
+
+describe('getLimits', () => {
+    afterEach(() => {
+        delete process.env.PAYMENT_LIMITS_USER;
+    });
+
+    test('takes overrides from PAYMENT_LIMITS_*, ignoring unknown or bad entries', () => {
+        process.env.PAYMENT_LIMITS_USER = 'per_minute=5, amount_per_day=0,per_week=9,per_hour=-1';
+
+        expect(getLimits(LimitScope.USER)).toEqual({ per_minute: 5, per_hour: 20, per_day: 50, amount_per_day: 0 });
+        expect(getLimits(LimitScope.DEVICE).per_minute).toBe(40);
+    });
+});
+
+describe('enforceVelocityLimits', () => {
+    beforeEach(() => {
+        supabase.reset();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.PAYMENT_LIMITS_USER;
+    });
+
+    test('lets a payment within every limit through', async () => {
+        supabase.rpc.mockResolvedValue({
+            data: [usage('user', { per_minute: '2', amount_per_day: '19900' }), usage('device'), usage('merchant')],
+            error: null
+        });
+
+        await expect(enforceVelocityLimits(PAYMENT, NOW)).resolves.toBeUndefined();
+
+        expect(supabase.rpc).toHaveBeenCalledWith('payment_velocity', {
+            p_user_id: 'user-1',
+            p_device_id: 'device-1',
+            p_merchant_id: 'merchant-1',
+            p_at: '2026-10-19T08:00:00.000Z'
+        });
+        expect(supabase.queriesOn('fraud_alerts')).toHaveLength(0);
+    });
+
+    test('refuses the payment that would go over, naming the tightest limit', async () => {
+        supabase.rpc.mockResolvedValue({
+            data: [usage('user', { per_day: '50', amount_per_day: '19950' }), usage('device', { per_minute: '40' })],
+            error: null
+        });
+        supabase.respond('fraud_alerts', { data: [], error: null });
+
+        const error = await enforceVelocityLimits(PAYMENT, NOW).catch(err => err);
+
+        expect(error).toMatchObject({
+            code: ErrorCodes.VELOCITY_LIMIT_EXCEEDED,
+            status: 429,
+            message: 'Payment limit reached: this device allows 40 payments per minute',
+            details: { scope: 'device', limit: 'per_minute', max: 40 }
+        });
+
+        const alert = argOf(supabase.queriesOn('fraud_alerts')[1], 'insert');
+        expect(alert).toMatchObject({ alert_type: 'velocity_limit', decision: 'block', device_id: 'device-1' });
+        expect(alert.details.breaches.map(breach => [breach.scope, breach.limit])).toEqual([
+            ['device', 'per_minute'],
+            ['user', 'per_day'],
+            ['user', 'amount_per_day']
+        ]);
+    });
+
+    test('a limit switched off is never hit', async () => {
+        process.env.PAYMENT_LIMITS_USER = 'per_minute=0';
+        supabase.rpc.mockResolvedValue({ data: [usage('user', { per_minute: '10' })], error: null });
+
+        await expect(enforceVelocityLimits(PAYMENT, NOW)).resolves.toBeUndefined();
+    });
+
+    test('raises one alert per payer and device while refusals continue', async () => {
+        supabase.rpc.mockResolvedValue({ data: [usage('user', { per_minute: '3' })], error: null });
+        supabase.respond('fraud_alerts', { data: [{ alert_id: 'alert-1' }], error: null });
+
+        await expect(enforceVelocityLimits({ ...PAYMENT, device_id: null }, NOW)).rejects.toMatchObject({ details: { scope: 'user' } });
+
+        const lookups = supabase.queriesOn('fraud_alerts');
+        expect(lookups).toHaveLength(1);
+        expect(lookups[0].calls).toEqual(expect.arrayContaining([
+            ['gte', 'created_at', '2026-10-19T07:50:00.000Z'],
+            ['is', 'device_id', null]
+        ]));
+    });
+});
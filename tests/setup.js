@@ -0,0 +1,6 @@
+// Environment for unit tests: no real Supabase or Daraja is ever called
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.MPESA_CALLBACK_SECRET = 'test-callback-secret';
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
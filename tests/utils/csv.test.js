@@ -0,0 +1,43 @@
+const { parseCsv, toCsv } = require('../../src/utils/csv');
+
+describe('toCsv', () => {
+    const columns = [
+        { key: 'plate', header: 'Plate' },
+        { key: 'name', header: 'Vehicle' },
+        { key: 'net', header: 'Net (KES)' }
+    ];
+
+    test('quotes commas, quotes and line breaks', () => {
+        expect(toCsv(columns, [{ plate: 'KCB 123A', name: 'Super "Metro", Ltd', net: 95.5 }])).toBe(
+            'Plate,Vehicle,Net (KES)\r\nKCB 123A,"Super ""Metro"", Ltd",95.5\r\n'
+        );
+    });
+
+    test('keeps user text from being read as a formula, but not negative numbers', () => {
+        expect(toCsv(columns, [{ plate: '=HYPERLINK("x")', name: '@SUM(A1)', net: -20 }])).toBe(
+            'Plate,Vehicle,Net (KES)\r\n"\'=HYPERLINK(""x"")",\'@SUM(A1),-20\r\n'
+        );
+    });
+
+    test('leaves missing values empty', () => {
+        expect(toCsv(columns, [{ plate: 'KCB 123A', name: null }])).toBe('Plate,Vehicle,Net (KES)\r\nKCB 123A,,\r\n');
+    });
+});
+
+describe('parseCsv', () => {
+    test('reads quoted fields and trims headers and values', () => {
+        const text = '\uFEFFroute_id , fare_amount,note\r\n r1 ,50,"Peak, ""CBD"""\n\nr2,60,\n';
+
+        expect(parseCsv(text)).toEqual([
+            { route_id: 'r1', fare_amount: '50', note: 'Peak, "CBD"' },
+            { route_id: 'r2', fare_amount: '60', note: '' }
+        ]);
+    });
+
+    test('round-trips what toCsv writes', () => {
+        const columns = [{ key: 'a', header: 'a' }, { key: 'b', header: 'b' }];
+        const rows = [{ a: 'x,y', b: 'line\nbreak' }];
+
+        expect(parseCsv(toCsv(columns, rows))).toEqual(rows);
+    });
+});
@@ -0,0 +1,25 @@
+const { MIN_WITHDRAWAL, MAX_WITHDRAWAL, calculateWithdrawalFee } = require('../../src/utils/fees');
+
+describe('calculateWithdrawalFee', () => {
+    test.each([
+        [50, 0],
+        [100, 0],
+        [101, 7],
+        [500, 7],
+        [1000, 13],
+        [2501, 53],
+        [20000, 105],
+        [150000, 108]
+    ])('KES %d costs KES %d', (amount, fee) => {
+        expect(calculateWithdrawalFee(amount)).toBe(fee);
+    });
+
+    test('rejects amounts outside the limits', () => {
+        expect(calculateWithdrawalFee(MIN_WITHDRAWAL - 1)).toBeNull();
+        expect(calculateWithdrawalFee(MAX_WITHDRAWAL + 1)).toBeNull();
+    });
+
+    test.each([NaN, undefined, null, '500', Infinity])('rejects %p', amount => {
+        expect(calculateWithdrawalFee(amount)).toBeNull();
+    });
+});
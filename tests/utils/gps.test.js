@@ -0,0 +1,130 @@
+const {
+    detectOrigin,
+    findNearestStop,
+    getGeofenceExcess,
+    getConfidenceLevel,
+    isOutsideStopGeofence,
+    getOffRouteExcess,
+    snapToPath
+} = require('../../src/utils/gps');
+
+// A straight northbound route, stops about 330m apart
+const STOPS = [
+    { id: 'a', name: 'A', latitude: -1.3, longitude: 36.8 },
+    { id: 'b', name: 'B', latitude: -1.297, longitude: 36.8 },
+    { id: 'c', name: 'C', latitude: -1.294, longitude: 36.8 },
+    { id: 'd', name: 'D', latitude: -1.291, longitude: 36.8 }
+];
+
+const fix = (latitude, fields = {}) => ({ latitude, longitude: 36.8, ...fields });
+
+describe('detectOrigin', () => {
+    test('between two stops, picks the one already passed going forward', () => {
+        const origin = detectOrigin([fix(-1.2962), fix(-1.2955)], STOPS);
+
+        expect(origin).toMatchObject({ id: 'b', direction: 'forward', heading_degrees: 0 });
+    });
+
+    test('at the same place going the other way, picks the other stop', () => {
+        const origin = detectOrigin([fix(-1.2948), fix(-1.2955)], STOPS);
+
+        expect(origin).toMatchObject({ id: 'c', direction: 'reverse', heading_degrees: 180 });
+    });
+
+    test('standing still, trusts the unit\'s bearing only at speed', () => {
+        const moving = detectOrigin([fix(-1.2955, { speed_mps: 5, bearing_degrees: 180 })], STOPS);
+        const parked = detectOrigin([fix(-1.2955, { speed_mps: 0, bearing_degrees: 180 })], STOPS);
+
+        expect(moving).toMatchObject({ id: 'c', heading_degrees: 180 });
+        expect(parked).toMatchObject({ direction: 'unknown', heading_degrees: null });
+        expect(parked.confidence_score).toBeLessThan(moving.confidence_score);
+    });
+
+    test('at a stop, is highly confident', () => {
+        const origin = detectOrigin([fix(-1.2975), fix(-1.2970)], STOPS);
+
+        expect(origin).toMatchObject({ id: 'b', distance_meters: 0, confidence: 'high' });
+    });
+
+    test('needs a usable fix and stops with coordinates', () => {
+        expect(detectOrigin([], STOPS)).toBeNull();
+        expect(detectOrigin([fix(-1.2955)], [{ id: 'x', name: 'X' }])).toBeNull();
+    });
+});
+
+describe('findNearestStop', () => {
+    test('skips stops without coordinates', () => {
+        const nearest = findNearestStop(-1.2969, 36.8, [{ id: 'x', name: 'X' }, ...STOPS]);
+
+        expect(nearest).toMatchObject({ id: 'b', distance_meters: 11 });
+    });
+
+    test('returns null without stops', () => {
+        expect(findNearestStop(-1.2969, 36.8, [])).toBeNull();
+    });
+});
+
+describe('getGeofenceExcess', () => {
+    // Roughly 220m x 220m around stop B
+    const POLYGON = [
+        { latitude: -1.298, longitude: 36.799 },
+        { latitude: -1.298, longitude: 36.801 },
+        { latitude: -1.296, longitude: 36.801 },
+        { latitude: -1.296, longitude: 36.799 }
+    ];
+
+    test('is zero inside a polygon and the distance to its edge outside', () => {
+        const stop = { ...STOPS[1], geofence: { polygon: POLYGON } };
+
+        expect(getGeofenceExcess(-1.2961, 36.8009, stop)).toBe(0);
+        expect(getGeofenceExcess(-1.295, 36.8, stop)).toBe(111);
+    });
+
+    test('uses the stop\'s own radius before the fallback', () => {
+        expect(getGeofenceExcess(-1.2961, 36.8, { ...STOPS[1], geofence: { radius_meters: 50 } }, 100)).toBe(50);
+        expect(getGeofenceExcess(-1.2961, 36.8, STOPS[1], 100)).toBe(0);
+    });
+});
+
+describe('stop geofence checks', () => {
+    const stop = { ...STOPS[1], geofence: { radius_meters: 50 } };
+
+    test('confidence is high inside the geofence and falls off beyond it', () => {
+        expect(getConfidenceLevel(-1.2968, 36.8, stop)).toBe('high');
+        expect(getConfidenceLevel(-1.2961, 36.8, stop)).toBe('medium');
+        expect(getConfidenceLevel(-1.295, 36.8, stop)).toBe('low');
+    });
+
+    test('a payment is outside a stop with a geofence as soon as it leaves it', () => {
+        expect(isOutsideStopGeofence(-1.2961, 36.8, stop)).toBe(true);
+        expect(isOutsideStopGeofence(-1.2961, 36.8, STOPS[1])).toBe(false);
+    });
+});
+
+describe('snapToPath', () => {
+    test('finds the nearest point along the path and how far along it is', () => {
+        const snapped = snapToPath(-1.2955, 36.801, STOPS);
+
+        expect(snapped).toMatchObject({ segment_index: 1, along_meters: 501, distance_meters: 111 });
+        expect(snapped.progress).toBeCloseTo(1.5);
+        expect(snapped.latitude).toBeCloseTo(-1.2955);
+    });
+
+    test('ignores points without coordinates', () => {
+        expect(snapToPath(-1.2955, 36.8, [{}, STOPS[0]])).toMatchObject({ progress: 0, distance_meters: 500 });
+        expect(snapToPath(-1.2955, 36.8, [])).toBeNull();
+    });
+});
+
+describe('getOffRouteExcess', () => {
+    test('counts only distance beyond the tolerance and the fix\'s accuracy', () => {
+        // About 334m east of the road; tolerance 150m
+        expect(getOffRouteExcess(-1.2955, 36.803, STOPS)).toBe(184);
+        expect(getOffRouteExcess(-1.2955, 36.803, STOPS, 200)).toBe(0);
+        expect(getOffRouteExcess(-1.2955, 36.801, STOPS)).toBe(0);
+    });
+
+    test('is null without a path', () => {
+        expect(getOffRouteExcess(-1.2955, 36.8, null)).toBeNull();
+    });
+});
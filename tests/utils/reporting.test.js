@@ -0,0 +1,104 @@
+const {
+    toBusinessDate,
+    toWeekStart,
+    parseDateRange,
+    fetchAllRows,
+    summarize,
+    summarizeBy
+} = require('../../src/utils/reporting');
+
+const payment = (amount, created_at = '2026-10-19T08:00:00Z') => ({
+    transaction_type: 'payment',
+    amount: String(amount),
+    merchant_commission: String(amount * 0.05),
+    net_amount: String(amount * 0.95),
+    created_at
+});
+
+const refund = (amount, commission) => ({
+    transaction_type: 'refund',
+    amount: String(amount),
+    merchant_commission: String(commission),
+    net_amount: String(amount - commission)
+});
+
+describe('business dates', () => {
+    test('a day runs midnight to midnight Nairobi time', () => {
+        expect(toBusinessDate('2026-10-19T20:59:59Z')).toBe('2026-10-19');
+        expect(toBusinessDate('2026-10-19T21:00:00Z')).toBe('2026-10-20');
+    });
+
+    test('weeks start on Monday', () => {
+        expect(toWeekStart('2026-10-19')).toBe('2026-10-19');
+        expect(toWeekStart('2026-10-25')).toBe('2026-10-19');
+        expect(toWeekStart('2026-10-26')).toBe('2026-10-26');
+    });
+});
+
+describe('parseDateRange', () => {
+    test('covers whole business days, to exclusive', () => {
+        expect(parseDateRange({ from: '2026-10-01', to: '2026-10-07' })).toEqual({
+            from: '2026-09-30T21:00:00.000Z',
+            to: '2026-10-07T21:00:00.000Z',
+            from_date: '2026-10-01',
+            to_date: '2026-10-07'
+        });
+    });
+
+    test('defaults from to the given number of days before to', () => {
+        expect(parseDateRange({ to: '2026-10-07' }, 7).from_date).toBe('2026-10-01');
+    });
+
+    test.each([
+        [{ from: '2026-10-08', to: '2026-10-07' }],
+        [{ from: 'yesterday', to: '2026-10-07' }],
+        [{ from: '2025-01-01', to: '2026-10-07' }]
+    ])('refuses %p', query => {
+        expect(parseDateRange(query)).toBeNull();
+    });
+});
+
+describe('fetchAllRows', () => {
+    test('pages until a short page', async () => {
+        const pages = [new Array(1000).fill({}), [{}, {}]];
+        const ranges = [];
+        const buildQuery = () => ({
+            range: async (from, to) => {
+                ranges.push([from, to]);
+                return { data: pages.shift(), error: null };
+            }
+        });
+
+        const rows = await fetchAllRows(buildQuery);
+
+        expect(rows).toHaveLength(1002);
+        expect(ranges).toEqual([[0, 999], [1000, 1999]]);
+    });
+});
+
+describe('summarize', () => {
+    test('refunds take their amount, commission and net back off', () => {
+        expect(summarize([payment(100), payment(50), refund(40, 2)])).toEqual({
+            payment_count: 2,
+            refund_count: 1,
+            gross_amount: 150,
+            refund_amount: 40,
+            commission_amount: 5.5,
+            net_amount: 104.5
+        });
+    });
+
+    test('groups by key in first-seen order and skips rows without one', () => {
+        const rows = [
+            { ...payment(100), route_id: 'r2' },
+            { ...payment(50), route_id: 'r1' },
+            { ...payment(20), route_id: 'r2' },
+            { ...payment(10), route_id: null }
+        ];
+
+        expect(summarizeBy(rows, row => row.route_id).map(({ key, gross_amount }) => [key, gross_amount])).toEqual([
+            ['r2', 120],
+            ['r1', 50]
+        ]);
+    });
+});
@@ -0,0 +1,116 @@
+const { normalizeStop, validateStops, normalizePath, validatePath } = require('../../src/utils/stops');
+
+const CBD = { id: 'cbd', name: 'CBD', latitude: -1.2833, longitude: 36.8167 };
+const WESTLANDS = { id: 'westlands', name: 'Westlands', latitude: -1.2676, longitude: 36.8108 };
+const KAWANGWARE = { id: 'kawangware', name: 'Kawangware', latitude: -1.2833, longitude: 36.75 };
+
+describe('normalizeStop', () => {
+    test('trims and lowercases the id, trims the name and parses coordinates', () => {
+        expect(normalizeStop({ id: ' CBD ', name: ' Nairobi CBD ', latitude: '-1.2833', longitude: '36.8167', geofence: null })).toEqual({
+            id: 'cbd',
+            name: 'Nairobi CBD',
+            latitude: -1.2833,
+            longitude: 36.8167
+        });
+    });
+
+    test('parses a geofence\'s radius and polygon points', () => {
+        expect(normalizeStop({ ...CBD, geofence: { radius_meters: '80' } }).geofence).toEqual({ radius_meters: 80 });
+        expect(normalizeStop({ ...CBD, geofence: { polygon: [{ latitude: '-1.28', longitude: '36.81' }] } }).geofence).toEqual({
+            polygon: [{ latitude: -1.28, longitude: 36.81 }]
+        });
+    });
+});
+
+describe('validateStops', () => {
+    test('accepts an ordered list of distinct stops', () => {
+        expect(validateStops([CBD, WESTLANDS, KAWANGWARE])).toEqual([]);
+    });
+
+    test('needs at least two stops', () => {
+        expect(validateStops([CBD])).toEqual(['A route needs at least two stops']);
+    });
+
+    test('checks ids, names and coordinates', () => {
+        expect(validateStops([
+            { ...CBD, id: 'Bad Id' },
+            { ...WESTLANDS, name: '' },
+            { ...KAWANGWARE, latitude: 95 },
+            { id: 'kampala', name: 'Kampala', latitude: 0.3476, longitude: 32.5825 }
+        ])).toEqual([
+            'Stop 1 (CBD): id must be lowercase letters, digits, - or _',
+            'Stop 2: name is required',
+            'Stop 3 (Kawangware): invalid coordinates',
+            'Stop 4 (Kampala): coordinates are outside Kenya'
+        ]);
+    });
+
+    test('checks geofences', () => {
+        const square = (latitude, longitude) => [
+            { latitude: latitude - 0.001, longitude: longitude - 0.001 },
+            { latitude: latitude - 0.001, longitude: longitude + 0.001 },
+            { latitude: latitude + 0.001, longitude: longitude + 0.001 },
+            { latitude: latitude + 0.001, longitude: longitude - 0.001 }
+        ];
+
+        expect(validateStops([
+            { ...CBD, geofence: { polygon: square(CBD.latitude, CBD.longitude) } },
+            { ...WESTLANDS, geofence: { radius_meters: 5 } },
+            { ...KAWANGWARE, geofence: { polygon: square(CBD.latitude, CBD.longitude) } },
+            { id: 'ngong-road', name: 'Ngong Road', latitude: -1.3, longitude: 36.78, geofence: { polygon: square(-1.3, 36.78).slice(0, 2) } },
+            { id: 'yaya', name: 'Yaya', latitude: -1.293, longitude: 36.787, geofence: 'wide' }
+        ])).toEqual([
+            'Stop 2 (Westlands): geofence radius_meters must be 10-2000',
+            'Stop 3 (Kawangware): stop must lie inside its geofence polygon',
+            'Stop 4 (Ngong Road): geofence polygon needs 3-50 points',
+            'Stop 5 (Yaya): geofence must be { radius_meters } or { polygon }'
+        ]);
+    });
+
+    test('reports duplicates by id, name and distance', () => {
+        expect(validateStops([
+            CBD,
+            WESTLANDS,
+            { ...KAWANGWARE, id: 'cbd' },
+            { id: 'westlands-2', name: 'westlands', latitude: -1.29, longitude: 36.783 },
+            { id: 'cbd-north', name: 'CBD North', latitude: -1.2832, longitude: 36.8167 }
+        ])).toEqual([
+            'Stop 3 (Kawangware): duplicate stop id "cbd" (also stop 1)',
+            'Stop 4 (westlands): duplicate stop name (also stop 2)',
+            'Stop 5 (CBD North): within 25m of stop 1 (CBD)'
+        ]);
+    });
+
+    test('the duplicate distance comes from DUPLICATE_STOP_DISTANCE_METERS', () => {
+        process.env.DUPLICATE_STOP_DISTANCE_METERS = '5';
+        try {
+            expect(validateStops([CBD, { id: 'cbd-north', name: 'CBD North', latitude: -1.2832, longitude: 36.8167 }])).toEqual([]);
+        } finally {
+            delete process.env.DUPLICATE_STOP_DISTANCE_METERS;
+        }
+    });
+});
+
+describe('validatePath', () => {
+    // Straight lines CBD -> Westlands -> Kawangware
+    const PATH = normalizePath([
+        { latitude: '-1.2833', longitude: '36.8167' },
+        { latitude: '-1.2676', longitude: '36.8108' },
+        { latitude: '-1.2833', longitude: '36.75' }
+    ]);
+
+    test('accepts a path running through every stop', () => {
+        expect(validatePath(PATH, [CBD, WESTLANDS, KAWANGWARE])).toEqual([]);
+    });
+
+    test('reports stops too far from the path', () => {
+        const ngongRoad = { id: 'ngong-road', name: 'Ngong Road', latitude: -1.3, longitude: 36.78 };
+
+        expect(validatePath(PATH, [CBD, ngongRoad])).toEqual(['Stop 2 (Ngong Road): 2635m from the path (max 150m)']);
+    });
+
+    test('checks the path\'s own points', () => {
+        expect(validatePath([PATH[0]], [])).toEqual(['A route path needs 2-1000 points']);
+        expect(validatePath([PATH[0], { latitude: 0.3476, longitude: 32.5825 }], [])).toEqual(['Path point 2: invalid coordinates']);
+    });
+});